@@ -1,36 +1,50 @@
 (function(){
-    // Content management runs on the user-account RBAC. Access requires a logged-in
-    // ADMIN or OWNER session (HttpOnly cookie) — there is no separate admin password.
-    //   admin → addresses + watermark
-    //   owner → everything (+ news, team, partners, IP blacklist)
+    // Content management runs on the user-account permissions. Access requires a
+    // logged-in session (HttpOnly cookie) holding at least one dashboard permission —
+    // there is no separate admin password. Each tab shows only if the account holds
+    // one of the permissions in TAB_PERMS (the server enforces the same ones).
     // Same-origin fetches send the auth cookie automatically, so the CRUD calls below
     // need no token plumbing.
-    var ROLE_RANK = { user: 0, moderator: 1, admin: 2, owner: 3 };
-    function rank(r) { return ROLE_RANK[r] || 0; }
-    var currentRole = 'admin';
-    function isOwner() { return rank(currentRole) >= ROLE_RANK.owner; }
+    var ROLE_LBL = { owner: 'Собственик', admin: 'Администратор', moderator: 'Модератор', user: 'Потребител' };
+    var TRASH_PERMS = ['homes.delete', 'news.publish', 'partners.edit', 'team.edit'];
+    var TAB_PERMS = {
+        tabHomes: ['homes.edit', 'homes.import'], tabWatermark: ['media.manage'], tabNews: ['news.publish'],
+        tabPartners: ['partners.edit'], tabTeam: ['team.edit'], tabIp: ['security.ip'],
+        tabTrash: TRASH_PERMS, tabDupes: ['media.manage'], tabAudit: ['audit.view'],
+        tabLogins: ['audit.view'], tabJobs: ['system.jobs'], tabStorage: ['system.storage'],
+        tabPerms: ['users.roles', 'roles.edit'],
+    };
+    var myPerms = [];
+    function can(p) { return myPerms.indexOf(p) !== -1; }
+    function canAny(list) { return list.some(can); }
 
-    function showAdminPanel(role, name) {
-        currentRole = role || 'admin';
+    function showAdminPanel(me, name) {
+        myPerms = me.permissions || [];
         document.getElementById('adminContent').style.display = 'block';
 
         var hour = new Date().getHours();
         var greeting = hour < 12 ? 'Добро утро' : hour < 18 ? 'Добър ден' : 'Добър вечер';
         var greetingEl = document.getElementById('adminGreeting');
         if (greetingEl && name) greetingEl.textContent = greeting + ', ' + name + ' 👋';
-        var roleLbl = isOwner() ? 'Собственик' : 'Администратор';
+        var roleLbl = ROLE_LBL[me.role] || ROLE_LBL.user;
         var roleEl = document.getElementById('adminRoleTag');
         if (roleEl) roleEl.textContent = roleLbl;
         var av = document.getElementById('acctAvatar'); if (av) av.textContent = (String(name || '?').trim().charAt(0) || '?').toUpperCase();
         var an = document.getElementById('acctName'); if (an) an.textContent = name || 'Профил';
         var ar = document.getElementById('acctRole'); if (ar) ar.textContent = 'Роля: ' + roleLbl;
 
-        // Owner-only tabs; addresses + watermark stay available to admins.
-        ['tabPartners', 'tabNews', 'tabTeam', 'tabIp'].forEach(function(id) {
-            var el = document.getElementById(id); if (el) el.style.display = isOwner() ? '' : 'none';
+        var first = null;
+        Object.keys(TAB_PERMS).forEach(function(id) {
+            var el = document.getElementById(id); if (!el) return;
+            var show = canAny(TAB_PERMS[id]);
+            el.style.display = show ? '' : 'none';
+            if (show && !first) first = el;
         });
-
-        loadHomes(1);
+        document.getElementById('addBtn').style.display = can('homes.edit') ? '' : 'none';
+        document.getElementById('importBtn').style.display = can('homes.import') ? '' : 'none';
+        if (canAny(TAB_PERMS.tabHomes)) loadHomes(1);
+        else if (first) first.click();
+        else showSection(null);
     }
 
     function logout() {
@@ -43,13 +57,13 @@
         fetch('/api/auth/me', { credentials: 'include' })
             .then(function(r) { if (!r.ok) throw 'auth'; return r.json(); })
             .then(function(me) {
-                if (rank(me.role) < ROLE_RANK.admin) {
-                    document.body.innerHTML = '<div style="max-width:480px;margin:4rem auto;text-align:center;font-family:system-ui,sans-serif;color:#ddd"><h2>🔒 Нямате достъп</h2><p>Този панел е само за администратори и собственици.</p><a href="/index.html" style="color:#cd853f">Към началната страница</a></div>';
+                if (!me.areas || !me.areas.dashboard) {
+                    document.body.innerHTML = '<div style="max-width:480px;margin:4rem auto;text-align:center;font-family:system-ui,sans-serif;color:#ddd"><h2>🔒 Нямате достъп</h2><p>Този панел е само за членове на екипа с права за управление.</p><a href="/index.html" style="color:#cd853f">Към началната страница</a></div>';
                     return;
                 }
                 // Staff 2FA is mandatory; if not yet enrolled, send them to enrol first.
-                if (me.totp_required && !me.totp_enabled) { location.href = '/profile.html#twofa'; return; }
-                showAdminPanel(me.role, me.display_name || me.email);
+                if (me.totp_required && !me.second_factor) { location.href = '/profile.html#twofa'; return; }
+                showAdminPanel(me, me.display_name || me.email);
             })
             .catch(function() { location.href = '/login.html'; });
     });
@@ -210,14 +224,35 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
     document.getElementById('tabIp').addEventListener('click', function() {
         showSection('ipSection'); setActiveTab('tabIp'); loadIpBlacklist();
     });
+    document.getElementById('tabAudit').addEventListener('click', function() {
+        showSection('auditSection'); setActiveTab('tabAudit'); loadAudit(1);
+    });
+    document.getElementById('tabLogins').addEventListener('click', function() {
+        showSection('loginsSection'); setActiveTab('tabLogins'); loadLogins(1);
+    });
+    document.getElementById('tabJobs').addEventListener('click', function() {
+        showSection('jobsSection'); setActiveTab('tabJobs'); loadJobs();
+    });
+    document.getElementById('tabTrash').addEventListener('click', function() {
+        showSection('trashSection'); setActiveTab('tabTrash'); loadTrash();
+    });
+    document.getElementById('tabStorage').addEventListener('click', function() {
+        showSection('storageSection'); setActiveTab('tabStorage');
+    });
+    document.getElementById('tabDupes').addEventListener('click', function() {
+        showSection('dupesSection'); setActiveTab('tabDupes'); loadDupes();
+    });
+    document.getElementById('tabPerms').addEventListener('click', function() {
+        showSection('permsSection'); setActiveTab('tabPerms'); loadPerms();
+    });
 
     function showSection(id) {
-        ['homesSection','partnersSection','newsSection','teamSection','watermarkSection','ipSection'].forEach(function(s) {
+        ['homesSection','partnersSection','newsSection','teamSection','watermarkSection','ipSection','auditSection','loginsSection','jobsSection','trashSection','dupesSection','storageSection','permsSection'].forEach(function(s) {
             var el = document.getElementById(s); if (el) el.style.display = s === id ? '' : 'none';
         });
     }
     function setActiveTab(id) {
-        ['tabHomes','tabPartners','tabNews','tabTeam','tabWatermark','tabIp'].forEach(function(t) {
+        ['tabHomes','tabPartners','tabNews','tabTeam','tabWatermark','tabIp','tabAudit','tabLogins','tabJobs','tabTrash','tabDupes','tabStorage','tabPerms'].forEach(function(t) {
             var el = document.getElementById(t); if (el) el.classList.toggle('active', t === id);
         });
     }
@@ -325,6 +360,7 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
                 '<div class="muted">' + (p.address || '') + '</div>' +
                 '<div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap">' +
                 '<button data-act="edit" data-id="' + (p.slug || p.id) + '" class="theme-toggle">Edit</button>' +
+                '<button data-act="history" data-id="' + p.id + '" class="theme-toggle">History</button>' +
                 '<button data-act="toggle" data-id="' + (p.slug || p.id) + '" class="theme-toggle">' + (p.published ? 'Unpublish' : 'Publish') + '</button>' +
                 '<button data-act="delete" data-id="' + (p.slug || p.id) + '" class="theme-toggle">Delete</button>' +
                 '</div></div>';
@@ -511,6 +547,7 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
 
     function addNew() {
         document.getElementById('f_id').value = '';
+        document.getElementById('historyBtn').style.display = 'none';
         fillForm({ published: true });
         openModal('Add Home');
     }
@@ -520,12 +557,161 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
             .then(function(res) { return res.json(); })
             .then(function(home) {
                 document.getElementById('f_id').value = home.id || home.slug;
+                document.getElementById('historyBtn').style.display = '';
                 fillForm(home);
                 openModal('Edit Home');
             })
             .catch(function(err) { console.error('Error loading home:', err); alert('Error loading home'); });
     }
 
+    // ── Revision history (per home): list, diff against current, restore ──
+    var REV_ACTIONS = { create: 'Създаден', update: 'Редакция', delete: 'Изтрит', restore: 'Възстановен' };
+    var historyHomeId = null;
+    function historyStatus(msg, cls) {
+        var el = document.getElementById('historyStatus');
+        el.textContent = msg || ''; el.className = 'drive-status' + (cls ? ' ' + cls : '');
+    }
+    function closeHistory() { document.getElementById('historyModal').style.display = 'none'; }
+    function openHistory(id) {
+        historyHomeId = id;
+        document.getElementById('historyList').innerHTML = '';
+        document.getElementById('historyDiff').innerHTML = '';
+        document.getElementById('historyModal').style.display = 'flex';
+        historyStatus('Зареждане…');
+        fetch(API_URL + '/' + encodeURIComponent(id) + '/revisions')
+            .then(function(r) { if (!r.ok) throw new Error(); return r.json(); })
+            .then(function(rows) { historyStatus(rows.length ? '' : 'Няма записана история за този адрес.'); renderHistory(rows); })
+            .catch(function() { historyStatus('Грешка при зареждане на историята.', 'err'); });
+    }
+    function renderHistory(rows) {
+        var list = document.getElementById('historyList');
+        rows.forEach(function(r) {
+            var row = document.createElement('div'); row.className = 'ip-row';
+            var info = document.createElement('div');
+            var head = document.createElement('div'); head.className = 'rev-head';
+            head.textContent = '#' + r.id + ' · ' + (REV_ACTIONS[r.action] || r.action) + ' · ' + (r.name || '');
+            var meta = document.createElement('div'); meta.className = 'ip-meta';
+            meta.textContent = String(r.created_at || '').replace('T', ' ').slice(0, 16) + ' · ' + (r.actor_name || r.actor_email || 'система');
+            info.appendChild(head); info.appendChild(meta);
+            var btns = document.createElement('div'); btns.className = 'row';
+            var diff = document.createElement('button'); diff.type = 'button'; diff.className = 'theme-toggle neutral'; diff.textContent = 'Разлики';
+            diff.addEventListener('click', function() { showRevisionDiff(r.id); });
+            var restore = document.createElement('button'); restore.type = 'button'; restore.className = 'theme-toggle neutral'; restore.textContent = 'Възстанови';
+            restore.addEventListener('click', function() { restoreRevision(r.id); });
+            btns.appendChild(diff); btns.appendChild(restore);
+            row.appendChild(info); row.appendChild(btns);
+            list.appendChild(row);
+        });
+    }
+    function revValue(v) {
+        if (v === null || v === undefined || v === '') return '—';
+        return typeof v === 'object' ? JSON.stringify(v, null, 1) : String(v);
+    }
+    function showRevisionDiff(revId) {
+        var box = document.getElementById('historyDiff');
+        box.innerHTML = '';
+        fetch(API_URL + '/' + encodeURIComponent(historyHomeId) + '/revisions/diff?from=' + revId + '&to=current')
+            .then(function(r) { if (!r.ok) throw new Error(); return r.json(); })
+            .then(function(d) {
+                var title = document.createElement('div'); title.className = 'label';
+                title.textContent = 'Ревизия #' + revId + ' → текущо състояние';
+                box.appendChild(title);
+                if (!d.changes.length) { var p = document.createElement('p'); p.className = 'ip-meta'; p.textContent = 'Няма разлики.'; box.appendChild(p); return; }
+                var table = document.createElement('table'); table.className = 'rev-diff';
+                d.changes.forEach(function(c) {
+                    var tr = document.createElement('tr');
+                    [c.field, revValue(c.from), revValue(c.to)].forEach(function(txt, i) {
+                        var td = document.createElement('td'); td.textContent = txt;
+                        if (i === 1) td.className = 'rev-old'; if (i === 2) td.className = 'rev-new';
+                        tr.appendChild(td);
+                    });
+                    table.appendChild(tr);
+                });
+                box.appendChild(table);
+            })
+            .catch(function() { historyStatus('Грешка при сравнението.', 'err'); });
+    }
+    function restoreRevision(revId) {
+        if (!confirm('Да възстановя адреса до ревизия #' + revId + '? Текущото състояние остава в историята.')) return;
+        fetch(API_URL + '/' + encodeURIComponent(historyHomeId) + '/revisions/' + revId + '/restore', { method: 'POST' })
+            .then(function(res) { return res.json().catch(function() { return {}; }).then(function(d) { return { ok: res.ok, d: d }; }); })
+            .then(function(r) {
+                if (!r.ok) { historyStatus((r.d && r.d.error) || 'Грешка при възстановяване.', 'err'); return; }
+                closeHistory(); closeModal(); loadHomes(state.currentPage);
+            })
+            .catch(function() { historyStatus('Грешка при свързване.', 'err'); });
+    }
+    document.getElementById('historyBtn').addEventListener('click', function() {
+        var id = document.getElementById('f_id').value;
+        if (id) openHistory(id);
+    });
+    document.getElementById('closeHistoryDlg').addEventListener('click', closeHistory);
+
+    // ── Bulk import wizard: file → dry-run report → all-or-nothing commit ──
+    var IMPORT_API = apiBase + '/api/admin/import/homes';
+    function importStatus(msg, cls) {
+        var el = document.getElementById('importStatus');
+        el.textContent = msg || ''; el.className = 'drive-status' + (cls ? ' ' + cls : '');
+    }
+    function openImport() {
+        document.getElementById('importFile').value = '';
+        document.getElementById('importReport').innerHTML = '';
+        document.getElementById('importCommitBtn').disabled = true;
+        importStatus('');
+        document.getElementById('importModal').style.display = 'flex';
+    }
+    function closeImport() { document.getElementById('importModal').style.display = 'none'; }
+    function sendImport(commit) {
+        var file = document.getElementById('importFile').files[0];
+        if (!file) { importStatus('Изберете файл.', 'err'); return Promise.reject(); }
+        var fd = new FormData(); fd.append('file', file);
+        return fetch(IMPORT_API + (commit ? '?commit=1' : ''), { method: 'POST', body: fd })
+            .then(function(res) { return res.json().catch(function() { return {}; }).then(function(d) { return { ok: res.ok, d: d }; }); });
+    }
+    function renderImportReport(d) {
+        var box = document.getElementById('importReport');
+        box.innerHTML = '';
+        (d.rows || []).forEach(function(r) {
+            var row = document.createElement('div'); row.className = 'ip-row';
+            var info = document.createElement('div');
+            var head = document.createElement('div'); head.className = 'rev-head';
+            head.textContent = (r.errors.length ? '✗ ' : '✓ ') + 'Ред ' + r.row + ': ' + (r.name || '(без име)') + (r.slug ? ' → ' + r.slug : '');
+            info.appendChild(head);
+            r.errors.forEach(function(m) { var e = document.createElement('div'); e.className = 'import-err'; e.textContent = m; info.appendChild(e); });
+            r.warnings.forEach(function(m) { var w = document.createElement('div'); w.className = 'import-warn'; w.textContent = m; info.appendChild(w); });
+            row.appendChild(info);
+            box.appendChild(row);
+        });
+    }
+    document.getElementById('importBtn').addEventListener('click', openImport);
+    document.getElementById('closeImportDlg').addEventListener('click', closeImport);
+    document.getElementById('importFile').addEventListener('change', function() {
+        document.getElementById('importCommitBtn').disabled = true;
+        document.getElementById('importReport').innerHTML = '';
+        importStatus('');
+    });
+    document.getElementById('importCheckBtn').addEventListener('click', function() {
+        importStatus('Проверка…');
+        sendImport(false).then(function(r) {
+            if (!r.ok) { importStatus(r.d.error || 'Грешка при проверката.', 'err'); return; }
+            renderImportReport(r.d);
+            var ok = r.d.invalid === 0;
+            document.getElementById('importCommitBtn').disabled = !ok;
+            importStatus(r.d.total + ' реда · ' + r.d.valid + ' валидни · ' + r.d.invalid + ' с грешки' +
+                (ok ? ' - готово за импорт.' : ' - поправете файла и проверете отново.'), ok ? 'ok' : 'err');
+        }).catch(function(){});
+    });
+    document.getElementById('importCommitBtn').addEventListener('click', function() {
+        var btn = this;
+        btn.disabled = true;
+        importStatus('Импортиране…');
+        sendImport(true).then(function(r) {
+            if (!r.ok) { if (r.d.rows) renderImportReport(r.d); importStatus(r.d.error || 'Грешка при импорта.', 'err'); return; }
+            importStatus('✓ Импортирани ' + r.d.imported + ' адреса.', 'ok');
+            loadHomes(1);
+        }).catch(function() { importStatus('Грешка при свързване.', 'err'); });
+    });
+
     document.getElementById('addBtn').addEventListener('click', addNew);
     document.getElementById('cancelDlg').addEventListener('click', closeModal);
     document.getElementById('closeDlg').addEventListener('click', closeModal);
@@ -544,6 +730,23 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
         document.getElementById('f_date_label').value = b.getAttribute('data-dl');
     });
 
+    // Fill empty photo date / coordinates from an upload's EXIF; returns a status note.
+    function applyExifHints(x) {
+        if (!x) return '';
+        var filled = [];
+        var fDate = document.getElementById('f_date'), fLat = document.getElementById('f_lat'), fLng = document.getElementById('f_lng');
+        if (x.taken_at && !fDate.value.trim()) { fDate.value = x.taken_at.slice(0, 10); filled.push('дата'); }
+        if (x.lat != null && x.lng != null && !fLat.value.trim() && !fLng.value.trim()) { fLat.value = x.lat; fLng.value = x.lng; filled.push('координати'); }
+        return filled.length ? ' · от EXIF: ' + filled.join(', ') : '';
+    }
+
+    // Warn when the server recognised the upload as a near-copy of a stored photo.
+    function duplicateNote(dup) {
+        if (!dup) return '';
+        if (imageSources.indexOf(dup.url) > -1) return ' · ⚠ същата снимка вече е в галерията';
+        return ' · ⚠ прилича на вече качена снимка (вижте „Дубликати“)';
+    }
+
     // Gallery images upload - watermark applied
     async function loadImageFile(file) {
         if (!file) return;
@@ -557,7 +760,7 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
             if (data.thumb) imageThumbs[data.url] = data.thumb;
             syncImageField();
             renderImageList();
-            setUploadStatus('✓ ' + imageSources.length + ' image(s) ready');
+            setUploadStatus('✓ ' + imageSources.length + ' image(s) ready' + applyExifHints(data.exif) + duplicateNote(data.duplicate));
         } catch (err) {
             alert('Upload failed: ' + err.message);
             setUploadStatus('');
@@ -599,27 +802,57 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
         var url = (document.getElementById('driveUrl').value || '').trim();
         if (!url) { driveStatus('Поставете линк към Google Drive папка.', 'err'); return; }
         btn.disabled = true;
-        driveStatus('Импортиране… това може да отнеме минута за по-големи папки.');
+        driveStatus('Преглед на папката…');
         fetch('/api/admin/drive-sync', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ folderUrl: url, watermark: getWatermark(), photographer: getPhotographer() })
+            body: JSON.stringify({
+                folderUrl: url, watermark: getWatermark(), photographer: getPhotographer(),
+                recursive: document.getElementById('driveRecursive').checked,
+                map_subfolders: document.getElementById('driveMapPlaces').checked
+            })
         })
         .then(function(res) { return res.json().catch(function() { return {}; }).then(function(d) { return { ok: res.ok, d: d }; }); })
         .then(function(r) {
-            btn.disabled = false;
-            if (!r.ok) { driveStatus(r.d.error || 'Грешка при импорт.', 'err'); return; }
-            (r.d.urls || []).forEach(function(it) {
-                if (it && it.url) { imageSources.push(it.url); if (it.thumb) imageThumbs[it.url] = it.thumb; }
-            });
-            syncImageField(); renderImageList();
-            var msg = '✓ Добавени ' + (r.d.count || 0) + ' от ' + (r.d.total || 0) + ' снимки.';
-            if (r.d.capped) msg += ' (Папката е голяма - импортирани са първите ' + (r.d.count || 0) + '. Стартирайте отново за още.)';
-            if (r.d.errors && r.d.errors.length) msg += ' Пропуснати: ' + r.d.errors.length + '.';
-            driveStatus(msg, 'ok');
+            if (!r.ok) { btn.disabled = false; driveStatus(r.d.error || 'Грешка при импорт.', 'err'); return; }
+            pollDriveBatch(r.d.batch, btn, 0);
         })
         .catch(function() { btn.disabled = false; driveStatus('Грешка при свързване.', 'err'); });
     });
+    // Subfolder → place mapping only makes sense when walking subfolders.
+    document.getElementById('driveMapPlaces').addEventListener('change', function() {
+        if (this.checked) document.getElementById('driveRecursive').checked = true;
+    });
+    // The import runs as background jobs; poll its progress and attach each image as
+    // soon as it lands in R2 (`seen` counts the URLs already added).
+    function pollDriveBatch(batch, btn, seen) {
+        fetch('/api/admin/drive-sync/' + encodeURIComponent(batch))
+            .then(function(res) { if (!res.ok) throw new Error(); return res.json(); })
+            .then(function(d) {
+                d.urls.slice(seen).forEach(function(it) {
+                    if (it && it.url && imageSources.indexOf(it.url) === -1) { imageSources.push(it.url); if (it.thumb) imageThumbs[it.url] = it.thumb; }
+                });
+                if (d.urls.length > seen) { syncImageField(); renderImageList(); }
+                if (!d.finished) {
+                    driveStatus(d.status === 'scanning' ? 'Преглед на папката…' : 'Импортиране… ' + (d.total - d.pending) + ' от ' + d.total + ' снимки.');
+                    setTimeout(function() { pollDriveBatch(batch, btn, d.urls.length); }, 2000);
+                    return;
+                }
+                btn.disabled = false;
+                if (d.status === 'failed') { driveStatus(d.errors[d.errors.length - 1] || 'Грешка при импорт.', 'err'); return; }
+                if (!d.total && !d.errors.length) { driveStatus('Няма изображения в папката.', 'err'); return; }
+                var msg = '✓ Добавени ' + d.urls.length + ' от ' + d.total + ' снимки.';
+                if (d.placed) msg += ' Към други адреси (по подпапки): ' + d.placed + '.';
+                if (d.reused) msg += ' Вече импортирани (без повторно качване): ' + d.reused + '.';
+                if (d.capped) msg += ' Папката е голяма - още ' + d.capped + ' снимки ще бъдат импортирани при следващо стартиране.';
+                if (d.duplicates) msg += ' Възможни копия на вече качени снимки: ' + d.duplicates + ' (вижте „Дубликати“).';
+                if (d.errors.length) msg += ' Пропуснати: ' + d.errors.length + ' - ' + d.errors.slice(0, 3).join('; ') + (d.errors.length > 3 ? '…' : '');
+                driveStatus(msg, 'ok');
+            })
+            .catch(function() {
+                setTimeout(function() { pollDriveBatch(batch, btn, seen); }, 5000);
+            });
+    }
 
     document.getElementById('portraitDrop').addEventListener('dragover', function(e) { e.preventDefault(); });
     document.getElementById('portraitDrop').addEventListener('drop', function(e) {
@@ -645,8 +878,11 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(homeData)
             })
-            .then(function(res) { return res.json(); })
-            .then(function() { closeModal(); loadHomes(1); alert('Home created!'); })
+            .then(function(res) { return res.json().then(function(d) { return { ok: res.ok, d: d }; }); })
+            .then(function(r) {
+                if (!r.ok) { alert(r.d.error || 'Error creating home'); return; }
+                closeModal(); loadHomes(1); alert('Home created!');
+            })
             .catch(function(err) { console.error(err); alert('Error creating home'); });
         } else {
             fetch(API_URL + '/' + homeId)
@@ -1097,6 +1333,7 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
         if (!id) return;
 
         if (act === 'edit') { editHome(id); }
+        if (act === 'history') { openHistory(id); }
         if (act === 'toggle') {
             fetch(API_URL + '/' + id).then(function(r) { return r.json(); }).then(function(home) {
                 home.published = !home.published;
@@ -1104,7 +1341,7 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
             }).then(function() { loadHomes(state.currentPage); }).catch(function(err) { console.error(err); alert('Error updating'); });
         }
         if (act === 'delete') {
-            if (confirm('Delete this home?')) {
+            if (confirm('Move this home to the trash?')) {
                 fetch(API_URL + '/' + id, { method: 'DELETE' }).then(function() { loadHomes(state.currentPage); }).catch(function(err) { console.error(err); alert('Error deleting'); });
             }
         }
@@ -1122,7 +1359,7 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
             }).then(function() { loadPartners(); }).catch(function(err) { console.error(err); alert('Error updating partner'); });
         }
         if (act === 'deletePartner') {
-            if (confirm('Delete this partner?')) {
+            if (confirm('Move this partner to the trash?')) {
                 fetch(PARTNERS_API + '/' + id, { method: 'DELETE' }).then(function() { loadPartners(); }).catch(function(err) { console.error(err); alert('Error deleting partner'); });
             }
         }
@@ -1144,7 +1381,7 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
             }).then(function() { loadNews(); }).catch(function(err) { console.error(err); alert('Error updating article'); });
         }
         if (act === 'deleteNews') {
-            if (confirm('Delete this article?')) {
+            if (confirm('Move this article to the trash?')) {
                 fetch(NEWS_API + '/' + id, { method: 'DELETE' }).then(function() { loadNews(); }).catch(function(err) { console.error(err); alert('Error deleting article'); });
             }
         }
@@ -1162,13 +1399,13 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
             }).then(function() { loadTeam(); }).catch(function(err) { console.error(err); alert('Error updating team member'); });
         }
         if (act === 'deleteTeam') {
-            if (confirm('Delete this team member?')) {
+            if (confirm('Move this team member to the trash?')) {
                 fetch(TEAM_API + '/' + id, { method: 'DELETE' }).then(function() { loadTeam(); }).catch(function(err) { console.error(err); alert('Error deleting team member'); });
             }
         }
     });
 
-    // ── IP blacklist (owner only) ─────────────────────────────────
+    // ── IP blacklist ──────────────────────────────────────────────
     var IP_API = apiBase + '/api/admin/ip-blacklist';
     function ipStatus(msg, cls) {
         var el = document.getElementById('ipStatus');
@@ -1221,6 +1458,528 @@ async function uploadToR2(file, homeSlug, watermark, photographer) {
             .catch(function(){ ipStatus('Грешка при свързване.', 'err'); });
     });
 
+    // ── Audit log ─────────────────────────────────────────────────
+    var AUDIT_API = apiBase + '/api/admin/audit';
+    var auditPage = 1, auditPages = 1;
+    function auditQuery() {
+        var q = [];
+        [['actor', 'audit_actor'], ['action', 'audit_action'], ['from', 'audit_from'], ['to', 'audit_to']].forEach(function(f) {
+            var v = document.getElementById(f[1]).value.trim();
+            if (v) q.push(f[0] + '=' + encodeURIComponent(v));
+        });
+        return q.join('&');
+    }
+    function auditStatus(msg, cls) {
+        var el = document.getElementById('auditStatus');
+        if (el) { el.textContent = msg || ''; el.className = 'drive-status' + (cls ? ' ' + cls : ''); }
+    }
+    function loadAudit(page) {
+        auditPage = page || 1;
+        var list = document.getElementById('auditList');
+        list.innerHTML = '<p style="color:#999;padding:1rem">Зареждане…</p>';
+        fetch(AUDIT_API + '?page=' + auditPage + '&limit=50&' + auditQuery())
+            .then(function(r){ if (!r.ok) throw new Error(); return r.json(); })
+            .then(function(d) {
+                auditPages = d.pagination.totalPages || 1;
+                document.getElementById('auditPageInfo').textContent = 'Стр. ' + auditPage + ' от ' + auditPages + ' · ' + d.pagination.total + ' записа';
+                renderAudit(d.data);
+            })
+            .catch(function(){ list.innerHTML = '<p style="color:#c66;padding:1rem">Грешка при зареждане.</p>'; });
+    }
+    function renderAudit(rows) {
+        var list = document.getElementById('auditList');
+        list.innerHTML = '';
+        if (!rows.length) { list.innerHTML = '<p style="color:#999;padding:1rem">Няма записи.</p>'; return; }
+        rows.forEach(function(r) {
+            var row = document.createElement('div'); row.className = 'ip-row';
+            var info = document.createElement('div');
+            var head = document.createElement('div'); head.className = 'rev-head';
+            head.textContent = r.action + (r.target ? ' · ' + r.target : '');
+            var meta = document.createElement('div'); meta.className = 'ip-meta';
+            meta.textContent = String(r.created_at || '').replace('T', ' ').slice(0, 19) + ' · ' +
+                (r.actor_name || r.actor_id || '—') + (r.actor_role ? ' (' + r.actor_role + ')' : '') + ' · ' + (r.ip || '');
+            info.appendChild(head); info.appendChild(meta);
+            if (r.before || r.after) {
+                var ch = document.createElement('div'); ch.className = 'audit-change';
+                ch.textContent = (r.before ? 'преди: ' + JSON.stringify(r.before) + '\n' : '') + (r.after ? 'след: ' + JSON.stringify(r.after) : '');
+                info.appendChild(ch);
+            }
+            row.appendChild(info);
+            list.appendChild(row);
+        });
+    }
+    document.getElementById('auditForm').addEventListener('submit', function(e) { e.preventDefault(); loadAudit(1); });
+    document.getElementById('auditPrev').addEventListener('click', function() { if (auditPage > 1) loadAudit(auditPage - 1); });
+    document.getElementById('auditNext').addEventListener('click', function() { if (auditPage < auditPages) loadAudit(auditPage + 1); });
+    document.getElementById('auditCsvBtn').addEventListener('click', function() {
+        location.href = AUDIT_API + '?format=csv&' + auditQuery();
+    });
+
+    // ── Failed logins: the log, locked accounts, unlock / block IP ───────────────
+    var LOGINS_API = apiBase + '/api/admin/login-failures';
+    var LOGIN_REASON_LBL = { password: 'грешна парола', code: 'грешен 2FA код', locked: 'опит при заключен профил', unknown_email: 'несъществуващ имейл' };
+    var loginsPage = 1, loginsPages = 1;
+    function loginsQuery() {
+        var q = [];
+        [['email', 'logins_email'], ['ip', 'logins_ip']].forEach(function(f) {
+            var v = document.getElementById(f[1]).value.trim();
+            if (v) q.push(f[0] + '=' + encodeURIComponent(v));
+        });
+        return q.join('&');
+    }
+    function loadLogins(page) {
+        loginsPage = page || 1;
+        var list = document.getElementById('loginsList');
+        list.innerHTML = '<p style="color:#999;padding:1rem">Зареждане…</p>';
+        fetch(LOGINS_API + '?page=' + loginsPage + '&limit=50&' + loginsQuery())
+            .then(function(r){ if (!r.ok) throw new Error(); return r.json(); })
+            .then(function(d) {
+                loginsPages = d.pagination.totalPages || 1;
+                document.getElementById('loginsPageInfo').textContent = 'Стр. ' + loginsPage + ' от ' + loginsPages + ' · ' + d.pagination.total + ' записа';
+                renderLocked(d.locked);
+                renderLogins(d.data);
+            })
+            .catch(function(){ list.innerHTML = '<p style="color:#c66;padding:1rem">Грешка при зареждане.</p>'; });
+    }
+    function renderLocked(rows) {
+        var box = document.getElementById('loginsLocked');
+        box.innerHTML = '';
+        rows.forEach(function(u) {
+            var row = document.createElement('div'); row.className = 'ip-row';
+            var info = document.createElement('div'); info.className = 'ip-info';
+            var head = document.createElement('div'); head.className = 'ip-addr'; head.textContent = '🔒 ' + (u.display_name ? u.display_name + ' · ' : '') + u.email;
+            var meta = document.createElement('div'); meta.className = 'ip-meta';
+            meta.textContent = u.until_reset ? 'заключен от собственика („Не бях аз“) до смяна на паролата'
+                : 'заключен до ' + new Date(u.locked_until).toLocaleTimeString('bg-BG') + ' · ' + u.failed_logins + ' поредни грешки';
+            info.appendChild(head); info.appendChild(meta);
+            row.appendChild(info);
+            box.appendChild(row);
+            if (!can('users.manage')) return;
+            var btn = document.createElement('button'); btn.className = 'theme-toggle'; btn.textContent = '🔓 Отключи';
+            btn.addEventListener('click', function() {
+                if (!confirm('Да отключа ли профила ' + u.email + '?')) return;
+                fetch(apiBase + '/api/admin/users/' + encodeURIComponent(u.id) + '/unlock', { method: 'POST' })
+                    .then(function(res){ if (!res.ok) throw new Error(); loadLogins(loginsPage); })
+                    .catch(function(){ alert('Грешка при отключване.'); });
+            });
+            row.appendChild(btn);
+        });
+    }
+    function renderLogins(rows) {
+        var list = document.getElementById('loginsList');
+        list.innerHTML = '';
+        if (!rows.length) { list.innerHTML = '<p style="color:#999;padding:1rem">Няма неуспешни опити.</p>'; return; }
+        rows.forEach(function(r) {
+            var row = document.createElement('div'); row.className = 'ip-row';
+            var info = document.createElement('div'); info.className = 'ip-info';
+            var head = document.createElement('div'); head.className = 'rev-head';
+            head.textContent = (r.email || '—') + ' · ' + (LOGIN_REASON_LBL[r.reason] || r.reason);
+            var meta = document.createElement('div'); meta.className = 'ip-meta';
+            meta.textContent = String(r.created_at || '').replace('T', ' ').slice(0, 19) + ' · ' + (r.ip || '') +
+                (r.country ? ' (' + r.country + ')' : '') + (r.device ? ' · ' + r.device : '');
+            info.appendChild(head); info.appendChild(meta);
+            row.appendChild(info);
+            if (r.ip && can('security.ip')) {
+                var block = document.createElement('button'); block.className = 'theme-toggle'; block.textContent = '🚫 Блокирай IP';
+                block.addEventListener('click', function() {
+                    if (!confirm('Да блокирам ли ' + r.ip + '?')) return;
+                    fetch(IP_API, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ip: r.ip, reason: 'неуспешни опити за вход' }) })
+                        .then(function(res){ return res.json().catch(function(){ return {}; }).then(function(d){ if (!res.ok) throw new Error(d.error); }); })
+                        .then(function(){ block.disabled = true; block.textContent = '✓ Блокиран'; })
+                        .catch(function(err){ alert((err && err.message) || 'Грешка при блокиране.'); });
+                });
+                row.appendChild(block);
+            }
+            list.appendChild(row);
+        });
+    }
+    document.getElementById('loginsForm').addEventListener('submit', function(e) { e.preventDefault(); loadLogins(1); });
+    document.getElementById('loginsPrev').addEventListener('click', function() { if (loginsPage > 1) loadLogins(loginsPage - 1); });
+    document.getElementById('loginsNext').addEventListener('click', function() { if (loginsPage < loginsPages) loadLogins(loginsPage + 1); });
+
+    // ── Background jobs: inspect, retry or discard ───────────────
+    var JOBS_API = apiBase + '/api/admin/jobs';
+    var JOB_STATUS_LBL = { queued: 'Чакащи', running: 'В изпълнение', done: 'Изпълнени', dead: 'Неуспешни' };
+    function jobsStatus(msg, cls) {
+        var el = document.getElementById('jobsStatus');
+        if (el) { el.textContent = msg || ''; el.className = 'drive-status' + (cls ? ' ' + cls : ''); }
+    }
+    function loadJobs() {
+        var list = document.getElementById('jobsList');
+        var type = document.getElementById('jobs_type').value;
+        list.innerHTML = '<p style="color:#999;padding:1rem">Зареждане…</p>';
+        fetch(JOBS_API + '?status=' + document.getElementById('jobs_status').value + (type ? '&type=' + encodeURIComponent(type) : ''))
+            .then(function(r){ if (!r.ok) throw new Error(); return r.json(); })
+            .then(function(d) {
+                document.getElementById('jobsCounts').textContent = Object.keys(JOB_STATUS_LBL).map(function(k) {
+                    return JOB_STATUS_LBL[k] + ': ' + (d.counts[k] || 0);
+                }).join(' · ');
+                renderJobs(d.data);
+            })
+            .catch(function(){ list.innerHTML = '<p style="color:#c66;padding:1rem">Грешка при зареждане.</p>'; });
+    }
+    function jobLabel(j) {
+        var p = j.payload || {};
+        if (j.type === 'email') return p.to + ' · ' + (p.subject || '');
+        if (j.type === 'newsletter') return p.title || p.slug || '';
+        if (j.type === 'image.variants') return p.key || '';
+        if (j.type === 'drive.import') return p.name || p.fileId || '';
+        if (j.type === 'drive.scan') return p.sync || '';
+        if (j.type === 'db.backup') return p.scheduled ? 'за ' + p.scheduled.slice(0, 16).replace('T', ' ') + ' UTC' : '';
+        if (j.type === 'follow_digest') return 'сътрудник ' + (p.creatorId || '');
+        return JSON.stringify(p);
+    }
+    function jobAction(j, method, suffix, okMsg) {
+        fetch(JOBS_API + '/' + j.id + suffix, { method: method })
+            .then(function(res){ if (!res.ok) throw new Error(); jobsStatus(okMsg, 'ok'); loadJobs(); })
+            .catch(function(){ jobsStatus('Грешка. Опитайте отново.', 'err'); });
+    }
+    function renderJobs(rows) {
+        var list = document.getElementById('jobsList');
+        list.innerHTML = '';
+        if (!rows.length) { list.innerHTML = '<p style="color:#999;padding:1rem">Няма задачи.</p>'; return; }
+        rows.forEach(function(j) {
+            var row = document.createElement('div'); row.className = 'ip-row';
+            var info = document.createElement('div');
+            var head = document.createElement('div'); head.className = 'rev-head';
+            head.textContent = '#' + j.id + ' ' + j.type + ' · ' + jobLabel(j);
+            var meta = document.createElement('div'); meta.className = 'ip-meta';
+            meta.textContent = 'Опити: ' + j.attempts + '/' + j.max_attempts + ' · създадена ' +
+                String(j.created_at || '').replace('T', ' ').slice(0, 19) + ' · обновена ' + String(j.updated_at || '').replace('T', ' ').slice(0, 19) +
+                (j.status === 'queued' ? ' · следващ опит ' + String(j.run_at || '').replace('T', ' ').slice(0, 19) : '');
+            info.appendChild(head); info.appendChild(meta);
+            if (j.last_error) {
+                var err = document.createElement('div'); err.className = 'audit-change';
+                err.textContent = j.last_error;
+                info.appendChild(err);
+            }
+            row.appendChild(info);
+            if (j.status === 'dead') {
+                var btns = document.createElement('div'); btns.className = 'row';
+                var retry = document.createElement('button'); retry.className = 'theme-toggle neutral'; retry.textContent = '↻ Опитай отново';
+                retry.addEventListener('click', function() { jobAction(j, 'POST', '/retry', '✓ Задачата е върната в опашката.'); });
+                var del = document.createElement('button'); del.className = 'theme-toggle'; del.textContent = '× Изтрий';
+                del.addEventListener('click', function() {
+                    if (!confirm('Да изтрия задача #' + j.id + '? Тя няма да бъде изпълнена.')) return;
+                    jobAction(j, 'DELETE', '', '✓ Задачата е изтрита.');
+                });
+                if (j.retryable) btns.appendChild(retry);
+                btns.appendChild(del);
+                row.appendChild(btns);
+            }
+            list.appendChild(row);
+        });
+    }
+    document.getElementById('jobsForm').addEventListener('submit', function(e) { e.preventDefault(); loadJobs(); });
+
+    // ── Permissions: role presets + individual grants ─────────────
+    var PERMS_API = apiBase + '/api/admin/permissions';
+    var PRESET_ROLES = ['user', 'moderator', 'admin'];
+    var permCatalogue = [], rolePerms = {};
+    function permsStatus(msg, cls) {
+        var el = document.getElementById('permsStatus');
+        if (el) { el.textContent = msg || ''; el.className = 'drive-status' + (cls ? ' ' + cls : ''); }
+    }
+    function loadPerms() {
+        permsStatus('');
+        document.getElementById('permsRolesBox').style.display = can('roles.edit') ? '' : 'none';
+        document.getElementById('permsUserForm').style.display = can('users.roles') ? '' : 'none';
+        fetch(PERMS_API).then(function(r){ if (!r.ok) throw new Error(); return r.json(); })
+            .then(function(d) {
+                permCatalogue = d.catalogue; rolePerms = d.roles;
+                if (can('roles.edit')) renderRolePerms();
+            })
+            .catch(function(){ permsStatus('Грешка при зареждане.', 'err'); });
+    }
+    // Table of permissions (grouped) with one checkbox column per entry of `cols`;
+    // cell(col, perm) returns { checked, disabled } for each box.
+    function permTable(cols, cell) {
+        var table = document.createElement('table'); table.className = 'perm-table';
+        var head = document.createElement('tr');
+        var th = document.createElement('th'); th.textContent = 'Право'; head.appendChild(th);
+        cols.forEach(function(c) { var h = document.createElement('th'); h.className = 'c'; h.textContent = c.label; head.appendChild(h); });
+        table.appendChild(head);
+        var group = null;
+        permCatalogue.forEach(function(p) {
+            if (p.group !== group) {
+                group = p.group;
+                var gr = document.createElement('tr'); gr.className = 'perm-group';
+                var gd = document.createElement('td'); gd.colSpan = cols.length + 1; gd.textContent = group;
+                gr.appendChild(gd); table.appendChild(gr);
+            }
+            var tr = document.createElement('tr');
+            var td = document.createElement('td');
+            var name = document.createElement('div'); name.className = 'perm-name'; name.textContent = p.name;
+            td.appendChild(document.createTextNode(p.label)); td.appendChild(name);
+            tr.appendChild(td);
+            cols.forEach(function(c) {
+                var st = cell(c, p.name);
+                var cd = document.createElement('td'); cd.className = 'c';
+                var box = document.createElement('input'); box.type = 'checkbox';
+                box.checked = st.checked; box.disabled = st.disabled;
+                box.setAttribute('data-col', c.key); box.setAttribute('data-perm', p.name);
+                cd.appendChild(box); tr.appendChild(cd);
+            });
+            table.appendChild(tr);
+        });
+        return table;
+    }
+    function checkedPerms(root, col) {
+        return Array.prototype.slice.call(root.querySelectorAll('input[data-col="' + col + '"]'))
+            .filter(function(b) { return b.checked; })
+            .map(function(b) { return b.getAttribute('data-perm'); });
+    }
+    function renderRolePerms() {
+        var box = document.getElementById('permsRoles');
+        box.innerHTML = '';
+        box.appendChild(permTable(PRESET_ROLES.map(function(r) { return { key: r, label: ROLE_LBL[r] }; }), function(c, p) {
+            return { checked: (rolePerms[c.key] || []).indexOf(p) !== -1, disabled: !can(p) };
+        }));
+    }
+    document.getElementById('permsRolesSave').addEventListener('click', function() {
+        var box = document.getElementById('permsRoles'), roles = {};
+        PRESET_ROLES.forEach(function(r) { roles[r] = checkedPerms(box, r); });
+        permsStatus('Запазване…');
+        fetch(apiBase + '/api/admin/roles', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ roles: roles }) })
+            .then(function(res){ return res.json().catch(function(){ return {}; }).then(function(d){ if (!res.ok) throw new Error(d.error); return d; }); })
+            .then(function(d) { rolePerms = d.roles; renderRolePerms(); permsStatus('✓ Ролите са запазени.', 'ok'); })
+            .catch(function(err){ permsStatus((err && err.message) || 'Грешка при запис.', 'err'); });
+    });
+
+    document.getElementById('permsUserForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        var list = document.getElementById('permsUsers');
+        document.getElementById('permsUser').innerHTML = '';
+        list.innerHTML = '<p style="color:#999;padding:1rem">Зареждане…</p>';
+        fetch(apiBase + '/api/admin/users?q=' + encodeURIComponent(document.getElementById('perms_q').value.trim()))
+            .then(function(r){ if (!r.ok) throw new Error(); return r.json(); })
+            .then(function(users) {
+                list.innerHTML = '';
+                if (!users.length) { list.innerHTML = '<p style="color:#999;padding:1rem">Няма намерени потребители.</p>'; return; }
+                users.slice(0, 20).forEach(function(u) {
+                    var row = document.createElement('div'); row.className = 'ip-row';
+                    var info = document.createElement('div'); info.className = 'ip-info';
+                    var head = document.createElement('div'); head.className = 'rev-head';
+                    head.textContent = (u.display_name ? u.display_name + ' · ' : '') + u.email;
+                    var meta = document.createElement('div'); meta.className = 'ip-meta';
+                    meta.textContent = (ROLE_LBL[u.role] || u.role) + (u.permissions.length ? ' · +' + u.permissions.length + ' отделни права' : '');
+                    info.appendChild(head); info.appendChild(meta);
+                    row.appendChild(info);
+                    if (u.role !== 'owner' && !u.self) {
+                        var btn = document.createElement('button'); btn.className = 'theme-toggle neutral'; btn.textContent = '🔑 Права';
+                        btn.addEventListener('click', function() { renderUserPerms(u); });
+                        row.appendChild(btn);
+                    }
+                    list.appendChild(row);
+                });
+            })
+            .catch(function(){ list.innerHTML = '<p style="color:#c66;padding:1rem">Грешка при зареждане.</p>'; });
+    });
+    // Grant editor for one user: the role's permissions show ticked and locked, the
+    // user's own grants are editable (only those the editor holds).
+    function renderUserPerms(u) {
+        var box = document.getElementById('permsUser');
+        var preset = rolePerms[u.role] || [];
+        box.innerHTML = '';
+        var title = document.createElement('h2'); title.className = 'perm-title';
+        title.textContent = (u.display_name || u.email) + ' · ' + (ROLE_LBL[u.role] || u.role);
+        box.appendChild(title);
+        box.appendChild(permTable([{ key: 'grant', label: 'Има' }], function(c, p) {
+            var fromRole = preset.indexOf(p) !== -1;
+            return { checked: fromRole || u.permissions.indexOf(p) !== -1, disabled: fromRole || !can(p) };
+        }));
+        var save = document.createElement('button'); save.className = 'theme-toggle btn-primary'; save.textContent = '💾 Запази правата';
+        save.addEventListener('click', function() {
+            var grants = checkedPerms(box, 'grant').filter(function(p) { return preset.indexOf(p) === -1; });
+            permsStatus('Запазване…');
+            fetch(apiBase + '/api/admin/users/' + encodeURIComponent(u.id) + '/permissions', {
+                method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ permissions: grants }),
+            })
+                .then(function(res){ return res.json().catch(function(){ return {}; }).then(function(d){ if (!res.ok) throw new Error(d.error); return d; }); })
+                .then(function(d) { u.permissions = d.permissions; renderUserPerms(u); permsStatus('✓ Правата са запазени.', 'ok'); })
+                .catch(function(err){ permsStatus((err && err.message) || 'Грешка при запис.', 'err'); });
+        });
+        var bar = document.createElement('div'); bar.className = 'toolbar'; bar.appendChild(save);
+        box.appendChild(bar);
+    }
+
+    // ── Trash (soft-deleted items): restore or purge ─────────────
+    // Each type is listed only to those who may delete it (see TRASH_PERMS).
+    var TRASH_API = apiBase + '/api/admin/trash';
+    var TRASH_TYPES = { homes: '🏠 Адрес', news: '📰 Новина', partners: '🤝 Партньор', team: '👥 Екип' };
+    function trashStatus(msg, cls) {
+        var el = document.getElementById('trashStatus');
+        if (el) { el.textContent = msg || ''; el.className = 'drive-status' + (cls ? ' ' + cls : ''); }
+    }
+    function loadTrash() {
+        var list = document.getElementById('trashList');
+        list.innerHTML = '<p style="color:#999;padding:1rem">Зареждане…</p>';
+        fetch(TRASH_API).then(function(r){ if (!r.ok) throw new Error(); return r.json(); })
+            .then(function(d) {
+                document.getElementById('trashDays').textContent = d.retention_days;
+                renderTrash(d.items);
+            })
+            .catch(function(){ list.innerHTML = '<p style="color:#c66;padding:1rem">Грешка при зареждане.</p>'; });
+    }
+    function trashAction(item, method, suffix, okMsg) {
+        fetch(TRASH_API + '/' + item.type + '/' + encodeURIComponent(item.id) + suffix, { method: method })
+            .then(function(res){ if (!res.ok) throw new Error(); trashStatus(okMsg, 'ok'); loadTrash(); })
+            .catch(function(){ trashStatus('Грешка. Опитайте отново.', 'err'); });
+    }
+    function renderTrash(items) {
+        var list = document.getElementById('trashList');
+        list.innerHTML = '';
+        if (!items.length) { list.innerHTML = '<p style="color:#999;padding:1rem">Кошчето е празно.</p>'; return; }
+        items.forEach(function(it) {
+            var row = document.createElement('div'); row.className = 'ip-row';
+            var info = document.createElement('div');
+            var head = document.createElement('div'); head.className = 'rev-head';
+            head.textContent = (TRASH_TYPES[it.type] || it.type) + ' · ' + (it.label || it.id);
+            var meta = document.createElement('div'); meta.className = 'ip-meta';
+            meta.textContent = 'Изтрито ' + String(it.deleted_at || '').slice(0, 10) + ' · окончателно на ' + String(it.purge_at || '').slice(0, 10);
+            info.appendChild(head); info.appendChild(meta);
+            var btns = document.createElement('div'); btns.className = 'row';
+            var restore = document.createElement('button'); restore.className = 'theme-toggle neutral'; restore.textContent = '↩ Възстанови';
+            restore.addEventListener('click', function() { trashAction(it, 'POST', '/restore', '✓ Възстановено.'); });
+            var purge = document.createElement('button'); purge.className = 'theme-toggle'; purge.textContent = '× Изтрий завинаги';
+            purge.addEventListener('click', function() {
+                if (!confirm('Да изтрия окончателно „' + (it.label || it.id) + '“ и снимките му? Това не може да се отмени.')) return;
+                trashAction(it, 'DELETE', '', '✓ Изтрито окончателно.');
+            });
+            btns.appendChild(restore); btns.appendChild(purge);
+            row.appendChild(info); row.appendChild(btns);
+            list.appendChild(row);
+        });
+    }
+
+    // ── Duplicate photos: pick the copy to keep, merge the rest into it ──
+    var DUPES_API = apiBase + '/api/admin/images/duplicates';
+    function dupesStatus(msg, cls) {
+        var el = document.getElementById('dupesStatus');
+        if (el) { el.textContent = msg || ''; el.className = 'drive-status' + (cls ? ' ' + cls : ''); }
+    }
+    function fmtKB(bytes) { return Math.round((bytes || 0) / 1024) + ' KB'; }
+    function loadDupes() {
+        var list = document.getElementById('dupesList');
+        list.innerHTML = '<p style="color:#999;padding:1rem">Зареждане…</p>';
+        fetch(DUPES_API).then(function(r){ if (!r.ok) throw new Error(); return r.json(); })
+            .then(function(d) {
+                var reclaim = d.clusters.reduce(function(n, c){ return n + c.reclaim_bytes; }, 0);
+                document.getElementById('dupesCounts').textContent = 'Индексирани снимки: ' + d.indexed + ' · групи: ' + d.clusters.length +
+                    (reclaim ? ' · може да се освободят ~' + fmtKB(reclaim) : '');
+                renderDupes(d.clusters);
+            })
+            .catch(function(){ list.innerHTML = '<p style="color:#c66;padding:1rem">Грешка при зареждане.</p>'; });
+    }
+    function renderDupes(clusters) {
+        var list = document.getElementById('dupesList');
+        list.innerHTML = '';
+        if (!clusters.length) { list.innerHTML = '<p style="color:#999;padding:1rem">Няма открити дубликати.</p>'; return; }
+        clusters.forEach(function(c, ci) {
+            var row = document.createElement('div'); row.className = 'ip-row';
+            var info = document.createElement('div');
+            var head = document.createElement('div'); head.className = 'rev-head';
+            head.textContent = c.images.length + ' почти еднакви снимки';
+            var grid = document.createElement('div'); grid.className = 'dupe-grid';
+            c.images.forEach(function(im) {
+                var item = document.createElement('label'); item.className = 'dupe-item';
+                var radio = document.createElement('input'); radio.type = 'radio'; radio.name = 'dupe' + ci; radio.value = im.url; radio.checked = im.url === c.keep;
+                var img = document.createElement('img'); img.src = im.thumb || im.url; img.alt = ''; img.loading = 'lazy';
+                var meta = document.createElement('span'); meta.className = 'ip-meta';
+                meta.textContent = im.width + '×' + im.height + ' · ' + fmtKB(im.bytes) + ' · ' +
+                    (im.homes.length ? im.homes.map(function(h){ return h.name + (h.trashed ? ' (в кошчето)' : ''); }).join(', ') : 'неизползвана');
+                item.appendChild(radio); item.appendChild(img); item.appendChild(meta);
+                grid.appendChild(item);
+            });
+            info.appendChild(head); info.appendChild(grid);
+            var merge = document.createElement('button'); merge.className = 'theme-toggle neutral'; merge.textContent = '⇢ Обедини';
+            merge.addEventListener('click', function() {
+                var picked = grid.querySelector('input:checked');
+                if (!picked) return;
+                var remove = c.images.map(function(im){ return im.url; }).filter(function(u){ return u !== picked.value; });
+                if (!confirm('Всички адреси ще използват избраната снимка, а ' + remove.length + ' копия ще бъдат изтрити. Продължаване?')) return;
+                merge.disabled = true;
+                fetch(DUPES_API + '/merge', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ keep: picked.value, remove: remove }) })
+                    .then(function(res){ return res.json().then(function(d){ if (!res.ok) throw new Error(d.error || ''); return d; }); })
+                    .then(function(d) {
+                        dupesStatus('✓ Обновени адреси: ' + d.homes + ' · изтрити копия: ' + d.deleted +
+                            (d.in_use.length ? ' · ' + d.in_use.length + ' се използват другаде и са запазени' : ''), 'ok');
+                        loadDupes();
+                    })
+                    .catch(function(err){ merge.disabled = false; dupesStatus(err.message || 'Грешка. Опитайте отново.', 'err'); });
+            });
+            row.appendChild(info); row.appendChild(merge);
+            list.appendChild(row);
+        });
+    }
+
+    // ── Storage garbage collection: scan R2, delete orphans ───────────────
+    var STORAGE_API = apiBase + '/api/admin/storage/orphans';
+    var storageOrphans = [];
+    function storageStatus(msg, cls) {
+        var el = document.getElementById('storageStatus');
+        if (el) { el.textContent = msg || ''; el.className = 'drive-status' + (cls ? ' ' + cls : ''); }
+    }
+    function fmtMB(bytes) { return ((bytes || 0) / 1048576).toFixed(1) + ' MB'; }
+    function scanStorage() {
+        var list = document.getElementById('storageList');
+        var del = document.getElementById('storageDelete');
+        del.disabled = true;
+        storageStatus('');
+        list.innerHTML = '<p style="color:#999;padding:1rem">Сканиране… (може да отнеме минута)</p>';
+        fetch(STORAGE_API).then(function(r){ return r.json().then(function(d){ if (!r.ok) throw new Error(d.error || ''); return d; }); })
+            .then(function(d) {
+                storageOrphans = d.orphans;
+                document.getElementById('storageAge').textContent = d.min_age_hours;
+                document.getElementById('storageCounts').textContent = 'Файлове: ' + d.objects + ' (' + fmtMB(d.bytes) + ') · без употреба: ' +
+                    d.orphans.length + ' (' + fmtMB(d.orphan_bytes) + ')';
+                del.disabled = !d.orphans.length;
+                renderStorage(d.orphans);
+            })
+            .catch(function(err) {
+                list.innerHTML = '<p style="color:#c66;padding:1rem"></p>';
+                list.firstChild.textContent = err.message || 'Грешка при зареждане.';
+            });
+    }
+    function renderStorage(orphans) {
+        var list = document.getElementById('storageList');
+        list.innerHTML = '';
+        if (!orphans.length) { list.innerHTML = '<p style="color:#999;padding:1rem">Няма файлове без употреба.</p>'; return; }
+        orphans.slice(0, 300).forEach(function(o) {
+            var row = document.createElement('div'); row.className = 'ip-row';
+            var info = document.createElement('div');
+            var head = document.createElement('a'); head.className = 'rev-head'; head.href = o.url; head.target = '_blank'; head.rel = 'noopener';
+            head.textContent = o.key;
+            var meta = document.createElement('div'); meta.className = 'ip-meta';
+            meta.textContent = Math.round(o.size / 1024) + ' KB · качен ' + String(o.last_modified || '').slice(0, 10);
+            info.appendChild(head); info.appendChild(meta);
+            row.appendChild(info);
+            list.appendChild(row);
+        });
+        if (orphans.length > 300) {
+            var more = document.createElement('p'); more.className = 'ip-meta'; more.style.padding = '0 1rem';
+            more.textContent = '… и още ' + (orphans.length - 300);
+            list.appendChild(more);
+        }
+    }
+    document.getElementById('storageScan').addEventListener('click', scanStorage);
+    document.getElementById('storageDelete').addEventListener('click', function() {
+        var btn = this;
+        if (!storageOrphans.length) return;
+        if (!confirm('Да изтрия окончателно ' + storageOrphans.length + ' файла (' + fmtMB(storageOrphans.reduce(function(n, o){ return n + o.size; }, 0)) + ')? Това не може да се отмени.')) return;
+        btn.disabled = true;
+        storageStatus('Изтриване…');
+        fetch(STORAGE_API + '/delete', { method: 'POST', headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ keys: storageOrphans.map(function(o){ return o.key; }) }) })
+            .then(function(r){ return r.json().then(function(d){ if (!r.ok) throw new Error(d.error || ''); return d; }); })
+            .then(function(d) {
+                scanStorage();
+                storageStatus('✓ Изтрити: ' + d.deleted + ' (' + fmtMB(d.freed_bytes) + ')' + (d.skipped ? ' · ' + d.skipped + ' вече се използват и са запазени' : '') +
+                    (d.failed ? ' · неуспешни: ' + d.failed : ''), d.failed ? 'err' : 'ok');
+            })
+            .catch(function(err){ btn.disabled = false; storageStatus(err.message || 'Грешка. Опитайте отново.', 'err'); });
+    });
+
     document.getElementById('year').textContent = new Date().getFullYear();
 
 })();
\ No newline at end of file
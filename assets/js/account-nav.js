@@ -42,14 +42,16 @@
     // Compact, render-ready snapshot of /api/auth/me (only what buildUserMenu needs).
     function normalizeMe(me) {
         var name = (me.display_name && me.display_name.trim()) || me.email || 'Профил';
+        var areas = me.areas || {};   // staff pages this account's permissions reach
         return { l: 1, name: name, role: me.role, av: me.avatar_url || '',
-                 tr: me.totp_required ? 1 : 0, te: me.totp_enabled ? 1 : 0 };
+                 tr: me.totp_required ? 1 : 0, te: me.second_factor ? 1 : 0,
+                 mo: areas.moderation ? 1 : 0, da: areas.dashboard ? 1 : 0 };
     }
     // Identity signature: if the live value matches what we already painted, we skip
     // the DOM rebuild entirely (the no-reflow happy path).
     function authSig(info) {
         return info && info.l === 1
-            ? 'auth|' + info.name + '|' + info.role + '|' + (info.av || '') + '|' + info.tr + '|' + info.te
+            ? 'auth|' + info.name + '|' + info.role + '|' + (info.av || '') + '|' + info.tr + '|' + info.te + '|' + info.mo + '|' + info.da
             : 'guest';
     }
 
@@ -155,8 +157,8 @@
         var name    = info.name || 'Профил';
         var initial = (name.trim().charAt(0) || '?').toUpperCase();
         var role    = roleLabel(info.role) || 'Потребител';
-        var isMod   = info.role === 'owner' || info.role === 'admin' || info.role === 'moderator';
-        var isAdmin = info.role === 'owner' || info.role === 'admin';
+        var isMod   = !!info.mo;
+        var isAdmin = !!info.da;
         // Staff must have 2FA; if they don't yet, point the staff links straight at the
         // 2FA enrol section so they land exactly where they need to act.
         var needs2fa  = !!info.tr && !info.te;
@@ -0,0 +1,73 @@
+/* Passkey (WebAuthn) glue for login.html and profile.html. The server sends the
+   options as JSON (binary fields base64url-encoded); these helpers turn them into
+   navigator.credentials calls and the authenticator's answer back into JSON.
+   window.haPasskeys = { supported, create(options), get(options) } - both return
+   promises and reject if the user cancels. */
+(function () {
+    function fromB64url(s) {
+        s = String(s).replace(/-/g, '+').replace(/_/g, '/');
+        while (s.length % 4) s += '=';
+        var bin = atob(s), out = new Uint8Array(bin.length);
+        for (var i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+        return out.buffer;
+    }
+    function toB64url(buf) {
+        if (!buf) return undefined;
+        var bytes = new Uint8Array(buf), bin = '';
+        for (var i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+        return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    function withIds(list) {
+        return (list || []).map(function (c) { return { id: fromB64url(c.id), type: c.type || 'public-key', transports: c.transports }; });
+    }
+
+    function supported() {
+        return !!(window.PublicKeyCredential && navigator.credentials && navigator.credentials.create);
+    }
+
+    // Register a new passkey from /api/passkeys/options.
+    function create(options) {
+        var publicKey = Object.assign({}, options, {
+            challenge: fromB64url(options.challenge),
+            user: Object.assign({}, options.user, { id: fromB64url(options.user.id) }),
+            excludeCredentials: withIds(options.excludeCredentials)
+        });
+        return navigator.credentials.create({ publicKey: publicKey }).then(function (cred) {
+            var r = cred.response;
+            return {
+                id: cred.id, rawId: toB64url(cred.rawId), type: cred.type,
+                authenticatorAttachment: cred.authenticatorAttachment || undefined,
+                clientExtensionResults: cred.getClientExtensionResults ? cred.getClientExtensionResults() : {},
+                response: {
+                    clientDataJSON: toB64url(r.clientDataJSON),
+                    attestationObject: toB64url(r.attestationObject),
+                    transports: r.getTransports ? r.getTransports() : []
+                }
+            };
+        });
+    }
+
+    // Sign in with a passkey from /api/auth/passkey/options.
+    function get(options) {
+        var publicKey = Object.assign({}, options, {
+            challenge: fromB64url(options.challenge),
+            allowCredentials: withIds(options.allowCredentials)
+        });
+        return navigator.credentials.get({ publicKey: publicKey }).then(function (cred) {
+            var r = cred.response;
+            return {
+                id: cred.id, rawId: toB64url(cred.rawId), type: cred.type,
+                authenticatorAttachment: cred.authenticatorAttachment || undefined,
+                clientExtensionResults: cred.getClientExtensionResults ? cred.getClientExtensionResults() : {},
+                response: {
+                    clientDataJSON: toB64url(r.clientDataJSON),
+                    authenticatorData: toB64url(r.authenticatorData),
+                    signature: toB64url(r.signature),
+                    userHandle: toB64url(r.userHandle)
+                }
+            };
+        });
+    }
+
+    window.haPasskeys = { supported: supported, create: create, get: get };
+})();
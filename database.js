@@ -0,0 +1,123 @@
+/**
+ * The one way into SQLite for server.js and the maintenance scripts (better-sqlite3).
+ *
+ *     const db = openDatabase(DB_FILE);
+ *     await db.get(sql, params)   → row | undefined
+ *     await db.all(sql, params)   → rows
+ *     await db.run(sql, params)   → { changes, lastID }
+ *     await db.each(sql, params, row => …)   streams rows without building an array
+ *     await db.exec(sql)          one or more statements, no parameters
+ *     await db.transaction(async () => { … })
+ *
+ * Prepared statements are cached per SQL text. A writable connection runs in WAL
+ * mode with foreign keys on and waits up to `timeout` ms for a lock held by another
+ * process (a script next to the server) instead of failing with SQLITE_BUSY.
+ *
+ * transaction(fn) runs fn inside BEGIN IMMEDIATE … COMMIT, or ROLLBACK if it throws.
+ * Every query made from within fn - directly or through any helper it awaits - is
+ * part of the transaction; queries from anywhere else wait until it ends, so a
+ * request never sees, or writes into, half of another one's changes. Keep network
+ * calls (R2, email, bcrypt) outside fn: everything else is paused while it runs.
+ * A transaction started inside another one simply joins it.
+ */
+const Database = require('better-sqlite3');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const STATEMENT_CACHE_SIZE = 500;
+
+// sqlite3 bound true/false as 1/0 and a missing value as NULL; keep that.
+function bindable(v) {
+    if (v === undefined) return null;
+    if (typeof v === 'boolean') return v ? 1 : 0;
+    return v;
+}
+
+function openDatabase(file, { readonly = false, wal = !readonly, timeout = 5000, pragmas = [] } = {}) {
+    const raw = new Database(file, { readonly, fileMustExist: readonly, timeout });
+    if (wal) {
+        raw.pragma('journal_mode = WAL');
+        raw.pragma('synchronous = NORMAL');
+    }
+    if (!readonly) raw.pragma('foreign_keys = ON');
+    for (const p of pragmas) raw.pragma(p);
+
+    const cache = new Map();
+    function statement(sql) {
+        let stmt = cache.get(sql);
+        if (stmt) { cache.delete(sql); cache.set(sql, stmt); return stmt; }   // LRU: most recent last
+        stmt = raw.prepare(sql);
+        cache.set(sql, stmt);
+        if (cache.size > STATEMENT_CACHE_SIZE) cache.delete(cache.keys().next().value);
+        return stmt;
+    }
+    const args = params => (Array.isArray(params) ? params : [params]).map(bindable);
+
+    // The running transaction, if any: { done } resolves when it has ended.
+    const txContext = new AsyncLocalStorage();
+    let active = null;
+
+    // Run a query now if no transaction is open (or we're inside it), else after it.
+    function query(fn) {
+        if (active && txContext.getStore() !== active) return active.done.then(() => query(fn));
+        try { return Promise.resolve(fn()); } catch (e) { return Promise.reject(e); }
+    }
+
+    const db = {
+        raw,
+        file,
+        get(sql, params = []) {
+            return query(() => {
+                const stmt = statement(sql);
+                if (!stmt.reader) { stmt.run(args(params)); return undefined; }
+                return stmt.get(args(params));
+            });
+        },
+        all(sql, params = []) {
+            return query(() => {
+                const stmt = statement(sql);
+                if (!stmt.reader) { stmt.run(args(params)); return []; }
+                return stmt.all(args(params));
+            });
+        },
+        run(sql, params = []) {
+            return query(() => {
+                const r = statement(sql).run(args(params));
+                return { changes: r.changes, lastID: Number(r.lastInsertRowid) };
+            });
+        },
+        each(sql, params, onRow) {
+            return query(() => {
+                let n = 0;
+                for (const row of statement(sql).iterate(args(params))) { onRow(row); n++; }
+                return n;
+            });
+        },
+        exec(sql) {
+            return query(() => { raw.exec(sql); });
+        },
+        async transaction(fn) {
+            if (active && txContext.getStore() === active) return fn();
+            while (active) await active.done;   // one at a time
+            let release;
+            const tx = active = { done: new Promise(r => { release = r; }) };
+            try {
+                raw.exec('BEGIN IMMEDIATE');
+                const result = await txContext.run(tx, fn);
+                raw.exec('COMMIT');
+                return result;
+            } catch (e) {
+                if (raw.inTransaction) raw.exec('ROLLBACK');
+                throw e;
+            } finally {
+                active = null;
+                release();
+            }
+        },
+        close() {
+            return query(() => { raw.close(); });
+        },
+    };
+    return db;
+}
+
+module.exports = { openDatabase };
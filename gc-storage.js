@@ -0,0 +1,64 @@
+/**
+ * Storage garbage collection: find (and optionally delete) orphaned media objects.
+ *
+ * Lists the whole bucket (or the local storage dir - see storage.js) and cross-
+ * references it with every media URL stored in homes, news, partners, team,
+ * users.avatar_url, open pending_addresses, pending home_corrections and settings -
+ * the same rules as the dashboard's "Хранилище" tab, from storage-gc.js.
+ *
+ * Without flags it only prints the report. --delete asks for confirmation and then
+ * removes the orphans; add --yes to skip the question (cron).
+ *
+ * Usage (on the server where the production DB lives):
+ *     node gc-storage.js [--delete [--yes]]
+ */
+require('dotenv').config();
+const path     = require('path');
+const fs       = require('fs');
+const readline = require('readline');
+const { openDatabase }    = require('./database');
+const { createStorage }   = require('./storage');
+const { createStorageGc } = require('./storage-gc');
+
+const storage = createStorage();   // same STORAGE_DRIVER settings as the server
+const DELETE  = process.argv.includes('--delete');
+const YES     = process.argv.includes('--yes');
+
+const DB_FILE = (() => {
+    const candidates = [
+        process.env.DATABASE_URL,
+        '/data/database.db',
+        path.join(__dirname, 'database.db'),
+    ].filter(Boolean);
+    for (const p of candidates) if (fs.existsSync(p)) return p;
+    return path.join(__dirname, 'database.db');
+})();
+
+const db = openDatabase(DB_FILE);   // waits out the server's locks on the same DB
+const gc = createStorageGc({ storage, db });
+
+const mb  = bytes => (bytes / 1048576).toFixed(1) + ' MB';
+const ask = q => new Promise(res => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(q, a => { rl.close(); res(a); });
+});
+
+(async () => {
+    console.log('📦 DB:', DB_FILE);
+    const report  = await gc.findOrphans();
+    const orphans = report.orphans;
+
+    for (const o of orphans) console.log(`  ${o.key}  ${Math.round(o.size / 1024)} KB  ${o.last_modified.slice(0, 10)}`);
+    console.log(`\nBucket: ${report.objects} objects, ${mb(report.bytes)}. Orphaned: ${orphans.length}, ${mb(report.orphan_bytes)}.`);
+
+    if (DELETE && orphans.length) {
+        if (!YES && (await ask(`Type DELETE to remove ${orphans.length} object(s): `)).trim() !== 'DELETE') {
+            console.log('Aborted - nothing deleted.');
+        } else {
+            const deleted = (await gc.deleteKeys(orphans.map(o => o.key))).length;
+            console.log(`\n✅ Deleted ${deleted} of ${orphans.length} orphaned object(s).`);
+        }
+    }
+    await db.close();
+    process.exit(0);
+})().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
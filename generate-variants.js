@@ -0,0 +1,77 @@
+/**
+ * Backfill: queue thumbnail + responsive-variant rendering for existing images.
+ *
+ * For every home image in media storage ({ path: "<media URL>.jpg" }) this adds an
+ * 'image.variants' job to the server's job queue. The running server picks the
+ * jobs up one at a time, writes <name>_thumb.jpg and <name>_<w>w.{avif,webp,jpg}
+ * next to the original, stamps the variant manifest onto the image entry and
+ * records the photo's perceptual hash in image_index (duplicate detection).
+ *
+ * Safe to re-run: images that already have variants and a hash are skipped, and an image
+ * that is already queued is not queued twice. Pass --force to re-render every
+ * image (e.g. after changing the widths or encoder settings in server.js).
+ *
+ * Usage (on the server where the production DB lives):
+ *     node generate-variants.js [--force]
+ */
+require('dotenv').config();
+const path    = require('path');
+const fs      = require('fs');
+const { openDatabase }  = require('./database');
+const { createStorage } = require('./storage');
+
+const storage = createStorage();   // same STORAGE_DRIVER settings as the server
+const FORCE = process.argv.includes('--force');
+
+const DB_FILE = (() => {
+    const candidates = [
+        process.env.DATABASE_URL,
+        '/data/database.db',
+        path.join(__dirname, 'database.db'),
+    ].filter(Boolean);
+    for (const p of candidates) if (fs.existsSync(p)) return p;
+    return path.join(__dirname, 'database.db');
+})();
+
+const db = openDatabase(DB_FILE);   // waits out the server's locks on the same DB
+const { all: dbAll, get: dbGet, run: dbRun } = db;
+
+(async () => {
+    console.log('📦 DB:', DB_FILE, FORCE ? '(force)' : '');
+    const tables = await dbGet("SELECT COUNT(*) AS n FROM sqlite_master WHERE type='table' AND name IN ('jobs', 'image_index')");
+    if (tables.n < 2) throw new Error('no jobs / image_index table - start the updated server once first');
+
+    const rows = await dbAll('SELECT id, images FROM homes WHERE images IS NOT NULL AND deleted_at IS NULL');
+    const seen = new Set();
+    let queued = 0, skipped = 0;
+    for (const row of rows) {
+        let images;
+        try { images = JSON.parse(row.images || '[]'); } catch { continue; }
+        if (!Array.isArray(images)) continue;
+        for (const img of images) {
+            const url = img && img.path;
+            if (!url || seen.has(url)) continue;
+            seen.add(url);
+            const key = storage.keyFromUrl(url);
+            if (!key) { skipped++; continue; }   // external / placeholder
+            if (!FORCE && await dbGet('SELECT 1 FROM image_variants v JOIN image_index i ON i.url = v.path WHERE v.path=?', [url])) {
+                skipped++; continue;
+            }
+            const payload = JSON.stringify({ key });
+            if (await dbGet("SELECT 1 FROM jobs WHERE type='image.variants' AND status IN ('queued','running') AND payload=?", [payload])) {
+                skipped++; continue;
+            }
+            const now = new Date().toISOString();
+            await dbRun(
+                `INSERT INTO jobs (type, payload, priority, max_attempts, run_at, created_at, updated_at)
+                 VALUES ('image.variants', ?, -20, 4, ?, ?, ?)`,
+                [payload, Date.now(), now, now]
+            );
+            queued++;
+        }
+    }
+
+    console.log(`\n✅ Done. Images queued: ${queued} | skipped: ${skipped}. The running server renders them in the background (see the dashboard's "Задачи" tab).`);
+    await db.close();
+    process.exit(0);
+})().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
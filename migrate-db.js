@@ -0,0 +1,51 @@
+/**
+ * Schema migration status (see migrations.js). The server applies pending
+ * migrations itself at boot; this shows where a database stands, and --apply runs
+ * the pending ones without starting the server (e.g. against a restored copy).
+ *
+ * Usage:
+ *     node migrate-db.js            list migrations and their state
+ *     node migrate-db.js --apply    apply pending migrations
+ */
+require('dotenv').config();
+const path    = require('path');
+const fs      = require('fs');
+const { openDatabase } = require('./database');
+const { migrationStatus, runMigrations } = require('./migrations');
+
+const APPLY = process.argv.includes('--apply');
+
+const DB_FILE = (() => {
+    const candidates = [
+        process.env.DATABASE_URL,
+        '/data/database.db',
+        path.join(__dirname, 'database.db'),
+    ].filter(Boolean);
+    for (const p of candidates) if (fs.existsSync(p)) return p;
+    return path.join(__dirname, 'database.db');
+})();
+
+const db = openDatabase(DB_FILE);   // waits out the server's locks, foreign keys on as it runs them
+
+const MARK = { applied: '✓', pending: '·', modified: '!', missing: '?' };
+
+(async () => {
+    console.log('📦 DB:', DB_FILE);
+    if (APPLY) {
+        const done = await runMigrations(db, { log: console.log });
+        if (!done.length) console.log('Nothing to apply.');
+    }
+    const status = await migrationStatus(db);
+    console.log('');
+    for (const m of status) {
+        const { description } = m.file ? require(m.file) : {};
+        console.log(`  ${MARK[m.state]} ${String(m.version).padStart(3, '0')}_${m.name}  ${m.state}${m.applied_at ? '  ' + m.applied_at : ''}`);
+        if (description) console.log(`      ${description}`);
+    }
+    const count = state => status.filter(m => m.state === state).length;
+    console.log(`\n${count('applied') + count('modified')} applied, ${count('pending')} pending.`);
+    if (count('modified')) console.log('! = file changed after it was applied - add a new migration instead.');
+    if (count('missing'))  console.log('? = applied here, but the file is missing (older checkout?).');
+    await db.close();
+    process.exit(0);
+})().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
@@ -0,0 +1,102 @@
+/**
+ * Move uploaded media between storage backends (see storage.js), e.g. from R2 to
+ * the local disk for development, or back.
+ *
+ *  1. Copies every object from the source to the target. Objects the target
+ *     already has with the same size are skipped, so an interrupted run resumes.
+ *  2. Only when every copy succeeded: rewrites stored URLs in the database, i.e.
+ *     every text value starting with the source's public URL now uses the target's
+ *     (homes, news, users, pending submissions, revisions, indexes…). The audit
+ *     log is append-only and keeps the old URLs.
+ *
+ * The source is left untouched - delete it yourself once the site works on the
+ * target. Stop the server first, then start it with STORAGE_DRIVER=<target>.
+ * Both drivers read their usual env settings (R2_*, STORAGE_DIR, STORAGE_PUBLIC_URL).
+ *
+ * Usage:
+ *     node migrate-storage.js --from r2 --to local [--dry-run]
+ */
+require('dotenv').config();
+const path    = require('path');
+const fs      = require('fs');
+const { openDatabase } = require('./database');
+const { createStorage, contentTypeFor } = require('./storage');
+
+const arg = name => { const i = process.argv.indexOf(name); return i > -1 ? process.argv[i + 1] : null; };
+const FROM    = arg('--from');
+const TO      = arg('--to');
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const DB_FILE = (() => {
+    const candidates = [
+        process.env.DATABASE_URL,
+        '/data/database.db',
+        path.join(__dirname, 'database.db'),
+    ].filter(Boolean);
+    for (const p of candidates) if (fs.existsSync(p)) return p;
+    return path.join(__dirname, 'database.db');
+})();
+
+const db = openDatabase(DB_FILE);
+const { all: dbAll, get: dbGet, run: dbRun } = db;
+
+// Tables whose text may hold media URLs: everything but append-only and FTS / R*Tree internals.
+async function rewritableTables() {
+    const all = await dbAll("SELECT name, sql FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'");
+    const virtual = all.filter(t => /^CREATE VIRTUAL TABLE/i.test(t.sql || '')).map(t => t.name);
+    return all.map(t => t.name).filter(n => n !== 'audit_log' && !virtual.some(v => n === v || n.indexOf(v + '_') === 0));
+}
+const quote = id => '"' + String(id).replace(/"/g, '""') + '"';
+
+(async () => {
+    if (!FROM || !TO) throw new Error('usage: node migrate-storage.js --from <r2|local> --to <r2|local> [--dry-run]');
+    const src = createStorage(FROM), dst = createStorage(TO);
+    if (src.publicBase === dst.publicBase) throw new Error('source and target have the same public URL (' + src.publicBase + ')');
+    console.log(`📦 DB: ${DB_FILE}\n🗄️  ${src.name} (${src.publicBase}) → ${dst.name} (${dst.publicBase})${DRY_RUN ? '  [dry run]' : ''}`);
+
+    // ── 1. Copy objects ──
+    const objects = await src.list();
+    const have    = new Map((await dst.list()).map(o => [o.key, o.size]));
+    const todo    = objects.filter(o => have.get(o.key) !== o.size);
+    console.log(`Objects: ${objects.length} at the source, ${objects.length - todo.length} already at the target, ${todo.length} to copy.`);
+    let copied = 0;
+    const failed = [];
+    for (const o of todo) {
+        if (DRY_RUN) continue;
+        try {
+            await dst.put(o.key, await src.get(o.key), contentTypeFor(o.key));
+            if (++copied % 100 === 0) console.log(`  … ${copied}/${todo.length}`);
+        } catch (e) {
+            failed.push(o.key);
+            console.warn('  ✗', o.key, '-', e.message);
+        }
+    }
+    if (failed.length) {
+        console.error(`\n${failed.length} object(s) failed to copy - URLs NOT rewritten. Re-run to retry.`);
+        await db.close();
+        process.exit(1);
+    }
+
+    // ── 2. Rewrite URLs ──
+    const from = src.publicBase + '/', to = dst.publicBase + '/';
+    let rows = 0;
+    const rewrite = async () => {
+        for (const table of await rewritableTables()) {
+            for (const col of await dbAll(`PRAGMA table_info(${quote(table)})`)) {
+                const c = quote(col.name);
+                const where = `WHERE typeof(${c})='text' AND instr(${c}, ?) > 0`;
+                const n = DRY_RUN
+                    ? (await dbGet(`SELECT COUNT(*) AS n FROM ${quote(table)} ${where}`, [from])).n
+                    : (await dbRun(`UPDATE ${quote(table)} SET ${c}=replace(${c}, ?, ?) ${where}`, [from, to, from])).changes;
+                if (n) console.log(`  ${table}.${col.name}: ${n}`);
+                rows += n;
+            }
+        }
+    };
+    await (DRY_RUN ? rewrite() : db.transaction(rewrite));   // all or nothing
+
+    console.log(`\n✅ ${DRY_RUN ? 'Would copy' : 'Copied'} ${DRY_RUN ? todo.length : copied} object(s) and ${DRY_RUN ? 'rewrite' : 'rewrote'} ${rows} value(s).` +
+        (DRY_RUN ? '' : ` Start the server with STORAGE_DRIVER=${dst.name}.`));
+    await db.close();
+    process.exit(0);
+})().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
@@ -0,0 +1,103 @@
+/**
+ * Versioned schema migrations. Every schema change is a numbered file in
+ * migrations/ - 001_baseline.js, 002_add_something.js, … - exporting
+ *
+ *     module.exports = {
+ *         description: 'one line for the status listing',
+ *         async up(db) { await db.run('ALTER TABLE … ADD COLUMN …'); },
+ *     };
+ *
+ * where db is the data layer from database.js. Applied versions are recorded in
+ * schema_migrations. Each pending migration runs in its own transaction together
+ * with that record, so it either lands completely or not at all - a failure stops
+ * the server at boot instead of leaving a half-changed schema.
+ *
+ * Foreign key enforcement is off while a migration runs (it can't be toggled inside
+ * a transaction, and table rebuilds need it off); the migration is rejected if it
+ * leaves new foreign key violations behind.
+ *
+ * Never edit a migration once it has shipped - add a new one. The stored checksum
+ * makes an edited file show up as "modified" in `node migrate-db.js`.
+ */
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+
+// Migration files on disk, in version order.
+function listMigrations(dir = MIGRATIONS_DIR) {
+    const out = [];
+    for (const file of fs.readdirSync(dir).sort()) {
+        const m = file.match(FILE_RE);
+        if (!m) continue;
+        const version = parseInt(m[1], 10);
+        if (out.some(x => x.version === version)) throw new Error(`Two migrations numbered ${version} (${file})`);
+        const full = path.join(dir, file);
+        out.push({ version, name: m[2], file: full, checksum: crypto.createHash('sha256').update(fs.readFileSync(full)).digest('hex') });
+    }
+    return out.sort((a, b) => a.version - b.version);
+}
+
+async function ensureTable(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version     INTEGER PRIMARY KEY,
+        name        TEXT NOT NULL,
+        checksum    TEXT NOT NULL,
+        applied_at  TEXT NOT NULL,
+        duration_ms INTEGER
+    )`);
+}
+
+// Every known migration with its state: 'applied' | 'modified' | 'pending',
+// plus 'missing' for recorded versions whose file is gone.
+async function migrationStatus(db, dir) {
+    await ensureTable(db);
+    const done  = new Map((await db.all('SELECT * FROM schema_migrations')).map(r => [r.version, r]));
+    const files = listMigrations(dir);
+    const out   = files.map(m => {
+        const row = done.get(m.version);
+        return { ...m, applied_at: row ? row.applied_at : null,
+            state: !row ? 'pending' : row.checksum === m.checksum ? 'applied' : 'modified' };
+    });
+    for (const row of done.values()) {
+        if (!files.some(m => m.version === row.version)) out.push({ version: row.version, name: row.name, applied_at: row.applied_at, state: 'missing' });
+    }
+    return out.sort((a, b) => a.version - b.version);
+}
+
+// Apply every pending migration in order. Returns the versions applied.
+async function runMigrations(db, { dir, log = () => {} } = {}) {
+    const status  = await migrationStatus(db, dir);
+    for (const m of status) {
+        if (m.state === 'modified') log(`⚠️  Migration ${path.basename(m.file, '.js')} changed after it was applied.`);
+    }
+    const pending = status.filter(m => m.state === 'pending');
+    const applied = [];
+    const fkWasOn = (await db.get('PRAGMA foreign_keys')).foreign_keys === 1;
+    for (const m of pending) {
+        const started = Date.now();
+        const { up } = require(m.file);
+        await db.exec('PRAGMA foreign_keys = OFF');
+        try {
+            const violationsBefore = (await db.all('PRAGMA foreign_key_check')).length;
+            await db.transaction(async () => {
+                await up(db);
+                const violations = (await db.all('PRAGMA foreign_key_check')).length;
+                if (violations > violationsBefore) throw new Error(`leaves ${violations - violationsBefore} foreign key violation(s)`);
+                await db.run('INSERT INTO schema_migrations (version, name, checksum, applied_at, duration_ms) VALUES (?,?,?,?,?)',
+                    [m.version, m.name, m.checksum, new Date().toISOString(), Date.now() - started]);
+            });
+        } catch (e) {
+            throw new Error(`migration ${path.basename(m.file, '.js')} failed: ${e.message}`);
+        } finally {
+            if (fkWasOn) await db.exec('PRAGMA foreign_keys = ON');
+        }
+        log(`🛠  Applied migration ${path.basename(m.file, '.js')} (${Date.now() - started} ms)`);
+        applied.push(m.version);
+    }
+    return applied;
+}
+
+module.exports = { MIGRATIONS_DIR, listMigrations, migrationStatus, runMigrations };
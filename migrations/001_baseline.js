@@ -0,0 +1,436 @@
+/**
+ * Baseline: the schema as initDB() used to build it on every boot.
+ *
+ * On a new database this simply creates everything. On a database that predates
+ * migrations it also brings older layouts up to date - the columns initDB() used to
+ * add with ALTER TABLE (errors swallowed), the one-time email_verified grandfathering
+ * and the pending_addresses rebuild for guest submissions - once, explicitly.
+ */
+
+// Add the columns a table is missing; returns the names actually added.
+async function addColumns(db, table, columns) {
+    const have  = new Set((await db.all(`PRAGMA table_info(${table})`)).map(c => c.name));
+    const added = [];
+    for (const [name, type] of columns) {
+        if (have.has(name)) continue;
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+        added.push(name);
+    }
+    return added;
+}
+
+const PENDING_ADDRESSES = `(
+    id           TEXT PRIMARY KEY,
+    user_id      TEXT,
+    guest_email  TEXT,
+    title        TEXT NOT NULL,
+    description  TEXT,
+    city         TEXT,
+    address      TEXT,
+    lat          REAL,
+    lng          REAL,
+    category     TEXT NOT NULL DEFAULT 'home',
+    image_path   TEXT,
+    status       TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','approved','rejected')),
+    created_at   TEXT NOT NULL,
+    reviewed_at  TEXT,
+    reviewed_by  TEXT,
+    result_slug  TEXT,
+    owns_image   INTEGER DEFAULT 0,
+    author_name  TEXT,
+    moderation_note TEXT,
+    denied       INTEGER DEFAULT 0,
+    hidden_from_history INTEGER DEFAULT 0,
+    dup_candidates TEXT,
+    claimed_by   TEXT,
+    claim_expires_at TEXT,
+    assigned_to  TEXT,
+    assigned_at  TEXT,
+    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+)`;
+const PENDING_COLUMNS = `id,user_id,guest_email,title,description,city,address,lat,lng,category,image_path,
+    status,created_at,reviewed_at,reviewed_by,result_slug,owns_image,author_name,
+    moderation_note,denied,hidden_from_history,dup_candidates,
+    claimed_by,claim_expires_at,assigned_to,assigned_at`;
+
+module.exports = {
+    description: 'Schema as of the switch to versioned migrations',
+
+    async up(db) {
+        // ── Homes ──
+        await db.run(`CREATE TABLE IF NOT EXISTS homes (
+            id          TEXT PRIMARY KEY,
+            slug        TEXT UNIQUE,
+            name        TEXT NOT NULL,
+            biography   TEXT,
+            address     TEXT,
+            lat         REAL,
+            lng         REAL,
+            images      TEXT,
+            photo_date  TEXT,
+            sources     TEXT,
+            tags        TEXT,
+            published   INTEGER DEFAULT 1,
+            created_at  TEXT,
+            updated_at  TEXT,
+            portrait_url TEXT,
+            birth_date  TEXT,
+            death_date  TEXT,
+            date_label  TEXT,
+            category    TEXT DEFAULT 'home',
+            name_lower  TEXT,
+            credited_to TEXT
+        )`);
+        await addColumns(db, 'homes', [
+            ['portrait_url',   'TEXT'],
+            ['birth_date',     'TEXT'],   // stores date_start
+            ['death_date',     'TEXT'],   // stores date_end
+            ['date_label',     'TEXT'],   // e.g. "Построена през" instead of "Роден/Починал"
+            ['category',       "TEXT DEFAULT 'home'"],
+            ['name_lower',     'TEXT'],   // Unicode-lowercased name (SQLite's LOWER() is ASCII-only)
+            ['credited_to',    'TEXT'],   // "Предложено от …"
+            ['contributor_id', 'TEXT'],   // the account that suggested the place
+            ['deleted_at',     'TEXT'],   // soft delete (see "Trash")
+        ]);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_homes_published  ON homes(published)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_homes_slug       ON homes(slug)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_homes_name       ON homes(name)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_homes_category   ON homes(category)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_homes_name_lower ON homes(name_lower)');
+
+        await db.run(`CREATE TABLE IF NOT EXISTS related_places (
+            home_id    TEXT NOT NULL,
+            related_id TEXT NOT NULL,
+            created_at TEXT,
+            PRIMARY KEY (home_id, related_id),
+            FOREIGN KEY (home_id)    REFERENCES homes(id) ON DELETE CASCADE,
+            FOREIGN KEY (related_id) REFERENCES homes(id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_related_home    ON related_places(home_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_related_related ON related_places(related_id)');
+
+        // ── Partners / news / team ──
+        await db.run(`CREATE TABLE IF NOT EXISTS partners (
+            id            TEXT PRIMARY KEY,
+            name          TEXT NOT NULL,
+            description   TEXT,
+            logo_url      TEXT,
+            website       TEXT,
+            instagram     TEXT,
+            email         TEXT,
+            published     INTEGER DEFAULT 1,
+            display_order INTEGER DEFAULT 0,
+            created_at    TEXT,
+            updated_at    TEXT
+        )`);
+        await addColumns(db, 'partners', [['deleted_at', 'TEXT']]);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS news (
+            id             INTEGER PRIMARY KEY AUTOINCREMENT,
+            title          TEXT NOT NULL,
+            slug           TEXT UNIQUE NOT NULL,
+            content        TEXT NOT NULL,
+            excerpt        TEXT,
+            cover_image    TEXT,
+            published_date TEXT NOT NULL,
+            author         TEXT DEFAULT 'Екипът на Адресът на историята',
+            is_published   INTEGER DEFAULT 1,
+            created_at     TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at     TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_news_slug      ON news(slug)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_news_published ON news(is_published, published_date DESC)');
+        await addColumns(db, 'news', [
+            ['link',        'TEXT'],                // optional external link
+            ['place',       'TEXT'],                // city dateline (e.g. "Пловдив")
+            ['is_featured', 'INTEGER DEFAULT 0'],   // shown in the news carousel
+            ['deleted_at',  'TEXT'],
+        ]);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS newsletter_subscribers (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            email       TEXT UNIQUE NOT NULL,
+            created_at  TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS team (
+            id            INTEGER PRIMARY KEY AUTOINCREMENT,
+            name          TEXT NOT NULL,
+            role          TEXT,
+            bio           TEXT,
+            photo         TEXT,
+            display_order INTEGER DEFAULT 0,
+            is_published  INTEGER DEFAULT 1,
+            created_at    TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_team_order ON team(display_order, is_published)');
+        await addColumns(db, 'team', [['deleted_at', 'TEXT']]);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS ip_blacklist (
+            ip          TEXT PRIMARY KEY,
+            reason      TEXT,
+            created_by  TEXT,
+            created_at  TEXT NOT NULL
+        )`);
+        await db.run(`CREATE TABLE IF NOT EXISTS settings (
+            key   TEXT PRIMARY KEY,
+            value TEXT
+        )`);
+
+        // ── Users ──
+        await db.run(`CREATE TABLE IF NOT EXISTS users (
+            id                  TEXT PRIMARY KEY,
+            email               TEXT UNIQUE NOT NULL,
+            password_hash       TEXT NOT NULL,
+            role                TEXT NOT NULL DEFAULT 'user',
+            permissions         TEXT NOT NULL DEFAULT '[]',
+            display_name        TEXT,
+            reset_token_hash    TEXT,
+            reset_token_expires INTEGER,
+            created_at          TEXT NOT NULL
+        )`);
+        const addedUserCols = await addColumns(db, 'users', [
+            ['display_name',         'TEXT'],
+            ['reset_token_hash',     'TEXT'],
+            ['reset_token_expires',  'INTEGER'],
+            ['newsletter',           'INTEGER DEFAULT 0'],   // email opt-in
+            ['email_verified',       'INTEGER DEFAULT 0'],
+            ['verify_token_hash',    'TEXT'],
+            ['verify_token_expires', 'INTEGER'],
+            ['banned_until',         'INTEGER DEFAULT 0'],   // ms epoch; 0 = active
+            ['totp_secret',          'TEXT'],                // AES-GCM-encrypted base32 secret
+            ['totp_enabled',         'INTEGER DEFAULT 0'],
+            ['totp_backup_codes',    'TEXT'],                // JSON array of sha256 hashes
+            ['bio',                  'TEXT'],
+            ['interests',            'TEXT'],                // JSON array of short strings
+            ['avatar_url',           'TEXT'],
+            // Existing accounts are grandfathered as approved by the column default.
+            ['profile_status',       "TEXT NOT NULL DEFAULT 'approved'"],
+        ]);
+        // Accounts from before email verification existed count as verified, so the
+        // gate never locked out anyone who registered earlier.
+        if (addedUserCols.includes('email_verified')) await db.run('UPDATE users SET email_verified=1');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_users_email  ON users(email)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_users_reset  ON users(reset_token_hash)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_users_verify ON users(verify_token_hash)');
+
+        await db.run(`CREATE TABLE IF NOT EXISTS user_activity (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id     TEXT NOT NULL,
+            address_id  TEXT NOT NULL,
+            status      TEXT NOT NULL CHECK(status IN ('favorite','visited')),
+            created_at  TEXT NOT NULL,
+            UNIQUE(user_id, address_id, status),
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_activity_user ON user_activity(user_id, status)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_activity_addr ON user_activity(address_id)');
+
+        await db.run(`CREATE TABLE IF NOT EXISTS user_follows (
+            follower_id TEXT NOT NULL,
+            followee_id TEXT NOT NULL,
+            created_at  TEXT NOT NULL,
+            PRIMARY KEY (follower_id, followee_id),
+            FOREIGN KEY(follower_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY(followee_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_follows_followee ON user_follows(followee_id)');
+        await db.run(`CREATE TABLE IF NOT EXISTS follow_email_log (
+            follower_id TEXT NOT NULL,
+            creator_id  TEXT NOT NULL,
+            sent_at     INTEGER NOT NULL,
+            PRIMARY KEY (follower_id, creator_id)
+        )`);
+
+        // ── Submissions ──
+        // The original table had user_id NOT NULL; guest submissions need it nullable,
+        // and SQLite can't drop a NOT NULL, so an old table is rebuilt.
+        const pendingCols = await db.all('PRAGMA table_info(pending_addresses)');
+        if (!pendingCols.length) {
+            await db.run('CREATE TABLE pending_addresses ' + PENDING_ADDRESSES);
+        } else {
+            await addColumns(db, 'pending_addresses', [
+                ['owns_image',          'INTEGER DEFAULT 0'],
+                ['author_name',         'TEXT'],
+                ['moderation_note',     'TEXT'],
+                ['denied',              'INTEGER DEFAULT 0'],
+                ['hidden_from_history', 'INTEGER DEFAULT 0'],
+                ['guest_email',         'TEXT'],
+                ['dup_candidates',      'TEXT'],
+                ['claimed_by',          'TEXT'],
+                ['claim_expires_at',    'TEXT'],
+                ['assigned_to',         'TEXT'],
+                ['assigned_at',         'TEXT'],
+            ]);
+            if (pendingCols.find(c => c.name === 'user_id').notnull) {
+                await db.run('CREATE TABLE pending_addresses__new ' + PENDING_ADDRESSES);
+                await db.run(`INSERT INTO pending_addresses__new (${PENDING_COLUMNS}) SELECT ${PENDING_COLUMNS} FROM pending_addresses`);
+                await db.run('DROP TABLE pending_addresses');
+                await db.run('ALTER TABLE pending_addresses__new RENAME TO pending_addresses');
+            }
+        }
+        await db.run('CREATE INDEX IF NOT EXISTS idx_pending_status ON pending_addresses(status, created_at)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_pending_user   ON pending_addresses(user_id, created_at)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_pending_guest  ON pending_addresses(guest_email)');
+
+        await db.run(`CREATE TABLE IF NOT EXISTS submission_feedback (
+            id            INTEGER PRIMARY KEY AUTOINCREMENT,
+            submission_id TEXT NOT NULL,
+            author_id     TEXT,
+            author_name   TEXT,
+            comment       TEXT NOT NULL,
+            created_at    TEXT NOT NULL
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_feedback_sub ON submission_feedback(submission_id, created_at)');
+
+        await db.run(`CREATE TABLE IF NOT EXISTS home_corrections (
+            id              TEXT PRIMARY KEY,
+            home_id         TEXT NOT NULL,
+            user_id         TEXT,
+            changes         TEXT NOT NULL,
+            base            TEXT NOT NULL,
+            note            TEXT,
+            status          TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','approved','rejected')),
+            accepted        TEXT,
+            moderation_note TEXT,
+            created_at      TEXT NOT NULL,
+            reviewed_at     TEXT,
+            reviewed_by     TEXT
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_corrections_status ON home_corrections(status, created_at)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_corrections_home   ON home_corrections(home_id)');
+
+        // ── Audit log (append-only) and home revisions ──
+        await db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            created_at  TEXT NOT NULL,
+            actor_id    TEXT,
+            actor_name  TEXT,
+            actor_role  TEXT,
+            ip          TEXT,
+            action      TEXT NOT NULL,
+            target      TEXT,
+            before_json TEXT,
+            after_json  TEXT
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_audit_actor   ON audit_log(actor_id, created_at)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_audit_action  ON audit_log(action, created_at)');
+        await db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+                BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+        await db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+                BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS home_revisions (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            home_id    TEXT NOT NULL,
+            action     TEXT NOT NULL,
+            snapshot   TEXT NOT NULL,
+            actor_id   TEXT,
+            created_at TEXT NOT NULL
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_home_rev_home ON home_revisions(home_id, id)');
+
+        // ── Media ──
+        await db.run(`CREATE TABLE IF NOT EXISTS photo_exif (
+            url        TEXT PRIMARY KEY,
+            taken_at   TEXT,
+            lat        REAL,
+            lng        REAL,
+            camera     TEXT,
+            lens       TEXT,
+            created_at TEXT NOT NULL
+        )`);
+        await db.run(`CREATE TABLE IF NOT EXISTS image_index (
+            url        TEXT PRIMARY KEY,
+            hash       TEXT NOT NULL,
+            width      INTEGER,
+            height     INTEGER,
+            bytes      INTEGER,
+            dup_of     TEXT,
+            created_at TEXT NOT NULL
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_image_index_dup ON image_index(dup_of) WHERE dup_of IS NOT NULL');
+        await db.run(`CREATE TABLE IF NOT EXISTS image_variants (
+            path       TEXT PRIMARY KEY,
+            manifest   TEXT NOT NULL,
+            created_at TEXT NOT NULL
+        )`);
+        await db.run(`CREATE TABLE IF NOT EXISTS drive_syncs (
+            id          TEXT PRIMARY KEY,
+            folder_id   TEXT NOT NULL,
+            options     TEXT NOT NULL DEFAULT '{}',
+            status      TEXT NOT NULL DEFAULT 'scanning',   -- scanning | importing | failed
+            total       INTEGER NOT NULL DEFAULT 0,
+            unmatched   TEXT,
+            error       TEXT,
+            created_by  TEXT,
+            created_at  TEXT NOT NULL
+        )`);
+        await db.run(`CREATE TABLE IF NOT EXISTS drive_files (
+            file_id     TEXT PRIMARY KEY,
+            md5         TEXT,
+            url         TEXT NOT NULL,
+            home_id     TEXT,
+            imported_at TEXT NOT NULL
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_drive_files_md5 ON drive_files(md5)');
+
+        // ── Job queue ──
+        await db.run(`CREATE TABLE IF NOT EXISTS jobs (
+            id           INTEGER PRIMARY KEY AUTOINCREMENT,
+            type         TEXT NOT NULL,
+            payload      TEXT NOT NULL DEFAULT '{}',
+            status       TEXT NOT NULL DEFAULT 'queued',   -- queued | running | done | dead
+            priority     INTEGER NOT NULL DEFAULT 0,
+            attempts     INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL DEFAULT 5,
+            run_at       INTEGER NOT NULL,
+            batch        TEXT,
+            dedupe_key   TEXT,
+            result       TEXT,
+            last_error   TEXT,
+            created_at   TEXT NOT NULL,
+            updated_at   TEXT NOT NULL
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_jobs_ready ON jobs(status, priority, run_at)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_jobs_batch ON jobs(batch)');
+        await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe ON jobs(dedupe_key) WHERE dedupe_key IS NOT NULL');
+
+        // ── Search and geo indexes ──
+        // Optional: SQLite builds without FTS5 / R*Tree keep the LIKE search and
+        // plain lat/lng scans (server.js probes for the tables at boot).
+        try {
+            await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS homes_fts USING fts5(
+                home_id UNINDEXED, name, name_lat, biography, address, tags, text_lat,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )`);
+        } catch (e) {
+            console.warn('⚠️  FTS5 unavailable - search falls back to LIKE:', e.message);
+        }
+        let geo = true;
+        try {
+            await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS homes_geo USING rtree(
+                id, min_lat, max_lat, min_lng, max_lng
+            )`);
+        } catch (e) {
+            geo = false;
+            console.warn('⚠️  R*Tree unavailable - geo queries scan homes:', e.message);
+        }
+        if (geo) {
+            await db.run(`CREATE TRIGGER IF NOT EXISTS homes_geo_ai AFTER INSERT ON homes BEGIN
+                DELETE FROM homes_geo WHERE id = NEW.rowid;
+                INSERT INTO homes_geo SELECT NEW.rowid, NEW.lat, NEW.lat, NEW.lng, NEW.lng
+                    WHERE NEW.lat IS NOT NULL AND NEW.lng IS NOT NULL;
+            END`);
+            await db.run(`CREATE TRIGGER IF NOT EXISTS homes_geo_au AFTER UPDATE OF lat, lng ON homes BEGIN
+                DELETE FROM homes_geo WHERE id = NEW.rowid;
+                INSERT INTO homes_geo SELECT NEW.rowid, NEW.lat, NEW.lat, NEW.lng, NEW.lng
+                    WHERE NEW.lat IS NOT NULL AND NEW.lng IS NOT NULL;
+            END`);
+            await db.run(`CREATE TRIGGER IF NOT EXISTS homes_geo_ad AFTER DELETE ON homes BEGIN
+                DELETE FROM homes_geo WHERE id = OLD.rowid;
+            END`);
+        }
+    },
+};
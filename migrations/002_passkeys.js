@@ -0,0 +1,23 @@
+/**
+ * WebAuthn passkeys: any number per user, each a login method on its own and a
+ * second factor after the password. id is the credential ID (base64url) the
+ * authenticator hands back on every login; public_key is its COSE-encoded key.
+ */
+module.exports = {
+    description: 'Passkeys (WebAuthn credentials) per user',
+    async up(db) {
+        await db.run(`CREATE TABLE passkeys (
+            id           TEXT PRIMARY KEY,
+            user_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name         TEXT NOT NULL,
+            public_key   BLOB NOT NULL,
+            counter      INTEGER NOT NULL DEFAULT 0,
+            transports   TEXT,
+            device_type  TEXT,
+            backed_up    INTEGER NOT NULL DEFAULT 0,
+            created_at   TEXT NOT NULL,
+            last_used_at TEXT
+        )`);
+        await db.run('CREATE INDEX idx_passkeys_user ON passkeys(user_id)');
+    },
+};
@@ -0,0 +1,22 @@
+/**
+ * Server-side sessions. The login cookie's JWT now names a row here (sid) and is only
+ * accepted while that row exists, so a session can be ended before the token expires:
+ * logout, "log out other devices", a password change, a ban or a role change.
+ */
+module.exports = {
+    description: 'Revocable login sessions',
+    async up(db) {
+        await db.run(`CREATE TABLE sessions (
+            id           TEXT PRIMARY KEY,
+            user_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            created_at   TEXT NOT NULL,
+            last_seen_at TEXT NOT NULL,
+            expires_at   TEXT NOT NULL,
+            ip           TEXT,
+            user_agent   TEXT,
+            method       TEXT
+        )`);
+        await db.run('CREATE INDEX idx_sessions_user ON sessions(user_id, last_seen_at)');
+        await db.run('CREATE INDEX idx_sessions_expires ON sessions(expires_at)');
+    },
+};
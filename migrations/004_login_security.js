@@ -0,0 +1,34 @@
+/**
+ * Per-account login protection. failed_logins counts misses since the last good
+ * login and locked_until (ms epoch, like banned_until) holds a temporary lockout.
+ * login_failures is the log owners browse; login_devices remembers which browsers
+ * (hashed device cookie) and countries each account has signed in from, so a new
+ * one can trigger a notification email.
+ */
+module.exports = {
+    description: 'Failed-login lockout, login log and known devices',
+    async up(db) {
+        await db.run('ALTER TABLE users ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0');
+        await db.run('ALTER TABLE users ADD COLUMN locked_until INTEGER NOT NULL DEFAULT 0');
+        await db.run(`CREATE TABLE login_failures (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            created_at TEXT NOT NULL,
+            user_id    TEXT REFERENCES users(id) ON DELETE CASCADE,
+            email      TEXT,
+            ip         TEXT,
+            country    TEXT,
+            user_agent TEXT,
+            reason     TEXT NOT NULL
+        )`);
+        await db.run('CREATE INDEX idx_login_failures_created ON login_failures(created_at)');
+        await db.run('CREATE INDEX idx_login_failures_user ON login_failures(user_id, created_at)');
+        await db.run(`CREATE TABLE login_devices (
+            user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            device_hash   TEXT NOT NULL,
+            country       TEXT NOT NULL DEFAULT '',
+            first_seen_at TEXT NOT NULL,
+            last_seen_at  TEXT NOT NULL,
+            PRIMARY KEY (user_id, device_hash, country)
+        )`);
+    },
+};
@@ -0,0 +1,36 @@
+/**
+ * Named permissions. Each role is now an editable preset of permissions (roles table;
+ * owners always hold every permission and have no row), and users.permissions holds a
+ * user's individual grants on top of their role. The seeded presets reproduce what the
+ * fixed user < moderator < admin < owner ladder allowed, so nobody gains or loses access.
+ * The one legacy grant, 'approve:photos' (moderation queue access), becomes
+ * 'moderation.review'.
+ */
+const PRESETS = {
+    user:      [],
+    moderator: ['moderation.review'],
+    admin:     ['moderation.review', 'moderation.approve', 'moderation.assign',
+                'homes.edit', 'homes.delete', 'homes.import', 'media.manage',
+                'users.view', 'users.edit', 'users.ban', 'users.roles'],
+};
+
+module.exports = {
+    description: 'Role permission presets',
+    async up(db) {
+        await db.run(`CREATE TABLE roles (
+            role        TEXT PRIMARY KEY,
+            permissions TEXT NOT NULL DEFAULT '[]',
+            updated_at  TEXT
+        )`);
+        for (const [role, perms] of Object.entries(PRESETS)) {
+            await db.run('INSERT INTO roles (role, permissions, updated_at) VALUES (?,?,?)', [role, JSON.stringify(perms), new Date().toISOString()]);
+        }
+        for (const u of await db.all("SELECT id, permissions FROM users WHERE permissions LIKE '%approve:photos%'")) {
+            let perms = [];
+            try { perms = JSON.parse(u.permissions || '[]'); } catch {}
+            if (!Array.isArray(perms)) perms = [];
+            perms = [...new Set(perms.map(p => (p === 'approve:photos' ? 'moderation.review' : p)))];
+            await db.run('UPDATE users SET permissions=? WHERE id=?', [JSON.stringify(perms), u.id]);
+        }
+    },
+};
@@ -0,0 +1,25 @@
+/**
+ * Personal API tokens for scripts and integrations, sent as "Authorization: Bearer".
+ * Only a SHA-256 of the token is stored; prefix keeps its first characters so the
+ * owner can tell tokens apart. scopes is a JSON list (read, homes:write, uploads,
+ * moderation) that narrows what the token may do of its owner's permissions.
+ */
+module.exports = {
+    description: 'Scoped personal API tokens',
+    async up(db) {
+        await db.run(`CREATE TABLE api_tokens (
+            id           TEXT PRIMARY KEY,
+            user_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name         TEXT NOT NULL,
+            token_hash   TEXT NOT NULL UNIQUE,
+            prefix       TEXT NOT NULL,
+            scopes       TEXT NOT NULL DEFAULT '[]',
+            created_at   TEXT NOT NULL,
+            expires_at   TEXT NOT NULL,
+            last_used_at TEXT,
+            last_used_ip TEXT
+        )`);
+        await db.run('CREATE INDEX idx_api_tokens_user ON api_tokens(user_id, created_at)');
+        await db.run('CREATE INDEX idx_api_tokens_expires ON api_tokens(expires_at)');
+    },
+};
@@ -0,0 +1,12 @@
+/**
+ * Finished email jobs no longer keep their html (it holds live reset, verify and
+ * "this wasn't me" links); the worker now drops it when a job is done or dead.
+ * This clears the bodies of email jobs that finished before that change.
+ */
+module.exports = {
+    description: 'Drop bodies of finished email jobs',
+    async up(db) {
+        await db.run(`UPDATE jobs SET payload = json_remove(payload, '$.html')
+                      WHERE type='email' AND status IN ('done','dead') AND json_valid(payload)`);
+    },
+};
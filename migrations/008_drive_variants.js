@@ -0,0 +1,28 @@
+/**
+ * Drive imports are reused per variant: the same Drive file imported with a
+ * different watermark/photographer setting is a different R2 object, so
+ * drive_files is keyed by (file_id, variant) now. Rows from before this have no
+ * known variant ('') and are never reused - those files are uploaded once more.
+ * drive_syncs.capped counts the files a scan left for a later run because of
+ * DRIVE_SYNC_MAX.
+ */
+module.exports = {
+    description: 'Per-variant Drive dedupe and sync cap',
+    async up(db) {
+        await db.run(`CREATE TABLE drive_files_new (
+            file_id     TEXT NOT NULL,
+            variant     TEXT NOT NULL DEFAULT '',
+            md5         TEXT,
+            url         TEXT NOT NULL,
+            home_id     TEXT,
+            imported_at TEXT NOT NULL,
+            PRIMARY KEY (file_id, variant)
+        )`);
+        await db.run(`INSERT INTO drive_files_new (file_id, variant, md5, url, home_id, imported_at)
+                      SELECT file_id, '', md5, url, home_id, imported_at FROM drive_files`);
+        await db.run('DROP TABLE drive_files');
+        await db.run('ALTER TABLE drive_files_new RENAME TO drive_files');
+        await db.run('CREATE INDEX idx_drive_files_md5 ON drive_files(md5, variant)');
+        await db.run('ALTER TABLE drive_syncs ADD COLUMN capped INTEGER NOT NULL DEFAULT 0');
+    },
+};
@@ -0,0 +1,10 @@
+/**
+ * Logins for emails with no account now lock like real accounts, counted from
+ * their login_failures rows - this index keeps that per-email count cheap.
+ */
+module.exports = {
+    description: 'Index failed logins by email',
+    async up(db) {
+        await db.run('CREATE INDEX idx_login_failures_email ON login_failures(email, reason)');
+    },
+};
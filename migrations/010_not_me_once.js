@@ -0,0 +1,12 @@
+/**
+ * "This wasn't me" links are single-use. users.not_me_after (ms epoch) moves
+ * forward each time one is used; links issued before it no longer work. Links
+ * sent before this change carry no issue time and count as issued at 0, so they
+ * keep working until the account's first use of one.
+ */
+module.exports = {
+    description: 'Single-use "this wasn\'t me" links',
+    async up(db) {
+        await db.run('ALTER TABLE users ADD COLUMN not_me_after INTEGER NOT NULL DEFAULT 0');
+    },
+};
@@ -0,0 +1,143 @@
+/**
+ * Photo processing shared by server.js and its tests: sniffing uploads, reading
+ * EXIF, re-encoding to the stored JPEG, thumbnails, dHash and variant encoders.
+ *
+ * Capture date, GPS position and camera are read from the ORIGINAL upload bytes
+ * (before re-encoding) and kept privately in photo_exif, so moderators get
+ * photo_date and coordinates prefilled. What we publish never carries them: sharp
+ * drops all metadata on re-encode, and putR2Object refuses any image that still
+ * has a GPS block (assertNoLocation) as a last line of defence.
+ * test/photos.test.js checks every encoder here against a GPS-tagged JPEG.
+ */
+const sharp = require('sharp');
+
+// sharp options that cap pixel count → blocks decompression "bombs".
+const SHARP_OPTS = { limitInputPixels: 50_000_000, failOn: 'truncated' };
+
+// Validate the actual file bytes (magic numbers) - never trust the client's
+// Content-Type. Rejects .html/.js/.svg/PDF/etc. dressed up as image/jpeg.
+function looksLikeImage(buf) {
+    if (!buf || buf.length < 12) return false;
+    const h = buf.subarray(0, 12);
+    const hex = h.toString('hex').toLowerCase();
+    if (hex.startsWith('ffd8ff')) return true;                          // JPEG
+    if (hex.startsWith('89504e470d0a1a0a')) return true;                // PNG
+    if (hex.startsWith('474946383')) return true;                       // GIF87a/89a
+    if (h.toString('latin1', 0, 4) === 'RIFF' && h.toString('latin1', 8, 12) === 'WEBP') return true; // WebP
+    return false;
+}
+
+// Minimal TIFF/EXIF reader covering only the tags we use.
+const EXIF_TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+function parseExif(raw) {
+    if (!Buffer.isBuffer(raw) || raw.length < 14) return null;
+    const base = raw.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0;
+    const bom  = raw.toString('latin1', base, base + 2);
+    if (bom !== 'II' && bom !== 'MM') return null;
+    const le  = bom === 'II';
+    const len = raw.length - base;
+    const u16 = o => le ? raw.readUInt16LE(base + o) : raw.readUInt16BE(base + o);
+    const u32 = o => le ? raw.readUInt32LE(base + o) : raw.readUInt32BE(base + o);
+    const value = (type, count, at) => {
+        if (type === 2) return raw.toString('latin1', base + at, base + at + count).replace(/\0[\s\S]*$/, '').trim();
+        if (type === 3) return u16(at);
+        if (type === 4) return u32(at);
+        if (type === 5 || type === 10) {
+            const out = [];
+            for (let i = 0; i < count; i++) { const d = u32(at + 8 * i + 4); out.push(d ? u32(at + 8 * i) / d : NaN); }
+            return out;
+        }
+        return null;
+    };
+    const ifd = off => {
+        const tags = {};
+        if (!off || off + 2 > len) return tags;
+        const n = u16(off);
+        for (let i = 0; i < n; i++) {
+            const e = off + 2 + i * 12;
+            if (e + 12 > len) break;
+            const type = u16(e + 2), count = u32(e + 4);
+            const size = (EXIF_TYPE_SIZE[type] || 1) * count;
+            const at   = size > 4 ? u32(e + 8) : e + 8;
+            if (at + size <= len) tags[u16(e)] = value(type, count, at);
+        }
+        return tags;
+    };
+    try {
+        const ifd0 = ifd(u32(4));
+        const exif = ifd(ifd0[0x8769]);
+        const gps  = ifd(ifd0[0x8825]);
+        const deg  = (dms, ref) => {
+            if (!Array.isArray(dms) || dms.length < 3 || !dms.every(isFinite)) return null;
+            const v = dms[0] + dms[1] / 60 + dms[2] / 3600;
+            return /^[SW]/i.test(ref || '') ? -v : v;
+        };
+        let lat = deg(gps[2], gps[1]), lng = deg(gps[4], gps[3]);
+        if (lat == null || lng == null || Math.abs(lat) > 90 || Math.abs(lng) > 180 || (!lat && !lng)) lat = lng = null;
+        const when  = String(exif[0x9003] || ifd0[0x0132] || '');
+        const m     = when.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+        const make  = String(ifd0[0x010F] || '').trim(), model = String(ifd0[0x0110] || '').trim();
+        return {
+            taken_at: m && m[1] !== '0000' ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}` : null,
+            lat: lat == null ? null : Math.round(lat * 1e6) / 1e6,
+            lng: lng == null ? null : Math.round(lng * 1e6) / 1e6,
+            camera: (model.toLowerCase().startsWith(make.toLowerCase()) ? model : [make, model].filter(Boolean).join(' ')) || null,
+            lens: String(exif[0xA434] || '').trim() || null,
+            has_gps: ifd0[0x8825] != null,
+        };
+    } catch { return null; }   // truncated / malformed block
+}
+// EXIF of an uploaded original, or null when it has none worth keeping.
+async function readPhotoExif(buf) {
+    try {
+        const { exif } = await sharp(buf, SHARP_OPTS).metadata();
+        const x = parseExif(exif);
+        return x && (x.taken_at || x.lat != null || x.camera) ? x : null;
+    } catch { return null; }
+}
+
+// Throws if an encoded image still carries a GPS block - nothing we publish may.
+async function assertNoLocation(buf) {
+    const { exif } = await sharp(buf).metadata();
+    const x = exif && parseExif(exif);
+    if (x && x.has_gps) throw new Error('GPS metadata in an output image');
+}
+
+// Normalise one image buffer to the stored full-size JPEG. Throws on a non-image.
+// Returns { data, width, height, bytes, hash } - hash is its dHash (see below).
+async function processPhoto(buf) {
+    if (!looksLikeImage(buf)) throw new Error('NOT_IMAGE');
+    const { data, info } = await sharp(buf, SHARP_OPTS).rotate()
+        .resize({ width: 2000, withoutEnlargement: true }).jpeg({ quality: 85 })
+        .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, bytes: data.length, hash: await imageHash(data) };
+}
+// Lightweight thumbnail for grids / list cards / map panel.
+// ~600px wide @ q70 is typically 10× smaller than the full image.
+function makeThumb(full) {
+    return sharp(full, SHARP_OPTS).resize({ width: 600, withoutEnlargement: true }).jpeg({ quality: 70 }).toBuffer();
+}
+// 64-bit difference hash (dHash) of an image, as 16 hex digits.
+async function imageHash(buf) {
+    const px = await sharp(buf, SHARP_OPTS).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let hex = '';
+    for (let y = 0; y < 8; y++) {
+        let byte = 0;
+        for (let x = 0; x < 8; x++) byte = (byte << 1) | (px[y * 9 + x] < px[y * 9 + x + 1] ? 1 : 0);
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+// Responsive variants rendered by the 'image.variants' job.
+const VARIANT_WIDTHS  = [320, 640, 1024, 1600];
+const VARIANT_FORMATS = {
+    avif: { ext: 'avif', type: 'image/avif', encode: img => img.avif({ quality: 50, effort: 2 }) },
+    webp: { ext: 'webp', type: 'image/webp', encode: img => img.webp({ quality: 72 }) },
+    jpeg: { ext: 'jpg',  type: 'image/jpeg', encode: img => img.jpeg({ quality: 78, mozjpeg: true }) },
+};
+
+module.exports = {
+    SHARP_OPTS, looksLikeImage, parseExif, readPhotoExif, assertNoLocation,
+    processPhoto, makeThumb, imageHash, VARIANT_WIDTHS, VARIANT_FORMATS,
+};
@@ -0,0 +1,117 @@
+/**
+ * Restore the database from a scheduled backup (see "Scheduled backups" in server.js).
+ *
+ * Before anything is replaced, the snapshot is downloaded next to the live DB and:
+ *   - its SHA-256 must match the manifest written with it (or --sha256);
+ *   - PRAGMA integrity_check must return "ok".
+ * The live database (and its -wal / -shm) is then renamed to
+ * database.db.pre-restore-<time> and the snapshot moved into its place, so a restore
+ * can itself be undone. Stop the server first - it holds the database open.
+ *
+ * Uses the server's backup target: BACKUP_DRIVER, BACKUP_DIR / BACKUP_R2_BUCKET.
+ *
+ * Usage:
+ *     node restore-db.js --list
+ *     node restore-db.js [latest | <key>] [--yes]
+ *     node restore-db.js --file <snapshot.db> --sha256 <hex> [--yes]
+ */
+require('dotenv').config();
+const path     = require('path');
+const fs       = require('fs');
+const crypto   = require('crypto');
+const readline = require('readline');
+const { openDatabase }        = require('./database');
+const { createBackupStorage } = require('./storage');
+
+const arg = name => { const i = process.argv.indexOf(name); return i > -1 ? process.argv[i + 1] : null; };
+const LIST   = process.argv.includes('--list');
+const YES    = process.argv.includes('--yes');
+const FILE   = arg('--file');
+const SHA256 = arg('--sha256');
+const TARGET = process.argv.slice(2).find((a, i, all) => !a.startsWith('--') && !['--file', '--sha256'].includes(all[i - 1])) || 'latest';
+
+const DB_FILE = (() => {
+    const candidates = [
+        process.env.DATABASE_URL,
+        '/data/database.db',
+        path.join(__dirname, 'database.db'),
+    ].filter(Boolean);
+    for (const p of candidates) if (fs.existsSync(p)) return p;
+    return path.join(__dirname, 'database.db');
+})();
+
+const ask = q => new Promise(res => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(q, a => { rl.close(); res(a); });
+});
+const sha256File = file => new Promise((res, rej) => {
+    const h = crypto.createHash('sha256');
+    fs.createReadStream(file).on('data', c => h.update(c)).on('end', () => res(h.digest('hex'))).on('error', rej);
+});
+async function integrityCheck(file) {
+    // Read-write: FTS5's part of the check fails on a read-only handle. wal:false
+    // leaves the snapshot a single self-contained file.
+    const db = openDatabase(file, { wal: false });
+    try {
+        const row = await db.get('PRAGMA integrity_check');
+        return row && row.integrity_check;
+    } finally {
+        await db.close();
+    }
+}
+const mb = bytes => (bytes / 1048576).toFixed(1) + ' MB';
+
+(async () => {
+    console.log('📦 DB:', DB_FILE);
+    const tmp = path.join(path.dirname(DB_FILE), `.restore-${Date.now()}.db`);
+    let expected;
+
+    if (FILE) {
+        if (!SHA256) throw new Error('--file needs --sha256 <hex> (from the backup manifest)');
+        fs.copyFileSync(FILE, tmp);
+        expected = SHA256.toLowerCase();
+    } else {
+        const storage = createBackupStorage(path.dirname(DB_FILE));
+        const objects = await storage.list();
+        const keys    = new Set(objects.map(o => o.key));
+        // Only snapshots whose manifest made it - the manifest is written last.
+        const snaps   = objects.filter(o => /\.db$/.test(o.key) && keys.has(o.key.replace(/\.db$/, '.json')))
+            .sort((a, b) => (a.key < b.key ? 1 : -1));
+        if (LIST) {
+            for (const o of snaps) console.log(`  ${o.key}  ${mb(o.size)}`);
+            console.log(`\n${snaps.length} backup(s) in ${storage.name}.`);
+            process.exit(0);
+        }
+        const pick = TARGET === 'latest' ? snaps[0] : snaps.find(o => o.key === TARGET);
+        if (!pick) throw new Error(TARGET === 'latest' ? 'no backups found' : 'no such backup: ' + TARGET + ' (see --list)');
+        const manifest = JSON.parse((await storage.get(pick.key.replace(/\.db$/, '.json'))).toString('utf8'));
+        console.log(`⬇️  ${pick.key} (${mb(pick.size)}, taken ${manifest.created_at})`);
+        fs.writeFileSync(tmp, await storage.get(pick.key));
+        expected = manifest.sha256;
+    }
+
+    try {
+        const actual = await sha256File(tmp);
+        if (actual !== expected) throw new Error(`checksum mismatch: expected ${expected}, got ${actual}`);
+        console.log('✓ SHA-256', actual);
+        const check = await integrityCheck(tmp);
+        if (check !== 'ok') throw new Error('integrity check failed: ' + check);
+        console.log('✓ PRAGMA integrity_check: ok');
+
+        if (!YES && (await ask(`Replace ${DB_FILE} with this backup? Is the server stopped? Type RESTORE: `)).trim() !== 'RESTORE') {
+            console.log('Aborted - nothing changed.');
+            fs.unlinkSync(tmp);
+            process.exit(0);
+        }
+        const aside = `${DB_FILE}.pre-restore-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(DB_FILE + suffix)) fs.renameSync(DB_FILE + suffix, aside + suffix);
+        }
+        fs.renameSync(tmp, DB_FILE);
+        console.log(`\n✅ Restored. The previous database is at ${aside}`);
+        process.exit(0);
+    } catch (e) {
+        try { fs.unlinkSync(tmp); } catch { /* already gone */ }
+        throw e;
+    }
+})().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
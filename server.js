@@ -1,6 +1,5 @@
 require('dotenv').config();
 const express  = require('express');
-const sqlite3  = require('sqlite3').verbose();
 const cors     = require('cors');
 const path     = require('path');
 const fs       = require('fs');
@@ -16,8 +15,15 @@ const opentype     = require('opentype.js');
 const { Resend }   = require('resend');
 const { google }   = require('googleapis');
 const { authenticator } = require('otplib');
+const { generateRegistrationOptions, verifyRegistrationResponse,
+        generateAuthenticationOptions, verifyAuthenticationResponse } = require('@simplewebauthn/server');
 const QRCode       = require('qrcode');
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { createStorage, createBackupStorage, contentTypeFor } = require('./storage');
+const { createStorageGc } = require('./storage-gc');
+const { openDatabase } = require('./database');
+const { runMigrations } = require('./migrations');
+const { SHARP_OPTS, looksLikeImage, readPhotoExif, assertNoLocation,
+        processPhoto, makeThumb, imageHash, VARIANT_WIDTHS, VARIANT_FORMATS } = require('./photos');
 
 // ─── Config ──────────────────────────────────────────────────────────────────
 
@@ -69,18 +75,18 @@ const cache = {
     stats() { return { size: this._store.size, max: this._max }; },
 };
 
-// ─── R2 / upload setup ───────────────────────────────────────────────────────
+// ─── Media storage / upload setup ────────────────────────────────────────────
+// Cloudflare R2 in production; STORAGE_DRIVER=local keeps uploads on disk and
+// serves them under /media, so development needs no R2 credentials (storage.js).
+// The *R2 helper names below predate the drivers and work with either.
+const storage   = createStorage();
+const MEDIA_URL = storage.publicBase;
+console.log(`🗄️  Media storage: ${storage.name} → ${MEDIA_URL}`);
 
-const r2 = new S3Client({
-    region:   'auto',
-    endpoint: 'https://ae436e2433a501e9b779b8993e95d5b1.r2.cloudflarestorage.com',
-    credentials: {
-        accessKeyId:     process.env.R2_ACCESS_KEY_ID,
-        secretAccessKey: process.env.R2_SECRET_KEY,
-    },
-});
-const R2_BUCKET     = 'history-address-images';
-const R2_PUBLIC_URL = 'https://pub-b40e453eddaf4bc5b299af8f6d7b7de2.r2.dev';
+// Database backups (see "Scheduled backups") - a separate, private target.
+let backupStorage = null, backupConfigError = null;
+try { backupStorage = createBackupStorage(path.dirname(DB_FILE)); }
+catch (e) { backupConfigError = e.message; console.error('⚠️  Backups disabled:', e.message); }
 
 const upload = multer({
     storage:    multer.memoryStorage(),
@@ -114,38 +120,155 @@ function acceptPhotos(field) {
     });
 }
 
-// Validate the actual file bytes (magic numbers) - never trust the client's
-// Content-Type. Rejects .html/.js/.svg/PDF/etc. dressed up as image/jpeg.
-function looksLikeImage(buf) {
-    if (!buf || buf.length < 12) return false;
-    const h = buf.subarray(0, 12);
-    const hex = h.toString('hex').toLowerCase();
-    if (hex.startsWith('ffd8ff')) return true;                          // JPEG
-    if (hex.startsWith('89504e470d0a1a0a')) return true;                // PNG
-    if (hex.startsWith('474946383')) return true;                       // GIF87a/89a
-    if (h.toString('latin1', 0, 4) === 'RIFF' && h.toString('latin1', 8, 12) === 'WEBP') return true; // WebP
-    return false;
+// ── Photo EXIF ────────────────────────────────────────────────────────────────
+// Read from the original upload by readPhotoExif (photos.js) and kept privately,
+// keyed by the stored URL - never published.
+async function savePhotoExif(url, x) {
+    if (!url || !x) return;
+    await dbRun('INSERT OR REPLACE INTO photo_exif (url, taken_at, lat, lng, camera, lens, created_at) VALUES (?,?,?,?,?,?,?)',
+        [url, x.taken_at, x.lat, x.lng, x.camera, x.lens, new Date().toISOString()]);
 }
-// sharp options that cap pixel count → blocks decompression "bombs".
-const SHARP_OPTS = { limitInputPixels: 50_000_000, failOn: 'truncated' };
 
-// Process one image buffer → {full, thumb} JPEG buffers. Throws on a non-image.
-async function processPhoto(buf) {
-    if (!looksLikeImage(buf)) throw new Error('NOT_IMAGE');
-    const full  = await sharp(buf, SHARP_OPTS).rotate().resize({ width: 2000, withoutEnlargement: true }).jpeg({ quality: 85 }).toBuffer();
-    const thumb = await sharp(full).resize({ width: 600, withoutEnlargement: true }).jpeg({ quality: 70 }).toBuffer();
-    return { full, thumb };
+async function putR2Object(key, body, contentType) {
+    if (/^image\//.test(contentType)) await assertNoLocation(body);
+    return storage.put(key, body, contentType);
+}
+function putR2Jpeg(key, body) {
+    return putR2Object(key, body, 'image/jpeg');
 }
 // Upload a processed photo to R2 under a key prefix; returns its public URL.
+// The thumbnail and responsive variants are rendered by an 'image.variants' job.
 async function uploadPhotoToR2(buf, keyBase) {
-    const fullKey  = keyBase + '.jpg';
-    const thumbKey = keyBase + '_thumb.jpg';
-    const { full, thumb } = await processPhoto(buf);
-    await Promise.all([
-        r2.send(new PutObjectCommand({ Bucket: R2_BUCKET, Key: fullKey,  Body: full,  ContentType: 'image/jpeg', CacheControl: 'public, max-age=31536000' })),
-        r2.send(new PutObjectCommand({ Bucket: R2_BUCKET, Key: thumbKey, Body: thumb, ContentType: 'image/jpeg', CacheControl: 'public, max-age=31536000' })),
-    ]);
-    return `${R2_PUBLIC_URL}/${fullKey}`;
+    const fullKey = keyBase + '.jpg';
+    const photo   = await processPhoto(buf);
+    const url     = `${MEDIA_URL}/${fullKey}`;
+    await putR2Jpeg(fullKey, photo.data);
+    await indexImage(url, photo);
+    await queueImageVariants(fullKey);
+    return url;
+}
+
+// ── Near-duplicate photos ─────────────────────────────────────────────────────
+// Every stored photo gets a 64-bit difference hash in image_index: shrink to 9×8
+// greyscale and keep one bit per "is the right-hand neighbour brighter". Re-encoding,
+// resizing or a watermark flip only a few bits, so an upload within DHASH_NEAR bits
+// of a live photo is flagged with dup_of = that photo. Pending suggestion photos are
+// indexed too but only ever link to live ones. GET /api/admin/images/duplicates
+// groups the index into clusters and can merge one into a single R2 object.
+const DHASH_NEAR = 6;
+// Hashes as two 32-bit words, so comparing is two XORs and a popcount.
+const hashWords = hex => [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+function popcount32(x) {
+    x -= (x >>> 1) & 0x55555555;
+    x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+    return Math.imul((x + (x >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+}
+function hashDistance(a, b) {
+    return popcount32(a[0] ^ b[0]) + popcount32(a[1] ^ b[1]);
+}
+const isPendingPhotoUrl = url => String(url).indexOf(MEDIA_URL + '/pending/') === 0;
+// Record a stored photo. Returns the closest live near-duplicate { url, distance } or null.
+async function indexImage(url, { hash, width, height, bytes }) {
+    const mine = hashWords(hash);
+    let near = null;
+    for (const r of await dbAll('SELECT url, hash FROM image_index WHERE url<>? AND url NOT LIKE ?', [url, MEDIA_URL + '/pending/%'])) {
+        const d = hashDistance(mine, hashWords(r.hash));
+        if (d <= DHASH_NEAR && (!near || d < near.distance)) near = { url: r.url, distance: d };
+    }
+    await dbRun('INSERT OR REPLACE INTO image_index (url, hash, width, height, bytes, dup_of, created_at) VALUES (?,?,?,?,?,?,?)',
+        [url, hash, width, height, bytes, near && near.url, new Date().toISOString()]);
+    return near;
+}
+
+// ── Responsive variants ───────────────────────────────────────────────────────
+// Every stored photo <name>.jpg gets <name>_<w>w.{avif,webp,jpg} for each width
+// below its own, plus AVIF/WebP at full width (the full-width JPEG is the original
+// itself). The manifest { width, height, widths, formats } lives in image_variants
+// and is copied into the matching `images` entries; rowToHome turns it into srcset
+// strings. Rendered from the stored original, so a re-run is always safe.
+function variantUrl(path, width, format) {
+    return path.replace(/\.jpe?g$/i, '') + '_' + width + 'w.' + VARIANT_FORMATS[format].ext;
+}
+// Queue variant rendering for one R2 key. `force` re-renders even when done before.
+function queueImageVariants(key, { force = false } = {}) {
+    return enqueueJob('image.variants', { key }, { key: force ? null : 'variants:' + key });
+}
+async function renderImageVariants({ key }) {
+    let src;
+    try {
+        src = await storage.get(key);
+    } catch (e) {
+        if (e.code === 'NOT_FOUND') throw permanentJobError('original is gone: ' + key);   // deleted before we ran
+        throw e;
+    }
+    const meta = await sharp(src, SHARP_OPTS).metadata();
+    const base = key.replace(/\.[a-z0-9]+$/i, '');
+    await putR2Jpeg(base + '_thumb.jpg', await makeThumb(src));
+    const widths = VARIANT_WIDTHS.filter(w => w < meta.width).concat(meta.width);
+    for (const w of widths) {
+        const resized = sharp(src, SHARP_OPTS).resize({ width: w, withoutEnlargement: true });
+        for (const [name, f] of Object.entries(VARIANT_FORMATS)) {
+            if (name === 'jpeg' && w === meta.width) continue;   // that's the original
+            await putR2Object(`${base}_${w}w.${f.ext}`, await f.encode(resized.clone()).toBuffer(), f.type);
+        }
+    }
+    const manifest = { width: meta.width, height: meta.height, widths, formats: Object.keys(VARIANT_FORMATS) };
+    const url = `${MEDIA_URL}/${key}`;
+    // Photos stored before image_index existed get hashed on their first render.
+    if (!await dbGet('SELECT 1 FROM image_index WHERE url=?', [url])) {
+        await indexImage(url, { hash: await imageHash(src), width: meta.width, height: meta.height, bytes: src.length });
+    }
+    await dbRun('INSERT OR REPLACE INTO image_variants (path, manifest, created_at) VALUES (?,?,?)',
+        [url, JSON.stringify(manifest), new Date().toISOString()]);
+    // Stamp the manifest on places already using this photo (derived data - no revision).
+    for (const h of await dbAll('SELECT id, images FROM homes WHERE instr(images, ?) > 0', [url])) {
+        let images;
+        try { images = JSON.parse(h.images || '[]'); } catch { continue; }
+        let hit = false;
+        for (const im of images) {
+            if (!im || im.path !== url) continue;
+            im.variants = manifest;
+            if (!im.thumb) im.thumb = `${MEDIA_URL}/${base}_thumb.jpg`;
+            hit = true;
+        }
+        if (hit) await dbRun('UPDATE homes SET images=? WHERE id=?', [JSON.stringify(images), h.id]);
+    }
+    cache.clear();
+    return manifest;
+}
+// Fill in known manifests on an incoming `images` array (the admin editor only
+// round-trips path/thumb/caption/alt, so a save would otherwise drop them).
+async function withVariants(images) {
+    if (!Array.isArray(images)) return images;
+    for (const im of images) {
+        if (!im || typeof im !== 'object' || !im.path || im.variants) continue;
+        const v = await dbGet('SELECT manifest FROM image_variants WHERE path=?', [im.path]);
+        if (!v) continue;
+        im.variants = JSON.parse(v.manifest);
+        if (!im.thumb) im.thumb = pendingThumbUrl(im.path);   // rendered by the same job
+    }
+    return images;
+}
+// Remove a photo's variants from R2 once the photo itself is deleted.
+async function deleteImageVariants(url) {
+    const v = await dbGet('SELECT manifest FROM image_variants WHERE path=?', [url]);
+    if (!v) return;
+    const m = JSON.parse(v.manifest);
+    for (const w of m.widths) {
+        for (const f of m.formats) if (!(f === 'jpeg' && w === m.width)) await deleteR2(variantUrl(url, w, f));
+    }
+    await dbRun('DELETE FROM image_variants WHERE path=?', [url]);
+}
+// srcset strings per format for one image entry, from its manifest.
+function imageSrcset(img) {
+    const v = img && img.variants;
+    if (!v || !Array.isArray(v.widths) || typeof img.path !== 'string') return null;
+    const out = {};
+    for (const f of v.formats || []) {
+        if (!VARIANT_FORMATS[f]) continue;
+        out[f] = v.widths.map(w => (f === 'jpeg' && w === v.width ? img.path : variantUrl(img.path, w, f)) + ' ' + w + 'w').join(', ');
+    }
+    return out;
 }
 
 // ─── Google Drive service (read-only, service-account auth) ──────────────────────
@@ -176,24 +299,37 @@ function parseDriveFolderId(url) {
     if (/^[a-zA-Z0-9_-]{15,}$/.test(s)) return s;           // bare id pasted
     return null;
 }
-// List every image in a folder (paginated; works with Shared Drives too).
-async function listDriveImages(folderId) {
+// List every image in a folder (paginated; works with Shared Drives too). With
+// `recursive`, subfolders are walked too and each file carries `folder` - the
+// top-level subfolder it sits under ({id, name}), or null for the folder itself.
+const DRIVE_FOLDER_MIME = 'application/vnd.google-apps.folder';
+async function listDriveImages(folderId, { recursive = false } = {}) {
     const drive = getDriveClient();
     const files = [];
-    let pageToken;
-    do {
-        const resp = await drive.files.list({
-            q: `'${folderId}' in parents and mimeType contains 'image/' and trashed = false`,
-            fields: 'nextPageToken, files(id, name, mimeType)',
-            pageSize: 200,
-            pageToken,
-            orderBy: 'name_natural',
-            supportsAllDrives: true,
-            includeItemsFromAllDrives: true,
-        });
-        files.push(...(resp.data.files || []));
-        pageToken = resp.data.nextPageToken;
-    } while (pageToken && files.length < 1000);
+    const queue = [{ id: folderId, top: null }];
+    const seen  = new Set([folderId]);   // shortcuts can make the tree cyclic
+    while (queue.length) {
+        const dir = queue.shift();
+        let pageToken;
+        do {
+            const resp = await drive.files.list({
+                q: `'${dir.id}' in parents and (mimeType contains 'image/'${recursive ? ` or mimeType = '${DRIVE_FOLDER_MIME}'` : ''}) and trashed = false`,
+                fields: 'nextPageToken, files(id, name, mimeType, md5Checksum)',
+                pageSize: 200,
+                pageToken,
+                orderBy: 'name_natural',
+                supportsAllDrives: true,
+                includeItemsFromAllDrives: true,
+            });
+            for (const f of resp.data.files || []) {
+                if (f.mimeType !== DRIVE_FOLDER_MIME) { files.push({ ...f, folder: dir.top }); continue; }
+                if (seen.has(f.id)) continue;
+                seen.add(f.id);
+                queue.push({ id: f.id, top: dir.top || { id: f.id, name: f.name } });
+            }
+            pageToken = resp.data.nextPageToken;
+        } while (pageToken);
+    }
     return files;
 }
 // Stream one file's bytes into memory as a Buffer.
@@ -334,7 +470,7 @@ function randomSuffix(n = 6) { return Math.random().toString(36).substring(2, 2
 // ─── Hashing helper ────────────────────────────────────────────────────────────
 // NB: the legacy hardcoded-password admin auth (ADMIN_ACCOUNTS + X-Admin-Token HMAC)
 // was removed 2026-06-25. All content management now runs on the user-account RBAC
-// (requireRole) — see the OWNER/ADMIN dashboard. sha256hex stays: it is used by the
+// (requirePermission) — see the OWNER/ADMIN dashboard. sha256hex stays: it is used by the
 // email-verification, password-reset and 2FA-backup-code flows.
 const sha256hex = s => crypto.createHash('sha256').update(String(s)).digest('hex');
 
@@ -346,6 +482,8 @@ if (!process.env.JWT_SECRET) {
     console.warn('⚠️  JWT_SECRET not set - using a random per-boot secret. Set it in env so user logins survive restarts.');
 }
 const JWT_EXPIRES   = '7d';
+const SESSION_TTL_MS   = 7 * 24 * 60 * 60 * 1000;   // matches JWT_EXPIRES
+const SESSION_TOUCH_MS = 5 * 60 * 1000;             // last_seen_at granularity
 const AUTH_COOKIE   = 'auth_token';
 const BCRYPT_ROUNDS = 12;
 // Secure cookies require HTTPS. Railway injects RAILWAY_* env vars in production;
@@ -356,7 +494,7 @@ const COOKIE_OPTS   = {
     sameSite: 'strict',      // not sent on cross-site requests → mitigates CSRF
     secure:   COOKIE_SECURE, // HTTPS-only in production
     path:     '/',
-    maxAge:   7 * 24 * 60 * 60 * 1000, // 7 days, matches JWT_EXPIRES
+    maxAge:   SESSION_TTL_MS,  // 7 days, matches JWT_EXPIRES
 };
 // Constant-time dummy compare target, so a missing email takes ~the same time as
 // a wrong password (mitigates user-enumeration via timing).
@@ -408,17 +546,32 @@ function passwordIssue(p) {
 const resend    = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
 const EMAIL_FROM = process.env.EMAIL_FROM || 'Адресът на историята <onboarding@resend.dev>';
 
-async function sendEmail({ to, subject, html }) {
+// Mail goes through the job queue (see "Job queue" below): sendEmail only enqueues,
+// so a restart or a Resend outage delays a message instead of dropping it. Resolves
+// true once the message is queued. `opts.priority` lets account mail (verification,
+// password reset) overtake a running newsletter fan-out.
+async function sendEmail({ to, subject, html }, opts = {}) {
     if (!resend) { console.warn('✉️  RESEND_API_KEY not set - skipping email to', to); return false; }
     try {
-        const { error } = await resend.emails.send({ from: EMAIL_FROM, to, subject, html });
-        if (error) { console.error('Resend error:', error.message || JSON.stringify(error)); return false; }
+        await enqueueJob('email', { to, subject, html }, opts);
         return true;
     } catch (e) {
-        console.error('Email send failed:', e.message);
+        console.error('Email enqueue failed:', e.message);
         return false;
     }
 }
+// The actual Resend call, run by the 'email' job. Throws so the queue can retry;
+// a rejected address/payload will never succeed, so it skips straight to dead.
+async function deliverEmail({ to, subject, html }) {
+    if (!resend) throw permanentJobError('RESEND_API_KEY not set');
+    if (!html) throw permanentJobError('Message body already discarded');
+    const { error } = await resend.emails.send({ from: EMAIL_FROM, to, subject, html });
+    if (error) {
+        const msg = 'Resend: ' + (error.message || JSON.stringify(error));
+        throw error.name === 'validation_error' ? permanentJobError(msg) : new Error(msg);
+    }
+    return { to };
+}
 
 // Shared, email-client-safe HTML shell (inline styles, table layout, light theme).
 function emailLayout(bodyHtml, preheader = '') {
@@ -480,6 +633,36 @@ function resetEmailHtml(link) {
        <p style="margin:16px 0 0;font-size:13px;line-height:1.6;color:#8b7355;">Ако не сте поискали това, просто игнорирайте имейла - паролата Ви няма да бъде променена.</p>`;
     return emailLayout(body, 'Връзка за нулиране на паролата (валидна 1 час)');
 }
+// Sent after a login from a device or country the account hasn't used before.
+function newLoginEmailHtml({ device, ip, country, link }) {
+    const when = new Date().toLocaleString('bg-BG', { timeZone: 'Europe/Sofia', dateStyle: 'long', timeStyle: 'short' });
+    const row  = (k, v) => `<tr><td style="padding:4px 14px 4px 0;font-size:14px;color:#8b7355;white-space:nowrap;">${k}</td><td style="padding:4px 0;font-size:14px;color:#3a2f1f;">${escHtml(v)}</td></tr>`;
+    const body =
+      `<h1 style="margin:0 0 14px;font-family:Georgia,serif;font-size:24px;font-weight:700;color:#3a2f1f;">Нов вход в профила Ви 🔐</h1>
+       <p style="margin:0 0 16px;font-size:15px;line-height:1.7;color:#5a4a33;">Някой току-що влезе в профила Ви от устройство${country ? ' или държава' : ''}, от които не сте влизали досега:</p>
+       <table role="presentation" cellpadding="0" cellspacing="0" style="margin:0 0 18px;background:#fbf3e3;border:1px solid #e6d9c2;border-radius:12px;padding:12px 18px;">
+         ${row('Кога', when)}${row('Устройство', device)}${row('IP адрес', ip || '-')}${country ? row('Държава', country) : ''}
+       </table>
+       <p style="margin:0 0 6px;font-size:15px;line-height:1.7;color:#5a4a33;">Ако сте били Вие, не е нужно да правите нищо. Ако не сте, заключете профила - всички сесии ще бъдат прекратени и ще трябва да зададете нова парола.</p>
+       ${emailButton(link, 'Не бях аз - заключи профила')}
+       <p style="margin:8px 0 0;font-size:13px;line-height:1.6;color:#8b7355;">Връзката е валидна <strong>7 дни</strong>. Ако бутонът не работи, копирайте този адрес в браузъра си:<br><a href="${link}" style="color:#cd853f;word-break:break-all;">${link}</a></p>`;
+    return emailLayout(body, 'Нов вход в профила Ви - ако не сте били Вие, заключете го');
+}
+// Sent whenever a passkey is added - it is a way into the account on its own.
+function newPasskeyEmailHtml({ name, device, ip, link }) {
+    const when = new Date().toLocaleString('bg-BG', { timeZone: 'Europe/Sofia', dateStyle: 'long', timeStyle: 'short' });
+    const row  = (k, v) => `<tr><td style="padding:4px 14px 4px 0;font-size:14px;color:#8b7355;white-space:nowrap;">${k}</td><td style="padding:4px 0;font-size:14px;color:#3a2f1f;">${escHtml(v)}</td></tr>`;
+    const body =
+      `<h1 style="margin:0 0 14px;font-family:Georgia,serif;font-size:24px;font-weight:700;color:#3a2f1f;">Добавен е ключ за достъп 🔑</h1>
+       <p style="margin:0 0 16px;font-size:15px;line-height:1.7;color:#5a4a33;">Към профила Ви беше добавен нов ключ за достъп (passkey). С него може да се влиза без парола:</p>
+       <table role="presentation" cellpadding="0" cellspacing="0" style="margin:0 0 18px;background:#fbf3e3;border:1px solid #e6d9c2;border-radius:12px;padding:12px 18px;">
+         ${row('Кога', when)}${row('Ключ', name)}${row('Устройство', device)}${row('IP адрес', ip || '-')}
+       </table>
+       <p style="margin:0 0 6px;font-size:15px;line-height:1.7;color:#5a4a33;">Ако сте били Вие, не е нужно да правите нищо. Ако не сте, заключете профила - всички сесии ще бъдат прекратени, ключовете за достъп - изтрити, и ще трябва да зададете нова парола.</p>
+       ${emailButton(link, 'Не бях аз - заключи профила')}
+       <p style="margin:8px 0 0;font-size:13px;line-height:1.6;color:#8b7355;">Връзката е валидна <strong>7 дни</strong>. Ако бутонът не работи, копирайте този адрес в браузъра си:<br><a href="${link}" style="color:#cd853f;word-break:break-all;">${link}</a></p>`;
+    return emailLayout(body, 'Добавен е ключ за достъп - ако не сте били Вие, заключете профила');
+}
 function approvalEmailHtml(placeTitle, link) {
     const body =
       `<h1 style="margin:0 0 14px;font-family:Georgia,serif;font-size:25px;font-weight:700;color:#3a2f1f;">Одобрено! 🎉</h1>
@@ -550,38 +733,41 @@ function followDigestEmailHtml(creatorName, creatorId) {
 // Notify a creator's followers about freshly approved content - throttled to ONE
 // email per follower per creator per 24 h via follow_email_log. The timestamp is
 // claimed BEFORE sending, so overlapping approval requests can't double-send.
+// Runs as a 'follow_digest' job so an approval never waits on the fan-out.
 const FOLLOW_EMAIL_WINDOW_MS = 24 * 3600 * 1000;
 async function notifyFollowersOfApproval(creatorId) {
     if (!creatorId || !resend) return;
-    try {
-        const creator = await dbGet('SELECT display_name FROM users WHERE id=?', [creatorId]);
-        const creatorName = (creator && creator.display_name && creator.display_name.trim()) || 'Сътрудник';
-        const rows = await dbAll(
-            `SELECT f.follower_id, u.email, l.sent_at
-             FROM user_follows f
-             JOIN users u ON u.id = f.follower_id
-             LEFT JOIN follow_email_log l ON l.follower_id = f.follower_id AND l.creator_id = f.followee_id
-             WHERE f.followee_id = ?`,
-            [creatorId]
+    await enqueueJob('follow_digest', { creatorId });
+}
+async function sendFollowDigest({ creatorId }) {
+    const creator = await dbGet('SELECT display_name FROM users WHERE id=?', [creatorId]);
+    const creatorName = (creator && creator.display_name && creator.display_name.trim()) || 'Сътрудник';
+    const rows = await dbAll(
+        `SELECT f.follower_id, u.email, l.sent_at
+         FROM user_follows f
+         JOIN users u ON u.id = f.follower_id
+         LEFT JOIN follow_email_log l ON l.follower_id = f.follower_id AND l.creator_id = f.followee_id
+         WHERE f.followee_id = ?`,
+        [creatorId]
+    );
+    const now = Date.now();
+    let sent = 0;
+    for (const r of rows) {
+        if (!r.email) continue;
+        if (r.sent_at && now - Number(r.sent_at) < FOLLOW_EMAIL_WINDOW_MS) continue;   // throttled
+        await dbRun(
+            `INSERT INTO follow_email_log (follower_id, creator_id, sent_at) VALUES (?,?,?)
+             ON CONFLICT(follower_id, creator_id) DO UPDATE SET sent_at=excluded.sent_at`,
+            [r.follower_id, creatorId, now]
         );
-        const now = Date.now();
-        for (const r of rows) {
-            if (!r.email) continue;
-            if (r.sent_at && now - Number(r.sent_at) < FOLLOW_EMAIL_WINDOW_MS) continue;   // throttled
-            await dbRun(
-                `INSERT INTO follow_email_log (follower_id, creator_id, sent_at) VALUES (?,?,?)
-                 ON CONFLICT(follower_id, creator_id) DO UPDATE SET sent_at=excluded.sent_at`,
-                [r.follower_id, creatorId, now]
-            );
-            await sendEmail({
-                to: r.email,
-                subject: `Нови локации от ${creatorName} 🏛️`,
-                html: followDigestEmailHtml(creatorName, creatorId),
-            });
-        }
-    } catch (e) {
-        console.warn('follower digest failed:', e.message);
+        await sendEmail({
+            to: r.email,
+            subject: `Нови локации от ${creatorName} 🏛️`,
+            html: followDigestEmailHtml(creatorName, creatorId),
+        });
+        sent++;
     }
+    return { sent };
 }
 
 // Module-level HTML escaper for values dropped into email templates.
@@ -619,12 +805,17 @@ function newsletterEmailHtml(article, unsub) {
        </p>`;
     return emailLayout(body + footer, article.excerpt || ('Нова новина: ' + article.title));
 }
-// Email all opt-in subscribers about a freshly published article. Sequential with a
-// tiny gap to stay friendly to Resend's rate limits; each gets a personal unsub link.
+// Email all opt-in subscribers about a freshly published article. The 'newsletter'
+// job builds the recipient list and fans out one low-priority 'email' job per
+// address (the email handler paces delivery for Resend's rate limits); each gets a
+// personal unsub link. Dedupe keys make a re-run of the fan-out send nothing twice.
 async function sendNewsletter(article) {
     if (!resend) { console.warn('✉️  newsletter skipped - RESEND_API_KEY not set'); return; }
-    let users = [], guests = [];
-    try { users  = await dbAll('SELECT id,email FROM users WHERE newsletter=1'); } catch (e) { return; }
+    await enqueueJob('newsletter', article, { key: 'newsletter:' + article.slug });
+}
+async function fanOutNewsletter(article) {
+    const users  = await dbAll('SELECT id,email FROM users WHERE newsletter=1');
+    let guests = [];
     try { guests = await dbAll('SELECT email FROM newsletter_subscribers'); } catch (e) { guests = []; }
     // Build a de-duplicated recipient list; account holders keep their id-based unsub link.
     const seen = new Set();
@@ -641,33 +832,90 @@ async function sendNewsletter(article) {
         seen.add(key);
         recipients.push({ email: g.email, unsub: unsubEmailLink(g.email) });
     }
-    if (!recipients.length) return;
-    console.log(`✉️  sending newsletter "${article.title}" to ${recipients.length} subscriber(s)`);
+    if (!recipients.length) return { recipients: 0 };
+    console.log(`✉️  queueing newsletter "${article.title}" for ${recipients.length} subscriber(s)`);
     for (const r of recipients) {
-        await sendEmail({
+        await enqueueJob('email', {
             to: r.email,
             subject: 'Нова новина - ' + article.title,
             html: newsletterEmailHtml(article, r.unsub),
-        });
-        await new Promise(r => setTimeout(r, 120));   // ~8/sec, well under limits
+        }, { priority: -10, key: `newsletter:${article.slug}:${r.email.toLowerCase()}` });
     }
+    return { recipients: recipients.length };
 }
 
-function issueAuthCookie(res, user) {
-    const token = jwt.sign({ sub: user.id, role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES });
+// ── Sessions ──────────────────────────────────────────────────────────────────
+// Every login creates a sessions row (device, IP, when) and a JWT cookie naming it
+// (sid). The token is only honoured while its row exists, so deleting rows logs
+// people out at once: logout, "log out other devices", a password change or reset,
+// and an admin's ban, role change or 2FA reset. method records how the session
+// was opened ('register' | 'password' | 'password+totp' | 'password+passkey' | 'passkey').
+// A new session also clears the failed-login count and goes through the known-device
+// check (see "Login protection").
+async function issueAuthCookie(req, res, user, method) {
+    const sid = crypto.randomBytes(18).toString('base64url');
+    const now = Date.now();
+    await dbRun(`INSERT INTO sessions (id, user_id, created_at, last_seen_at, expires_at, ip, user_agent, method)
+                 VALUES (?,?,?,?,?,?,?,?)`,
+        [sid, user.id, new Date(now).toISOString(), new Date(now).toISOString(), new Date(now + SESSION_TTL_MS).toISOString(),
+         normIp(clientIp(req)), String(req.get('user-agent') || '').slice(0, 300) || null, method]);
+    await dbRun(`UPDATE users SET failed_logins=0, locked_until=CASE WHEN locked_until >= ? THEN locked_until ELSE 0 END
+                 WHERE id=? AND (failed_logins<>0 OR locked_until<>0)`, [LOCKED_UNTIL_RESET, user.id]);
+    await noteLoginDevice(req, res, user);
+    const token = jwt.sign({ sub: user.id, role: user.role, sid }, JWT_SECRET, { expiresIn: JWT_EXPIRES });
     res.cookie(AUTH_COOKIE, token, COOKIE_OPTS);
 }
 
-// Verify the JWT cookie on protected routes; attaches req.user = { sub, role }.
+// The cookie's claims { sub, role, sid } if it names a live session, else null.
+// last_seen_at (and the IP) are refreshed at most every SESSION_TOUCH_MS.
+async function sessionFromCookie(req) {
+    const token = req.cookies && req.cookies[AUTH_COOKIE];
+    if (!token) return null;
+    let claims;
+    try { claims = jwt.verify(token, JWT_SECRET); } catch { return null; }
+    if (!claims.sid) return null;   // issued before sessions existed
+    const now = new Date();
+    const row = await dbGet('SELECT user_id, last_seen_at, expires_at FROM sessions WHERE id=?', [claims.sid]);
+    if (!row || row.user_id !== claims.sub || row.expires_at <= now.toISOString()) return null;
+    if (now - Date.parse(row.last_seen_at) > SESSION_TOUCH_MS) {
+        await dbRun('UPDATE sessions SET last_seen_at=?, ip=? WHERE id=?', [now.toISOString(), normIp(clientIp(req)), claims.sid]);
+    }
+    return claims;
+}
+
+// End a user's sessions - all of them, or all but exceptSid. Returns how many.
+async function revokeSessions(userId, exceptSid = null) {
+    return (await dbRun('DELETE FROM sessions WHERE user_id=? AND id IS NOT ?', [userId, exceptSid])).changes;
+}
+
+// "Chrome · Windows"-style label for the device list. Best effort - the raw
+// user-agent is kept alongside it.
+function describeUserAgent(ua) {
+    ua = String(ua || '');
+    if (!ua) return 'Неизвестно устройство';
+    const browser = /Edg\//.test(ua) ? 'Edge' : /OPR\/|Opera/.test(ua) ? 'Opera' : /Firefox\//.test(ua) ? 'Firefox'
+        : /Chrome\/|CriOS\//.test(ua) ? 'Chrome' : /Safari\//.test(ua) ? 'Safari' : null;
+    const os = /Android/.test(ua) ? 'Android' : /iPhone|iPad|iPod/.test(ua) ? 'iOS' : /Windows/.test(ua) ? 'Windows'
+        : /Mac OS X|Macintosh/.test(ua) ? 'macOS' : /Linux/.test(ua) ? 'Linux' : null;
+    if (!browser && !os) return ua.slice(0, 60);
+    return [browser, os].filter(Boolean).join(' · ');
+}
+
+// Verify the session cookie on protected routes; attaches req.user = { sub, role, sid }.
+// API tokens are only honoured by requirePermission (see "API tokens"), so account
+// routes - password, 2FA, sessions, the tokens themselves - stay browser-only.
 function requireUser(req, res, next) {
+    if (bearerToken(req)) return res.status(401).json({ error: 'API tokens are not accepted here' });
     const token = req.cookies && req.cookies[AUTH_COOKIE];
     if (!token) return res.status(401).json({ error: 'Not authenticated' });
-    try {
-        req.user = jwt.verify(token, JWT_SECRET);
+    sessionFromCookie(req).then(claims => {
+        if (!claims) return res.status(401).json({ error: 'Invalid or expired session' });
+        req.user = claims;
         next();
-    } catch {
-        res.status(401).json({ error: 'Invalid or expired session' });
-    }
+    }, e => {
+        console.error('session check error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    });
 }
 // Email-verification gate for write actions. Chain AFTER requireUser. Reads the live
 // flag from the DB (the JWT predates verification, so we can't trust a claim).
@@ -703,7 +951,7 @@ async function issueVerification(userId, email) {
     await dbRun('UPDATE users SET verify_token_hash=?, verify_token_expires=? WHERE id=?',
         [sha256hex(token), expires, userId]);
     const link = `${DOMAIN}/api/auth/verify-email?token=${token}`;
-    return sendEmail({ to: email, subject: 'Потвърдете имейла си - Адресът на историята', html: verifyEmailHtml(link) });
+    return sendEmail({ to: email, subject: 'Потвърдете имейла си - Адресът на историята', html: verifyEmailHtml(link) }, { priority: 10 });
 }
 
 // Account claiming: attach any anonymous (guest) submissions made with this exact email
@@ -730,76 +978,193 @@ async function claimGuestSubmissions(userId, email) {
     }
 }
 
-// Role gate, e.g. requireUserRole('owner','admin')
-function requireUserRole(...roles) {
-    return (req, res, next) => requireUser(req, res, () => {
-        if (!roles.includes(req.user.role)) return res.status(403).json({ error: 'Forbidden' });
-        next();
-    });
+// ── Login protection ──────────────────────────────────────────────────────────
+// Per-account counterpart to rateLimitAuth (per IP, in memory): every wrong password
+// or 2FA code is logged in login_failures and counted on the account. From the
+// LOGIN_FREE_FAILURES-th miss in a row each one locks the account for twice as long
+// as the last (30 s, 1 min, 2 min … up to 30 min); a successful login resets it.
+// Passkey login stays open during such a lock - guessing can't produce a passkey.
+// Emails with no account lock the same way, counted from their login_failures rows,
+// so neither a 401 nor a 429 tells a guesser whether an email is registered.
+const LOGIN_FREE_FAILURES = 5;
+const LOGIN_LOCK_BASE_MS  = 30 * 1000;
+const LOGIN_LOCK_MAX_MS   = 30 * 60 * 1000;
+// locked_until for "locked until the password is reset" (the "this wasn't me" link).
+// Year 9999, the same sentinel as PERMANENT_BAN.
+const LOCKED_UNTIL_RESET  = 253370764800000;
+const LOGIN_FAILURE_RETENTION_DAYS = 90;
+
+// Visitor country from Cloudflare's CF-IPCountry header, if the site runs behind it.
+// Without it only the device is compared.
+function loginCountry(req) {
+    const c = String(req.get('cf-ipcountry') || '').toUpperCase();
+    return /^[A-Z]{2}$/.test(c) && c !== 'XX' ? c : null;
 }
-// Fine-grained permission gate (owners bypass). Reads live perms from the DB.
-function requireUserPermission(perm) {
-    return (req, res, next) => requireUser(req, res, async () => {
-        try {
-            const row = await dbGet('SELECT role, permissions FROM users WHERE id=?', [req.user.sub]);
-            if (!row) return res.status(401).json({ error: 'Not authenticated' });
-            if (row.role === 'owner') return next();
-            let perms = []; try { perms = JSON.parse(row.permissions || '[]'); } catch {}
-            if (!perms.includes(perm)) return res.status(403).json({ error: 'Forbidden' });
-            next();
-        } catch (e) { res.status(500).json({ error: 'Server error' }); }
-    });
+
+// Log a failed attempt. For a known account, count it and lock the account once past
+// the free attempts (attempts made while locked are logged but not counted); for an
+// unknown email the log itself is the count. Returns the locked_until if it is now
+// locked, else 0.
+async function recordLoginFailure(req, user, email, reason) {
+    await dbRun(`INSERT INTO login_failures (created_at, user_id, email, ip, country, user_agent, reason)
+                 VALUES (?,?,?,?,?,?,?)`,
+        [new Date().toISOString(), user ? user.id : null, String(email || '').slice(0, 254) || null,
+         normIp(clientIp(req)), loginCountry(req), String(req.get('user-agent') || '').slice(0, 300) || null, reason]);
+    if (reason === 'locked') return 0;
+    if (!user) return unknownEmailLock(email);
+    const row  = await dbGet('UPDATE users SET failed_logins = failed_logins + 1 WHERE id=? RETURNING failed_logins, locked_until', [user.id]);
+    const over = row.failed_logins - LOGIN_FREE_FAILURES;
+    if (over < 0) return 0;
+    const until = Date.now() + Math.min(LOGIN_LOCK_BASE_MS * 2 ** over, LOGIN_LOCK_MAX_MS);
+    if (until <= row.locked_until) return row.locked_until;
+    await dbRun('UPDATE users SET locked_until=? WHERE id=?', [until, user.id]);
+    return until;
 }
 
-// Moderator gate: role owner/moderator, OR the 'approve:photos' permission.
-// Re-reads from the DB so a freshly changed role/permission takes effect.
-function requireModerator(req, res, next) {
-    requireUser(req, res, async () => {
-        try {
-            const row = await dbGet('SELECT role, permissions, totp_enabled FROM users WHERE id=?', [req.user.sub]);
-            if (!row) return res.status(401).json({ error: 'Not authenticated' });
-            let perms = []; try { perms = JSON.parse(row.permissions || '[]'); } catch {}
-            if (row.role === 'owner' || row.role === 'admin' || row.role === 'moderator' || perms.includes('approve:photos')) {
-                req.user.role = row.role;
-                if (roleRequires2fa(row.role) && !row.totp_enabled) {
-                    return res.status(403).json({ error: 'TWOFA_REQUIRED', message: 'Двуфакторната автентикация е задължителна за екипа. Активирайте я в настройките на профила си.' });
-                }
-                return next();
-            }
-            return res.status(403).json({ error: 'Forbidden - moderators only' });
-        } catch (e) { res.status(500).json({ error: 'Server error' }); }
-    });
+// The lock an email with no account would be under: the same schedule as for an
+// account, over its 'unknown_email' misses (which never reset - nobody logs in).
+async function unknownEmailLock(email) {
+    email = String(email || '').slice(0, 254);
+    if (!email) return 0;
+    const row = await dbGet(`SELECT COUNT(*) AS n, MAX(created_at) AS last FROM login_failures
+                             WHERE email=? AND user_id IS NULL AND reason='unknown_email'`, [email]);
+    const over = row.n - LOGIN_FREE_FAILURES;
+    if (over < 0) return 0;
+    return Date.parse(row.last) + Math.min(LOGIN_LOCK_BASE_MS * 2 ** over, LOGIN_LOCK_MAX_MS);
 }
 
-// Owner-only gate, re-read from the DB (so role management is always current).
-function requireOwnerUser(req, res, next) {
-    requireUser(req, res, async () => {
-        try {
-            const row = await dbGet('SELECT role FROM users WHERE id=?', [req.user.sub]);
-            if (!row) return res.status(401).json({ error: 'Not authenticated' });
-            if (row.role !== 'owner') return res.status(403).json({ error: 'Forbidden - owner only' });
-            req.user.role = row.role;
-            next();
-        } catch (e) { res.status(500).json({ error: 'Server error' }); }
-    });
+// 429 + Retry-After for a temporary lock; 403 for one that holds until a password reset.
+function sendLoginLocked(res, lockedUntil) {
+    if (lockedUntil >= LOCKED_UNTIL_RESET) {
+        return res.status(403).json({ error: 'ACCOUNT_LOCKED', message: 'Профилът е заключен от съображения за сигурност. Задайте нова парола чрез „Забравена парола“, за да го отключите.' });
+    }
+    const secs = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+    res.setHeader('Retry-After', String(secs));
+    res.status(429).json({ error: 'LOGIN_LOCKED', retry_after: secs,
+        message: `Твърде много неуспешни опита за вход. Профилът е временно заключен - опитайте отново след ${secs < 60 ? secs + ' сек.' : Math.ceil(secs / 60) + ' мин.'}` });
+}
+
+// Known devices: the browser carries a random id in a long-lived cookie (stored
+// hashed). A login from a device or country the account hasn't used before sends a
+// notification email whose "this wasn't me" link locks the account. Accounts with
+// no history yet (new, or older than this check) just start one, silently.
+const DEVICE_COOKIE = 'ha_device';
+const DEVICE_COOKIE_OPTS = { httpOnly: true, sameSite: 'strict', secure: COOKIE_SECURE, path: '/', maxAge: 2 * 365 * 24 * 60 * 60 * 1000 };
+async function noteLoginDevice(req, res, user) {
+    let device = req.cookies && req.cookies[DEVICE_COOKIE];
+    if (!/^[\w-]{22,64}$/.test(device || '')) device = crypto.randomBytes(16).toString('base64url');
+    res.cookie(DEVICE_COOKIE, device, DEVICE_COOKIE_OPTS);
+    const hash = sha256hex(device), country = loginCountry(req) || '', now = new Date().toISOString();
+    const seen = await dbGet(
+        'SELECT COUNT(*) AS n, SUM(device_hash=?) AS device, SUM(country=?) AS country FROM login_devices WHERE user_id=?',
+        [hash, country, user.id]);
+    await dbRun(`INSERT INTO login_devices (user_id, device_hash, country, first_seen_at, last_seen_at) VALUES (?,?,?,?,?)
+                 ON CONFLICT(user_id, device_hash, country) DO UPDATE SET last_seen_at=excluded.last_seen_at`,
+        [user.id, hash, country, now, now]);
+    if (!seen.n || (seen.device && (!country || seen.country))) return;
+    const u = await dbGet('SELECT email FROM users WHERE id=?', [user.id]);
+    if (!u) return;
+    sendEmail({ to: u.email, subject: 'Нов вход в профила Ви', html: newLoginEmailHtml({
+        device: describeUserAgent(req.get('user-agent')), ip: normIp(clientIp(req)), country,
+        link: notMeLink(user.id, hash),
+    }) }, { priority: 10 }).catch(() => {});
+}
+// "This wasn't me" link for a security email (see /api/auth/not-me). deviceHash is
+// the login_devices entry to forget along with the lock; `at` (ms) makes it single-use.
+function notMeLink(userId, deviceHash) {
+    const token = jwt.sign({ notme: userId, dev: deviceHash, at: Date.now() }, JWT_SECRET, { expiresIn: '7d' });
+    return `${DOMAIN}/api/auth/not-me?token=${encodeURIComponent(token)}`;
 }
 
 // ── Role hierarchy: user < moderator < admin < owner ──────────────────────────
+// Ranks decide who may manage whom (ban, change role, edit profile); what anyone may
+// DO is decided by permissions (below).
 const ROLE_RANK = { user: 0, moderator: 1, admin: 2, owner: 3 };
 function roleRank(r) { return ROLE_RANK[r] || 0; }
-// Gate by minimum role. Re-reads the live role from the DB (the JWT only carries the
-// role at issue time) and attaches it as req.user.role.
-function requireRole(minRole) {
-    const min = ROLE_RANK[minRole] || 0;
-    return (req, res, next) => requireUser(req, res, async () => {
+// Account-level actions (rename, reset 2FA, unlock, delete): owners reach anyone,
+// everyone else only lower ranks.
+function canManageUser(actorRole, targetRole) {
+    return actorRole === 'owner' || roleRank(targetRole) < roleRank(actorRole);
+}
+const NOT_YOUR_USER = 'Нямате права над този потребител.';
+
+// ── Permissions ───────────────────────────────────────────────────────────────
+// Every staff route is gated by a named permission. A user's permissions are their
+// role's preset (roles table, editable by holders of roles.edit) plus individual
+// grants in users.permissions; owners always hold all of them. `area` says which
+// staff page a permission is used on, so the header can link to it.
+const PERMISSIONS = {
+    'moderation.review':  { group: 'Модерация',  area: 'moderation', label: 'Преглед на предложения и корекции, вътрешни бележки' },
+    'moderation.approve': { group: 'Модерация',  area: 'moderation', label: 'Одобряване, връщане и отхвърляне на предложения и корекции' },
+    'moderation.assign':  { group: 'Модерация',  area: 'moderation', label: 'Възлагане на предложения и статистика на екипа' },
+    'homes.edit':         { group: 'Адреси',     area: 'dashboard',  label: 'Добавяне и редакция на адреси, история на промените' },
+    'homes.delete':       { group: 'Адреси',     area: 'dashboard',  label: 'Изтриване на адреси и кошче за адреси' },
+    'homes.import':       { group: 'Адреси',     area: 'dashboard',  label: 'Масов импорт и синхронизация с Google Drive' },
+    'media.manage':       { group: 'Адреси',     area: 'dashboard',  label: 'Качване на снимки, дубликати и воден знак' },
+    'news.publish':       { group: 'Съдържание', area: 'dashboard',  label: 'Новини' },
+    'partners.edit':      { group: 'Съдържание', area: 'dashboard',  label: 'Партньори' },
+    'team.edit':          { group: 'Съдържание', area: 'dashboard',  label: 'Екип' },
+    'users.view':         { group: 'Потребители', area: 'moderation', label: 'Списък с потребители, имейли и EXIF данни на снимки' },
+    'users.edit':         { group: 'Потребители', area: 'moderation', label: 'Модерация на публични профили' },
+    'users.ban':          { group: 'Потребители', area: 'moderation', label: 'Блокиране на потребители' },
+    'users.roles':        { group: 'Потребители', area: 'dashboard',  label: 'Смяна на роли и индивидуални права' },
+    'users.manage':       { group: 'Потребители', area: 'moderation', label: 'Преименуване, нулиране на 2FA, отключване и изтриване на профили' },
+    'roles.edit':         { group: 'Система',    area: 'dashboard',  label: 'Редакция на правата на ролите' },
+    'security.ip':        { group: 'Система',    area: 'dashboard',  label: 'IP черен списък' },
+    'audit.view':         { group: 'Система',    area: 'dashboard',  label: 'Одит и неуспешни входове' },
+    'system.jobs':        { group: 'Система',    area: 'dashboard',  label: 'Фонови задачи' },
+    'system.storage':     { group: 'Система',    area: 'dashboard',  label: 'Почистване на хранилището' },
+    'system.backup':      { group: 'Система',    area: 'dashboard',  label: 'Изтегляне на резервно копие на базата' },
+};
+// Roles with an editable preset; owner is fixed to everything.
+const PRESET_ROLES = ['user', 'moderator', 'admin'];
+// Column for SELECTs FROM users: the role preset alongside the individual grants.
+const ROLE_PERMS_SQL = '(SELECT permissions FROM roles WHERE roles.role = users.role) AS role_permissions';
+
+// Known permission names from a stored JSON list (unknown/legacy names dropped).
+function parsePermissions(json) {
+    let list = [];
+    try { list = JSON.parse(json || '[]'); } catch {}
+    return Array.isArray(list) ? [...new Set(list.filter(p => Object.hasOwn(PERMISSIONS, p)))] : [];
+}
+// Effective permissions of a users row selected with ROLE_PERMS_SQL, as a Set.
+function effectivePermissions(row) {
+    if (!row) return new Set();
+    if (row.role === 'owner') return new Set(Object.keys(PERMISSIONS));
+    return new Set([...parsePermissions(row.role_permissions), ...parsePermissions(row.permissions)]);
+}
+async function userPermissions(userId) {
+    return effectivePermissions(await dbGet(`SELECT role, permissions, ${ROLE_PERMS_SQL} FROM users WHERE id=?`, [userId]));
+}
+// Staff - any role from moderator up, or anyone holding a permission - must have 2FA.
+function staffRequires2fa(role, perms) { return roleRequires2fa(role) || perms.size > 0; }
+
+// Gate by permission (any one of those listed). Accepts the session cookie or an API
+// token. Re-reads the live role and grants from the DB (the JWT only carries the role
+// at issue time) and attaches req.user.role and req.user.perms (a Set) - for a token,
+// only what its scopes allow.
+function requirePermission(...needed) { return permissionGate(null, needed); }
+// Same, for a route that has a token scope of its own (e.g. uploads) rather than one
+// implied by its permissions.
+function requireScopedPermission(scope, ...needed) {
+    if (!Object.hasOwn(TOKEN_SCOPES, scope)) throw new Error(`Unknown token scope "${scope}"`);
+    return permissionGate(scope, needed);
+}
+function permissionGate(scope, needed) {
+    for (const p of needed) if (!Object.hasOwn(PERMISSIONS, p)) throw new Error(`Unknown permission "${p}"`);
+    const authenticate = (req, res, next) => (bearerToken(req) ? requireApiToken(req, res, next) : requireUser(req, res, next));
+    return (req, res, next) => authenticate(req, res, async () => {
         try {
-            const row = await dbGet('SELECT role, totp_enabled FROM users WHERE id=?', [req.user.sub]);
+            const row = await dbGet(`SELECT role, permissions, totp_enabled, ${HAS_PASSKEY_SQL}, ${ROLE_PERMS_SQL} FROM users WHERE id=?`, [req.user.sub]);
             if (!row) return res.status(401).json({ error: 'Not authenticated' });
-            req.user.role = row.role;
-            if (roleRank(row.role) < min) return res.status(403).json({ error: 'Forbidden' });
-            if (roleRequires2fa(row.role) && !row.totp_enabled) {
+            req.user.role  = row.role;
+            req.user.perms = effectivePermissions(row);
+            if (req.user.token) req.user.perms = tokenPermissions(req.user.perms, req.user.token.scopes, req.method, scope);
+            if (!needed.some(p => req.user.perms.has(p))) return res.status(403).json({ error: 'Forbidden' });
+            if (staffRequires2fa(row.role, req.user.perms) && !hasSecondFactor(row)) {
                 return res.status(403).json({ error: 'TWOFA_REQUIRED', message: 'Двуфакторната автентикация е задължителна за екипа. Активирайте я в настройките на профила си.' });
             }
+            auditStart(req, res);
             next();
         } catch (e) { res.status(500).json({ error: 'Server error' }); }
     });
@@ -809,6 +1174,115 @@ function isBanned(bannedUntil) { return !!bannedUntil && Number(bannedUntil) > D
 // Sentinel epoch for a permanent ban (year 9999) — well past the 50-year "permanent" cutoff.
 const PERMANENT_BAN = 253370764800000;
 
+// ── API tokens ────────────────────────────────────────────────────────────────
+// Personal tokens for scripts and integrations (import scripts, a partner's CMS),
+// sent as "Authorization: Bearer ha_…". Only the SHA-256 is stored. A token acts as
+// its owner but only within its scopes, never on account routes (requireUser), and
+// stops working while the owner is banned or locked out.
+const API_TOKEN_PREFIX    = 'ha_';
+const API_TOKEN_DAYS      = [7, 30, 90, 365];      // expiry choices offered on creation
+const API_TOKEN_MAX       = 20;                    // per user
+const API_TOKEN_TOUCH_MS  = 60 * 1000;             // last_used_at granularity
+// `perms` are the permissions a scope unlocks; `reads` those it unlocks for GETs only.
+// read covers the content areas; people's data (emails, EXIF positions, the audit and
+// failed-login logs) and system pages need read:private on top.
+const TOKEN_SCOPES = {
+    'read':         { label: 'Четене на съдържание', perms: [],
+                      reads: ['moderation.review', 'moderation.approve', 'moderation.assign', 'homes.edit', 'homes.delete',
+                              'homes.import', 'media.manage', 'news.publish', 'partners.edit', 'team.edit'] },
+    'read:private': { label: 'Четене на потребители, одит и системни данни', perms: [],
+                      reads: ['users.view', 'users.edit', 'users.ban', 'users.roles', 'users.manage', 'roles.edit',
+                              'security.ip', 'audit.view', 'system.jobs', 'system.storage', 'system.backup'] },
+    'homes:write':  { label: 'Добавяне, редакция и изтриване на адреси', perms: ['homes.edit', 'homes.delete', 'homes.import'] },
+    'uploads':      { label: 'Качване на снимки', perms: [] },
+    'moderation':   { label: 'Модерация на предложения', perms: ['moderation.review', 'moderation.approve', 'moderation.assign'] },
+};
+
+function bearerToken(req) {
+    const m = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return m ? m[1] : null;
+}
+function parseScopes(json) {
+    let list = [];
+    try { list = JSON.parse(json || '[]'); } catch {}
+    return Array.isArray(list) ? list.filter(s => Object.hasOwn(TOKEN_SCOPES, s)) : [];
+}
+// The owner's permissions a token may use on this request: on a route with its own
+// scope, all or nothing depending on whether the token has it; otherwise only those
+// its scopes unlock (plus their `reads` for a GET).
+function tokenPermissions(perms, scopes, method, routeScope) {
+    if (routeScope) return scopes.includes(routeScope) ? perms : new Set();
+    const reading = method === 'GET' || method === 'HEAD';
+    const covered = new Set(scopes.flatMap(s => TOKEN_SCOPES[s].perms.concat(reading && TOKEN_SCOPES[s].reads || [])));
+    return new Set([...perms].filter(p => covered.has(p)));
+}
+// Authenticate a Bearer token; attaches req.user = { sub, role, token: { id, scopes } }
+// and applies the per-token rate limit.
+function requireApiToken(req, res, next) {
+    const raw = bearerToken(req);
+    (async () => {
+        if (!raw.startsWith(API_TOKEN_PREFIX)) return null;
+        const now = new Date();
+        const row = await dbGet(
+            `SELECT t.id, t.user_id, t.scopes, t.expires_at, t.last_used_at, u.role, u.banned_until, u.locked_until
+             FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.token_hash=?`, [sha256hex(raw)]);
+        if (!row || row.expires_at <= now.toISOString()) return null;
+        if (isBanned(row.banned_until) || Number(row.locked_until) >= LOCKED_UNTIL_RESET) return null;
+        if (!row.last_used_at || now - Date.parse(row.last_used_at) > API_TOKEN_TOUCH_MS) {
+            await dbRun('UPDATE api_tokens SET last_used_at=?, last_used_ip=? WHERE id=?', [now.toISOString(), normIp(clientIp(req)), row.id]);
+        }
+        return { sub: row.user_id, role: row.role, token: { id: row.id, scopes: parseScopes(row.scopes) } };
+    })().then(user => {
+        if (!user) return res.status(401).json({ error: 'Invalid or expired API token' });
+        req.user = user;
+        rateLimitApiToken(req, res, next);
+    }, e => {
+        console.error('api token check error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    });
+}
+
+// ── Audit log ─────────────────────────────────────────────────────────────────
+// requirePermission calls auditStart() for every non-GET request.
+// When the response finishes successfully one audit_log row is written. Routes
+// describe what happened with audit(req, { action, target, before, after });
+// otherwise the entry falls back to "<METHOD> <route>" and the URL params.
+// Request bodies are never logged wholesale (they can contain passwords).
+function auditStart(req, res) {
+    if (req.method === 'GET' || req.method === 'HEAD' || req.auditEntry) return;
+    req.auditEntry = {};
+    res.on('finish', () => {
+        const a = req.auditEntry;
+        if (res.statusCode >= 400 || a.skip) return;
+        const json   = v => (v === undefined || v === null ? null : JSON.stringify(v));
+        const route  = req.route ? req.route.path : req.path;
+        const params = Object.values(req.params || {}).join('/');
+        dbRun(`INSERT INTO audit_log (created_at, actor_id, actor_name, actor_role, ip, action, target, before_json, after_json)
+               VALUES (?, ?, (SELECT COALESCE(display_name, email) FROM users WHERE id=?), ?, ?, ?, ?, ?, ?)`,
+            [new Date().toISOString(), req.user.sub, req.user.sub, req.user.role || null, normIp(clientIp(req)),
+             a.action || `${req.method} ${route}`, a.target || params || null, json(a.before), json(a.after)])
+            .catch(e => console.error('audit log error:', e.message));
+    });
+}
+function audit(req, fields) {
+    if (req.auditEntry) Object.assign(req.auditEntry, fields);
+}
+// Reduce two objects to just the keys that changed, for compact before/after.
+function auditChanges(before, after) {
+    const b = {}, a = {};
+    for (const k of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+        const x = before ? before[k] : undefined, y = after ? after[k] : undefined;
+        if (JSON.stringify(x) !== JSON.stringify(y)) { b[k] = x ?? null; a[k] = y ?? null; }
+    }
+    return { before: b, after: a };
+}
+// Same for two home snapshots, limited to the fields revisions track.
+function auditHomeChanges(before, after) {
+    const b = {}, a = {};
+    for (const c of diffSnapshots(before, after)) { b[c.field] = c.from; a[c.field] = c.to; }
+    return { before: b, after: a };
+}
+
 // ── TOTP 2FA helpers ──────────────────────────────────────────────────────────
 authenticator.options = { window: 2 };   // tolerate ±2 steps (±60 s) of clock drift → fewer false "invalid code"
 
@@ -841,7 +1315,8 @@ function decryptSecret(blob) {
         return Buffer.concat([d.update(Buffer.from(enc, 'base64')), d.final()]).toString('utf8');
     } catch { return null; }
 }
-// Staff (moderator and up) MUST have 2FA; regular users opt in.
+// Staff (moderator and up) MUST have 2FA - an authenticator app or a passkey; regular
+// users opt in.
 function roleRequires2fa(role) { return roleRank(role) >= ROLE_RANK.moderator; }
 // Normalise a backup code for hashing/compare (strip formatting, upper-case).
 function normBackup(c) { return String(c).toUpperCase().replace(/[^A-Z0-9]/g, ''); }
@@ -881,6 +1356,65 @@ function check2faCode(user, code) {
 function sign2faPending(userId) { return jwt.sign({ p2fa: userId }, JWT_SECRET, { expiresIn: '5m' }); }
 function verify2faPending(token) { try { return jwt.verify(token, JWT_SECRET).p2fa || null; } catch { return null; } }
 
+// ── Passkeys (WebAuthn) ───────────────────────────────────────────────────────
+// A passkey is a login method on its own (with user verification - PIN/biometrics -
+// so it is two factors in one) and a second factor after the password. Staff may use
+// one instead of an authenticator app. The RP ID / origins must match the address in
+// the browser: the site's domain in production, localhost:PORT in development.
+const WEBAUTHN_RP_NAME = 'Адресът на историята';
+const WEBAUTHN_RP_ID   = process.env.WEBAUTHN_RP_ID || (COOKIE_SECURE ? new URL(DOMAIN).hostname : 'localhost');
+const WEBAUTHN_ORIGINS = (process.env.WEBAUTHN_ORIGINS || (COOKIE_SECURE ? DOMAIN : `http://localhost:${PORT}`))
+    .split(',').map(s => s.trim()).filter(Boolean);
+const MAX_PASSKEYS = 10;
+// Selects has_passkey alongside a users row, for hasSecondFactor().
+const HAS_PASSKEY_SQL = 'EXISTS (SELECT 1 FROM passkeys WHERE user_id = users.id) AS has_passkey';
+function hasSecondFactor(row) { return !!row.totp_enabled || !!row.has_passkey; }
+
+// Outstanding challenges: challenge → { purpose, userId, expires }. Each is good for
+// one ceremony within 5 minutes, so a captured response can't be replayed.
+const webauthnChallenges = new Map();
+function rememberChallenge(challenge, purpose, userId) {
+    const now = Date.now();
+    if (webauthnChallenges.size > 10000) for (const [k, v] of webauthnChallenges) if (now > v.expires) webauthnChallenges.delete(k);
+    webauthnChallenges.set(challenge, { purpose, userId: userId || null, expires: now + 5 * 60 * 1000 });
+}
+// expectedChallenge callback: consumes the challenge and checks it was issued for this.
+function takeChallenge(purpose, userId) {
+    return challenge => {
+        const c = webauthnChallenges.get(challenge);
+        webauthnChallenges.delete(challenge);
+        return !!c && c.expires > Date.now() && c.purpose === purpose && c.userId === (userId || null);
+    };
+}
+function passkeyTransports(row) { try { return JSON.parse(row.transports || '[]'); } catch { return []; } }
+
+// Verify a login assertion. userId pins it to one account (the 2FA step); without it
+// any registered passkey may answer (passwordless login). Returns the passkeys row,
+// with its counter bumped, or null.
+async function verifyPasskeyAssertion(response, { purpose, userId = null, requireUserVerification }) {
+    const id  = response && typeof response.id === 'string' ? response.id : '';
+    const row = id && await dbGet('SELECT * FROM passkeys WHERE id=?', [id]);
+    if (!row || (userId && row.user_id !== userId)) return null;
+    let v;
+    try {
+        v = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge: takeChallenge(purpose, userId),
+            expectedOrigin: WEBAUTHN_ORIGINS,
+            expectedRPID: WEBAUTHN_RP_ID,
+            credential: { id: row.id, publicKey: row.public_key, counter: row.counter, transports: passkeyTransports(row) },
+            requireUserVerification,
+        });
+    } catch (e) {
+        console.warn('passkey assertion rejected:', e.message);
+        return null;
+    }
+    if (!v.verified) return null;
+    await dbRun('UPDATE passkeys SET counter=?, backed_up=?, last_used_at=? WHERE id=?',
+        [v.authenticationInfo.newCounter, v.authenticationInfo.credentialBackedUp ? 1 : 0, new Date().toISOString(), row.id]);
+    return row;
+}
+
 // ─── Cyrillic → Latin slug helpers (for crowdsourced titles) ─────────────────────
 const TRANSLIT = {
     а:'a',б:'b',в:'v',г:'g',д:'d',е:'e',ж:'zh',з:'z',и:'i',й:'y',к:'k',л:'l',м:'m',
@@ -894,15 +1428,26 @@ function slugifyTitle(title) {
         .replace(/(^-|-$)/g, '');
     return s || ('obekt-' + randomSuffix());
 }
-async function uniqueHomeSlug(base) {
+// `taken` (optional Set) reserves slugs not yet written, e.g. earlier rows of a bulk import.
+// Trashed homes don't count: a new place takes the slug over (see releaseTrashedSlug).
+async function uniqueHomeSlug(base, taken) {
     let slug = base, n = 2;
-    // Append -2, -3… until the slug (and id) is free in homes.
+    // Append -2, -3… until the slug (and id) is free among live homes.
     /* eslint-disable no-await-in-loop */
-    while (await dbGet('SELECT 1 FROM homes WHERE slug=? OR id=?', [slug, slug])) {
+    while ((taken && taken.has(slug)) || await dbGet('SELECT 1 FROM homes WHERE (slug=? OR id=?) AND deleted_at IS NULL', [slug, slug])) {
         slug = base + '-' + n++;
     }
     return slug;
 }
+// Id for a new place: its slug, unless a trashed home still holds that id.
+async function newHomeId(slug) {
+    if (!(await dbGet('SELECT 1 FROM homes WHERE id=?', [slug]))) return slug;
+    return slug + '-' + randomSuffix();
+}
+// A trashed home gives up its slug to a live one; restoring it later picks a free one.
+async function releaseTrashedSlug(slug) {
+    if (slug) await dbRun('UPDATE homes SET slug=NULL WHERE slug=? AND deleted_at IS NOT NULL', [slug]);
+}
 
 // Strip HTML/scripts from free-text fields before they are stored. These fields
 // are always plain text, so removing tags (and control chars) neutralises stored
@@ -916,6 +1461,12 @@ function sanitizeText(s, max = 5000) {
         .slice(0, max);
 }
 
+// A real YYYY-MM-DD calendar date (rejects 1848-13-06, 2023-02-30 …).
+function isCalendarDate(d) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(d + 'T00:00:00Z'))
+        && new Date(d + 'T00:00:00Z').toISOString().slice(0, 10) === d;
+}
+
 function clientIp(req) {
     return (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress || 'unknown';
 }
@@ -967,6 +1518,12 @@ const rateLimitActivity = makeRateLimiter({
     key: req => (req.user && req.user.sub) || clientIp(req),
     message: 'Твърде много заявки. Опитайте отново след малко.',
 });
+// Per API token, so one runaway script can't starve the site.
+const rateLimitApiToken = makeRateLimiter({
+    windowMs: 60 * 1000, max: 120,
+    key: req => 'token:' + req.user.token.id,
+    message: 'Твърде много заявки с този API ключ. Опитайте отново след малко.',
+});
 // Throttle public newsletter sign-ups (per IP) to curb abuse.
 const rateLimitSubscribe = makeRateLimiter({
     windowMs: 60 * 60 * 1000, max: 15,
@@ -1021,14 +1578,14 @@ app.use((req, res, next) => {
 // the page's own assets, the favicon, the login page + auth API (so an owner can
 // sign in), and /api/health (so the host's health check doesn't restart us). A
 // logged-in owner bypasses everything and keeps using the live site.
-// Cookie role check (owner, or admin+) used by the maintenance bypass. Reads the
-// signed user-JWT cookie; never trusts a client claim.
-function cookieRoleAtLeast(req, minRole) {
-    try {
-        const t = req.cookies && req.cookies[AUTH_COOKIE];
-        if (!t) return false;
-        const role = jwt.verify(t, JWT_SECRET).role;
-        return (ROLE_RANK[role] || 0) >= (ROLE_RANK[minRole] || 0);
+// Cookie check used by the maintenance bypass: does the live session belong to
+// someone holding a dashboard permission? Never trusts a client claim.
+async function cookieHasDashboardAccess(req) {
+    try {
+        const claims = await sessionFromCookie(req);
+        if (!claims) return false;
+        for (const p of await userPermissions(claims.sub)) if (PERMISSIONS[p].area === 'dashboard') return true;
+        return false;
     } catch { return false; }
 }
 
@@ -1039,10 +1596,10 @@ const MAINT_ALLOW = new Set([
     '/maintenance.html', '/login.html', '/favicon.ico', '/api/health',
     '/admin/dashboard.html', '/admin/dashboard.js',
 ]);
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
     if (process.env.MAINTENANCE_MODE !== 'true') return next();
     if (req.path.startsWith('/assets/') || MAINT_ALLOW.has(req.path)) return next();
-    if (cookieRoleAtLeast(req, 'admin')) return next();           // staff keep full access
+    if (await cookieHasDashboardAccess(req)) return next();        // staff keep full access
     if (req.path.startsWith('/api/auth/')) return next();         // allow the user login flow
     if (req.path.startsWith('/api/')) {
         return res.status(503).json({ error: 'Сайтът е в техническа поддръжка. Опитайте по-късно.' });
@@ -1173,7 +1730,7 @@ app.get('/address.html', async (req, res, next) => {
     try {
         let data = cache.get(`home:${slug}`);          // reuse the /api/homes/:slug cache if warm
         if (!data) {
-            const row = await dbGet('SELECT * FROM homes WHERE slug=? OR id=?', [slug, slug]);
+            const row = await dbGet('SELECT * FROM homes WHERE (slug=? OR id=?) AND deleted_at IS NULL', [slug, slug]);
             if (!row) return next();                   // unknown slug → static (client handles it)
             data = rowToHome(row);
         }
@@ -1194,6 +1751,27 @@ app.get('/user/:id', (_req, res) => {
     res.sendFile(path.join(__dirname, 'user.html'));
 });
 
+// ── Local media (STORAGE_DRIVER=local) ────────────────────────────────────────
+// Keys are never rewritten in place, so files can be cached forever - same as R2.
+if (storage.name === 'local') {
+    app.use('/media', express.static(storage.dir, {
+        etag: true, index: false, dotfiles: 'deny',
+        setHeaders: (res, filePath) => {
+            res.setHeader('Content-Type', contentTypeFor(filePath));
+            res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        },
+    }));
+    app.use('/media', (_req, res) => res.status(404).end());
+}
+
+// With the DB next to the code, the default backup dir sits inside the static root.
+if (backupStorage && backupStorage.dir) {
+    const rel = path.relative(__dirname, backupStorage.dir);
+    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) {
+        app.use('/' + rel.split(path.sep).join('/'), (_req, res) => res.status(404).end());
+    }
+}
+
 // ── Static files ──────────────────────────────────────────────────────────────
 // HTML must always revalidate (otherwise edited pages stay stale for up to a day);
 // hashed/versioned assets can cache long.
@@ -1221,457 +1799,126 @@ if (!fs.existsSync(dbDir)) fs.mkdirSync(dbDir, { recursive: true });
 try { fs.accessSync(dbDir, fs.constants.W_OK); }
 catch { console.error('❌ DB directory not writable:', dbDir); process.exit(1); }
 
-const db = new sqlite3.Database(DB_FILE, err => {
-    if (err) { console.error('❌ DB open failed:', err); process.exit(1); }
+// WAL, a 5 s busy timeout and foreign keys come with openDatabase (database.js).
+// Foreign keys enforce referential integrity for the user system (user_activity →
+// users etc.).
+let db;
+try {
+    db = openDatabase(DB_FILE, { pragmas: [
+        'temp_store = MEMORY',
+        `cache_size = ${LOW_SPEC ? -2000 : -64000}`,
+        'mmap_size  = 0',
+    ] });
     console.log('✅ SQLite connected:', DB_FILE);
-});
-
-// PRAGMA tuning
-db.serialize(() => {
-    db.run('PRAGMA journal_mode = WAL');
-    db.run('PRAGMA synchronous  = NORMAL');
-    db.run('PRAGMA temp_store   = MEMORY');
-    db.run('PRAGMA busy_timeout = 5000');
-    db.run(`PRAGMA cache_size   = ${LOW_SPEC ? -2000 : -64000}`);
-    db.run('PRAGMA mmap_size    = 0');
-    // Enforce referential integrity for the user system (user_activity → users).
-    // No existing table declares a foreign key, so this does not affect homes/
-    // partners/news/team behaviour in any way.
-    db.run('PRAGMA foreign_keys  = ON');
-});
+} catch (err) {
+    console.error('❌ DB open failed:', err);
+    process.exit(1);
+}
 
 // ─── Schema init ─────────────────────────────────────────────────────────────
+// The schema lives in numbered migrations under migrations/ (see migrations.js);
+// `node migrate-db.js` shows which are applied. Pending ones run here, before the
+// server starts listening - a failed migration rolls back and stops the boot.
+// What follows them is data upkeep, not schema: caches, backfills and seeding.
 
-function initDB() {
-    db.serialize(() => {
-        // Homes
-        db.run(`CREATE TABLE IF NOT EXISTS homes (
-            id          TEXT PRIMARY KEY,
-            slug        TEXT UNIQUE,
-            name        TEXT NOT NULL,
-            biography   TEXT,
-            address     TEXT,
-            lat         REAL,
-            lng         REAL,
-            images      TEXT,
-            photo_date  TEXT,
-            sources     TEXT,
-            tags        TEXT,
-            published   INTEGER DEFAULT 1,
-            created_at  TEXT,
-            updated_at  TEXT,
-            portrait_url TEXT,
-            birth_date  TEXT,
-            death_date  TEXT,
-            date_label  TEXT,
-            category    TEXT DEFAULT 'home',
-            name_lower  TEXT,
-            credited_to TEXT
-        )`);
-        db.run('CREATE INDEX IF NOT EXISTS idx_homes_published ON homes(published)');
-        db.run('CREATE INDEX IF NOT EXISTS idx_homes_slug      ON homes(slug)');
-        db.run('CREATE INDEX IF NOT EXISTS idx_homes_name      ON homes(name)');
-        // NOTE: idx_homes_category is created in migrateHomes() - only after the
-        // `category` column is guaranteed to exist (older DBs add it via ALTER).
-
-        // ── Related places: a self-referencing many-to-many on homes ──────────────
-        // A row (home_id → related_id) is one directional link the admin set on
-        // `home_id`. The detail page shows the UNION of a home's outgoing and incoming
-        // links, so a single stored link surfaces on BOTH places' pages. ON DELETE
-        // CASCADE keeps it clean when a home is removed.
-        db.run(`CREATE TABLE IF NOT EXISTS related_places (
-            home_id    TEXT NOT NULL,
-            related_id TEXT NOT NULL,
-            created_at TEXT,
-            PRIMARY KEY (home_id, related_id),
-            FOREIGN KEY (home_id)    REFERENCES homes(id) ON DELETE CASCADE,
-            FOREIGN KEY (related_id) REFERENCES homes(id) ON DELETE CASCADE
-        )`);
-        db.run('CREATE INDEX IF NOT EXISTS idx_related_home    ON related_places(home_id)');
-        db.run('CREATE INDEX IF NOT EXISTS idx_related_related ON related_places(related_id)');
-
-        // Partners
-        db.run(`CREATE TABLE IF NOT EXISTS partners (
-            id            TEXT PRIMARY KEY,
-            name          TEXT NOT NULL,
-            description   TEXT,
-            logo_url      TEXT,
-            website       TEXT,
-            instagram     TEXT,
-            email         TEXT,
-            published     INTEGER DEFAULT 1,
-            display_order INTEGER DEFAULT 0,
-            created_at    TEXT,
-            updated_at    TEXT
-        )`);
-
-        // News
-        db.run(`CREATE TABLE IF NOT EXISTS news (
-            id             INTEGER PRIMARY KEY AUTOINCREMENT,
-            title          TEXT NOT NULL,
-            slug           TEXT UNIQUE NOT NULL,
-            content        TEXT NOT NULL,
-            excerpt        TEXT,
-            cover_image    TEXT,
-            published_date TEXT NOT NULL,
-            author         TEXT DEFAULT 'Екипът на Адресът на историята',
-            is_published   INTEGER DEFAULT 1,
-            created_at     TEXT DEFAULT CURRENT_TIMESTAMP,
-            updated_at     TEXT DEFAULT CURRENT_TIMESTAMP
-        )`);
-        db.run('CREATE INDEX IF NOT EXISTS idx_news_slug      ON news(slug)');
-        db.run('CREATE INDEX IF NOT EXISTS idx_news_published ON news(is_published, published_date DESC)');
-        db.run('ALTER TABLE news ADD COLUMN link TEXT', () => {});            // optional external link
-        db.run('ALTER TABLE news ADD COLUMN place TEXT', () => {});           // city dateline (e.g. "Пловдив")
-        db.run('ALTER TABLE news ADD COLUMN is_featured INTEGER DEFAULT 0', () => {}); // shown in the news carousel
-
-        // Public newsletter sign-ups that aren't tied to a user account.
-        db.run(`CREATE TABLE IF NOT EXISTS newsletter_subscribers (
-            id          INTEGER PRIMARY KEY AUTOINCREMENT,
-            email       TEXT UNIQUE NOT NULL,
-            created_at  TEXT DEFAULT CURRENT_TIMESTAMP
-        )`);
-
-        // Team
-        db.run(`CREATE TABLE IF NOT EXISTS team (
-            id            INTEGER PRIMARY KEY AUTOINCREMENT,
-            name          TEXT NOT NULL,
-            role          TEXT,
-            bio           TEXT,
-            photo         TEXT,
-            display_order INTEGER DEFAULT 0,
-            is_published  INTEGER DEFAULT 1,
-            created_at    TEXT DEFAULT CURRENT_TIMESTAMP
-        )`);
-        db.run('CREATE INDEX IF NOT EXISTS idx_team_order ON team(display_order, is_published)');
-
-        // ── IP blacklist (owner-managed permanent bans) ──
-        db.run(`CREATE TABLE IF NOT EXISTS ip_blacklist (
-            ip          TEXT PRIMARY KEY,
-            reason      TEXT,
-            created_by  TEXT,
-            created_at  TEXT NOT NULL
-        )`, () => {
-            db.all('SELECT ip FROM ip_blacklist', (err, rows) => {
-                if (!err && rows) rows.forEach(r => ipBlacklist.add(normIp(r.ip)));
-            });
-        });
+async function initDB() {
+    try {
+        await runMigrations(db, { log: console.log });
+    } catch (e) {
+        console.error('❌ Schema migration failed:', e.message);
+        process.exit(1);
+    }
+    // The search / geo tables are optional (see 001_baseline.js).
+    ftsReady = await dbGet('SELECT 1 FROM homes_fts LIMIT 1').then(() => true, () => false);
+    geoReady = await dbGet('SELECT 1 FROM homes_geo LIMIT 1').then(() => true, () => false);
 
-        // ── Generic key→value settings (currently: watermark configurator) ──────────
-        db.run(`CREATE TABLE IF NOT EXISTS settings (
-            key   TEXT PRIMARY KEY,
-            value TEXT
-        )`);
-
-        // ── User accounts (RBAC) ──────────────────────────────────────────────
-        db.run(`CREATE TABLE IF NOT EXISTS users (
-            id                  TEXT PRIMARY KEY,
-            email               TEXT UNIQUE NOT NULL,
-            password_hash       TEXT NOT NULL,
-            role                TEXT NOT NULL DEFAULT 'user',
-            permissions         TEXT NOT NULL DEFAULT '[]',
-            display_name        TEXT,
-            reset_token_hash    TEXT,
-            reset_token_expires INTEGER,
-            created_at          TEXT NOT NULL
-        )`);
-        db.run('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
-        // Migrations: older DBs predate these columns. The no-op callbacks swallow
-        // the "duplicate column" error when a column already exists.
-        db.run('ALTER TABLE users ADD COLUMN display_name TEXT', () => {});
-        db.run('ALTER TABLE users ADD COLUMN reset_token_hash TEXT', () => {});
-        db.run('ALTER TABLE users ADD COLUMN reset_token_expires INTEGER', () => {});
-        db.run('ALTER TABLE users ADD COLUMN newsletter INTEGER DEFAULT 0', () => {});  // email opt-in
-        db.run('CREATE INDEX IF NOT EXISTS idx_users_reset ON users(reset_token_hash)', () => {});
-        // ── Email verification ──
-        // The ALTER only succeeds the FIRST time the column is added; in that single
-        // callback we grandfather every PRE-EXISTING account as verified so the new
-        // gate never locks out users who registered before this feature shipped.
-        db.run('ALTER TABLE users ADD COLUMN email_verified INTEGER DEFAULT 0', (err) => {
-            if (!err) db.run('UPDATE users SET email_verified=1', () => {});
-        });
-        db.run('ALTER TABLE users ADD COLUMN verify_token_hash TEXT', () => {});
-        db.run('ALTER TABLE users ADD COLUMN verify_token_expires INTEGER', () => {});
-        db.run('CREATE INDEX IF NOT EXISTS idx_users_verify ON users(verify_token_hash)', () => {});
-        // ── RBAC: account ban / timeout (ms epoch; 0 = active, >now = blocked until) ──
-        db.run('ALTER TABLE users ADD COLUMN banned_until INTEGER DEFAULT 0', () => {});
-        // ── TOTP 2FA ──
-        // totp_secret holds the AES-GCM-encrypted base32 secret (pending or active).
-        // totp_enabled flips to 1 only after the user verifies a first code.
-        // totp_backup_codes is a JSON array of sha256 hashes of one-time recovery codes.
-        db.run('ALTER TABLE users ADD COLUMN totp_secret TEXT', () => {});
-        db.run('ALTER TABLE users ADD COLUMN totp_enabled INTEGER DEFAULT 0', () => {});
-        db.run('ALTER TABLE users ADD COLUMN totp_backup_codes TEXT', () => {});
-        // ── Public profile (bio / interests / avatar) + anti-troll approval pipeline ──
-        // interests is a JSON array of short strings. avatar_url points to a 200×200
-        // WebP in R2 (avatars/ prefix). profile_status gates the PUBLIC profile page:
-        // 'approved' | 'pending_approval'. Pre-existing accounts are grandfathered as
-        // approved (the ALTER default backfills them); NEW registrations and any bio/
-        // interests edit flip the status to 'pending_approval' until an admin approves.
-        db.run('ALTER TABLE users ADD COLUMN bio TEXT', () => {});
-        db.run('ALTER TABLE users ADD COLUMN interests TEXT', () => {});
-        db.run('ALTER TABLE users ADD COLUMN avatar_url TEXT', () => {});
-        db.run("ALTER TABLE users ADD COLUMN profile_status TEXT NOT NULL DEFAULT 'approved'", () => {});
-
-        // ── Per-user activity (favorites / visited) ───────────────────────────
-        // address_id references a home id; user_id cascades on user deletion.
-        db.run(`CREATE TABLE IF NOT EXISTS user_activity (
-            id          INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id     TEXT NOT NULL,
-            address_id  TEXT NOT NULL,
-            status      TEXT NOT NULL CHECK(status IN ('favorite','visited')),
-            created_at  TEXT NOT NULL,
-            UNIQUE(user_id, address_id, status),
-            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
-        )`);
-        db.run('CREATE INDEX IF NOT EXISTS idx_activity_user ON user_activity(user_id, status)');
-        db.run('CREATE INDEX IF NOT EXISTS idx_activity_addr ON user_activity(address_id)');
-
-        // ── Follows (public profiles) ──────────────────────────────────────────
-        // follower_id follows followee_id. Both cascade away with the account.
-        db.run(`CREATE TABLE IF NOT EXISTS user_follows (
-            follower_id TEXT NOT NULL,
-            followee_id TEXT NOT NULL,
-            created_at  TEXT NOT NULL,
-            PRIMARY KEY (follower_id, followee_id),
-            FOREIGN KEY(follower_id) REFERENCES users(id) ON DELETE CASCADE,
-            FOREIGN KEY(followee_id) REFERENCES users(id) ON DELETE CASCADE
-        )`);
-        db.run('CREATE INDEX IF NOT EXISTS idx_follows_followee ON user_follows(followee_id)');
-        // Anti-spam throttle for follower notifications: remembers when each follower
-        // was last emailed about a given creator. One row per (follower, creator) pair;
-        // notifyFollowersOfApproval() skips anyone contacted in the last 24 h, so a bulk
-        // approval run can never fan out into an email flood.
-        db.run(`CREATE TABLE IF NOT EXISTS follow_email_log (
-            follower_id TEXT NOT NULL,
-            creator_id  TEXT NOT NULL,
-            sent_at     INTEGER NOT NULL,
-            PRIMARY KEY (follower_id, creator_id)
-        )`);
-
-        // ── Crowdsourced submissions (moderation queue) ───────────────────────
-        // Never touches the live `homes` table until a moderator approves.
-        db.run(`CREATE TABLE IF NOT EXISTS pending_addresses (
-            id           TEXT PRIMARY KEY,
-            user_id      TEXT NOT NULL,
-            title        TEXT NOT NULL,
-            description  TEXT,
-            city         TEXT,
-            address      TEXT,
-            lat          REAL,
-            lng          REAL,
-            category     TEXT NOT NULL DEFAULT 'home',
-            image_path   TEXT,
-            status       TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','approved','rejected')),
-            created_at   TEXT NOT NULL,
-            reviewed_at  TEXT,
-            reviewed_by  TEXT,
-            result_slug  TEXT,
-            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
-        )`);
-        db.run('CREATE INDEX IF NOT EXISTS idx_pending_status ON pending_addresses(status, created_at)');
-        db.run('CREATE INDEX IF NOT EXISTS idx_pending_user   ON pending_addresses(user_id, created_at)');
-        // Watermark attribution: did the suggester claim the photos as their own, and
-        // under what name should the "© … via Адресът на историята" watermark read.
-        db.run('ALTER TABLE pending_addresses ADD COLUMN owns_image INTEGER DEFAULT 0', () => {});
-        db.run('ALTER TABLE pending_addresses ADD COLUMN author_name TEXT', () => {});
-        // "Send back for correction": a moderator note shown to the submitter. A
-        // 'rejected' row that carries a note is treated as "needs correction" in the UI –
-        // the user can fix it and resubmit (which flips it back to 'pending').
-        db.run('ALTER TABLE pending_addresses ADD COLUMN moderation_note TEXT', () => {});
-        // denied=1 marks a *final* rejection (photos deleted, user cannot resubmit).
-        // We overload the existing 'rejected' status with this flag to avoid changing the
-        // status CHECK constraint: rejected+denied=0 → "for correction", denied=1 → "denied".
-        db.run('ALTER TABLE pending_addresses ADD COLUMN denied INTEGER DEFAULT 0', () => {});
-        // Admins can hide a *processed* submission from the moderation history (without
-        // deleting it) to declutter the approved/rejected lists.
-        db.run('ALTER TABLE pending_addresses ADD COLUMN hidden_from_history INTEGER DEFAULT 0', () => {});
-        // Anonymous guest submissions: the email a non-registered visitor gave us. When
-        // they later register with that exact email we transfer the rows to them (see
-        // claimGuestSubmissions in /api/auth/register). For guest rows user_id is NULL.
-        db.run('ALTER TABLE pending_addresses ADD COLUMN guest_email TEXT', () => {});
-        // The original table declared user_id NOT NULL; relax it so guest rows (NULL
-        // user_id + guest_email) can be stored. SQLite can't ALTER a NOT NULL away, so
-        // we rebuild the table once. Idempotent: only runs while user_id is still NOT NULL.
-        migratePendingGuestNullable();
-
-        // ── Internal moderator feedback (moderators → admins/owners) ──────────────
-        // Threaded notes on a pending submission. NOT shown to the submitter.
-        db.run(`CREATE TABLE IF NOT EXISTS submission_feedback (
-            id            INTEGER PRIMARY KEY AUTOINCREMENT,
-            submission_id TEXT NOT NULL,
-            author_id     TEXT,
-            author_name   TEXT,
-            comment       TEXT NOT NULL,
-            created_at    TEXT NOT NULL
-        )`);
-        db.run('CREATE INDEX IF NOT EXISTS idx_feedback_sub ON submission_feedback(submission_id, created_at)');
-
-        // Migrations: add columns that older DBs may be missing
-        migrateHomes();
-    });
+    for (const r of await dbAll('SELECT ip FROM ip_blacklist')) ipBlacklist.add(normIp(r.ip));
+
+    // Anything still 'running' was cut off by a restart - run it again.
+    await dbRun("UPDATE jobs SET status='queued' WHERE status='running'");
+    startJobs();
+
+    // Backfill name_lower, catch the search / geo indexes up, then seed an empty DB.
+    // None of this is worth refusing to start over.
+    try {
+        await populateNameLower();
+        await rebuildSearchIndex();
+        await rebuildGeoIndex();
+        await backfillDuplicateScores();
+        await importSeedData();
+        await seedDefaultTeamMember();
+    } catch (e) {
+        console.error('❌ Startup upkeep error:', e.message);
+    }
 }
 
-function migrateHomes() {
-    db.all('PRAGMA table_info(homes)', (err, cols) => {
-        if (err) { importSeedData(); return; }
-        const have = new Set(cols.map(c => c.name));
-        const needed = [
-            { name: 'portrait_url', type: 'TEXT' },
-            { name: 'birth_date',   type: 'TEXT' },   // stores date_start
-            { name: 'death_date',   type: 'TEXT' },   // stores date_end
-            // Custom date descriptor (e.g. "Построена през", "Години на живот"). When
-            // present the UI shows it instead of the default person "Роден/Починал".
-            { name: 'date_label',   type: 'TEXT' },
-            // New: location category. Existing rows are backfilled to 'home'
-            // automatically by SQLite via the column DEFAULT.
-            { name: 'category',     type: "TEXT DEFAULT 'home'" },
-            // Unicode-lowercased copy of `name` for case-insensitive search
-            // (SQLite's LOWER() only folds ASCII, so Cyrillic needs this).
-            { name: 'name_lower',   type: 'TEXT' },
-            // Optional credit shown on the address page ("Предложено от …").
-            { name: 'credited_to',  type: 'TEXT' },
-            // The user account that suggested this place (set on moderation approval).
-            // Lets the address page link the credit to the public profile /user/<id>.
-            { name: 'contributor_id', type: 'TEXT' },
-        ].filter(c => !have.has(c.name));
-
-        // Create indexes only once their columns are guaranteed to exist,
-        // backfill name_lower for any rows missing it, then continue seeding.
-        const finish = () =>
-            db.run('CREATE INDEX IF NOT EXISTS idx_homes_category   ON homes(category)', () =>
-            db.run('CREATE INDEX IF NOT EXISTS idx_homes_name_lower ON homes(name_lower)', () =>
-                populateNameLower(() => importSeedData())));
-
-        if (!needed.length) { finish(); return; }
-
-        let pending = needed.length;
-        for (const col of needed) {
-            db.run(`ALTER TABLE homes ADD COLUMN ${col.name} ${col.type}`, () => {
-                if (--pending === 0) finish();
-            });
-        }
+// Fill name_lower (JS toLowerCase is Unicode-aware, unlike SQLite's LOWER)
+async function populateNameLower() {
+    const rows = await dbAll('SELECT id, name FROM homes WHERE name_lower IS NULL');
+    if (!rows.length) return;
+    await dbTransaction(async () => {
+        for (const r of rows) await dbRun('UPDATE homes SET name_lower=? WHERE id=?', [(r.name || '').toLowerCase(), r.id]);
     });
+    console.log(`🔤 Backfilled name_lower for ${rows.length} rows.`);
 }
 
-// Rebuild pending_addresses so user_id is nullable (needed for anonymous guest
-// submissions). Runs at most once: if the column is already nullable we do nothing.
-function migratePendingGuestNullable() {
-    db.all('PRAGMA table_info(pending_addresses)', (err, cols) => {
-        if (err || !cols || !cols.length) return;
-        const userIdCol = cols.find(c => c.name === 'user_id');
-        if (!userIdCol || userIdCol.notnull === 0) return;   // already nullable → done
-        console.log('🛠  Migrating pending_addresses → nullable user_id (guest submissions)…');
-        db.serialize(() => {
-            db.run('PRAGMA foreign_keys = OFF');
-            db.run('BEGIN');
-            db.run(`CREATE TABLE pending_addresses__new (
-                id           TEXT PRIMARY KEY,
-                user_id      TEXT,
-                guest_email  TEXT,
-                title        TEXT NOT NULL,
-                description  TEXT,
-                city         TEXT,
-                address      TEXT,
-                lat          REAL,
-                lng          REAL,
-                category     TEXT NOT NULL DEFAULT 'home',
-                image_path   TEXT,
-                status       TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','approved','rejected')),
-                created_at   TEXT NOT NULL,
-                reviewed_at  TEXT,
-                reviewed_by  TEXT,
-                result_slug  TEXT,
-                owns_image   INTEGER DEFAULT 0,
-                author_name  TEXT,
-                moderation_note TEXT,
-                denied       INTEGER DEFAULT 0,
-                hidden_from_history INTEGER DEFAULT 0,
-                FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
-            )`);
-            db.run(`INSERT INTO pending_addresses__new
-                (id,user_id,guest_email,title,description,city,address,lat,lng,category,image_path,
-                 status,created_at,reviewed_at,reviewed_by,result_slug,owns_image,author_name,
-                 moderation_note,denied,hidden_from_history)
-                SELECT id,user_id,guest_email,title,description,city,address,lat,lng,category,image_path,
-                 status,created_at,reviewed_at,reviewed_by,result_slug,owns_image,author_name,
-                 moderation_note,denied,hidden_from_history
-                FROM pending_addresses`);
-            db.run('DROP TABLE pending_addresses');
-            db.run('ALTER TABLE pending_addresses__new RENAME TO pending_addresses');
-            db.run('CREATE INDEX IF NOT EXISTS idx_pending_status ON pending_addresses(status, created_at)');
-            db.run('CREATE INDEX IF NOT EXISTS idx_pending_user   ON pending_addresses(user_id, created_at)');
-            db.run('CREATE INDEX IF NOT EXISTS idx_pending_guest  ON pending_addresses(guest_email)');
-            db.run('COMMIT', (e) => {
-                if (e) console.error('❌ pending_addresses migration failed:', e.message);
-                else   console.log('✅ pending_addresses now supports guest submissions.');
-            });
-            db.run('PRAGMA foreign_keys = ON');
-        });
+// Fill homes_fts from scratch when it is out of step with homes (first run after
+// upgrade, or a crash between a homes write and its index write).
+async function rebuildSearchIndex() {
+    if (!ftsReady) return;
+    const c = await dbGet('SELECT (SELECT COUNT(*) FROM homes WHERE deleted_at IS NULL) AS h, (SELECT COUNT(*) FROM homes_fts) AS f');
+    if (c.h === c.f) return;
+    const rows = await dbAll('SELECT id, name, biography, address, tags FROM homes WHERE deleted_at IS NULL');
+    await dbTransaction(async () => {
+        await dbRun('DELETE FROM homes_fts');
+        for (const r of rows) await dbRun(FTS_INSERT, ftsParams(r.id, r));
     });
+    console.log(`🔎 Rebuilt search index (${rows.length} homes).`);
 }
 
-// Fill name_lower (JS toLowerCase is Unicode-aware, unlike SQLite's LOWER)
-function populateNameLower(cb) {
-    db.all('SELECT id, name FROM homes WHERE name_lower IS NULL', (err, rows) => {
-        if (err || !rows || !rows.length) return cb();
-        db.serialize(() => {
-            db.run('BEGIN');
-            for (const r of rows) {
-                db.run('UPDATE homes SET name_lower=? WHERE id=?', [(r.name || '').toLowerCase(), r.id]);
-            }
-            db.run('COMMIT', () => { console.log(`🔤 Backfilled name_lower for ${rows.length} rows.`); cb(); });
-        });
+// Backfill homes_geo for rows written before the triggers existed.
+async function rebuildGeoIndex() {
+    if (!geoReady) return;
+    const c = await dbGet(`SELECT (SELECT COUNT(*) FROM homes WHERE lat IS NOT NULL AND lng IS NOT NULL) AS h,
+                                  (SELECT COUNT(*) FROM homes_geo g JOIN homes ON homes.rowid = g.id) AS g`);
+    if (c.h === c.g) return;
+    await dbTransaction(async () => {
+        await dbRun('DELETE FROM homes_geo');
+        await dbRun(`INSERT INTO homes_geo SELECT rowid, lat, lat, lng, lng FROM homes
+                     WHERE lat IS NOT NULL AND lng IS NOT NULL`);
     });
+    console.log(`📍 Rebuilt geo index (${c.h} homes).`);
 }
 
-function importSeedData() {
-    db.get('SELECT COUNT(*) AS n FROM homes', (err, row) => {
-        if (err || (row && row.n > 0)) {
-            if (!err) console.log(`📊 DB has ${row.n} homes - ready.`);
-            return;
-        }
-        const dataPath = path.join(__dirname, 'data', 'people.js');
-        if (!fs.existsSync(dataPath)) {
-            console.warn('⚠️  people.js not found - skipping seed.');
-            return;
-        }
-        try {
-            const src   = fs.readFileSync(dataPath, 'utf8');
-            const match = src.match(/var\s+PEOPLE\s*=\s*(\[[\s\S]*?\]);/);
-            if (!match) { console.warn('⚠️  Could not parse people.js'); return; }
-            const people = JSON.parse(match[1]);
-            db.serialize(() => {
-                db.run('BEGIN');
-                people.forEach(insertHome);
-                db.run('COMMIT', () => {
-                    console.log(`✅ Seeded ${people.length} homes.`);
-                    cache.clear();
-                });
-            });
-        } catch (e) {
-            console.error('❌ Seed error:', e.message);
-        }
-    });
+async function importSeedData() {
+    const row = await dbGet('SELECT COUNT(*) AS n FROM homes');
+    if (row.n > 0) { console.log(`📊 DB has ${row.n} homes - ready.`); return; }
+    const dataPath = path.join(__dirname, 'data', 'people.js');
+    if (!fs.existsSync(dataPath)) {
+        console.warn('⚠️  people.js not found - skipping seed.');
+        return;
+    }
+    const src   = fs.readFileSync(dataPath, 'utf8');
+    const match = src.match(/var\s+PEOPLE\s*=\s*(\[[\s\S]*?\]);/);
+    if (!match) { console.warn('⚠️  Could not parse people.js'); return; }
+    const people = JSON.parse(match[1]);
+    await insertHomesTx(people);
+    console.log(`✅ Seeded ${people.length} homes.`);
+    cache.clear();
 }
 
 // Ensure default team member exists after team table is ready
-function seedDefaultTeamMember() {
-    db.get('SELECT COUNT(*) AS n FROM team', (err, row) => {
-        if (err || !row || row.n > 0) return;
-        db.run(`INSERT INTO team (name, role, bio, display_order) VALUES (?, ?, ?, ?)`, [
-            'Георги Георгиев Петков',
-            'Основател и Администратор',
-            'Основател и администратор на проекта „Адресът на историята".',
-            1,
-        ]);
-    });
+async function seedDefaultTeamMember() {
+    const row = await dbGet('SELECT COUNT(*) AS n FROM team');
+    if (row.n > 0) return;
+    await dbRun(`INSERT INTO team (name, role, bio, display_order) VALUES (?, ?, ?, ?)`, [
+        'Георги Георгиев Петков',
+        'Основател и Администратор',
+        'Основател и администратор на проекта „Адресът на историята".',
+        1,
+    ]);
 }
 
-initDB();
-// Give the CREATE TABLE statements a moment to settle, then seed team
-setTimeout(seedDefaultTeamMember, 500);
-
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
 // Allowed location categories. Anything unknown falls back to 'home' so we never
@@ -1681,13 +1928,15 @@ function normCategory(c) {
     return CATEGORIES.includes(c) ? c : 'home';
 }
 
-function insertHome(h) {
+async function insertHome(h) {
     const c   = h.coordinates || {};
     const now = new Date().toISOString();
     // Accept the generic date_start/date_end (falling back to the legacy birth/death keys).
     const dStart = (h.date_start != null ? h.date_start : h.birth_date) || null;
     const dEnd   = (h.date_end   != null ? h.date_end   : h.death_date) || null;
-    db.run(`INSERT OR REPLACE INTO homes
+    await releaseTrashedSlug(h.slug);
+    // Plain INSERT: a clash with a live place's id or slug must fail, never replace it.
+    await dbRun(`INSERT INTO homes
         (id,slug,name,name_lower,biography,address,lat,lng,images,photo_date,
          sources,tags,published,created_at,updated_at,portrait_url,birth_date,death_date,date_label,category,credited_to)
         VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
@@ -1704,22 +1953,218 @@ function insertHome(h) {
             normCategory(h.category), h.credited_to || null,
         ]
     );
+    if (ftsReady) {
+        const id = h.id || h.slug;
+        await dbRun('DELETE FROM homes_fts WHERE home_id=?', [id]);
+        await dbRun(FTS_INSERT, ftsParams(id, { ...h, tags: JSON.stringify(h.tags || []) }));
+    }
+}
+
+// ── Search index (FTS5) ───────────────────────────────────────────────────────
+// homes_fts mirrors name/biography/address/tags of every home plus a Latin
+// transliteration of them, so a query in either script matches both. Writes go
+// through insertHome or reindexHome (after PUT / moderation approval);
+// trashed homes are dropped from the index and re-added on restore.
+let ftsReady = false;
+const FTS_INSERT = `INSERT INTO homes_fts (home_id,name,name_lat,biography,address,tags,text_lat)
+                    VALUES (?,?,?,?,?,?,?)`;
+
+function translitLatin(s) {
+    return String(s || '').toLowerCase().replace(/[а-яё]/g, ch => TRANSLIT[ch] ?? '');
+}
+
+function ftsParams(id, r) {
+    let tags = '';
+    try { tags = (JSON.parse(r.tags || '[]') || []).join(' '); } catch {}
+    const text = [r.address, tags, r.biography].filter(Boolean).join(' ');
+    return [id, r.name || '', translitLatin(r.name), r.biography || '', r.address || '', tags, translitLatin(text)];
+}
+
+async function reindexHome(id) {
+    if (!ftsReady) return;
+    await dbRun('DELETE FROM homes_fts WHERE home_id=?', [id]);
+    const row = await dbGet('SELECT id, name, biography, address, tags FROM homes WHERE id=? AND deleted_at IS NULL', [id]);
+    if (row) await dbRun(FTS_INSERT, ftsParams(row.id, row));
+}
+
+// Turn free user input into a safe FTS5 MATCH expression. Each word becomes a
+// quoted prefix term, OR-ed with its transliteration when that differs; words
+// are AND-ed. Returns '' when nothing searchable is left.
+function ftsMatchQuery(search, nameOnly) {
+    const words = String(search).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).slice(0, 12);
+    if (!words.length) return '';
+    const expr = words.map(w => {
+        const lat = translitLatin(w);
+        return lat && lat !== w ? `("${w}"* OR "${lat}"*)` : `"${w}"*`;
+    }).join(' AND ');
+    return nameOnly ? `{name name_lat} : (${expr})` : expr;
+}
+
+// snippet() wraps hits in control chars that never occur in real text; after
+// HTML-escaping the excerpt they are swapped for <mark> tags.
+const SNIP_OPEN = '\u0001', SNIP_CLOSE = '\u0002';
+function snippetHtml(s) {
+    return escHtml(s).replace(/\u0001/g, '<mark>').replace(/\u0002/g, '</mark>');
+}
+
+// ── Home revisions ────────────────────────────────────────────────────────────
+// Each revision stores the complete homes row plus its outgoing related_ids.
+// action: 'create' | 'update' | 'delete' | 'restore'.
+const REVISION_FIELDS = [
+    'slug', 'name', 'biography', 'address', 'lat', 'lng', 'images', 'photo_date', 'sources', 'tags',
+    'published', 'portrait_url', 'birth_date', 'death_date', 'date_label', 'category', 'credited_to',
+    'contributor_id', 'related_ids',
+];
+const REVISION_JSON_FIELDS = new Set(['images', 'sources', 'tags']);
+
+async function snapshotHome(id) {
+    const row = await dbGet('SELECT * FROM homes WHERE id=?', [id]);
+    if (!row) return null;
+    const rel = await dbAll('SELECT related_id FROM related_places WHERE home_id=? ORDER BY related_id', [id]);
+    return { ...row, related_ids: rel.map(r => r.related_id) };
+}
+
+// Never let a failed history write break the edit that triggered it.
+async function recordHomeRevision(id, action, actorId, snap) {
+    try {
+        snap = snap || await snapshotHome(id);
+        if (!snap) return;
+        await dbRun('INSERT INTO home_revisions (home_id, action, snapshot, actor_id, created_at) VALUES (?,?,?,?,?)',
+            [id, action, JSON.stringify(snap), actorId || null, new Date().toISOString()]);
+    } catch (e) { console.error('home revision error:', e.message); }
+}
+
+// Field-by-field differences between two snapshots (JSON columns compared parsed).
+function diffSnapshots(a, b) {
+    const val = (s, f) => {
+        const v = s ? s[f] : undefined;
+        if (REVISION_JSON_FIELDS.has(f)) { try { return JSON.parse(v || '[]'); } catch { return v; } }
+        return v === undefined ? null : v;
+    };
+    return REVISION_FIELDS
+        .map(f => ({ field: f, from: val(a, f), to: val(b, f) }))
+        .filter(d => JSON.stringify(d.from) !== JSON.stringify(d.to));
+}
+
+// ── Geo helpers ───────────────────────────────────────────────────────────────
+// homes_geo (R*Tree) narrows queries to a lat/lng box; exact distances are then
+// computed in JS. geoReady is false only on SQLite builds without R*Tree.
+let geoReady = false;
+const NEARBY_MAX_KM    = 100;
+const CLUSTER_CELL_PX  = 80;   // grid cell size on screen, in 256px-tile pixels
+const CLUSTER_MAX_ZOOM = 17;   // at/above this zoom every point is returned as-is
+
+function haversineKm(lat1, lng1, lat2, lng2) {
+    const rad = d => d * Math.PI / 180;
+    const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+              Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// "west,south,east,north" (Leaflet's toBBoxString order) → numbers, or null.
+function parseBbox(s) {
+    const p = String(s || '').split(',').map(Number);
+    if (p.length !== 4 || p.some(n => !isFinite(n))) return null;
+    const [west, south, east, north] = p;
+    if (south < -90 || north > 90 || south > north || west < -180 || east > 180 || west > east) return null;
+    return { west, south, east, north };
+}
+
+// Published homes inside a box, optionally limited to one category. Uses the
+// R*Tree when available, otherwise a plain range scan on homes.
+function homesInBox(box, category, cols) {
+    const where = ['h.published = 1', 'h.deleted_at IS NULL'], params = [];
+    if (CATEGORIES.includes(category)) {
+        if (category === 'home') where.push("(h.category = 'home' OR h.category IS NULL)");
+        else { where.push('h.category = ?'); params.push(category); }
+    }
+    const range = [box.south, box.north, box.west, box.east];
+    const sql = geoReady
+        ? `SELECT ${cols} FROM homes_geo g JOIN homes h ON h.rowid = g.id
+           WHERE g.max_lat >= ? AND g.min_lat <= ? AND g.max_lng >= ? AND g.min_lng <= ? AND ${where.join(' AND ')}`
+        : `SELECT ${cols} FROM homes h
+           WHERE h.lat BETWEEN ? AND ? AND h.lng BETWEEN ? AND ? AND ${where.join(' AND ')}`;
+    return dbAll(sql, [...range, ...params]);
+}
+
+// Side of a clustering grid cell at a zoom level, in degrees.
+const clusterCell = zoom => (360 / 2 ** zoom) * (CLUSTER_CELL_PX / 256);
+
+// Widen a box to whole grid cells: a cluster on the edge is counted in full, and
+// every viewport inside the same cells shares one cache entry.
+function snapBbox(box, zoom) {
+    const cell = clusterCell(zoom);
+    const down = v => Math.floor(v / cell) * cell, up = v => Math.ceil(v / cell) * cell;
+    return {
+        west:  Math.max(-180, down(box.west)),  south: Math.max(-90, down(box.south)),
+        east:  Math.min(180,  up(box.east)),    north: Math.min(90,  up(box.north)),
+    };
+}
+
+// Grid clustering: points sharing a cell (sized for the zoom level) collapse to
+// one cluster at their centroid; lone points are returned unchanged.
+function clusterPoints(points, zoom) {
+    if (zoom >= CLUSTER_MAX_ZOOM) return { clusters: [], points };
+    const cell  = clusterCell(zoom);
+    const cells = new Map();
+    for (const p of points) {
+        const k = Math.floor(p.lat / cell) + ':' + Math.floor(p.lng / cell);
+        if (!cells.has(k)) cells.set(k, []);
+        cells.get(k).push(p);
+    }
+    const clusters = [], single = [];
+    for (const list of cells.values()) {
+        if (list.length === 1) { single.push(list[0]); continue; }
+        const lats = list.map(p => p.lat), lngs = list.map(p => p.lng);
+        clusters.push({
+            lat:    lats.reduce((a, b) => a + b, 0) / list.length,
+            lng:    lngs.reduce((a, b) => a + b, 0) / list.length,
+            count:  list.length,
+            bounds: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)],
+        });
+    }
+    return { clusters, points: single };
 }
 
 // ── Related places (self-referencing M2M) ─────────────────────────────────────
+const MAX_RELATED = 12;   // outgoing links per place
+
 // Replace a home's OUTGOING related links. Drops self-links / unknown ids, dedups,
 // caps the count. Call AFTER the home row exists (FK enforcement is ON).
 async function syncRelated(homeId, relatedIds) {
-    await dbRun('DELETE FROM related_places WHERE home_id=?', [homeId]);
-    if (!Array.isArray(relatedIds)) return;
-    const ids = [...new Set(relatedIds.map(x => String(x)).filter(x => x && x !== homeId))].slice(0, 12);
-    if (!ids.length) return;
-    const rows  = await dbAll(`SELECT id FROM homes WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
-    const valid = new Set(rows.map(r => r.id));
-    const now   = new Date().toISOString();
-    for (const rid of ids) {
-        if (valid.has(rid)) await dbRun('INSERT OR IGNORE INTO related_places (home_id,related_id,created_at) VALUES (?,?,?)', [homeId, rid, now]);
+    const ids = Array.isArray(relatedIds)
+        ? [...new Set(relatedIds.map(x => String(x)).filter(x => x && x !== homeId))].slice(0, MAX_RELATED) : [];
+    // One transaction: a failed insert must not leave the place with its old links gone.
+    await dbTransaction(async () => {
+        await dbRun('DELETE FROM related_places WHERE home_id=?', [homeId]);
+        if (!ids.length) return;
+        const rows  = await dbAll(`SELECT id FROM homes WHERE deleted_at IS NULL AND id IN (${ids.map(() => '?').join(',')})`, ids);
+        const valid = new Set(rows.map(r => r.id));
+        const now   = new Date().toISOString();
+        for (const rid of ids) {
+            if (valid.has(rid)) await dbRun('INSERT OR IGNORE INTO related_places (home_id,related_id,created_at) VALUES (?,?,?)', [homeId, rid, now]);
+        }
+    });
+}
+// Put back the links other places had TO homeId that were dropped with its row when it
+// was purged. A live place whose latest revision still lists homeId never chose to
+// unlink it, so it gets the link again (within the same cap). Returns how many.
+async function restoreIncomingRelated(homeId) {
+    const rows = await dbAll(
+        `SELECT r.home_id FROM home_revisions r JOIN homes h ON h.id = r.home_id AND h.deleted_at IS NULL
+         WHERE r.home_id <> ? AND instr(r.snapshot, ?) > 0
+           AND r.id = (SELECT MAX(id) FROM home_revisions WHERE home_id = r.home_id)
+           AND EXISTS (SELECT 1 FROM json_each(r.snapshot, '$.related_ids') WHERE value = ?)
+           AND NOT EXISTS (SELECT 1 FROM related_places WHERE home_id = r.home_id AND related_id = ?)`,
+        [homeId, JSON.stringify(homeId), homeId, homeId]);
+    const now = new Date().toISOString();
+    let n = 0;
+    for (const { home_id } of rows) {
+        if ((await dbGet('SELECT COUNT(*) AS n FROM related_places WHERE home_id=?', [home_id])).n >= MAX_RELATED) continue;
+        await dbRun('INSERT INTO related_places (home_id,related_id,created_at) VALUES (?,?,?)', [home_id, homeId, now]);
+        n++;
     }
+    return n;
 }
 // Best thumbnail for a related-place card: the place photo first, portrait as fallback.
 function relatedThumb(r) {
@@ -1732,7 +2177,7 @@ async function getRelatedPlaces(homeId) {
     const rows = await dbAll(
         `SELECT h.slug, h.name, h.address, h.category, h.images, h.portrait_url
          FROM homes h
-         WHERE h.published = 1 AND h.id <> ? AND h.id IN (
+         WHERE h.published = 1 AND h.deleted_at IS NULL AND h.id <> ? AND h.id IN (
              SELECT related_id FROM related_places WHERE home_id = ?
              UNION
              SELECT home_id    FROM related_places WHERE related_id = ?
@@ -1751,7 +2196,7 @@ async function getRelatedEdit(homeId) {
     return dbAll(
         `SELECT h.id, h.name, h.category FROM related_places rp
          JOIN homes h ON h.id = rp.related_id
-         WHERE rp.home_id = ? ORDER BY h.name`, [homeId]);
+         WHERE rp.home_id = ? AND h.deleted_at IS NULL ORDER BY h.name`, [homeId]);
 }
 
 // Many older homes store images without a `thumb` field, even though the matching
@@ -1763,6 +2208,13 @@ function ensureThumb(img) {
     if (/^https?:\/\/.+\.jpe?g$/i.test(p)) return Object.assign({}, img, { thumb: p.replace(/\.jpe?g$/i, '_thumb.jpg') });
     return img;
 }
+// Public shape of one gallery entry: thumbnail filled in, plus per-format srcset
+// strings ({ avif, webp, jpeg }) once its responsive variants exist.
+function publicImage(img) {
+    const t = ensureThumb(img);
+    const srcset = imageSrcset(t);
+    return srcset ? Object.assign({}, t, { srcset }) : t;
+}
 // Best calendar thumbnail for a person: prefer the portrait (the person's face) so
 // visitors recognise who it is, falling back to the first address photo. Derives the
 // lightweight _thumb.jpg variant when the URL follows our upload naming convention.
@@ -1784,11 +2236,14 @@ function rowToHome(row, listMode = false) {
             name:        row.name,
             address:     row.address || '',
             coordinates: row.lat && row.lng ? { lat: row.lat, lng: row.lng } : null,
-            images:      imgs.length ? [ensureThumb(imgs[0])] : [],
+            images:      imgs.length ? [publicImage(imgs[0])] : [],
             tags:        parse(row.tags),
             category:    row.category || 'home',
             published:   true,
-            biography:   row.bio_snippet ? row.bio_snippet + '…' : '',
+            biography:   row.fts_snippet != null ? row.fts_snippet.replace(/[\u0001\u0002]/g, '')
+                       : row.bio_snippet ? row.bio_snippet + '…' : '',
+            // Only on search results: HTML-escaped excerpt with <mark> around hits.
+            ...(row.fts_snippet != null && { snippet: snippetHtml(row.fts_snippet) }),
         };
     }
     return {
@@ -1798,7 +2253,7 @@ function rowToHome(row, listMode = false) {
         biography:   row.biography,
         address:     row.address,
         coordinates: row.lat && row.lng ? { lat: row.lat, lng: row.lng } : null,
-        images:      parse(row.images).map(ensureThumb),
+        images:      parse(row.images).map(publicImage),
         photo_date:  row.photo_date,
         sources:     parse(row.sources),
         tags:        parse(row.tags),
@@ -1819,16 +2274,12 @@ function rowToHome(row, listMode = false) {
     };
 }
 
-// Wrap db.get / db.all in promises for cleaner async routes
-function dbGet(sql, params = []) {
-    return new Promise((res, rej) => db.get(sql, params, (e, r) => e ? rej(e) : res(r)));
-}
-function dbAll(sql, params = []) {
-    return new Promise((res, rej) => db.all(sql, params, (e, r) => e ? rej(e) : res(r)));
-}
-function dbRun(sql, params = []) {
-    return new Promise((res, rej) => db.run(sql, params, function(e) { e ? rej(e) : res(this); }));
-}
+// Short names for the routes. dbRun resolves { changes, lastID }. Anything awaited
+// inside dbTransaction(async () => …) commits or rolls back as one (see database.js).
+function dbGet(sql, params = []) { return db.get(sql, params); }
+function dbAll(sql, params = []) { return db.all(sql, params); }
+function dbRun(sql, params = []) { return db.run(sql, params); }
+function dbTransaction(fn)       { return db.transaction(fn); }
 
 // ─── Routes ──────────────────────────────────────────────────────────────────
 
@@ -1867,7 +2318,7 @@ app.post('/api/auth/register', rateLimitAuth, async (req, res) => {
         // owned rows). Best-effort: never block or fail the registration over it.
         await claimGuestSubmissions(id, email);
 
-        issueAuthCookie(res, { id, role: 'user' });
+        await issueAuthCookie(req, res, { id, role: 'user' }, 'register');
         res.status(201).json({ id, email, role: 'user', email_verified: false });
 
         // Fire-and-forget verification email - never blocks or fails the registration.
@@ -1883,42 +2334,75 @@ app.post('/api/auth/login', rateLimitAuth, async (req, res) => {
     const email    = String((req.body && req.body.email) || '').trim().toLowerCase();
     const password = (req.body && req.body.password) || '';
     try {
-        const user = await dbGet('SELECT id,email,password_hash,role,totp_enabled FROM users WHERE email=?', [email]);
-        // Always run a compare to keep timing uniform whether or not the email exists.
+        const user = await dbGet(`SELECT id,email,password_hash,role,totp_enabled,locked_until,${HAS_PASSKEY_SQL} FROM users WHERE email=?`, [email]);
+        // Always run a compare - locked or not, known email or not - so the response
+        // time says nothing about whether the account exists.
         const ok = await bcrypt.compare(password, user ? user.password_hash : DUMMY_HASH);
-        if (!user || !ok) return res.status(401).json({ error: 'Invalid email or password' });
+        // While locked the result is ignored - no guesses get through. Unknown emails
+        // get the same 429s. A lock until password reset is set only by the owner's
+        // "this wasn't me", so they already know to reset; it answers a plain 401.
+        const locked = user ? user.locked_until : await unknownEmailLock(email);
+        if (locked > Date.now()) {
+            await recordLoginFailure(req, user, email, 'locked');
+            if (locked >= LOCKED_UNTIL_RESET) return res.status(401).json({ error: 'Invalid email or password' });
+            return sendLoginLocked(res, locked);
+        }
+        if (!user || !ok) {
+            const lockedUntil = await recordLoginFailure(req, user, email, user ? 'password' : 'unknown_email');
+            if (lockedUntil) return sendLoginLocked(res, lockedUntil);
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
 
         // 2FA: when enabled, the password step alone does NOT grant a session. We hand
-        // back a short-lived pending token; the client must clear the TOTP step next.
-        if (user.totp_enabled) {
-            return res.json({ twofa_required: true, pending: sign2faPending(user.id) });
+        // back a short-lived pending token; the client must clear the TOTP or passkey
+        // step next (methods says which the account has).
+        if (hasSecondFactor(user)) {
+            const methods = [user.totp_enabled && 'totp', user.has_passkey && 'passkey'].filter(Boolean);
+            return res.json({ twofa_required: true, pending: sign2faPending(user.id), methods });
         }
-        issueAuthCookie(res, { id: user.id, role: user.role });
+        await issueAuthCookie(req, res, { id: user.id, role: user.role }, 'password');
         // Claim any guest submissions left under this email (e.g. submitted while logged out).
         await claimGuestSubmissions(user.id, user.email);
         // Staff without 2FA can sign in but must enrol before using staff tools.
-        res.json({ id: user.id, email: user.email, role: user.role, enroll_2fa_required: roleRequires2fa(user.role) });
+        res.json({ id: user.id, email: user.email, role: user.role, enroll_2fa_required: staffRequires2fa(user.role, await userPermissions(user.id)) });
     } catch (e) {
         console.error('login error:', e.message);
         res.status(500).json({ error: 'Login failed' });
     }
 });
 
-// 2FA login step: exchange the pending token + a TOTP (or backup) code for a session.
+// 2FA login step: exchange the pending token + a TOTP (or backup) code - or a passkey
+// assertion (`passkey`, see /api/auth/passkey/options) - for a session.
 app.post('/api/auth/2fa-login', rateLimitAuth, async (req, res) => {
     const pending = (req.body && req.body.pending) || '';
     const code    = (req.body && req.body.code) || '';
+    const passkey = req.body && req.body.passkey;
     const userId  = verify2faPending(pending);
     if (!userId) return res.status(401).json({ error: 'Сесията изтече. Влезте отново.' });
     try {
-        const user = await dbGet('SELECT id,email,role,totp_enabled,totp_secret,totp_backup_codes FROM users WHERE id=?', [userId]);
-        if (!user || !user.totp_enabled) return res.status(400).json({ error: 'Двуфакторната автентикация не е активна.' });
-        const r = check2faCode(user, code);
-        if (!r.ok) return res.status(401).json({ error: 'Невалиден код.' });
-        if (r.backupRemaining !== null) {
-            await dbRun('UPDATE users SET totp_backup_codes=? WHERE id=?', [r.backupRemaining, user.id]);
+        const user = await dbGet(`SELECT id,email,role,totp_enabled,totp_secret,totp_backup_codes,locked_until,${HAS_PASSKEY_SQL} FROM users WHERE id=?`, [userId]);
+        if (!user || !hasSecondFactor(user)) return res.status(400).json({ error: 'Двуфакторната автентикация не е активна.' });
+        if (user.locked_until > Date.now()) {
+            await recordLoginFailure(req, user, user.email, 'locked');
+            return sendLoginLocked(res, user.locked_until);
+        }
+        if (passkey) {
+            // Possession of the key is the second factor; the password was the first.
+            const key = await verifyPasskeyAssertion(passkey, { purpose: '2fa', userId: user.id, requireUserVerification: false });
+            if (!key) return res.status(401).json({ error: 'Ключът за достъп не беше приет.' });
+        } else {
+            const r = check2faCode(user, code);
+            if (!r.ok) {
+                // Wrong codes count towards the lockout like wrong passwords.
+                const lockedUntil = await recordLoginFailure(req, user, user.email, 'code');
+                if (lockedUntil) return sendLoginLocked(res, lockedUntil);
+                return res.status(401).json({ error: 'Невалиден код.' });
+            }
+            if (r.backupRemaining !== null) {
+                await dbRun('UPDATE users SET totp_backup_codes=? WHERE id=?', [r.backupRemaining, user.id]);
+            }
         }
-        issueAuthCookie(res, { id: user.id, role: user.role });
+        await issueAuthCookie(req, res, { id: user.id, role: user.role }, passkey ? 'password+passkey' : 'password+totp');
         // Claim any guest submissions left under this email (e.g. submitted while logged out).
         await claimGuestSubmissions(user.id, user.email);
         res.json({ id: user.id, email: user.email, role: user.role });
@@ -1928,21 +2412,135 @@ app.post('/api/auth/2fa-login', rateLimitAuth, async (req, res) => {
     }
 });
 
-// Logout: clear the cookie (must match the attributes it was set with).
-app.post('/api/auth/logout', (req, res) => {
-    res.clearCookie(AUTH_COOKIE, { httpOnly: true, sameSite: 'strict', secure: COOKIE_SECURE, path: '/' });
-    res.json({ message: 'Logged out' });
+// Passkey challenge for signing in. With `pending` (the password step's token) it is
+// for that account's 2FA step and lists its passkeys; without, it is for passwordless
+// login and the browser offers whichever passkey it holds for this site.
+app.post('/api/auth/passkey/options', rateLimitAuth, async (req, res) => {
+    const pending = (req.body && req.body.pending) || '';
+    try {
+        if (pending) {
+            const userId = verify2faPending(pending);
+            if (!userId) return res.status(401).json({ error: 'Сесията изтече. Влезте отново.' });
+            const keys = await dbAll('SELECT id, transports FROM passkeys WHERE user_id=?', [userId]);
+            if (!keys.length) return res.status(400).json({ error: 'Нямате регистриран ключ за достъп.' });
+            const options = await generateAuthenticationOptions({
+                rpID: WEBAUTHN_RP_ID,
+                allowCredentials: keys.map(k => ({ id: k.id, transports: passkeyTransports(k) })),
+                userVerification: 'preferred',
+            });
+            rememberChallenge(options.challenge, '2fa', userId);
+            return res.json(options);
+        }
+        const options = await generateAuthenticationOptions({ rpID: WEBAUTHN_RP_ID, userVerification: 'required' });
+        rememberChallenge(options.challenge, 'login', null);
+        res.json(options);
+    } catch (e) {
+        console.error('passkey options error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
-// Forgot password: if the email exists, store a hashed one-hour reset token and
-// email a reset link. The response is ALWAYS the same generic message so the
-// endpoint can't be used to discover which emails are registered.
-app.post('/api/auth/forgot-password', rateLimitAuth, async (req, res) => {
-    const email = String((req.body && req.body.email) || '').trim().toLowerCase();
-    const generic = { message: 'Ако този имейл съществува в системата, изпратихме връзка за нулиране на паролата.' };
-    if (!validEmail(email)) return res.json(generic);
+// Passwordless login with a passkey. User verification (PIN / biometrics on the
+// device) is required, so this stands in for password + second factor.
+app.post('/api/auth/passkey-login', rateLimitAuth, async (req, res) => {
     try {
-        const user = await dbGet('SELECT id FROM users WHERE email=?', [email]);
+        const key = await verifyPasskeyAssertion(req.body && req.body.response, { purpose: 'login', requireUserVerification: true });
+        if (!key) return res.status(401).json({ error: 'Ключът за достъп не беше разпознат.' });
+        const user = await dbGet('SELECT id,email,role,locked_until FROM users WHERE id=?', [key.user_id]);
+        if (!user) return res.status(401).json({ error: 'Ключът за достъп не беше разпознат.' });
+        if (user.locked_until >= LOCKED_UNTIL_RESET) return sendLoginLocked(res, user.locked_until);
+        await issueAuthCookie(req, res, { id: user.id, role: user.role }, 'passkey');
+        // Claim any guest submissions left under this email (e.g. submitted while logged out).
+        await claimGuestSubmissions(user.id, user.email);
+        res.json({ id: user.id, email: user.email, role: user.role });
+    } catch (e) {
+        console.error('passkey login error:', e.message);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Logout: end this session server-side, then clear the cookie (must match the
+// attributes it was set with). A copy of the token is useless from here on.
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const token = req.cookies && req.cookies[AUTH_COOKIE];
+        let claims = null;
+        try { claims = token && jwt.verify(token, JWT_SECRET); } catch {}
+        if (claims && claims.sid) await dbRun('DELETE FROM sessions WHERE id=?', [claims.sid]);
+    } catch (e) {
+        console.error('logout error:', e.message);
+    }
+    res.clearCookie(AUTH_COOKIE, { httpOnly: true, sameSite: 'strict', secure: COOKIE_SECURE, path: '/' });
+    res.json({ message: 'Logged out' });
+});
+
+// "This wasn't me" from the new-login email. GET only shows a confirmation page (mail
+// scanners open links); its button POSTs back here, which locks the account until the
+// password is reset, ends every session, deletes the account's API tokens and passkeys
+// and forgets the device that signed in. The passkey-added email carries the same link.
+function notMePage(icon, title, msg, cta) {
+    return `<!doctype html><html lang="bg"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Сигурност на профила</title><link rel="stylesheet" href="/assets/css/styles.css?v=7"><style>body{display:flex;min-height:92vh;align-items:center;justify-content:center;font-family:'Mulish',sans-serif;text-align:center;padding:2rem;background:var(--bg)}.v-card{max-width:460px;background:var(--card);border:1px solid var(--border);border-radius:18px;padding:2.4rem 2rem;box-shadow:var(--shadow)}.v-ico{font-size:2.6rem;margin-bottom:0.6rem}.v-card h1{font-family:'Cormorant Garamond',serif;color:var(--fg);font-size:1.7rem;margin:0 0 0.5rem}.v-card p{color:var(--muted);line-height:1.6;margin:0 0 1.4rem}.v-btn{display:inline-block;padding:0.8rem 1.6rem;border:0;border-radius:10px;background:linear-gradient(135deg,#cd853f,#daa520);color:#1a1410;font:inherit;font-weight:700;text-decoration:none;cursor:pointer}</style></head><body><div class="v-card"><div class="v-ico">${icon}</div><h1>${title}</h1><p>${msg}</p>${cta}</div></body></html>`;
+}
+const NOT_ME_BAD = notMePage('⚠️', 'Невалидна или изтекла връзка', 'Връзката е невалидна, вече е използвана или е по-стара от 7 дни. Ако смятате, че някой друг има достъп до профила Ви, сменете паролата си чрез „Забравена парола“.', '<a class="v-btn" href="/forgot-password.html">Забравена парола</a>');
+// The link's claims while it is still good: signed, under 7 days old and issued after
+// the last time one of the account's links was used (users.not_me_after) - using one
+// spends every link sent before it, so an old email can't lock the account again
+// once its owner has set a new password.
+async function verifyNotMe(token) {
+    let c;
+    try { c = jwt.verify(String(token || ''), JWT_SECRET); } catch { return null; }
+    if (!c.notme) return null;
+    const user = await dbGet('SELECT not_me_after FROM users WHERE id=?', [c.notme]);
+    return user && (c.at || 0) >= user.not_me_after ? c : null;
+}
+app.get('/api/auth/not-me', async (req, res) => {
+    try {
+        if (!await verifyNotMe(req.query.token)) return res.status(400).send(NOT_ME_BAD);
+    } catch (e) {
+        console.error('not-me error:', e.message);
+        return res.status(500).send(NOT_ME_BAD);
+    }
+    res.send(notMePage('🔐', 'Не сте били Вие?', 'Профилът ще бъде заключен, всички активни сесии - прекратени, включително тази, която е влязла, а ключовете за достъп (passkeys) и API ключовете - изтрити. За да го отключите, ще трябва да зададете нова парола чрез „Забравена парола“.',
+        `<form method="post" action="/api/auth/not-me"><input type="hidden" name="token" value="${escHtml(String(req.query.token))}"><button class="v-btn" type="submit">Заключи профила</button></form>`));
+});
+app.post('/api/auth/not-me', express.urlencoded({ extended: false, limit: '4kb' }), rateLimitAuth, async (req, res) => {
+    try {
+        const claims = await verifyNotMe(req.body && req.body.token);
+        if (!claims) return res.status(400).send(NOT_ME_BAD);
+        const revoked = await dbTransaction(async () => {
+            // Spends this link (and any older one) - a second click finds not_me_after moved on.
+            const r = await dbRun('UPDATE users SET locked_until=?, failed_logins=0, not_me_after=? WHERE id=? AND not_me_after <= ?',
+                [LOCKED_UNTIL_RESET, Date.now() + 1, claims.notme, claims.at || 0]);
+            if (!r.changes) return null;
+            await dbRun('DELETE FROM login_devices WHERE user_id=? AND device_hash=?', [claims.notme, claims.dev]);
+            const n = await revokeSessions(claims.notme);
+            const tokens = (await dbRun('DELETE FROM api_tokens WHERE user_id=?', [claims.notme])).changes;
+            // A passkey added by whoever got in would outlast the password reset.
+            const passkeys = (await dbRun('DELETE FROM passkeys WHERE user_id=?', [claims.notme])).changes;
+            await dbRun(`INSERT INTO audit_log (created_at, actor_id, actor_name, actor_role, ip, action, target, after_json)
+                         SELECT ?, id, COALESCE(display_name, email), role, ?, 'user.lock_not_me', 'user:' || id, ? FROM users WHERE id=?`,
+                [new Date().toISOString(), normIp(clientIp(req)),
+                 JSON.stringify({ sessions_revoked: n, api_tokens_revoked: tokens, passkeys_removed: passkeys }), claims.notme]);
+            return n;
+        });
+        if (revoked === null) return res.status(400).send(NOT_ME_BAD);
+        res.clearCookie(AUTH_COOKIE, { httpOnly: true, sameSite: 'strict', secure: COOKIE_SECURE, path: '/' });
+        res.send(notMePage('🔒', 'Профилът е заключен', 'Всички сесии са прекратени, а ключовете за достъп - изтрити. Задайте нова парола, за да отключите профила - препоръчваме да не е същата като на други сайтове.', '<a class="v-btn" href="/forgot-password.html">Задай нова парола</a>'));
+    } catch (e) {
+        console.error('not-me error:', e.message);
+        res.status(500).send(NOT_ME_BAD);
+    }
+});
+
+// Forgot password: if the email exists, store a hashed one-hour reset token and
+// email a reset link. The response is ALWAYS the same generic message so the
+// endpoint can't be used to discover which emails are registered.
+app.post('/api/auth/forgot-password', rateLimitAuth, async (req, res) => {
+    const email = String((req.body && req.body.email) || '').trim().toLowerCase();
+    const generic = { message: 'Ако този имейл съществува в системата, изпратихме връзка за нулиране на паролата.' };
+    if (!validEmail(email)) return res.json(generic);
+    try {
+        const user = await dbGet('SELECT id FROM users WHERE email=?', [email]);
         if (user) {
             const token   = crypto.randomBytes(32).toString('hex');   // raw token → goes in the link
             const hash    = sha256hex(token);                          // only the hash is stored
@@ -1953,7 +2551,7 @@ app.post('/api/auth/forgot-password', rateLimitAuth, async (req, res) => {
                 to: email,
                 subject: 'Нулиране на паролата - Адресът на историята',
                 html: resetEmailHtml(link),
-            });
+            }, { priority: 10 });
         }
         res.json(generic);
     } catch (e) {
@@ -1976,11 +2574,21 @@ app.post('/api/auth/reset-password', rateLimitAuth, async (req, res) => {
             return res.status(400).json({ error: 'Връзката е невалидна или изтекла. Моля, заявете нова.' });
         }
         const password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
-        await dbRun(
-            'UPDATE users SET password_hash=?, reset_token_hash=NULL, reset_token_expires=NULL WHERE id=?',
-            [password_hash, user.id]
-        );
-        res.json({ message: 'Паролата е променена успешно. Вече можете да влезете.' });
+        const passkeys = await dbTransaction(async () => {
+            await dbRun(
+                'UPDATE users SET password_hash=?, reset_token_hash=NULL, reset_token_expires=NULL, failed_logins=0, locked_until=0 WHERE id=?',
+                [password_hash, user.id]
+            );
+            // Whoever knew the old password is logged out everywhere. A new password
+            // is also what lifts a lockout, including a "this wasn't me" lock.
+            await revokeSessions(user.id);
+            // Passkeys and API tokens too: one made from a hijacked session would still
+            // let them in.
+            await dbRun('DELETE FROM api_tokens WHERE user_id=?', [user.id]);
+            return (await dbRun('DELETE FROM passkeys WHERE user_id=?', [user.id])).changes;
+        });
+        res.json({ message: 'Паролата е променена успешно. Вече можете да влезете.' +
+                           (passkeys ? ' Ключовете Ви за достъп (passkeys) бяха премахнати - добавете ги отново от профила си.' : '') });
     } catch (e) {
         console.error('reset-password error:', e.message);
         res.status(500).json({ error: 'Възникна грешка. Моля, опитайте отново.' });
@@ -2085,7 +2693,10 @@ app.post('/api/auth/change-password', requireUser, rateLimitAuth, async (req, re
         if (!ok) return res.status(401).json({ error: 'Текущата парола е грешна.' });
 
         const password_hash = await bcrypt.hash(next, BCRYPT_ROUNDS);
-        await dbRun('UPDATE users SET password_hash=? WHERE id=?', [password_hash, req.user.sub]);
+        await dbTransaction(async () => {
+            await dbRun('UPDATE users SET password_hash=? WHERE id=?', [password_hash, req.user.sub]);
+            await revokeSessions(req.user.sub, req.user.sid);   // other devices; this one stays in
+        });
         res.json({ message: 'Паролата е променена успешно.' });
     } catch (e) {
         console.error('change-password error:', e.message);
@@ -2095,14 +2706,23 @@ app.post('/api/auth/change-password', requireUser, rateLimitAuth, async (req, re
 
 // Cheap "am I logged in?" check for the frontend.
 app.get('/api/auth/me', requireUser, async (req, res) => {
-    const user = await dbGet('SELECT id,email,role,display_name,avatar_url,email_verified,totp_enabled FROM users WHERE id=?', [req.user.sub]);
+    const user = await dbGet(`SELECT id,email,role,display_name,avatar_url,email_verified,totp_enabled,permissions,
+                                     (SELECT COUNT(*) FROM passkeys WHERE user_id = users.id) AS passkeys,
+                                     ${ROLE_PERMS_SQL}
+                              FROM users WHERE id=?`, [req.user.sub]);
     if (!user) return res.status(401).json({ error: 'Not authenticated' });
+    const perms = effectivePermissions(user);
+    const areas = { moderation: false, dashboard: false };   // which staff pages to link to
+    for (const p of perms) areas[PERMISSIONS[p].area] = true;
     res.json({
         id: user.id, email: user.email, role: user.role, display_name: user.display_name,
         avatar_url: user.avatar_url || null,          // header avatar pill
         email_verified: user.email_verified === 1,
         totp_enabled: user.totp_enabled === 1,
-        totp_required: roleRequires2fa(user.role),   // staff must enrol
+        passkeys: user.passkeys,
+        second_factor: user.totp_enabled === 1 || user.passkeys > 0,
+        totp_required: staffRequires2fa(user.role, perms),   // staff must enrol (app or passkey)
+        permissions: [...perms], areas,
     });
 });
 
@@ -2148,15 +2768,15 @@ app.post('/api/2fa/enable', rateLimitAuth, requireUser, async (req, res) => {
 });
 
 // Disable 2FA after re-auth (current TOTP/backup code OR account password). Staff may
-// NOT disable — 2FA is mandatory for them.
+// NOT disable it unless a passkey remains as their second factor.
 app.post('/api/2fa/disable', rateLimitAuth, requireUser, async (req, res) => {
     const code     = (req.body && req.body.code) || '';
     const password = (req.body && req.body.password) || '';
     try {
-        const user = await dbGet('SELECT role, password_hash, totp_enabled, totp_secret, totp_backup_codes FROM users WHERE id=?', [req.user.sub]);
+        const user = await dbGet(`SELECT role, password_hash, totp_enabled, totp_secret, totp_backup_codes, ${HAS_PASSKEY_SQL} FROM users WHERE id=?`, [req.user.sub]);
         if (!user) return res.status(401).json({ error: 'Not authenticated' });
         if (!user.totp_enabled) return res.status(400).json({ error: 'Не е активна.' });
-        if (roleRequires2fa(user.role)) {
+        if (!user.has_passkey && staffRequires2fa(user.role, await userPermissions(req.user.sub))) {
             return res.status(403).json({ error: 'Двуфакторната автентикация е задължителна за екипа и не може да бъде изключена.' });
         }
         const byCode = code && check2faCode(user, code).ok;
@@ -2186,6 +2806,256 @@ app.post('/api/2fa/backup-codes', rateLimitAuth, requireUser, async (req, res) =
     }
 });
 
+// ── Passkey management ─────────────────────────────────────────────────────────
+const PASSKEY_COLUMNS = 'id, name, device_type, backed_up, created_at, last_used_at';
+function passkeyView(row) {
+    return { id: row.id, name: row.name, synced: row.backed_up === 1, device_type: row.device_type,
+             created_at: row.created_at, last_used_at: row.last_used_at };
+}
+
+// The signed-in user's passkeys.
+app.get('/api/passkeys', requireUser, async (req, res) => {
+    try {
+        const rows = await dbAll(`SELECT ${PASSKEY_COLUMNS} FROM passkeys WHERE user_id=? ORDER BY created_at`, [req.user.sub]);
+        res.json(rows.map(passkeyView));
+    } catch (e) {
+        console.error('passkeys list error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Begin registering a passkey: options for navigator.credentials.create(). A passkey
+// is a way in on its own, so adding one takes a fresh check, not just a session
+// cookie: a current 2FA code when the account has an authenticator app (the password
+// alone would let a passkey stand in for the app), else the password. The challenge
+// carries that check: it is bound to this user and good for 5 minutes. Keys the user
+// already has are excluded so the same authenticator isn't added twice.
+app.post('/api/passkeys/options', rateLimitAuth, requireUser, async (req, res) => {
+    const password = (req.body && req.body.password) || '';
+    const code     = (req.body && req.body.code) || '';
+    try {
+        const user = await dbGet('SELECT id, email, display_name, password_hash, totp_enabled, totp_secret, totp_backup_codes FROM users WHERE id=?', [req.user.sub]);
+        if (!user) return res.status(401).json({ error: 'Not authenticated' });
+        if (user.totp_enabled) {
+            const byCode = check2faCode(user, code);
+            if (!byCode.ok) {
+                return res.status(401).json({ error: 'REAUTH_REQUIRED', message: 'Потвърдете с код от приложението за автентикация или с резервен код.' });
+            }
+            if (byCode.backupRemaining) await dbRun('UPDATE users SET totp_backup_codes=? WHERE id=?', [byCode.backupRemaining, user.id]);
+        } else if (!password || !await bcrypt.compare(password, user.password_hash)) {
+            return res.status(401).json({ error: 'REAUTH_REQUIRED', message: 'Потвърдете с паролата си.' });
+        }
+        const keys = await dbAll('SELECT id, transports FROM passkeys WHERE user_id=?', [user.id]);
+        if (keys.length >= MAX_PASSKEYS) return res.status(400).json({ error: `Може да имате най-много ${MAX_PASSKEYS} ключа за достъп.` });
+        const options = await generateRegistrationOptions({
+            rpName: WEBAUTHN_RP_NAME,
+            rpID: WEBAUTHN_RP_ID,
+            userID: Buffer.from(user.id),
+            userName: user.email,
+            userDisplayName: user.display_name || user.email,
+            attestationType: 'none',
+            excludeCredentials: keys.map(k => ({ id: k.id, transports: passkeyTransports(k) })),
+            authenticatorSelection: { residentKey: 'required', userVerification: 'preferred' },
+        });
+        rememberChallenge(options.challenge, 'register', user.id);
+        res.json(options);
+    } catch (e) {
+        console.error('passkey options error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Finish registering: verify the authenticator's response and store the public key.
+app.post('/api/passkeys', rateLimitAuth, requireUser, async (req, res) => {
+    const name = sanitizeText((req.body && req.body.name) || '', 60) || 'Ключ за достъп';
+    try {
+        const count = await dbGet('SELECT COUNT(*) AS n FROM passkeys WHERE user_id=?', [req.user.sub]);
+        if (count.n >= MAX_PASSKEYS) return res.status(400).json({ error: `Може да имате най-много ${MAX_PASSKEYS} ключа за достъп.` });
+        let v;
+        try {
+            v = await verifyRegistrationResponse({
+                response: req.body && req.body.response,
+                expectedChallenge: takeChallenge('register', req.user.sub),
+                expectedOrigin: WEBAUTHN_ORIGINS,
+                expectedRPID: WEBAUTHN_RP_ID,
+                requireUserVerification: false,
+            });
+        } catch (err) {
+            console.warn('passkey registration rejected:', err.message);
+            return res.status(400).json({ error: 'Ключът за достъп не беше регистриран. Опитайте отново.' });
+        }
+        if (!v.verified) return res.status(400).json({ error: 'Ключът за достъп не беше регистриран. Опитайте отново.' });
+        const { credential, credentialDeviceType, credentialBackedUp } = v.registrationInfo;
+        if (await dbGet('SELECT 1 FROM passkeys WHERE id=?', [credential.id])) {
+            return res.status(409).json({ error: 'Този ключ за достъп вече е регистриран.' });
+        }
+        const now = new Date().toISOString();
+        await dbRun(`INSERT INTO passkeys (id, user_id, name, public_key, counter, transports, device_type, backed_up, created_at)
+                     VALUES (?,?,?,?,?,?,?,?,?)`,
+            [credential.id, req.user.sub, name, Buffer.from(credential.publicKey), credential.counter,
+             JSON.stringify(credential.transports || []), credentialDeviceType, credentialBackedUp ? 1 : 0, now]);
+        const device = req.cookies && req.cookies[DEVICE_COOKIE];
+        dbGet('SELECT email FROM users WHERE id=?', [req.user.sub])
+            .then(u => u && sendEmail({ to: u.email, subject: 'Добавен е ключ за достъп', html: newPasskeyEmailHtml({
+                name, device: describeUserAgent(req.get('user-agent')), ip: normIp(clientIp(req)),
+                link: notMeLink(req.user.sub, device ? sha256hex(device) : ''),
+            }) }, { priority: 10 }))
+            .catch(() => {});
+        res.status(201).json(passkeyView(await dbGet(`SELECT ${PASSKEY_COLUMNS} FROM passkeys WHERE id=?`, [credential.id])));
+    } catch (e) {
+        console.error('passkey register error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Rename a passkey.
+app.patch('/api/passkeys/:id', requireUser, async (req, res) => {
+    const name = sanitizeText((req.body && req.body.name) || '', 60);
+    if (!name) return res.status(400).json({ error: 'Въведете име.' });
+    try {
+        const r = await dbRun('UPDATE passkeys SET name=? WHERE id=? AND user_id=?', [name, req.params.id, req.user.sub]);
+        if (!r.changes) return res.status(404).json({ error: 'Ключът не е намерен.' });
+        res.json(passkeyView(await dbGet(`SELECT ${PASSKEY_COLUMNS} FROM passkeys WHERE id=?`, [req.params.id])));
+    } catch (e) {
+        console.error('passkey rename error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Revoke a passkey. Staff can't remove their last second factor (as with 2FA/disable).
+app.delete('/api/passkeys/:id', requireUser, async (req, res) => {
+    try {
+        const user = await dbGet('SELECT role, totp_enabled FROM users WHERE id=?', [req.user.sub]);
+        if (!user) return res.status(401).json({ error: 'Not authenticated' });
+        const mustKeep2fa = staffRequires2fa(user.role, await userPermissions(req.user.sub));
+        const result = await dbTransaction(async () => {
+            if (!await dbGet('SELECT 1 FROM passkeys WHERE id=? AND user_id=?', [req.params.id, req.user.sub])) return 'missing';
+            const others = await dbGet('SELECT COUNT(*) AS n FROM passkeys WHERE user_id=? AND id<>?', [req.user.sub, req.params.id]);
+            if (mustKeep2fa && !user.totp_enabled && !others.n) return 'last';
+            await dbRun('DELETE FROM passkeys WHERE id=?', [req.params.id]);
+            return 'ok';
+        });
+        if (result === 'missing') return res.status(404).json({ error: 'Ключът не е намерен.' });
+        if (result === 'last') {
+            return res.status(403).json({ error: 'Двуфакторната автентикация е задължителна за екипа. Активирайте приложение за автентикация или добавете друг ключ, преди да премахнете този.' });
+        }
+        res.json({ deleted: true });
+    } catch (e) {
+        console.error('passkey delete error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ── Active sessions ───────────────────────────────────────────────────────────
+// The signed-in user's sessions, newest activity first. current marks this browser.
+app.get('/api/sessions', requireUser, async (req, res) => {
+    try {
+        const rows = await dbAll(
+            `SELECT id, created_at, last_seen_at, ip, user_agent, method FROM sessions
+             WHERE user_id=? AND expires_at > ? ORDER BY last_seen_at DESC`,
+            [req.user.sub, new Date().toISOString()]
+        );
+        res.json(rows.map(r => ({
+            id: r.id, current: r.id === req.user.sid, device: describeUserAgent(r.user_agent), user_agent: r.user_agent,
+            ip: r.ip, method: r.method, created_at: r.created_at, last_seen_at: r.last_seen_at,
+        })));
+    } catch (e) {
+        console.error('sessions list error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// End one session. Ending the current one is a logout, so the cookie goes too.
+app.delete('/api/sessions/:id', requireUser, async (req, res) => {
+    try {
+        const r = await dbRun('DELETE FROM sessions WHERE id=? AND user_id=?', [req.params.id, req.user.sub]);
+        if (!r.changes) return res.status(404).json({ error: 'Сесията не е намерена.' });
+        const current = req.params.id === req.user.sid;
+        if (current) res.clearCookie(AUTH_COOKIE, { httpOnly: true, sameSite: 'strict', secure: COOKIE_SECURE, path: '/' });
+        res.json({ deleted: true, current });
+    } catch (e) {
+        console.error('session delete error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// "Log out everywhere else": every session except this one.
+app.post('/api/sessions/logout-others', requireUser, async (req, res) => {
+    try {
+        res.json({ revoked: await revokeSessions(req.user.sub, req.user.sid) });
+    } catch (e) {
+        console.error('logout-others error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ── API token management ──────────────────────────────────────────────────────
+// Browser-only (requireUser): a token can never mint or list tokens. The raw token
+// is returned once, on creation.
+function apiTokenJson(r) {
+    return { id: r.id, name: r.name, prefix: r.prefix, scopes: parseScopes(r.scopes), created_at: r.created_at,
+             expires_at: r.expires_at, last_used_at: r.last_used_at || null, last_used_ip: r.last_used_ip || null };
+}
+app.get('/api/tokens', requireUser, async (req, res) => {
+    try {
+        const rows = await dbAll('SELECT * FROM api_tokens WHERE user_id=? AND expires_at > ? ORDER BY created_at DESC',
+            [req.user.sub, new Date().toISOString()]);
+        res.json({
+            tokens: rows.map(apiTokenJson),
+            scopes: Object.entries(TOKEN_SCOPES).map(([name, sc]) => ({ name, label: sc.label })),
+            days: API_TOKEN_DAYS,
+            allowed: (await userPermissions(req.user.sub)).size > 0,   // tokens only carry staff permissions
+        });
+    } catch (e) {
+        console.error('tokens list error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// body: { name, scopes: [...], days }
+app.post('/api/tokens', requireUser, async (req, res) => {
+    const b = req.body || {};
+    const name = sanitizeText(b.name || '', 60);
+    const scopes = Array.isArray(b.scopes) ? [...new Set(b.scopes.map(String))] : [];
+    const days = b.days === undefined ? 90 : Number(b.days);
+    if (!name) return res.status(400).json({ error: 'Въведете име на ключа.' });
+    if (!scopes.length || !scopes.every(sc => Object.hasOwn(TOKEN_SCOPES, sc))) return res.status(400).json({ error: 'Изберете поне един валиден обхват.' });
+    if (!API_TOKEN_DAYS.includes(days)) return res.status(400).json({ error: 'Невалиден срок.' });
+    try {
+        const user = await dbGet(`SELECT role, permissions, totp_enabled, ${HAS_PASSKEY_SQL}, ${ROLE_PERMS_SQL} FROM users WHERE id=?`, [req.user.sub]);
+        if (!user) return res.status(401).json({ error: 'Not authenticated' });
+        if (!effectivePermissions(user).size) return res.status(403).json({ error: 'API ключове могат да създават само членове на екипа.' });
+        if (!hasSecondFactor(user)) {
+            return res.status(403).json({ error: 'TWOFA_REQUIRED', message: 'Двуфакторната автентикация е задължителна за екипа. Активирайте я в настройките на профила си.' });
+        }
+        const count = await dbGet('SELECT COUNT(*) AS n FROM api_tokens WHERE user_id=? AND expires_at > ?', [req.user.sub, new Date().toISOString()]);
+        if (count.n >= API_TOKEN_MAX) return res.status(400).json({ error: `Може да имате най-много ${API_TOKEN_MAX} активни ключа.` });
+
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const row = await dbGet(
+            `INSERT INTO api_tokens (id, user_id, name, token_hash, prefix, scopes, created_at, expires_at)
+             VALUES (?,?,?,?,?,?,?,?) RETURNING *`,
+            [crypto.randomUUID(), req.user.sub, name, sha256hex(token), token.slice(0, API_TOKEN_PREFIX.length + 6),
+             JSON.stringify(scopes), new Date(now).toISOString(), new Date(now + days * 86_400_000).toISOString()]);
+        res.status(201).json({ ...apiTokenJson(row), token });
+    } catch (e) {
+        console.error('token create error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/tokens/:id', requireUser, async (req, res) => {
+    try {
+        const r = await dbRun('DELETE FROM api_tokens WHERE id=? AND user_id=?', [req.params.id, req.user.sub]);
+        if (!r.changes) return res.status(404).json({ error: 'Ключът не е намерен.' });
+        res.json({ deleted: true });
+    } catch (e) {
+        console.error('token delete error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Profile: the user's data + their favorite and visited addresses.
 app.get('/api/user/profile', requireUser, async (req, res) => {
     try {
@@ -2197,7 +3067,7 @@ app.get('/api/user/profile', requireUser, async (req, res) => {
                     h.id, h.slug, h.name, h.address, h.category, h.images
              FROM user_activity a
              JOIN homes h ON h.id = a.address_id
-             WHERE a.user_id = ?
+             WHERE a.user_id = ? AND h.deleted_at IS NULL
              ORDER BY a.created_at DESC`,
             [req.user.sub]
         );
@@ -2391,11 +3261,8 @@ app.post('/api/user/avatar', requireUser, acceptAvatar('avatar'), async (req, re
         const prev = await dbGet('SELECT avatar_url FROM users WHERE id=?', [req.user.sub]);
         // Versioned key (immutable cache headers) - the old object is deleted below.
         const key = `avatars/${req.user.sub}_${Date.now()}.webp`;
-        await r2.send(new PutObjectCommand({
-            Bucket: R2_BUCKET, Key: key, Body: out,
-            ContentType: 'image/webp', CacheControl: 'public, max-age=31536000',
-        }));
-        const url = `${R2_PUBLIC_URL}/${key}`;
+        await putR2Object(key, out, 'image/webp');
+        const url = `${MEDIA_URL}/${key}`;
         await dbRun('UPDATE users SET avatar_url=? WHERE id=?', [url, req.user.sub]);
         if (prev && prev.avatar_url) await deleteR2(prev.avatar_url);
         res.json({ avatar_url: url, bytes: out.length });
@@ -2433,13 +3300,12 @@ app.get('/api/users/:id/public', async (req, res) => {
         // logged-in viewers get their follow state back.
         let staffViewer = false, viewerId = null;
         try {
-            const token = req.cookies && req.cookies[AUTH_COOKIE];
-            if (token) {
-                const claims = jwt.verify(token, JWT_SECRET);
-                const vr = await dbGet('SELECT id, role FROM users WHERE id=?', [claims.sub]);
+            const claims = await sessionFromCookie(req);
+            if (claims) {
+                const vr = await dbGet(`SELECT id, role, permissions, ${ROLE_PERMS_SQL} FROM users WHERE id=?`, [claims.sub]);
                 if (vr) {
                     viewerId = vr.id;
-                    staffViewer = roleRank(vr.role) >= ROLE_RANK.admin;
+                    staffViewer = effectivePermissions(vr).has('users.view');
                 }
             }
         } catch { /* invalid/expired cookie → treat as guest */ }
@@ -2462,7 +3328,7 @@ app.get('/api/users/:id/public', async (req, res) => {
         const approvedRows = await dbAll(
             `SELECT h.slug, h.name, h.address, h.category, h.images
              FROM pending_addresses p JOIN homes h ON h.slug = p.result_slug
-             WHERE p.user_id = ? AND p.status = 'approved'
+             WHERE p.user_id = ? AND p.status = 'approved' AND h.deleted_at IS NULL
              ORDER BY p.reviewed_at DESC`,
             [u.id]
         );
@@ -2631,15 +3497,16 @@ app.post('/api/user/delete', requireUser, async (req, res) => {
             if (r.backupRemaining !== null) await dbRun('UPDATE users SET totp_backup_codes=? WHERE id=?', [r.backupRemaining, user.id]);
         }
 
-        const pend = await dbAll(
-            "SELECT image_path FROM pending_addresses WHERE user_id=? AND status='pending'",
-            [user.id]
-        );
+        // Read the photos and delete the account in one transaction, so a submission
+        // made meanwhile can't slip between them; the files go only once that commits.
+        const pend = await dbTransaction(async () => {
+            const rows = await dbAll("SELECT image_path FROM pending_addresses WHERE user_id=? AND status='pending'", [user.id]);
+            await dbRun('DELETE FROM users WHERE id=?', [user.id]);  // cascades to activity + pending
+            return rows;
+        });
         for (const row of pend) {
             for (const url of parsePendingImages(row.image_path)) await deleteR2(url);
         }
-
-        await dbRun('DELETE FROM users WHERE id=?', [user.id]);  // cascades to activity + pending
         res.clearCookie(AUTH_COOKIE, { httpOnly: true, sameSite: 'strict', secure: COOKIE_SECURE, path: '/' });
         res.json({ deleted: true });
     } catch (e) {
@@ -2658,7 +3525,7 @@ app.post('/api/user/activity', requireUser, rateLimitActivity, async (req, res)
     }
     try {
         // Accept either an id or a slug; resolve to the canonical home id.
-        const addr = await dbGet('SELECT id FROM homes WHERE id=? OR slug=?', [addressRef, addressRef]);
+        const addr = await dbGet('SELECT id FROM homes WHERE (id=? OR slug=?) AND deleted_at IS NULL', [addressRef, addressRef]);
         if (!addr) return res.status(404).json({ error: 'Address not found' });
 
         const existing = await dbGet(
@@ -2720,14 +3587,16 @@ function parsePendingImages(image_path) {
     return (Array.isArray(list) ? list : []).filter(isHttpUrl);
 }
 function r2KeyFromUrl(url) {
-    if (!url || url.indexOf(R2_PUBLIC_URL + '/') !== 0) return null;
-    return url.substring(R2_PUBLIC_URL.length + 1); // e.g. "pending/abc.jpg"
+    return storage.keyFromUrl(url);   // e.g. "pending/abc.jpg"
 }
 async function deleteR2(url) {
     const key = r2KeyFromUrl(url);
     if (!key) return;
-    try { await r2.send(new DeleteObjectCommand({ Bucket: R2_BUCKET, Key: key })); }
+    try { await storage.remove(key); }
     catch (e) { console.warn('R2 delete failed for', key, '-', e.message); }
+    await dbRun('DELETE FROM photo_exif WHERE url=?', [url]).catch(() => {});   // private data goes with the photo
+    await dbRun('DELETE FROM image_index WHERE url=?', [url]).catch(() => {});
+    await dbRun('UPDATE image_index SET dup_of=NULL WHERE dup_of=?', [url]).catch(() => {});
 }
 
 // Resolve the email we should notify for a submission row: the owning user's email
@@ -2741,6 +3610,130 @@ async function submissionRecipientEmail(row) {
     return row.guest_email || null;
 }
 
+// ── Duplicate detection for suggestions ──────────────────────────────────────
+// A submission is scored against live homes and the other pending rows on up to
+// three signals: title similarity (bigram Dice over the transliterated name, so
+// "Левски" matches "Levski"), address similarity and coordinate proximity. Only
+// signals both sides have count, weighted by DUP_WEIGHTS. The best DUP_MAX
+// candidates are stored on the row when it is submitted (scoreSubmission); rows
+// that predate scoring, or whose scoring failed, are caught up at startup.
+const DUP_MIN_SCORE = 0.5;
+const DUP_MAX       = 3;
+const DUP_NEAR_KM   = 0.5;    // proximity fades linearly to 0 at this distance
+const DUP_WEIGHTS   = { title: 0.5, address: 0.25, geo: 0.25 };
+// Street/settlement prefixes that make any two addresses look alike.
+const DUP_ADDR_NOISE = /\b(ul|ulitsa|bul|bulevard|pl|ploshtad|zhk|kv|gr|grad|s|selo|no|nomer)\b/g;
+
+function dupNorm(s, isAddress) {
+    let t = translitLatin(s).replace(/[^a-z0-9]+/g, ' ');
+    if (isAddress) t = t.replace(DUP_ADDR_NOISE, ' ');
+    return t.replace(/\s+/g, ' ').trim();
+}
+function dupBigrams(t) {
+    const set = new Set();
+    for (const w of t.split(' ')) {
+        const p = ` ${w} `;
+        for (let i = 0; i < p.length - 1; i++) set.add(p.slice(i, i + 2));
+    }
+    return set;
+}
+function dupDice(a, b) {
+    if (!a.size || !b.size) return 0;
+    let n = 0;
+    for (const g of a) if (b.has(g)) n++;
+    return (2 * n) / (a.size + b.size);
+}
+function dupEntry(type, r) {
+    const name = dupNorm(r.name), addr = dupNorm(r.address, true);
+    return {
+        type, id: r.id, slug: r.slug || null, name: r.name, address: r.address || '',
+        lat: r.lat, lng: r.lng, words: name.split(' ').filter(Boolean),
+        t: dupBigrams(name), a: addr ? dupBigrams(addr) : null,
+    };
+}
+// Title similarity: Dice, but a multi-word name fully contained in the other
+// ("Васил Левски" in "Къща-музей Васил Левски") also counts as a strong match.
+function dupTitleScore(x, y) {
+    const dice = dupDice(x.t, y.t);
+    const [short, long] = x.words.length <= y.words.length ? [x.words, y.words] : [y.words, x.words];
+    const contained = short.length >= 2 && short.every(w => long.includes(w));
+    return Math.max(dice, contained ? 0.9 : 0);
+}
+
+async function loadDupCorpus() {
+    const homes = await dbAll('SELECT id, slug, name, address, lat, lng FROM homes WHERE deleted_at IS NULL');
+    const pend  = await dbAll("SELECT id, title AS name, address, lat, lng FROM pending_addresses WHERE status='pending'");
+    return homes.map(h => dupEntry('home', h)).concat(pend.map(p => dupEntry('pending', p)));
+}
+
+// Best duplicate candidates for one submission (a pending_addresses row).
+function findDuplicates(row, corpus) {
+    const me = dupEntry('pending', { ...row, name: row.title });
+    const hasGeo = r => r.lat != null && r.lng != null;
+    const out = [];
+    for (const c of corpus) {
+        if (c.type === 'pending' && c.id === row.id) continue;
+        const sig = { title: dupTitleScore(me, c) };
+        if (me.a && c.a) sig.address = dupDice(me.a, c.a);
+        let km = null;
+        if (hasGeo(me) && hasGeo(c)) {
+            km = haversineKm(me.lat, me.lng, c.lat, c.lng);
+            sig.geo = Math.max(0, 1 - km / DUP_NEAR_KM);
+        }
+        let sum = 0, w = 0;
+        for (const k of Object.keys(sig)) { sum += DUP_WEIGHTS[k] * sig[k]; w += DUP_WEIGHTS[k]; }
+        const score = sum / w;
+        if (score < DUP_MIN_SCORE) continue;
+        out.push({
+            type: c.type, id: c.id, slug: c.slug, name: c.name, address: c.address,
+            score: +score.toFixed(2), title: +sig.title.toFixed(2),
+            address_score: sig.address != null ? +sig.address.toFixed(2) : null,
+            distance_m: km != null ? Math.round(km * 1000) : null,
+        });
+    }
+    return out.sort((a, b) => b.score - a.score).slice(0, DUP_MAX);
+}
+
+// Score a freshly submitted/resubmitted row and store the result. Pending rows it
+// matches get it added to their own list too, so both sides of a pair show it.
+// Best-effort: a failure here must never fail the submission itself.
+async function scoreSubmission(id) {
+    try {
+        const row = await dbGet('SELECT id, title, address, lat, lng FROM pending_addresses WHERE id=?', [id]);
+        if (!row) return;
+        const found = findDuplicates(row, await loadDupCorpus());
+        await dbRun('UPDATE pending_addresses SET dup_candidates=? WHERE id=?', [JSON.stringify(found), id]);
+        for (const c of found.filter(f => f.type === 'pending')) {
+            const other = await dbGet('SELECT dup_candidates FROM pending_addresses WHERE id=?', [c.id]);
+            if (!other || other.dup_candidates == null) continue;   // scored in full at the next startup
+            let list = []; try { list = JSON.parse(other.dup_candidates) || []; } catch {}
+            list = list.filter(x => x.id !== id).concat([{ ...c, type: 'pending', id, slug: null, name: row.title, address: row.address || '' }]);
+            list.sort((a, b) => b.score - a.score);
+            await dbRun('UPDATE pending_addresses SET dup_candidates=? WHERE id=?', [JSON.stringify(list.slice(0, DUP_MAX)), c.id]);
+        }
+    } catch (e) { console.error('duplicate scoring error:', e.message); }
+}
+
+// Score every pending row that has no stored candidates yet (startup upkeep).
+async function backfillDuplicateScores() {
+    const rows = await dbAll("SELECT id, title, address, lat, lng FROM pending_addresses WHERE status='pending' AND dup_candidates IS NULL");
+    if (!rows.length) return;
+    const corpus = await loadDupCorpus();
+    await dbTransaction(async () => {
+        for (const r of rows) await dbRun('UPDATE pending_addresses SET dup_candidates=? WHERE id=?', [JSON.stringify(findDuplicates(r, corpus)), r.id]);
+    });
+    console.log(`🔁 Scored ${rows.length} pending submission(s) for duplicates.`);
+}
+
+// Store a crowdsourced photo under pending/ and keep its EXIF (date, GPS, camera)
+// privately for the moderator. Returns the pending URL.
+async function uploadPendingPhoto(buf) {
+    const exif = await readPhotoExif(buf);
+    const url  = await uploadPhotoToR2(buf, `pending/${crypto.randomBytes(16).toString('hex')}`);
+    await savePhotoExif(url, exif);
+    return url;
+}
+
 // Submit a suggestion (logged-in users). Accepts text fields + up to MAX_PHOTOS images.
 app.post('/api/suggest', requireUser, requireVerified, requireNotBanned, rateLimitSuggest, acceptPhotos('images'), async (req, res) => {
     try {
@@ -2776,9 +3769,7 @@ app.post('/api/suggest', requireUser, requireVerified, requireNotBanned, rateLim
         const urls = [];
         for (const f of (req.files || [])) {
             try {
-                const base = crypto.randomBytes(16).toString('hex');
-                const url  = await uploadPhotoToR2(f.buffer, `pending/${base}`);
-                urls.push(url);
+                urls.push(await uploadPendingPhoto(f.buffer));
             } catch (e) {
                 console.warn('suggest: skipped a bad photo -', e.message);
             }
@@ -2793,6 +3784,7 @@ app.post('/api/suggest', requireUser, requireVerified, requireNotBanned, rateLim
             [id, req.user.sub, title, description || null, city || null, address || null, lat, lng, category, image_path, now, ownsImage, authorName || null]
         );
         res.status(201).json({ id, status: 'pending', photos: urls.length });
+        scoreSubmission(id);
 
         // TRIGGER 1: confirm we received the submission (fire-and-forget).
         dbGet('SELECT email FROM users WHERE id=?', [req.user.sub])
@@ -2838,8 +3830,7 @@ app.post('/api/suggest-guest', rateLimitSuggest, acceptPhotos('images'), async (
         const urls = [];
         for (const f of (req.files || [])) {
             try {
-                const base = crypto.randomBytes(16).toString('hex');
-                urls.push(await uploadPhotoToR2(f.buffer, `pending/${base}`));
+                urls.push(await uploadPendingPhoto(f.buffer));
             } catch (e) { console.warn('guest suggest: skipped a bad photo -', e.message); }
         }
         const image_path = urls.length ? JSON.stringify(urls) : null;
@@ -2852,6 +3843,7 @@ app.post('/api/suggest-guest', rateLimitSuggest, acceptPhotos('images'), async (
             [id, email, title, description || null, null, address || null, null, null, 'home', image_path, now, ownsImage, authorName || null]
         );
         res.status(201).json({ id, status: 'pending', photos: urls.length });
+        scoreSubmission(id);
 
         // TRIGGER 1: confirm receipt to the guest (fire-and-forget), with the
         // "Създай своя профил" conversion CTA.
@@ -2891,7 +3883,7 @@ app.put('/api/suggest/:id', requireUser, requireVerified, requireNotBanned, rate
             for (const u of parsePendingImages(row.image_path)) { await deleteR2(u); await deleteR2(pendingThumbUrl(u)); }
             const urls = [];
             for (const f of req.files) {
-                try { urls.push(await uploadPhotoToR2(f.buffer, `pending/${crypto.randomBytes(16).toString('hex')}`)); }
+                try { urls.push(await uploadPendingPhoto(f.buffer)); }
                 catch (e) { console.warn('resubmit: skipped a bad photo -', e.message); }
             }
             image_path = urls.length ? JSON.stringify(urls) : null;
@@ -2900,11 +3892,13 @@ app.put('/api/suggest/:id', requireUser, requireVerified, requireNotBanned, rate
         await dbRun(
             `UPDATE pending_addresses
              SET title=?, description=?, city=?, address=?, category=?, image_path=?,
-                 status='pending', moderation_note=NULL, reviewed_at=NULL, reviewed_by=NULL, created_at=?
+                 status='pending', moderation_note=NULL, reviewed_at=NULL, reviewed_by=NULL, created_at=?,
+                 claimed_by=NULL, claim_expires_at=NULL
              WHERE id=?`,
             [title, description, city, address, category, image_path, new Date().toISOString(), row.id]
         );
         res.json({ id: row.id, status: 'pending' });
+        scoreSubmission(row.id);
     } catch (e) {
         console.error('resubmit error:', e.message);
         res.status(500).json({ error: 'Грешка при изпращане. Опитайте отново.' });
@@ -2920,11 +3914,7 @@ app.get('/api/pending-image/:id', requireUser, async (req, res) => {
         if (!row || !row.image_path) return res.status(404).end();
 
         let allowed = row.user_id === req.user.sub;
-        if (!allowed) {
-            const u = await dbGet('SELECT role, permissions FROM users WHERE id=?', [req.user.sub]);
-            let perms = []; try { perms = JSON.parse((u && u.permissions) || '[]'); } catch {}
-            allowed = u && (u.role === 'owner' || u.role === 'moderator' || perms.includes('approve:photos'));
-        }
+        if (!allowed) allowed = (await userPermissions(req.user.sub)).has('moderation.review');
         if (!allowed) return res.status(403).end();
 
         const imgs = parsePendingImages(row.image_path);
@@ -2932,9 +3922,11 @@ app.get('/api/pending-image/:id', requireUser, async (req, res) => {
         const target = imgs[idx];
         if (!target) return res.status(404).end();
 
-        const r2resp = await fetch(target);
-        if (!r2resp.ok) return res.status(404).end();
-        const buf = Buffer.from(await r2resp.arrayBuffer());
+        const key = r2KeyFromUrl(target);
+        if (!key) return res.status(404).end();
+        let buf;
+        try { buf = await storage.get(key); }
+        catch (e) { if (e.code === 'NOT_FOUND') return res.status(404).end(); throw e; }
         res.setHeader('Content-Disposition', 'attachment; filename="predlozhenie-' + (idx + 1) + '.jpg"');
         res.setHeader('Cache-Control', 'private, max-age=300');
         res.type('image/jpeg');
@@ -2945,19 +3937,27 @@ app.get('/api/pending-image/:id', requireUser, async (req, res) => {
 });
 
 // Moderation queue (moderators/owners).
-app.get('/api/admin/pending', requireModerator, async (req, res) => {
+app.get('/api/admin/pending', requirePermission('moderation.review'), async (req, res) => {
     const status   = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
-    const isAdmin  = roleRank(req.user.role) >= ROLE_RANK.admin;   // moderators can't see emails
-    const wantHidden = isAdmin && req.query.hidden === 'true';      // admin-only "hidden history" view
+    const isAdmin  = req.user.perms.has('users.view');              // reviewers without it can't see emails
+    const wantHidden = req.user.perms.has('moderation.approve') && req.query.hidden === 'true';   // "hidden history" view
+    const mineOnly   = req.query.assigned === 'me';
+    const nowMs      = Date.now();
     try {
         const rows = await dbAll(
             `SELECT p.id,p.title,p.description,p.city,p.address,p.lat,p.lng,p.category,p.image_path,
                     p.status,p.created_at,p.result_slug,p.owns_image,p.author_name,p.denied,p.moderation_note,
-                    p.hidden_from_history, COALESCE(u.email, p.guest_email) AS user_email,
-                    (p.user_id IS NULL) AS is_guest
+                    p.hidden_from_history, p.dup_candidates, COALESCE(u.email, p.guest_email) AS user_email,
+                    (p.user_id IS NULL) AS is_guest, p.reviewed_at,
+                    p.claimed_by, p.claim_expires_at, p.assigned_to, p.assigned_at,
+                    COALESCE(cu.display_name, cu.email) AS claimed_by_name,
+                    COALESCE(au.display_name, au.email) AS assigned_to_name
              FROM pending_addresses p LEFT JOIN users u ON u.id = p.user_id
-             WHERE p.status = ? AND p.hidden_from_history = ? ORDER BY p.created_at ASC LIMIT 500`,
-            [status, wantHidden ? 1 : 0]
+             LEFT JOIN users cu ON cu.id = p.claimed_by
+             LEFT JOIN users au ON au.id = p.assigned_to
+             WHERE p.status = ? AND p.hidden_from_history = ? ${mineOnly ? 'AND p.assigned_to = ?' : ''}
+             ORDER BY p.created_at ASC LIMIT 500`,
+            mineOnly ? [status, wantHidden ? 1 : 0, req.user.sub] : [status, wantHidden ? 1 : 0]
         );
         // One query for all feedback on the listed submissions, grouped by submission id.
         const ids = rows.map(r => r.id);
@@ -2968,10 +3968,44 @@ app.get('/api/admin/pending', requireModerator, async (req, res) => {
                  WHERE submission_id IN (${ids.map(() => '?').join(',')}) ORDER BY created_at ASC`, ids);
             for (const f of fb) (fbBy[f.submission_id] = fbBy[f.submission_id] || []).push({ author: f.author_name || 'Модератор', comment: f.comment, created_at: f.created_at });
         }
+        // Duplicate candidates (pending queue only), as stored when each row was
+        // scored; matches that were since trashed or processed are dropped.
+        const dupsBy = {};
+        if (status === 'pending' && rows.length) {
+            const liveHomes   = new Set((await dbAll('SELECT id FROM homes WHERE deleted_at IS NULL')).map(h => h.id));
+            const livePending = new Set(rows.map(r => r.id));
+            for (const r of rows) {
+                let list = []; try { list = JSON.parse(r.dup_candidates) || []; } catch {}
+                dupsBy[r.id] = list.filter(c => (c.type === 'home' ? liveHomes : livePending).has(c.id));
+            }
+        }
+        // Private photo EXIF (capture date, GPS, camera) - users.view only, like emails.
+        const exifBy = {};
+        if (isAdmin) {
+            const urls = rows.flatMap(r => parsePendingImages(r.image_path));
+            for (let i = 0; i < urls.length; i += 500) {
+                const part = urls.slice(i, i + 500);
+                for (const x of await dbAll(`SELECT url, taken_at, lat, lng, camera FROM photo_exif WHERE url IN (${part.map(() => '?').join(',')})`, part)) {
+                    exifBy[x.url] = { taken_at: x.taken_at, lat: x.lat, lng: x.lng, camera: x.camera };
+                }
+            }
+        }
+        // Photos that nearly match one already live (see "Near-duplicate photos").
+        const copyOf = {};
+        const pendingUrls = rows.flatMap(r => parsePendingImages(r.image_path));
+        for (let i = 0; i < pendingUrls.length; i += 500) {
+            const part = pendingUrls.slice(i, i + 500);
+            for (const x of await dbAll(`SELECT url, dup_of FROM image_index WHERE dup_of IS NOT NULL AND url IN (${part.map(() => '?').join(',')})`, part)) {
+                const homes = await dbAll('SELECT slug, name FROM homes WHERE deleted_at IS NULL AND instr(images, ?) > 0 LIMIT 3', [x.dup_of]);
+                copyOf[x.url] = { url: x.dup_of, thumb: pendingThumbUrl(x.dup_of), homes };
+            }
+        }
         res.json(rows.map(r => {
             const imgs = parsePendingImages(r.image_path);  // array of R2 URLs (legacy paths excluded)
             const images = imgs.map((u, i) => ({
                 url: u, thumb: pendingThumbUrl(u), download: '/api/pending-image/' + r.id + '?i=' + i,
+                exif: exifBy[u] || null,
+                duplicate_of: copyOf[u] || null,
             }));
             return {
                 id: r.id, title: r.title, description: r.description || '',
@@ -2985,6 +4019,11 @@ app.get('/api/admin/pending', requireModerator, async (req, res) => {
                 owns_image: !!r.owns_image, author_name: r.author_name || '',
                 hidden_from_history: !!r.hidden_from_history,
                 feedback: fbBy[r.id] || [],
+                duplicates: dupsBy[r.id] || [],
+                // Review workflow. Expired claims are reported as free.
+                claim: claimActive(r, nowMs) ? { user_id: r.claimed_by, name: r.claimed_by_name || null, expires_at: r.claim_expires_at } : null,
+                assigned: r.assigned_to ? { user_id: r.assigned_to, name: r.assigned_to_name || null, at: r.assigned_at } : null,
+                waiting_minutes: Math.round(((r.reviewed_at ? Date.parse(r.reviewed_at) : nowMs) - Date.parse(r.created_at)) / 60000),
                 images: images,
                 image: images[0] ? images[0].url : null,         // first photo (for the card)
                 image_thumb: images[0] ? images[0].thumb : null,
@@ -2996,9 +4035,164 @@ app.get('/api/admin/pending', requireModerator, async (req, res) => {
     }
 });
 
-// Internal moderator feedback on a PENDING submission (moderator+; not shown to the
+// ── Review claims, assignment and queue metrics ──────────────────────────────
+// Opening a submission for review claims it for CLAIM_TTL_MIN minutes (the editor
+// re-claims while it stays open), so two admins don't review the same thing; an
+// expired claim is simply free again. Assignment is a softer, lasting hint of
+// who should pick the submission up - it does not block anyone.
+const CLAIM_TTL_MIN = Math.max(1, parseInt(process.env.CLAIM_TTL_MIN, 10) || 30);
+
+function claimActive(row, nowMs = Date.now()) {
+    return !!(row && row.claimed_by && row.claim_expires_at && Date.parse(row.claim_expires_at) > nowMs);
+}
+async function staffName(id) {
+    const u = id && await dbGet('SELECT display_name, email FROM users WHERE id=?', [id]);
+    return u ? (u.display_name || u.email) : null;
+}
+
+// Claim (or extend your own claim on) a pending submission. 409 while someone
+// else holds a live claim.
+app.post('/api/admin/pending/:id/claim', requirePermission('moderation.approve'), async (req, res) => {
+    try {
+        const now = new Date();
+        const expires = new Date(now.getTime() + CLAIM_TTL_MIN * 60000).toISOString();
+        const r = await dbRun(
+            `UPDATE pending_addresses SET claimed_by=?, claim_expires_at=?
+             WHERE id=? AND status='pending'
+               AND (claimed_by IS NULL OR claimed_by=? OR claim_expires_at IS NULL OR claim_expires_at <= ?)`,
+            [req.user.sub, expires, req.params.id, req.user.sub, now.toISOString()]);
+        if (r.changes) {
+            audit(req, { skip: true });   // heartbeat-style; not worth an audit row each time
+            return res.json({ id: req.params.id, claim: { user_id: req.user.sub, expires_at: expires } });
+        }
+        const row = await dbGet('SELECT status, claimed_by, claim_expires_at FROM pending_addresses WHERE id=?', [req.params.id]);
+        if (!row) return res.status(404).json({ error: 'Submission not found' });
+        if (row.status !== 'pending') return res.status(409).json({ error: 'Това предложение вече е обработено' });
+        const who = await staffName(row.claimed_by);
+        res.status(409).json({ error: `Предложението се преглежда от ${who || 'друг член на екипа'}.`,
+                               claim: { user_id: row.claimed_by, name: who, expires_at: row.claim_expires_at } });
+    } catch (e) {
+        console.error('claim error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Release a claim. Only the holder may release it, except whoever may assign work
+// (stuck locks).
+app.post('/api/admin/pending/:id/release', requirePermission('moderation.approve'), async (req, res) => {
+    try {
+        const row = await dbGet('SELECT id, claimed_by FROM pending_addresses WHERE id=?', [req.params.id]);
+        if (!row) return res.status(404).json({ error: 'Submission not found' });
+        if (row.claimed_by && row.claimed_by !== req.user.sub && !req.user.perms.has('moderation.assign')) {
+            return res.status(403).json({ error: 'Само прегледащият може да освободи предложението.' });
+        }
+        await dbRun('UPDATE pending_addresses SET claimed_by=NULL, claim_expires_at=NULL WHERE id=?', [row.id]);
+        if (row.claimed_by === req.user.sub) audit(req, { skip: true });
+        else audit(req, { action: 'submission.release', target: 'submission:' + row.id, before: { claimed_by: row.claimed_by } });
+        res.json({ id: row.id, claim: null });
+    } catch (e) {
+        console.error('release error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Assign a pending submission to a staff member (anyone who can review), or unassign with
+// { user_id: null }.
+app.post('/api/admin/pending/:id/assign', requirePermission('moderation.assign'), async (req, res) => {
+    const target = (req.body && req.body.user_id) || null;
+    try {
+        const row = await dbGet('SELECT id, status, assigned_to FROM pending_addresses WHERE id=?', [req.params.id]);
+        if (!row) return res.status(404).json({ error: 'Submission not found' });
+        if (row.status !== 'pending') return res.status(409).json({ error: 'Това предложение вече е обработено' });
+        if (target) {
+            if (!(await userPermissions(String(target))).has('moderation.review')) return res.status(400).json({ error: 'Може да се възлага само на член на екипа.' });
+        }
+        await dbRun('UPDATE pending_addresses SET assigned_to=?, assigned_at=? WHERE id=?',
+            [target, target ? new Date().toISOString() : null, row.id]);
+        audit(req, { action: 'submission.assign', target: 'submission:' + row.id,
+                     before: { assigned_to: row.assigned_to || null }, after: { assigned_to: target } });
+        res.json({ id: row.id, assigned: target ? { user_id: target, name: await staffName(target) } : null });
+    } catch (e) {
+        console.error('assign error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Queue health + per-moderator load (moderation.assign). ?days=N (default 30, max 365) is the
+// window for decision metrics; backlog figures are always "right now".
+app.get('/api/admin/moderation/stats', requirePermission('moderation.assign'), async (req, res) => {
+    const days  = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 30));
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const nowMs = Date.now();
+    const minutes = (a, b) => Math.max(0, Math.round((Date.parse(b) - Date.parse(a)) / 60000));
+    const pct = (sorted, p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null;
+    try {
+        const pending = await dbAll("SELECT created_at, claimed_by, claim_expires_at, assigned_to FROM pending_addresses WHERE status='pending'");
+        const ages = pending.map(r => minutes(r.created_at, new Date(nowMs).toISOString())).sort((a, b) => a - b);
+        const bucket = { under_1d: 0, d1_3: 0, d3_7: 0, over_7d: 0 };
+        for (const m of ages) {
+            if (m < 1440) bucket.under_1d++; else if (m < 4320) bucket.d1_3++; else if (m < 10080) bucket.d3_7++; else bucket.over_7d++;
+        }
+
+        const decided = await dbAll(
+            `SELECT reviewed_by, created_at, reviewed_at, status, denied FROM pending_addresses
+             WHERE status != 'pending' AND reviewed_at >= ? AND reviewed_by IS NOT NULL`, [since]);
+        const notes = await dbAll('SELECT author_id, COUNT(*) AS n FROM submission_feedback WHERE created_at >= ? GROUP BY author_id', [since]);
+        // Reviewers: anyone holding moderation.review, by role preset or individual grant.
+        const staff = (await dbAll(
+            `SELECT id, COALESCE(display_name, email) AS name, role, permissions, ${ROLE_PERMS_SQL}
+             FROM users ORDER BY name`)).filter(u => effectivePermissions(u).has('moderation.review'));
+
+        const per = {};
+        const get = id => per[id] || (per[id] = { decisions: 0, approved: 0, returned: 0, denied: 0, notes: 0, times: [], claimed: 0, assigned: 0 });
+        for (const d of decided) {
+            const p = get(d.reviewed_by);
+            p.decisions++;
+            if (d.status === 'approved') p.approved++; else if (d.denied) p.denied++; else p.returned++;
+            p.times.push(minutes(d.created_at, d.reviewed_at));
+        }
+        for (const n of notes) if (n.author_id) get(n.author_id).notes = n.n;
+        for (const r of pending) {
+            if (claimActive(r, nowMs)) get(r.claimed_by).claimed++;
+            if (r.assigned_to) get(r.assigned_to).assigned++;
+        }
+        const allTimes = decided.map(d => minutes(d.created_at, d.reviewed_at)).sort((a, b) => a - b);
+
+        res.json({
+            window_days: days,
+            backlog: {
+                pending: pending.length,
+                unassigned: pending.filter(r => !r.assigned_to).length,
+                claimed: pending.filter(r => claimActive(r, nowMs)).length,
+                oldest_minutes: ages.length ? ages[ages.length - 1] : null,
+                median_age_minutes: pct(ages, 0.5),
+                age_buckets: bucket,
+            },
+            decisions: {
+                total: decided.length,
+                median_minutes: pct(allTimes, 0.5),
+                p90_minutes: pct(allTimes, 0.9),
+            },
+            moderators: staff.map(u => {
+                const p = per[u.id] || get(u.id);
+                const t = p.times.sort((a, b) => a - b);
+                return {
+                    user_id: u.id, name: u.name, role: u.role,
+                    decisions: p.decisions, approved: p.approved, returned: p.returned, denied: p.denied,
+                    notes: p.notes, claimed_now: p.claimed, assigned_pending: p.assigned,
+                    median_decision_minutes: pct(t, 0.5),
+                };
+            }).sort((a, b) => b.decisions - a.decisions || b.assigned_pending - a.assigned_pending),
+        });
+    } catch (e) {
+        console.error('moderation stats error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Internal moderator feedback on a PENDING submission (moderation.review; not shown to the
 // submitter). Admins/owners read these before approving/rejecting.
-app.post('/api/admin/feedback/:id', requireModerator, async (req, res) => {
+app.post('/api/admin/feedback/:id', requirePermission('moderation.review'), async (req, res) => {
     const comment = sanitizeText((req.body && req.body.comment) || '', 1000);
     if (!comment) return res.status(400).json({ error: 'Бележката не може да е празна.' });
     try {
@@ -3010,6 +4204,7 @@ app.post('/api/admin/feedback/:id', requireModerator, async (req, res) => {
         const now = new Date().toISOString();
         await dbRun('INSERT INTO submission_feedback (submission_id,author_id,author_name,comment,created_at) VALUES (?,?,?,?,?)',
             [sub.id, req.user.sub, author, comment, now]);
+        audit(req, { action: 'moderation.feedback', target: 'submission:' + sub.id, after: { comment } });
         res.status(201).json({ author, comment, created_at: now });
     } catch (e) {
         console.error('feedback error:', e.message);
@@ -3017,14 +4212,15 @@ app.post('/api/admin/feedback/:id', requireModerator, async (req, res) => {
     }
 });
 
-// Hide a PROCESSED submission from the moderation history (admin+). Reversible.
-app.post('/api/admin/submission/:id/hide', requireRole('admin'), async (req, res) => {
+// Hide a PROCESSED submission from the moderation history (moderation.approve). Reversible.
+app.post('/api/admin/submission/:id/hide', requirePermission('moderation.approve'), async (req, res) => {
     const hide = !(req.body && req.body.unhide === true);
     try {
         const row = await dbGet('SELECT id, status FROM pending_addresses WHERE id=?', [req.params.id]);
         if (!row) return res.status(404).json({ error: 'Submission not found' });
         if (row.status === 'pending') return res.status(409).json({ error: 'Само обработени предложения могат да се скриват.' });
         await dbRun('UPDATE pending_addresses SET hidden_from_history=? WHERE id=?', [hide ? 1 : 0, row.id]);
+        audit(req, { action: hide ? 'submission.hide' : 'submission.unhide', target: 'submission:' + row.id });
         res.json({ id: row.id, hidden_from_history: hide });
     } catch (e) {
         console.error('hide submission error:', e.message);
@@ -3032,15 +4228,17 @@ app.post('/api/admin/submission/:id/hide', requireRole('admin'), async (req, res
     }
 });
 
-// Permanently delete a submission's record + its R2 pending photos + feedback (admin+).
+// Permanently delete a submission's record + its R2 pending photos + feedback (moderation.approve).
 // Frees storage. Does NOT touch the live home that may have been published from it.
-app.delete('/api/admin/submission/:id', requireRole('admin'), async (req, res) => {
+app.delete('/api/admin/submission/:id', requirePermission('moderation.approve'), async (req, res) => {
     try {
-        const row = await dbGet('SELECT id, image_path FROM pending_addresses WHERE id=?', [req.params.id]);
+        const row = await dbGet('SELECT id, title, status, user_id, image_path FROM pending_addresses WHERE id=?', [req.params.id]);
         if (!row) return res.status(404).json({ error: 'Submission not found' });
         for (const u of parsePendingImages(row.image_path)) { await deleteR2(u); await deleteR2(pendingThumbUrl(u)); }
         await dbRun('DELETE FROM submission_feedback WHERE submission_id=?', [row.id]);
         await dbRun('DELETE FROM pending_addresses WHERE id=?', [row.id]);
+        audit(req, { action: 'submission.delete', target: 'submission:' + row.id,
+                     before: { title: row.title, status: row.status, user_id: row.user_id } });
         res.json({ id: row.id, deleted: true });
     } catch (e) {
         console.error('delete submission error:', e.message);
@@ -3048,19 +4246,76 @@ app.delete('/api/admin/submission/:id', requireRole('admin'), async (req, res) =
     }
 });
 
+// Copy the kept pending photos (plus any moderator uploads) to live `img_sug_`
+// keys for the home `slug`. Used by both approve and merge.
+async function promotePendingPhotos(row, b, files, slug, alt) {
+    // Which pending photos to keep (defaults to all). Only real pending URLs
+    // are honoured - arbitrary URLs in the request are ignored.
+    const pendingUrls = parsePendingImages(row.image_path);
+    let keep = pendingUrls;
+    if (b.keptImages !== undefined) {
+        try { const arr = JSON.parse(b.keptImages); keep = Array.isArray(arr) ? arr.filter(u => pendingUrls.includes(u)) : []; }
+        catch { keep = []; }
+    }
+
+    // Watermark only when the suggester claimed the photos as their own - then
+    // it reads "© <author> via Адресът на историята". Unclaimed photos get NO
+    // watermark (we may not own them). A moderator can override the name via the
+    // 'wm_creator' field; an explicit empty value forces no watermark.
+    let wmCreator = (row.owns_image && row.author_name) ? row.author_name : '';
+    if (b.wm_creator !== undefined) wmCreator = sanitizeText(b.wm_creator, 80);
+    const finishImage = async (rawBuf) => {
+        const out = wmCreator ? await buildWatermark(rawBuf, wmCreator) : rawBuf;
+        return uploadPhotoToR2(out, `img_sug_${slug}_${Date.now()}_${randomSuffix()}`);
+    };
+
+    // Build the live image list: kept pending photos + new files.
+    const images = [];
+    for (const url of keep) {
+        try {
+            const key = r2KeyFromUrl(url);
+            if (!key) continue;
+            const liveUrl = await finishImage(await storage.get(key));
+            await dbRun(`INSERT OR REPLACE INTO photo_exif (url, taken_at, lat, lng, camera, lens, created_at)
+                         SELECT ?, taken_at, lat, lng, camera, lens, created_at FROM photo_exif WHERE url=?`, [liveUrl, url]);
+            images.push({ path: liveUrl, thumb: pendingThumbUrl(liveUrl), caption: '', alt });
+        } catch (e) { console.warn('promote kept photo failed:', e.message); }
+    }
+    for (const f of (files || [])) {
+        try {
+            const liveUrl = await finishImage(f.buffer);
+            await savePhotoExif(liveUrl, await readPhotoExif(f.buffer));
+            images.push({ path: liveUrl, thumb: pendingThumbUrl(liveUrl), caption: '', alt });
+        } catch (e) { console.warn('add photo failed:', e.message); }
+    }
+    return images;
+}
+
+// Close a submission as approved. Throws if it was processed meanwhile, so the
+// surrounding transaction rolls back instead of publishing it twice.
+async function markSubmissionApproved(id, reviewerId, slug, now) {
+    const r = await dbRun("UPDATE pending_addresses SET status='approved', reviewed_at=?, reviewed_by=?, result_slug=? WHERE id=? AND status='pending'",
+        [now, reviewerId, slug, id]);
+    if (!r.changes) throw Object.assign(new Error('submission ' + id + ' is no longer pending'), { code: 'ALREADY_PROCESSED' });
+}
+
 // Approve / reject / return a submission. ADMIN+ only - moderators are read-only and
 // can only leave internal feedback (above). Admins may edit fields, keep/remove the
-// submitter's photos, add their own, and set tags / sources / dates.
-app.post('/api/admin/moderate/:id', requireRole('admin'), acceptPhotos('images'), async (req, res) => {
+// submitter's photos, add their own, and set tags / sources / dates. 'merge' (with
+// merge_into = home id) attaches the submission to an existing place instead.
+app.post('/api/admin/moderate/:id', requirePermission('moderation.approve'), acceptPhotos('images'), async (req, res) => {
     const b = req.body || {};
     const action = b.action || '';
-    if (['approve', 'reject', 'deny'].indexOf(action) < 0) {
-        return res.status(400).json({ error: "action must be 'approve', 'reject' or 'deny'" });
+    if (['approve', 'reject', 'deny', 'merge'].indexOf(action) < 0) {
+        return res.status(400).json({ error: "action must be 'approve', 'reject', 'deny' or 'merge'" });
     }
     try {
         const row = await dbGet('SELECT * FROM pending_addresses WHERE id=?', [req.params.id]);
         if (!row) return res.status(404).json({ error: 'Submission not found' });
         if (row.status !== 'pending') return res.status(409).json({ error: 'Това предложение вече е обработено' });
+        if (claimActive(row) && row.claimed_by !== req.user.sub) {
+            return res.status(409).json({ error: `Предложението се преглежда от ${(await staffName(row.claimed_by)) || 'друг член на екипа'}.` });
+        }
 
         const now = new Date().toISOString();
         const pendingUrls = parsePendingImages(row.image_path);
@@ -3073,6 +4328,7 @@ app.post('/api/admin/moderate/:id', requireRole('admin'), acceptPhotos('images')
             const note = sanitizeText(b.note, 1000) || null;
             await dbRun("UPDATE pending_addresses SET status='rejected', denied=0, reviewed_at=?, reviewed_by=?, moderation_note=? WHERE id=?",
                 [now, req.user.sub, note, row.id]);
+            audit(req, { action: 'moderation.reject', target: 'submission:' + row.id, before: { status: row.status }, after: { status: 'rejected', note } });
             res.json({ id: row.id, status: 'rejected', denied: 0, note });
             // TRIGGER 3: returned for correction - email the submitter the admin's note.
             submissionRecipientEmail(row)
@@ -3088,9 +4344,10 @@ app.post('/api/admin/moderate/:id', requireRole('admin'), acceptPhotos('images')
         // row denied so the submitter sees it as rejected and cannot resubmit. ──
         if (action === 'deny') {
             const note = sanitizeText(b.note, 1000) || null;
-            for (const u of pendingUrls) { await deleteR2(u); await deleteR2(pendingThumbUrl(u)); }
             await dbRun("UPDATE pending_addresses SET status='rejected', denied=1, image_path=NULL, reviewed_at=?, reviewed_by=?, moderation_note=? WHERE id=?",
                 [now, req.user.sub, note, row.id]);
+            for (const u of pendingUrls) { await deleteR2(u); await deleteR2(pendingThumbUrl(u)); }
+            audit(req, { action: 'moderation.deny', target: 'submission:' + row.id, before: { status: row.status }, after: { status: 'rejected', denied: 1, note } });
             res.json({ id: row.id, status: 'rejected', denied: 1, note });
             // TRIGGER 4: rejected outright - email the submitter the admin's reason.
             submissionRecipientEmail(row)
@@ -3102,6 +4359,62 @@ app.post('/api/admin/moderate/:id', requireRole('admin'), acceptPhotos('images')
             return;
         }
 
+        // ── Merge into an existing place: the photos are appended to its gallery and
+        // the submitted text to its biography (unless already there). Tags/sources the
+        // moderator typed are added; coordinates/address only fill gaps. ──
+        if (action === 'merge') {
+            const home = await dbGet('SELECT id, slug, name FROM homes WHERE id=? AND deleted_at IS NULL', [String(b.merge_into || '')]);
+            if (!home) return res.status(404).json({ error: 'Адресът за сливане не е намерен' });
+            const parse = v => { try { return JSON.parse(v || '[]') || []; } catch { return []; } };
+
+            const added = await promotePendingPhotos(row, b, req.files, home.slug, home.name);
+            const text  = (b.description !== undefined ? sanitizeText(b.description, 5000) : sanitizeText(row.description, 5000)) || '';
+            const union = (cur, extra) => cur.concat(extra.filter(x => !cur.includes(x)));
+
+            // The place is read again inside the transaction: an edit saved while the
+            // photos were uploading must be merged into, not overwritten.
+            const prev = await dbTransaction(async () => {
+                const cur = await dbGet('SELECT * FROM homes WHERE id=? AND deleted_at IS NULL', [home.id]);
+                if (!cur) return null;
+                Object.assign(home, { slug: cur.slug, name: cur.name });
+                const prev      = await snapshotHome(cur.id);
+                const bio       = cur.biography || '';
+                const biography = text && !bio.includes(text) ? (bio ? bio + '\n\n' + text : text) : bio;
+                const tags      = union(parse(cur.tags),    sanitizeText(b.tags, 500).split(',').map(x => x.trim()).filter(Boolean)).slice(0, 30);
+                const sources   = union(parse(cur.sources), sanitizeText(b.sources, 3000).split(/[;\n]/).map(x => x.trim()).filter(Boolean)).slice(0, 30);
+                const noGeo     = cur.lat == null || cur.lng == null;
+                await dbRun(
+                    'UPDATE homes SET images=?, biography=?, tags=?, sources=?, address=?, lat=?, lng=?, updated_at=? WHERE id=?',
+                    [JSON.stringify(parse(cur.images).concat(added)), biography || null, JSON.stringify(tags), JSON.stringify(sources),
+                     cur.address || sanitizeText(row.address, 200) || null,
+                     noGeo ? row.lat : cur.lat, noGeo ? row.lng : cur.lng, now, cur.id]
+                );
+                await reindexHome(cur.id);
+                await recordHomeRevision(cur.id, 'update', req.user.sub);
+                await markSubmissionApproved(row.id, req.user.sub, cur.slug, now);
+                return prev;
+            });
+            if (!prev) return res.status(404).json({ error: 'Адресът за сливане не е намерен' });
+            const changes = auditHomeChanges(prev, await snapshotHome(home.id));
+            audit(req, { action: 'moderation.merge', target: 'submission:' + row.id,
+                         before: { status: row.status, home: changes.before },
+                         after: { status: 'approved', merged_into: home.id, photos: added.length, home: changes.after } });
+
+            for (const u of pendingUrls) { await deleteR2(u); await deleteR2(pendingThumbUrl(u)); }
+            cache.clear();
+            res.json({ id: row.id, status: 'approved', slug: home.slug, merged_into: home.id, photos: added.length });
+
+            // Same "it's live" email as an approval, pointing at the existing place.
+            submissionRecipientEmail(row)
+                .then(to => to && sendEmail({
+                    to,
+                    subject: 'Поздравления! Вашият адрес е одобрен 🎉',
+                    html: approvalEmailHtml(home.name, `${DOMAIN}/address.html?slug=${encodeURIComponent(home.slug)}`),
+                }))
+                .catch(() => {});
+            return;
+        }
+
         // ── Approve, applying moderator edits ──
         const title       = sanitizeText(b.title, 200) || sanitizeText(row.title, 200);
         const description = (b.description !== undefined ? sanitizeText(b.description, 5000) : sanitizeText(row.description, 5000)) || null;
@@ -3129,57 +4442,33 @@ app.post('/api/admin/moderate/:id', requireRole('admin'), acceptPhotos('images')
         const birth_date = cleanDate(b.date_start != null ? b.date_start : b.birth_date);
         const death_date = cleanDate(b.date_end   != null ? b.date_end   : b.death_date);
         const date_label = sanitizeText(b.date_label || '', 60) || null;
+        const photo_date = cleanDate(b.photo_date);   // prefilled from the photos' EXIF in the editor
 
         const slug = await uniqueHomeSlug(slugifyTitle(title));
+        const id   = await newHomeId(slug);
 
-        // Which pending photos to keep (defaults to all). Only real pending URLs
-        // are honoured - arbitrary URLs in the request are ignored.
-        let keep = pendingUrls;
-        if (b.keptImages !== undefined) {
-            try { const arr = JSON.parse(b.keptImages); keep = Array.isArray(arr) ? arr.filter(u => pendingUrls.includes(u)) : []; }
-            catch { keep = []; }
-        }
-
-        // Watermark only when the suggester claimed the photos as their own - then
-        // it reads "© <author> via Адресът на историята". Unclaimed photos get NO
-        // watermark (we may not own them). A moderator can override the name via the
-        // 'wm_creator' field; an explicit empty value forces no watermark.
-        let wmCreator = (row.owns_image && row.author_name) ? row.author_name : '';
-        if (b.wm_creator !== undefined) wmCreator = sanitizeText(b.wm_creator, 80);
-        const finishImage = async (rawBuf) => {
-            const out = wmCreator ? await buildWatermark(rawBuf, wmCreator) : rawBuf;
-            return uploadPhotoToR2(out, `img_sug_${slug}_${Date.now()}_${randomSuffix()}`);
-        };
+        const images = await promotePendingPhotos(row, b, req.files, slug, title);
 
-        // Build the live image list: kept pending photos + new files.
-        const images = [];
-        for (const url of keep) {
-            try {
-                const pr = await fetch(url);
-                if (!pr.ok) continue;
-                const liveUrl = await finishImage(Buffer.from(await pr.arrayBuffer()));
-                images.push({ path: liveUrl, thumb: pendingThumbUrl(liveUrl), caption: '', alt: title });
-            } catch (e) { console.warn('promote kept photo failed:', e.message); }
-        }
-        for (const f of (req.files || [])) {
-            try {
-                const liveUrl = await finishImage(f.buffer);
-                images.push({ path: liveUrl, thumb: pendingThumbUrl(liveUrl), caption: '', alt: title });
-            } catch (e) { console.warn('add photo failed:', e.message); }
-        }
-
-        await dbRun(
-            `INSERT INTO homes
-                (id,slug,name,name_lower,biography,address,lat,lng,images,photo_date,
-                 sources,tags,published,created_at,updated_at,portrait_url,birth_date,death_date,date_label,category,credited_to,contributor_id)
-             VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
-            [slug, slug, title, (title || '').toLowerCase(), description,
-             (addressStr || city) || null, lat, lng,
-             JSON.stringify(images), null, JSON.stringify(sources), JSON.stringify(tags),
-             1, now, now, null, birth_date, death_date, date_label, category, credit, contributorId]
-        );
-        await dbRun("UPDATE pending_addresses SET status='approved', reviewed_at=?, reviewed_by=?, result_slug=? WHERE id=?",
-            [now, req.user.sub, slug, row.id]);
+        // The place goes live and the submission closes together, or neither happens
+        // (the pending photos are only deleted after this succeeds).
+        await dbTransaction(async () => {
+            await releaseTrashedSlug(slug);
+            await dbRun(
+                `INSERT INTO homes
+                    (id,slug,name,name_lower,biography,address,lat,lng,images,photo_date,
+                     sources,tags,published,created_at,updated_at,portrait_url,birth_date,death_date,date_label,category,credited_to,contributor_id)
+                 VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+                [id, slug, title, (title || '').toLowerCase(), description,
+                 (addressStr || city) || null, lat, lng,
+                 JSON.stringify(images), photo_date, JSON.stringify(sources), JSON.stringify(tags),
+                 1, now, now, null, birth_date, death_date, date_label, category, credit, contributorId]
+            );
+            await reindexHome(id);
+            await recordHomeRevision(id, 'create', req.user.sub);
+            await markSubmissionApproved(row.id, req.user.sub, slug, now);
+        });
+        audit(req, { action: 'moderation.approve', target: 'submission:' + row.id, before: { status: row.status },
+                     after: { status: 'approved', slug, title, photos: images.length } });
 
         // Delete ALL pending photos from R2 (kept ones now live under img_sug_ keys).
         for (const u of pendingUrls) { await deleteR2(u); await deleteR2(pendingThumbUrl(u)); }
@@ -3199,25 +4488,234 @@ app.post('/api/admin/moderate/:id', requireRole('admin'), acceptPhotos('images')
         // so approving many submissions at once still produces a single message.
         if (contributorId) notifyFollowersOfApproval(contributorId).catch(() => {});
     } catch (e) {
+        if (e.code === 'ALREADY_PROCESSED') return res.status(409).json({ error: 'Това предложение вече е обработено' });
         console.error('moderate error:', e.message);
         res.status(500).json({ error: 'Грешка при обработка. Опитайте отново.' });
     }
 });
 
-// ── User / role management (owner only) ───────────────────────────────────────
-// ── User management ──────────────────────────────────────────────────────────
-// Visible to admins+ (admins see emails/profiles; moderators have no access here).
+// ── Suggested corrections to existing places ─────────────────────────────────
+// Readers propose field-level changes to a live home; admins review a per-field
+// diff against the current row and apply any subset of it. Values use the public
+// API names (date_start, sources as an array), mapped onto columns on apply.
+const CORRECTION_FIELDS = {
+    name:       { label: 'Име',          col: 'name' },
+    address:    { label: 'Адрес',        col: 'address' },
+    lat:        { label: 'Ширина',       col: 'lat' },
+    lng:        { label: 'Дължина',      col: 'lng' },
+    date_start: { label: 'Начална дата', col: 'birth_date' },
+    date_end:   { label: 'Крайна дата',  col: 'death_date' },
+    date_label: { label: 'Етикет на датите', col: 'date_label' },
+    biography:  { label: 'Биография',    col: 'biography' },
+    sources:    { label: 'Източници',    col: 'sources' },
+};
+
+function correctionLiveValue(home, field) {
+    const v = home[CORRECTION_FIELDS[field].col];
+    if (field === 'sources') { try { return JSON.parse(v || '[]') || []; } catch { return []; } }
+    return v == null || v === '' ? null : v;
+}
+
+// Normalise one proposed value. Returns { value } or { error }.
+function cleanCorrectionValue(field, raw) {
+    const empty = raw == null || String(raw).trim() === '';
+    switch (field) {
+        case 'name': {
+            const v = sanitizeText(raw, 200);
+            return v ? { value: v } : { error: 'Името не може да е празно.' };
+        }
+        case 'address':    return { value: sanitizeText(raw, 200) || null };
+        case 'date_label': return { value: sanitizeText(raw, 80) || null };
+        case 'biography':  return { value: sanitizeText(raw, 20000) || null };
+        case 'lat': case 'lng': {
+            if (empty) return { value: null };
+            const n = +raw, max = field === 'lat' ? 90 : 180;
+            return isFinite(n) && Math.abs(n) <= max ? { value: n } : { error: `Невалидна координата (${field}).` };
+        }
+        case 'date_start': case 'date_end': {
+            if (empty) return { value: null };
+            const d = String(raw).trim();
+            return isCalendarDate(d) ? { value: d } : { error: 'Датите трябва да са истински дати във формат ГГГГ-ММ-ДД.' };
+        }
+        case 'sources': {
+            const list = Array.isArray(raw) ? raw : String(raw || '').split(/[;\n]/);
+            return { value: list.map(x => sanitizeText(x, 500)).filter(Boolean).slice(0, 30) };
+        }
+    }
+    return { error: 'Непознато поле.' };
+}
+
+// Propose a correction (logged-in, verified users). Body: { changes: {field: value}, note }.
+// Fields equal to the live value are dropped; at least one real change is required.
+app.post('/api/homes/:id/corrections', requireUser, requireVerified, requireNotBanned, rateLimitSuggest, async (req, res) => {
+    const b = req.body || {};
+    const proposed = b.changes && typeof b.changes === 'object' ? b.changes : {};
+    try {
+        const home = await dbGet('SELECT * FROM homes WHERE id=? AND published=1 AND deleted_at IS NULL', [req.params.id]);
+        if (!home) return res.status(404).json({ error: 'Адресът не е намерен' });
+
+        const changes = {}, base = {};
+        for (const field of Object.keys(proposed)) {
+            if (!CORRECTION_FIELDS[field]) continue;
+            const r = cleanCorrectionValue(field, proposed[field]);
+            if (r.error) return res.status(400).json({ error: r.error });
+            const live = correctionLiveValue(home, field);
+            if (JSON.stringify(r.value) === JSON.stringify(live)) continue;
+            changes[field] = r.value; base[field] = live;
+        }
+        if (!Object.keys(changes).length) return res.status(400).json({ error: 'Няма промени спрямо текущите данни.' });
+        const note = sanitizeText(b.note, 1000) || null;
+
+        const cnt = await dbGet("SELECT COUNT(*) AS n FROM home_corrections WHERE user_id=? AND status='pending'", [req.user.sub]);
+        if (cnt && cnt.n >= 20) return res.status(429).json({ error: 'Достигнахте лимита на чакащи предложения. Изчакайте модерация.' });
+
+        const id = crypto.randomUUID();
+        await dbRun(
+            `INSERT INTO home_corrections (id,home_id,user_id,changes,base,note,status,created_at)
+             VALUES (?,?,?,?,?,?,'pending',?)`,
+            [id, home.id, req.user.sub, JSON.stringify(changes), JSON.stringify(base), note, new Date().toISOString()]
+        );
+        res.status(201).json({ id, status: 'pending', fields: Object.keys(changes) });
+
+        dbGet('SELECT email FROM users WHERE id=?', [req.user.sub])
+            .then(u => u && u.email && sendEmail({
+                to: u.email,
+                subject: 'Получихме Вашето предложение за корекция 📨',
+                html: submissionReceivedEmailHtml(home.name),
+            }))
+            .catch(() => {});
+    } catch (e) {
+        console.error('correction submit error:', e.message);
+        res.status(500).json({ error: 'Грешка при изпращане. Опитайте отново.' });
+    }
+});
+
+// Correction queue (moderators+). Each item carries a per-field diff against the
+// live row; `stale` marks fields that were edited since the suggestion was made.
+app.get('/api/admin/corrections', requirePermission('moderation.review'), async (req, res) => {
+    const status  = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    const isAdmin = req.user.perms.has('users.view');
+    try {
+        const rows = await dbAll(
+            `SELECT c.*, u.email AS user_email, u.display_name AS user_name, h.name AS home_name, h.slug AS home_slug,
+                    h.deleted_at AS home_deleted, ${Object.values(CORRECTION_FIELDS).map(f => 'h.' + f.col + ' AS live_' + f.col).join(', ')}
+             FROM home_corrections c
+             LEFT JOIN users u ON u.id = c.user_id
+             LEFT JOIN homes h ON h.id = c.home_id
+             WHERE c.status = ? ORDER BY c.created_at ASC LIMIT 500`, [status]);
+        const parse = v => { try { return JSON.parse(v || 'null'); } catch { return null; } };
+        res.json(rows.map(r => {
+            const changes = parse(r.changes) || {}, base = parse(r.base) || {};
+            const live = {};
+            for (const f of Object.values(CORRECTION_FIELDS)) live[f.col] = r['live_' + f.col];
+            return {
+                id: r.id, home_id: r.home_id, home_name: r.home_name || null, home_slug: r.home_slug || null,
+                home_missing: !r.home_name || !!r.home_deleted,
+                status: r.status, note: r.note || '', created_at: r.created_at,
+                moderation_note: r.moderation_note || '', accepted: parse(r.accepted) || [],
+                user_name: r.user_name || null,
+                user_email: isAdmin ? r.user_email : null,
+                diff: Object.keys(changes).map(field => {
+                    const current = r.home_name ? correctionLiveValue(live, field) : null;
+                    return {
+                        field, label: CORRECTION_FIELDS[field].label,
+                        current, proposed: changes[field], base: base[field] ?? null,
+                        stale: JSON.stringify(current) !== JSON.stringify(base[field] ?? null),
+                    };
+                }),
+            };
+        }));
+    } catch (e) {
+        console.error('corrections list error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Accept selected fields of a correction, or reject it (moderation.approve).
+// Body: { action: 'approve', fields: ['date_start', …] } | { action: 'reject', note }.
+app.post('/api/admin/corrections/:id', requirePermission('moderation.approve'), async (req, res) => {
+    const b = req.body || {};
+    if (b.action !== 'approve' && b.action !== 'reject') {
+        return res.status(400).json({ error: "action must be 'approve' or 'reject'" });
+    }
+    try {
+        const row = await dbGet('SELECT * FROM home_corrections WHERE id=?', [req.params.id]);
+        if (!row) return res.status(404).json({ error: 'Предложението не е намерено' });
+        if (row.status !== 'pending') return res.status(409).json({ error: 'Това предложение вече е обработено' });
+        const home = await dbGet('SELECT * FROM homes WHERE id=? AND deleted_at IS NULL', [row.home_id]);
+        const now  = new Date().toISOString();
+
+        if (b.action === 'reject') {
+            const note = sanitizeText(b.note, 1000) || null;
+            const r = await dbRun("UPDATE home_corrections SET status='rejected', moderation_note=?, reviewed_at=?, reviewed_by=? WHERE id=? AND status='pending'",
+                [note, now, req.user.sub, row.id]);
+            if (!r.changes) return res.status(409).json({ error: 'Това предложение вече е обработено' });
+            audit(req, { action: 'correction.reject', target: 'correction:' + row.id, after: { status: 'rejected', note } });
+            res.json({ id: row.id, status: 'rejected', note });
+            submissionRecipientEmail(row)
+                .then(to => to && sendEmail({ to, subject: 'Вашето предложение се нуждае от корекция ✍️',
+                                              html: correctionEmailHtml(home ? home.name : '', note) }))
+                .catch(() => {});
+            return;
+        }
+
+        if (!home) return res.status(409).json({ error: 'Адресът вече не съществува.' });
+        let changes = {}; try { changes = JSON.parse(row.changes) || {}; } catch {}
+        const fields = (Array.isArray(b.fields) ? b.fields : []).filter(f => Object.prototype.hasOwnProperty.call(changes, f));
+        if (!fields.length) return res.status(400).json({ error: 'Изберете поне едно поле за приемане.' });
+
+        const sets = [], params = [];
+        for (const f of fields) {
+            const col = CORRECTION_FIELDS[f].col;
+            sets.push(col + '=?');
+            params.push(f === 'sources' ? JSON.stringify(changes[f]) : changes[f]);
+            if (f === 'name') { sets.push('name_lower=?'); params.push(String(changes[f]).toLowerCase()); }
+        }
+        const prev = await snapshotHome(home.id);
+        // Claim the correction first: of two concurrent approvals only one gets
+        // past this, so the home is changed (and a revision written) once.
+        const applied = await dbTransaction(async () => {
+            const claim = await dbRun("UPDATE home_corrections SET status='approved', accepted=?, reviewed_at=?, reviewed_by=? WHERE id=? AND status='pending'",
+                [JSON.stringify(fields), now, req.user.sub, row.id]);
+            if (!claim.changes) return false;
+            await dbRun(`UPDATE homes SET ${sets.join(', ')}, updated_at=? WHERE id=?`, [...params, now, home.id]);
+            await reindexHome(home.id);
+            await recordHomeRevision(home.id, 'update', req.user.sub);
+            return true;
+        });
+        if (!applied) return res.status(409).json({ error: 'Това предложение вече е обработено' });
+        const changed = auditHomeChanges(prev, await snapshotHome(home.id));
+        audit(req, { action: 'correction.approve', target: 'home:' + home.id, before: changed.before,
+                     after: { ...changed.after, correction: row.id } });
+        cache.clear();
+        res.json({ id: row.id, status: 'approved', accepted: fields, slug: home.slug });
+
+        submissionRecipientEmail(row)
+            .then(to => to && sendEmail({
+                to, subject: 'Поздравления! Вашата корекция е приета 🎉',
+                html: approvalEmailHtml(changes.name && fields.includes('name') ? changes.name : home.name,
+                                        `${DOMAIN}/address.html?slug=${encodeURIComponent(home.slug)}`),
+            }))
+            .catch(() => {});
+    } catch (e) {
+        console.error('correction moderate error:', e.message);
+        res.status(500).json({ error: 'Грешка при обработка. Опитайте отново.' });
+    }
+});
+
+// ── User / role management ────────────────────────────────────────────────────
+// Visible with users.view (emails/profiles) or users.roles (to pick whom to change).
 // Query params (all optional, so existing callers keep the legacy behaviour):
 //   q=      instant search over display name + email (Unicode case-insensitive)
 //   status= pending | approved | banned   (profile-moderation state)
 //   sort=   created_desc | created_asc | status
 // Filtering/sorting happens in JS over the (≤2000-row) result set - SQLite's
 // LOWER() can't fold Cyrillic, and at this table size it's instant anyway.
-app.get('/api/admin/users', requireRole('admin'), async (req, res) => {
+app.get('/api/admin/users', requirePermission('users.view', 'users.roles'), async (req, res) => {
     try {
         const rows = await dbAll(
             `SELECT u.id, u.email, u.role, u.display_name, u.created_at, u.banned_until,
-                    u.bio, u.interests, u.avatar_url, u.profile_status, u.email_verified,
+                    u.bio, u.interests, u.avatar_url, u.profile_status, u.email_verified, u.permissions,
                     (SELECT COUNT(*) FROM pending_addresses p WHERE p.user_id = u.id) AS submissions
              FROM users u ORDER BY
                 CASE u.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 WHEN 'moderator' THEN 2 ELSE 3 END, u.created_at ASC
@@ -3233,6 +4731,7 @@ app.get('/api/admin/users', requireRole('admin'), async (req, res) => {
                 avatar_url: r.avatar_url || null,
                 email_verified: r.email_verified === 1,
                 profile_status: r.profile_status || 'approved',
+                permissions: parsePermissions(r.permissions),   // individual grants, on top of the role
                 // Combined moderation state used by the dashboard filter/badges.
                 status: banned ? 'banned' : ((r.profile_status || 'approved') === 'approved' ? 'approved' : 'pending'),
                 self: r.id === req.user.sub,
@@ -3265,10 +4764,10 @@ app.get('/api/admin/users', requireRole('admin'), async (req, res) => {
 // Admin moderation of a user's PUBLIC profile text: fully rewrite (or clear) the
 // bio/interests when they contain profanity/trolling. Admins may only touch users
 // of a LOWER rank (owners can edit anyone but другите owners).
-app.put('/api/admin/users/:id/profile', requireRole('admin'), async (req, res) => {
+app.put('/api/admin/users/:id/profile', requirePermission('users.edit'), async (req, res) => {
     const b = req.body || {};
     try {
-        const target = await dbGet('SELECT id, role FROM users WHERE id=?', [req.params.id]);
+        const target = await dbGet('SELECT id, role, bio, interests FROM users WHERE id=?', [req.params.id]);
         if (!target) return res.status(404).json({ error: 'Потребителят не е намерен' });
         if (target.id !== req.user.sub && roleRank(target.role) >= roleRank(req.user.role)) {
             return res.status(403).json({ error: 'Нямате права над този потребител.' });
@@ -3280,6 +4779,8 @@ app.put('/api/admin/users/:id/profile', requireRole('admin'), async (req, res) =
         params.push(target.id);
         await dbRun(`UPDATE users SET ${sets.join(', ')} WHERE id=?`, params);
         const row = await dbGet('SELECT bio, interests, profile_status FROM users WHERE id=?', [target.id]);
+        audit(req, { action: 'user.profile', target: 'user:' + target.id,
+                     ...auditChanges({ bio: target.bio, interests: target.interests }, { bio: row.bio, interests: row.interests }) });
         res.json({ id: target.id, bio: row.bio || '', interests: parseInterests(row.interests), profile_status: row.profile_status || 'approved' });
     } catch (e) {
         console.error('admin profile edit error:', e.message);
@@ -3288,18 +4789,20 @@ app.put('/api/admin/users/:id/profile', requireRole('admin'), async (req, res) =
 });
 
 // Approve a public profile (or send it back to pending). Same rank rule as above.
-app.post('/api/admin/users/:id/profile-status', requireRole('admin'), async (req, res) => {
+app.post('/api/admin/users/:id/profile-status', requirePermission('users.edit'), async (req, res) => {
     const status = (req.body && req.body.status) || '';
     if (!['approved', 'pending_approval'].includes(status)) {
         return res.status(400).json({ error: 'Невалиден статус' });
     }
     try {
-        const target = await dbGet('SELECT id, role FROM users WHERE id=?', [req.params.id]);
+        const target = await dbGet('SELECT id, role, profile_status FROM users WHERE id=?', [req.params.id]);
         if (!target) return res.status(404).json({ error: 'Потребителят не е намерен' });
         if (target.id !== req.user.sub && roleRank(target.role) >= roleRank(req.user.role)) {
             return res.status(403).json({ error: 'Нямате права над този потребител.' });
         }
         await dbRun('UPDATE users SET profile_status=? WHERE id=?', [status, target.id]);
+        audit(req, { action: 'user.profile_status', target: 'user:' + target.id,
+                     before: { profile_status: target.profile_status || 'approved' }, after: { profile_status: status } });
         res.json({ id: target.id, profile_status: status });
     } catch (e) {
         console.error('profile-status error:', e.message);
@@ -3309,7 +4812,7 @@ app.post('/api/admin/users/:id/profile-status', requireRole('admin'), async (req
 
 // Change a user's role. Admins may only grant/revoke Moderator (on users/moderators);
 // only Owners may grant/revoke Admin or Owner, or touch an existing admin/owner.
-app.put('/api/admin/users/:id/role', requireRole('admin'), async (req, res) => {
+app.put('/api/admin/users/:id/role', requirePermission('users.roles'), async (req, res) => {
     const role = (req.body && req.body.role) || '';
     if (!['user', 'moderator', 'admin', 'owner'].includes(role)) {
         return res.status(400).json({ error: 'Невалидна роля' });
@@ -3330,7 +4833,12 @@ app.put('/api/admin/users/:id/role', requireRole('admin'), async (req, res) => {
                 return res.status(403).json({ error: 'Само собственик може да назначава администратори.' });
             }
         }
-        await dbRun('UPDATE users SET role=? WHERE id=?', [role, target.id]);
+        // Their cookies carry the old role, so every session ends; they log in again.
+        const revoked = await dbTransaction(async () => {
+            await dbRun('UPDATE users SET role=? WHERE id=?', [role, target.id]);
+            return revokeSessions(target.id);
+        });
+        audit(req, { action: 'user.role', target: 'user:' + target.id, before: { role: target.role }, after: { role, sessions_revoked: revoked } });
         res.json({ id: target.id, role });
     } catch (e) {
         console.error('role update error:', e.message);
@@ -3338,12 +4846,105 @@ app.put('/api/admin/users/:id/role', requireRole('admin'), async (req, res) => {
     }
 });
 
-// Rename a user (owner only).
-app.put('/api/admin/users/:id/display-name', requireRole('owner'), async (req, res) => {
+// Keep `wanted` only where it differs from `current` in permissions the actor holds:
+// nobody can grant (or take away) what they don't have themselves.
+function limitPermissionChange(actorPerms, current, wanted) {
+    const next = new Set(current.filter(p => !actorPerms.has(p)));
+    for (const p of wanted) if (actorPerms.has(p)) next.add(p);
+    return Object.keys(PERMISSIONS).filter(p => next.has(p));
+}
+async function rolePresets() {
+    const roles = {};
+    for (const r of PRESET_ROLES) roles[r] = [];
+    for (const r of await dbAll('SELECT role, permissions FROM roles')) {
+        if (PRESET_ROLES.includes(r.role)) roles[r.role] = parsePermissions(r.permissions);
+    }
+    return roles;
+}
+
+// The permission catalogue plus the current role presets, for the dashboard editor.
+app.get('/api/admin/permissions', requirePermission('users.roles', 'roles.edit'), async (req, res) => {
+    try {
+        res.json({
+            catalogue: Object.entries(PERMISSIONS).map(([name, p]) => ({ name, group: p.group, label: p.label })),
+            roles: await rolePresets(),
+            mine: [...req.user.perms],
+        });
+    } catch (e) {
+        console.error('permissions list error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit role presets. body: { roles: { moderator: [...], ... } } - only the roles
+// given are touched. Takes effect on everyone's next request.
+app.put('/api/admin/roles', requirePermission('roles.edit'), async (req, res) => {
+    const wanted = (req.body && req.body.roles) || {};
+    if (typeof wanted !== 'object' || Array.isArray(wanted)) return res.status(400).json({ error: 'Невалидни данни' });
+    for (const [role, list] of Object.entries(wanted)) {
+        if (!PRESET_ROLES.includes(role) || !Array.isArray(list)) return res.status(400).json({ error: 'Невалидна роля' });
+    }
+    try {
+        const before = {}, after = {};
+        await dbTransaction(async () => {
+            for (const [role, list] of Object.entries(wanted)) {
+                const row = await dbGet('SELECT permissions FROM roles WHERE role=?', [role]);
+                const current = parsePermissions(row && row.permissions);
+                const next = limitPermissionChange(req.user.perms, current, parsePermissions(JSON.stringify(list)));
+                if (next.length === current.length && next.every(p => current.includes(p))) continue;
+                await dbRun(`INSERT INTO roles (role, permissions, updated_at) VALUES (?,?,?)
+                             ON CONFLICT(role) DO UPDATE SET permissions=excluded.permissions, updated_at=excluded.updated_at`,
+                    [role, JSON.stringify(next), new Date().toISOString()]);
+                before[role] = current; after[role] = next;
+            }
+        });
+        audit(req, { action: 'roles.update', target: Object.keys(after).join(',') || null, before, after });
+        res.json({ roles: await rolePresets() });
+    } catch (e) {
+        console.error('roles update error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Set a user's individual grants (on top of their role preset). Same reach as role
+// changes: never yourself or an owner, and only owners may touch admins.
+//   body: { permissions: [...] }
+app.put('/api/admin/users/:id/permissions', requirePermission('users.roles'), async (req, res) => {
+    const list = req.body && req.body.permissions;
+    if (!Array.isArray(list)) return res.status(400).json({ error: 'Невалидни данни' });
+    if (req.params.id === req.user.sub) {
+        return res.status(400).json({ error: 'Не можете да променяте собствените си права.' });
+    }
+    try {
+        const target = await dbGet('SELECT id, role, permissions FROM users WHERE id=?', [req.params.id]);
+        if (!target) return res.status(404).json({ error: 'Потребителят не е намерен' });
+        if (target.role === 'owner') return res.status(400).json({ error: 'Собствениците имат всички права.' });
+        if (roleRank(req.user.role) < ROLE_RANK.owner && roleRank(target.role) >= ROLE_RANK.admin) {
+            return res.status(403).json({ error: 'Само собственик може да променя администратори.' });
+        }
+        const current = parsePermissions(target.permissions);
+        const next = limitPermissionChange(req.user.perms, current, parsePermissions(JSON.stringify(list)));
+        await dbRun('UPDATE users SET permissions=? WHERE id=?', [JSON.stringify(next), target.id]);
+        audit(req, { action: 'user.permissions', target: 'user:' + target.id, before: { permissions: current }, after: { permissions: next } });
+        res.json({ id: target.id, permissions: next });
+    } catch (e) {
+        console.error('permissions update error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Rename a user.
+app.put('/api/admin/users/:id/display-name', requirePermission('users.manage'), async (req, res) => {
     const name = sanitizeText((req.body && req.body.display_name) || '', 60);
     try {
-        const r = await dbRun('UPDATE users SET display_name=? WHERE id=?', [name || null, req.params.id]);
-        if (!r.changes) return res.status(404).json({ error: 'Потребителят не е намерен' });
+        const prev = await dbGet('SELECT role, display_name FROM users WHERE id=?', [req.params.id]);
+        if (!prev) return res.status(404).json({ error: 'Потребителят не е намерен' });
+        if (req.params.id !== req.user.sub && !canManageUser(req.user.role, prev.role)) {
+            return res.status(403).json({ error: NOT_YOUR_USER });
+        }
+        await dbRun('UPDATE users SET display_name=? WHERE id=?', [name || null, req.params.id]);
+        audit(req, { action: 'user.display_name', target: 'user:' + req.params.id,
+                     before: { display_name: prev.display_name }, after: { display_name: name || null } });
         res.json({ id: req.params.id, display_name: name || null });
     } catch (e) {
         console.error('display-name update error:', e.message);
@@ -3355,7 +4956,7 @@ app.put('/api/admin/users/:id/display-name', requireRole('owner'), async (req, r
 // may ban admins (owners are untouchable). Blocks them from submitting content
 // and hides their public profile.
 //   body: { unban:true } | { permanent:true } | { days:N }
-app.post('/api/admin/users/:id/ban', requireRole('admin'), async (req, res) => {
+app.post('/api/admin/users/:id/ban', requirePermission('users.ban'), async (req, res) => {
     if (req.params.id === req.user.sub) {
         return res.status(400).json({ error: 'Не можете да блокирате себе си.' });
     }
@@ -3369,13 +4970,20 @@ app.post('/api/admin/users/:id/ban', requireRole('admin'), async (req, res) => {
         until = Date.now() + days * 24 * 3600 * 1000;
     }
     try {
-        const target = await dbGet('SELECT id, role FROM users WHERE id=?', [req.params.id]);
+        const target = await dbGet('SELECT id, role, banned_until FROM users WHERE id=?', [req.params.id]);
         if (!target) return res.status(404).json({ error: 'Потребителят не е намерен' });
         if (target.role === 'owner') return res.status(403).json({ error: 'Не можете да блокирате собственик.' });
         if (roleRank(target.role) >= roleRank(req.user.role)) {
             return res.status(403).json({ error: 'Нямате права над този потребител.' });
         }
-        await dbRun('UPDATE users SET banned_until=? WHERE id=?', [until, target.id]);
+        // A ban also logs them out everywhere, effective immediately.
+        const revoked = await dbTransaction(async () => {
+            await dbRun('UPDATE users SET banned_until=? WHERE id=?', [until, target.id]);
+            return until ? revokeSessions(target.id) : 0;
+        });
+        audit(req, { action: until ? 'user.ban' : 'user.unban', target: 'user:' + target.id,
+                     before: { banned_until: target.banned_until || 0 },
+                     after: until ? { banned_until: until, sessions_revoked: revoked } : { banned_until: until } });
         res.json({ id: target.id, banned_until: until, banned: isBanned(until) });
     } catch (e) {
         console.error('ban error:', e.message);
@@ -3383,16 +4991,23 @@ app.post('/api/admin/users/:id/ban', requireRole('admin'), async (req, res) => {
     }
 });
 
-// Reset (disable) a user's 2FA — owner recovery for a locked-out staff member who lost
-// their authenticator AND backup codes. They will be prompted to re-enrol on next use.
-app.post('/api/admin/users/:id/reset-2fa', requireRole('owner'), async (req, res) => {
+// Reset (disable) a user's 2FA — recovery for a locked-out staff member who lost
+// their authenticator AND backup codes (or their passkeys, which are removed too).
+// They will be prompted to re-enrol on next use.
+app.post('/api/admin/users/:id/reset-2fa', requirePermission('users.manage'), async (req, res) => {
     if (req.params.id === req.user.sub) {
         return res.status(400).json({ error: 'Управлявайте собствената си 2FA от настройките.' });
     }
     try {
-        const target = await dbGet('SELECT id FROM users WHERE id=?', [req.params.id]);
+        const target = await dbGet('SELECT id, role FROM users WHERE id=?', [req.params.id]);
         if (!target) return res.status(404).json({ error: 'Потребителят не е намерен' });
-        await dbRun('UPDATE users SET totp_enabled=0, totp_secret=NULL, totp_backup_codes=NULL WHERE id=?', [target.id]);
+        if (!canManageUser(req.user.role, target.role)) return res.status(403).json({ error: NOT_YOUR_USER });
+        const keys = await dbTransaction(async () => {
+            await dbRun('UPDATE users SET totp_enabled=0, totp_secret=NULL, totp_backup_codes=NULL WHERE id=?', [target.id]);
+            await revokeSessions(target.id);   // whoever holds the lost device is signed out too
+            return (await dbRun('DELETE FROM passkeys WHERE user_id=?', [target.id])).changes;
+        });
+        audit(req, { action: 'user.reset_2fa', target: 'user:' + target.id, after: { passkeys_removed: keys } });
         res.json({ id: target.id, reset: true });
     } catch (e) {
         console.error('reset-2fa error:', e.message);
@@ -3400,10 +5015,10 @@ app.post('/api/admin/users/:id/reset-2fa', requireRole('owner'), async (req, res
     }
 });
 
-// Permanently delete a user account (owner only, re-auth with the owner's password).
+// Permanently delete a user account (re-auth with the actor's own password).
 // Cascades remove their activity + pending submissions; we also free their R2 images.
 // Published `homes` remain (curated site content, no longer personal data).
-app.delete('/api/admin/users/:id', requireRole('owner'), async (req, res) => {
+app.delete('/api/admin/users/:id', requirePermission('users.manage'), async (req, res) => {
     const password = (req.body && req.body.password) || '';
     if (req.params.id === req.user.sub) {
         return res.status(400).json({ error: 'Изтрийте собствения си профил от настройките.' });
@@ -3414,15 +5029,22 @@ app.delete('/api/admin/users/:id', requireRole('owner'), async (req, res) => {
         const ok = await bcrypt.compare(password, me.password_hash);
         if (!ok) return res.status(401).json({ error: 'Грешна парола' });
 
-        const target = await dbGet('SELECT id, role FROM users WHERE id=?', [req.params.id]);
+        const target = await dbGet('SELECT id, role, email, display_name FROM users WHERE id=?', [req.params.id]);
         if (!target) return res.status(404).json({ error: 'Потребителят не е намерен' });
         if (target.role === 'owner') return res.status(403).json({ error: 'Не можете да изтриете собственик.' });
+        if (!canManageUser(req.user.role, target.role)) return res.status(403).json({ error: NOT_YOUR_USER });
 
-        const pend = await dbAll('SELECT image_path FROM pending_addresses WHERE user_id=?', [target.id]);
+        // As in /api/user/delete: rows first, atomically; files after the commit.
+        const pend = await dbTransaction(async () => {
+            const rows = await dbAll('SELECT image_path FROM pending_addresses WHERE user_id=?', [target.id]);
+            await dbRun('DELETE FROM users WHERE id=?', [target.id]);  // cascades to activity + pending
+            return rows;
+        });
         for (const row of pend) {
             for (const url of parsePendingImages(row.image_path)) { await deleteR2(url); await deleteR2(pendingThumbUrl(url)); }
         }
-        await dbRun('DELETE FROM users WHERE id=?', [target.id]);  // cascades to activity + pending
+        audit(req, { action: 'user.delete', target: 'user:' + target.id,
+                     before: { email: target.email, display_name: target.display_name, role: target.role } });
         res.json({ id: target.id, deleted: true });
     } catch (e) {
         console.error('user delete error:', e.message);
@@ -3430,8 +5052,8 @@ app.delete('/api/admin/users/:id', requireRole('owner'), async (req, res) => {
     }
 });
 
-// ── IP blacklist (owner only) ──────────────────────────────────────────────────
-app.get('/api/admin/ip-blacklist', requireRole('owner'), async (_req, res) => {
+// ── IP blacklist ──────────────────────────────────────────────────────────────
+app.get('/api/admin/ip-blacklist', requirePermission('security.ip'), async (_req, res) => {
     try {
         const rows = await dbAll('SELECT ip, reason, created_by, created_at FROM ip_blacklist ORDER BY created_at DESC');
         res.json(rows);
@@ -3440,7 +5062,7 @@ app.get('/api/admin/ip-blacklist', requireRole('owner'), async (_req, res) => {
         res.status(500).json({ error: 'Server error' });
     }
 });
-app.post('/api/admin/ip-blacklist', requireRole('owner'), async (req, res) => {
+app.post('/api/admin/ip-blacklist', requirePermission('security.ip'), async (req, res) => {
     const ip = normIp((req.body && req.body.ip) || '');
     const reason = sanitizeText((req.body && req.body.reason) || '', 200);
     if (!isValidIp(ip)) return res.status(400).json({ error: 'Невалиден IP адрес.' });
@@ -3451,17 +5073,20 @@ app.post('/api/admin/ip-blacklist', requireRole('owner'), async (req, res) => {
         await dbRun('INSERT OR REPLACE INTO ip_blacklist (ip, reason, created_by, created_at) VALUES (?,?,?,?)',
             [ip, reason || null, by, new Date().toISOString()]);
         ipBlacklist.add(ip);
+        audit(req, { action: 'ip.block', target: 'ip:' + ip, after: { reason: reason || null } });
         res.status(201).json({ ip, reason: reason || null, created_by: by });
     } catch (e) {
         console.error('ip-blacklist add error:', e.message);
         res.status(500).json({ error: 'Server error' });
     }
 });
-app.delete('/api/admin/ip-blacklist/:ip', requireRole('owner'), async (req, res) => {
+app.delete('/api/admin/ip-blacklist/:ip', requirePermission('security.ip'), async (req, res) => {
     const ip = normIp(req.params.ip);
     try {
+        const prev = await dbGet('SELECT reason FROM ip_blacklist WHERE ip=?', [ip]);
         await dbRun('DELETE FROM ip_blacklist WHERE ip=?', [ip]);
         ipBlacklist.delete(ip);
+        audit(req, { action: 'ip.unblock', target: 'ip:' + ip, before: prev || null });
         res.json({ ip, removed: true });
     } catch (e) {
         console.error('ip-blacklist remove error:', e.message);
@@ -3469,6 +5094,169 @@ app.delete('/api/admin/ip-blacklist/:ip', requireRole('owner'), async (req, res)
     }
 });
 
+// ── Audit log browser ─────────────────────────────────────────────────────────
+// Filters (all optional): actor (user id, or part of the name/email), action
+// (exact, or a prefix such as "user" for every "user.*" entry), target, from/to
+// (YYYY-MM-DD, inclusive). ?format=csv downloads every match instead of a page.
+function auditFilter(q) {
+    const where = [], params = [];
+    const actor = String(q.actor || '').trim();
+    if (actor) { where.push('(actor_id = ? OR actor_name LIKE ?)'); params.push(actor, `%${actor}%`); }
+    const action = String(q.action || '').trim();
+    if (action) { where.push("(action = ? OR action LIKE ? || '.%')"); params.push(action, action); }
+    const target = String(q.target || '').trim();
+    if (target) { where.push('target = ?'); params.push(target); }
+    const day = d => /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')) ? String(d) : null;
+    if (day(q.from)) { where.push('created_at >= ?'); params.push(day(q.from)); }
+    if (day(q.to))   { where.push('created_at < ?');  params.push(new Date(Date.parse(day(q.to)) + 86_400_000).toISOString().slice(0, 10)); }
+    return { W: where.length ? 'WHERE ' + where.join(' AND ') : '', params };
+}
+// A text cell that opens with = + - @ (or a tab/CR) is a formula to Excel and
+// LibreOffice; a leading ' keeps it text. Numbers are left alone.
+function csvCell(v) {
+    let s = v == null ? '' : String(v);
+    if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+app.get('/api/admin/audit', requirePermission('audit.view'), async (req, res) => {
+    const { W, params } = auditFilter(req.query);
+    try {
+        if (req.query.format === 'csv') {
+            const rows = await dbAll(`SELECT * FROM audit_log ${W} ORDER BY id DESC LIMIT 50000`, params);
+            const cols = ['id', 'created_at', 'actor_id', 'actor_name', 'actor_role', 'ip', 'action', 'target', 'before_json', 'after_json'];
+            const csv  = [cols.join(',')].concat(rows.map(r => cols.map(c => csvCell(r[c])).join(','))).join('\r\n');
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send('\uFEFF' + csv);   // BOM so Excel reads the Cyrillic correctly
+        }
+        const page   = Math.max(1, parseInt(req.query.page) || 1);
+        const limit  = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+        const total  = (await dbGet(`SELECT COUNT(*) AS n FROM audit_log ${W}`, params)).n;
+        const rows   = await dbAll(`SELECT * FROM audit_log ${W} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, (page - 1) * limit]);
+        const parse  = v => { try { return v ? JSON.parse(v) : null; } catch { return v; } };
+        res.json({
+            data: rows.map(r => ({ ...r, before: parse(r.before_json), after: parse(r.after_json), before_json: undefined, after_json: undefined })),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        });
+    } catch (e) {
+        console.error('audit list error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ── Failed logins ─────────────────────────────────────────────────────────────
+// The login_failures log, newest first, filterable by email (part of it) and exact
+// IP, plus the accounts that are locked right now.
+app.get('/api/admin/login-failures', requirePermission('audit.view'), async (req, res) => {
+    const where = [], params = [];
+    const email = String(req.query.email || '').trim().toLowerCase();
+    if (email) { where.push('f.email LIKE ?'); params.push(`%${email}%`); }
+    const ip = String(req.query.ip || '').trim();
+    if (ip) { where.push('f.ip = ?'); params.push(ip); }
+    const W = where.length ? 'WHERE ' + where.join(' AND ') : '';
+    try {
+        const page  = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+        const total = (await dbGet(`SELECT COUNT(*) AS n FROM login_failures f ${W}`, params)).n;
+        const rows  = await dbAll(
+            `SELECT f.*, u.display_name FROM login_failures f LEFT JOIN users u ON u.id = f.user_id
+             ${W} ORDER BY f.id DESC LIMIT ? OFFSET ?`, [...params, limit, (page - 1) * limit]);
+        const locked = await dbAll(
+            'SELECT id, email, display_name, role, failed_logins, locked_until FROM users WHERE locked_until > ? ORDER BY locked_until DESC',
+            [Date.now()]);
+        res.json({
+            data: rows.map(r => ({ ...r, device: r.user_agent ? describeUserAgent(r.user_agent) : null })),
+            locked: locked.map(u => ({ ...u, until_reset: u.locked_until >= LOCKED_UNTIL_RESET })),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        });
+    } catch (e) {
+        console.error('login failures error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Lift a lockout (temporary or "this wasn't me") and reset the failure count.
+app.post('/api/admin/users/:id/unlock', requirePermission('users.manage'), async (req, res) => {
+    try {
+        const target = await dbGet('SELECT id, role, failed_logins, locked_until FROM users WHERE id=?', [req.params.id]);
+        if (!target) return res.status(404).json({ error: 'Потребителят не е намерен' });
+        if (!canManageUser(req.user.role, target.role)) return res.status(403).json({ error: NOT_YOUR_USER });
+        await dbRun('UPDATE users SET failed_logins=0, locked_until=0 WHERE id=?', [target.id]);
+        audit(req, { action: 'user.unlock', target: 'user:' + target.id,
+                     before: { failed_logins: target.failed_logins, locked_until: target.locked_until }, after: { locked_until: 0 } });
+        res.json({ id: target.id, unlocked: true });
+    } catch (e) {
+        console.error('unlock error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ── Background jobs ───────────────────────────────────────────────────────────
+// Inspect the queue, and retry or discard jobs that ended up dead. Email bodies are
+// left out of the listing - the recipient and subject identify the message. A dead
+// email has no body any more (see `scrub`), so it can only be discarded.
+const JOB_STATUSES = ['queued', 'running', 'done', 'dead'];
+app.get('/api/admin/jobs', requirePermission('system.jobs'), async (req, res) => {
+    const status = JOB_STATUSES.includes(req.query.status) ? req.query.status : 'dead';
+    const type   = String(req.query.type || '').trim();
+    try {
+        const counts = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+        for (const r of await dbAll('SELECT status, COUNT(*) AS n FROM jobs GROUP BY status')) counts[r.status] = r.n;
+        const rows = await dbAll(
+            `SELECT id, type, payload, status, priority, attempts, max_attempts, run_at, batch, last_error, created_at, updated_at
+             FROM jobs WHERE status=? ${type ? 'AND type=?' : ''} ORDER BY updated_at DESC LIMIT 200`,
+            type ? [status, type] : [status]
+        );
+        res.json({
+            counts,
+            data: rows.map(r => {
+                const payload   = JSON.parse(r.payload || '{}');
+                const retryable = !jobScrubbed(r.type, payload);
+                delete payload.html;
+                return { ...r, payload, retryable, run_at: new Date(r.run_at).toISOString() };
+            }),
+        });
+    } catch (e) {
+        console.error('jobs list error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+app.post('/api/admin/jobs/:id/retry', requirePermission('system.jobs'), async (req, res) => {
+    try {
+        const job = await dbGet("SELECT type, payload FROM jobs WHERE id=? AND status='dead'", [req.params.id]);
+        if (!job) return res.status(404).json({ error: 'Няма такава неуспешна задача.' });
+        if (jobScrubbed(job.type, JSON.parse(job.payload || '{}'))) {
+            return res.status(409).json({ error: 'Съдържанието на задачата вече е изтрито - не може да се повтори.' });
+        }
+        const r = await dbRun(
+            "UPDATE jobs SET status='queued', attempts=0, run_at=?, last_error=NULL, updated_at=? WHERE id=? AND status='dead'",
+            [Date.now(), new Date().toISOString(), req.params.id]
+        );
+        if (!r.changes) return res.status(404).json({ error: 'Няма такава неуспешна задача.' });
+        audit(req, { action: 'job.retry', target: 'job:' + req.params.id });
+        wakeJobs();
+        res.json({ success: true });
+    } catch (e) {
+        console.error('job retry error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+app.delete('/api/admin/jobs/:id', requirePermission('system.jobs'), async (req, res) => {
+    try {
+        const job = await dbGet("SELECT type, payload FROM jobs WHERE id=? AND status='dead'", [req.params.id]);
+        if (!job) return res.status(404).json({ error: 'Няма такава неуспешна задача.' });
+        await dbRun('DELETE FROM jobs WHERE id=?', [req.params.id]);
+        const payload = JSON.parse(job.payload || '{}');
+        delete payload.html;
+        audit(req, { action: 'job.delete', target: 'job:' + req.params.id, before: { type: job.type, payload } });
+        res.json({ success: true });
+    } catch (e) {
+        console.error('job delete error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // robots.txt
 app.get('/robots.txt', (_req, res) =>
     res.type('text/plain').send(`User-agent: *\nAllow: /\nSitemap: ${DOMAIN}/sitemap.xml`));
@@ -3480,7 +5268,7 @@ app.get('/sitemap.xml', async (_req, res) => {
     if (hit) return res.type('application/xml').send(hit);
 
     try {
-        const rows = await dbAll('SELECT slug, updated_at FROM homes WHERE published = 1');
+        const rows = await dbAll('SELECT slug, updated_at FROM homes WHERE published = 1 AND deleted_at IS NULL');
         const pages = ['index.html', 'addresses.html', 'map.html', 'calendar.html', 'about.html'];
         let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
         for (const p of pages) xml += `  <url><loc>${DOMAIN}/${p}</loc><changefreq>weekly</changefreq></url>\n`;
@@ -3497,49 +5285,172 @@ app.get('/sitemap.xml', async (_req, res) => {
     }
 });
 
+// ── Open data export ──────────────────────────────────────────────────────────
+// GET /api/export/places.{geojson,csv,kml}[?category=&tag=] - every published
+// place in one file. Rows are streamed straight from SQLite and the finished
+// body is cached like sitemap.xml (any write clears the cache).
+// The licence block mirrors copyright.html; keep the two in sync.
+const EXPORT_LICENCE = {
+    source:      'Адресът на историята',
+    url:         `${DOMAIN}/`,
+    rights:      `© 2025-${new Date().getFullYear()} Адресът на историята. Всички права запазени.`,
+    terms:       `${DOMAIN}/copyright.html`,
+    permitted:   'Лични образователни цели и цитиране на кратки откъси с посочване на източника. Комерсиална употреба, производни работи и разпространение на значителна част от съдържанието изискват писмено разрешение.',
+    attribution: 'Посочете „Адресът на историята“, URL адреса на страницата и датата на достъп.',
+    contact:     'historyaddressbg@gmail.com',
+};
+const EXPORT_BATCH = 500;   // rows per query while streaming an export
+const EXPORT_COLS = ['id', 'slug', 'name', 'category', 'lat', 'lng', 'date_start', 'date_end', 'date_label', 'address', 'tags', 'sources', 'url'];
+
+function exportPlace(r) {
+    const parse = s => { try { return JSON.parse(s || '[]') || []; } catch { return []; } };
+    return {
+        id: r.id, slug: r.slug, name: r.name, category: r.category || 'home',
+        lat: r.lat, lng: r.lng,
+        date_start: r.birth_date || null, date_end: r.death_date || null, date_label: r.date_label || null,
+        address: r.address || '', tags: parse(r.tags), sources: parse(r.sources),
+        url: `${DOMAIN}/address.html?slug=${encodeURIComponent(r.slug)}`,
+    };
+}
+function xmlEsc(s) {
+    return String(s == null ? '' : s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+const EXPORT_FORMATS = {
+    geojson: {
+        type: 'application/geo+json; charset=utf-8',
+        head: () => '{"type":"FeatureCollection",' +
+            `"licence":${JSON.stringify({ ...EXPORT_LICENCE, generated_at: new Date().toISOString() })},"features":[\n`,
+        row: ({ lat, lng, ...properties }, i) => (i ? ',\n' : '') + JSON.stringify({
+            type: 'Feature',
+            geometry: lat != null && lng != null ? { type: 'Point', coordinates: [lng, lat] } : null,
+            properties,
+        }),
+        tail: () => '\n]}\n',
+    },
+    csv: {
+        type: 'text/csv; charset=utf-8',
+        // '#' lines are skipped by most CSV readers (pandas comment='#', R comment.char).
+        head: () => '\uFEFF' + [
+            `# ${EXPORT_LICENCE.rights}`,
+            `# Условия: ${EXPORT_LICENCE.terms}`,
+            `# Разрешена употреба: ${EXPORT_LICENCE.permitted}`,
+            `# Атрибуция: ${EXPORT_LICENCE.attribution}`,
+            `# Генерирано: ${new Date().toISOString()}`,
+            EXPORT_COLS.join(','),
+        ].join('\r\n') + '\r\n',
+        row: p => EXPORT_COLS.map(c => csvCell(Array.isArray(p[c]) ? p[c].join(' | ') : p[c])).join(',') + '\r\n',
+        tail: () => '',
+    },
+    kml: {
+        type: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+        head: () => '<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n' +
+            `<name>${xmlEsc(EXPORT_LICENCE.source)}</name>\n` +
+            `<description>${xmlEsc([EXPORT_LICENCE.rights, EXPORT_LICENCE.permitted, EXPORT_LICENCE.attribution, 'Условия: ' + EXPORT_LICENCE.terms].join('\n'))}</description>\n` +
+            `<ExtendedData><Data name="generated_at"><value>${new Date().toISOString()}</value></Data></ExtendedData>\n`,
+        row: p => {
+            if (p.lat == null || p.lng == null) return '';   // KML has no place for unlocated features
+            const data = ['category', 'date_start', 'date_end', 'date_label', 'address', 'tags', 'sources', 'url']
+                .map(k => `<Data name="${k}"><value>${xmlEsc(Array.isArray(p[k]) ? p[k].join(' | ') : p[k])}</value></Data>`).join('');
+            return `<Placemark id="${xmlEsc(p.slug)}"><name>${xmlEsc(p.name)}</name>` +
+                `<description>${xmlEsc([p.address, p.url].filter(Boolean).join('\n'))}</description>` +
+                `<ExtendedData>${data}</ExtendedData><Point><coordinates>${p.lng},${p.lat}</coordinates></Point></Placemark>\n`;
+        },
+        tail: () => '</Document>\n</kml>\n',
+    },
+};
+
+app.get('/api/export/places.:format(geojson|csv|kml)', (req, res) => {
+    const fmt      = EXPORT_FORMATS[req.params.format];
+    const category = (req.query.category || '').trim();
+    const tag      = (req.query.tag || '').trim();
+    const key      = `export:${req.params.format}:${CATEGORIES.includes(category) ? category : ''}:${tag.toLowerCase()}`;
+
+    res.setHeader('Content-Type', fmt.type);
+    res.setHeader('Content-Disposition', `attachment; filename="historyaddress-places.${req.params.format}"`);
+    res.setHeader('Link', `<${EXPORT_LICENCE.terms}>; rel="license"`);
+    const hit = cache.get(key);
+    if (hit) return res.send(hit);
+
+    const where = ['published = 1', 'deleted_at IS NULL'], params = [];
+    if (CATEGORIES.includes(category)) {
+        if (category === 'home') where.push("(category = 'home' OR category IS NULL)");
+        else { where.push('category = ?'); params.push(category); }
+    }
+    if (tag) { where.push('LOWER(tags) LIKE LOWER(?)'); params.push(`%${tag}%`); }
+
+    // Rows come in batches by (name, id), with a turn of the event loop between them and
+    // a wait whenever the client is behind, so a big export never holds up other requests.
+    const chunks = [];
+    let n = 0, last = null;
+    const out = async s => {
+        if (!s || res.destroyed) return;
+        chunks.push(s);
+        if (res.write(s)) return;
+        await new Promise(resolve => {
+            const go = () => { res.off('drain', go); res.off('close', go); resolve(); };
+            res.on('drain', go); res.on('close', go);
+        });
+    };
+    (async () => {
+        await out(fmt.head());
+        for (;;) {
+            const rows = await dbAll(
+                `SELECT id,slug,name,category,lat,lng,birth_date,death_date,date_label,address,tags,sources
+                 FROM homes WHERE ${where.join(' AND ')}${last ? ' AND (name > ? OR (name = ? AND id > ?))' : ''}
+                 ORDER BY name, id LIMIT ${EXPORT_BATCH}`,
+                last ? [...params, last.name, last.name, last.id] : params);
+            for (const row of rows) await out(fmt.row(exportPlace(row), n++));
+            if (rows.length < EXPORT_BATCH || res.destroyed) break;
+            last = rows[rows.length - 1];
+            await new Promise(r => setImmediate(r));
+        }
+        if (res.destroyed) return;
+        await out(fmt.tail());
+        cache.set(key, chunks.join(''), 3600);
+        res.end();
+    })().catch(err => {
+        // Headers are already out - end the body so the client sees a truncated file.
+        console.error('export error:', err.message);
+        res.end();
+    });
+});
+
 // ── Upload ────────────────────────────────────────────────────────────────────
-app.post('/api/upload', requireRole('admin'), upload.single('image'), async (req, res) => {
+app.post('/api/upload', requireScopedPermission('uploads', 'homes.edit', 'news.publish', 'partners.edit', 'team.edit', 'media.manage'), upload.single('image'), async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No image file provided' });
     try {
         const photographer = req.body.photographer || '';
         const homeSlug     = (req.body.homeSlug || 'img').replace(/[^a-z0-9]/gi, '').slice(0, 10);
         const applyWmark   = req.body.watermark === 'true';
         const filename     = `img_${homeSlug}_${Date.now()}_${randomSuffix()}.jpg`;
+        audit(req, { action: 'upload.image', target: filename, after: { watermark: applyWmark, photographer: photographer || null } });
 
         if (!looksLikeImage(req.file.buffer)) return res.status(400).json({ error: 'Файлът не е валидно изображение.' });
+        const exif = await readPhotoExif(req.file.buffer);
         // Normalise to a web-friendly max width FIRST (caps huge originals so the live
         // page isn't loading multi-MB 5000px files), honour EXIF rotation, THEN watermark
-        // so the mark is sized for the final image.
-        const base = await sharp(req.file.buffer, SHARP_OPTS).rotate()
-            .resize({ width: 2000, withoutEnlargement: true })
-            .jpeg({ quality: 85 })
-            .toBuffer();
-        const buf = applyWmark ? await buildWatermark(base, photographer) : base;
-
-        // Lightweight thumbnail for grids / list cards / map panel.
-        // ~600px wide @ q70 is typically 10× smaller than the full image.
-        const thumbName = filename.replace(/\.jpg$/i, '_thumb.jpg');
-        const thumbBuf  = await sharp(buf)
-            .resize({ width: 600, withoutEnlargement: true })
-            .jpeg({ quality: 70 })
-            .toBuffer();
-
-        await Promise.all([
-            r2.send(new PutObjectCommand({
-                Bucket: R2_BUCKET, Key: filename, Body: buf,
-                ContentType: 'image/jpeg', CacheControl: 'public, max-age=31536000',
-            })),
-            r2.send(new PutObjectCommand({
-                Bucket: R2_BUCKET, Key: thumbName, Body: thumbBuf,
-                ContentType: 'image/jpeg', CacheControl: 'public, max-age=31536000',
-            })),
-        ]);
+        // so the mark is sized for the final image. The hash is of the unmarked photo.
+        const photo = await processPhoto(req.file.buffer);
+        const buf   = applyWmark ? await buildWatermark(photo.data, photographer) : photo.data;
+
+        const url       = `${MEDIA_URL}/${filename}`;
+        await putR2Jpeg(filename, buf);
+        const dup = await indexImage(url, { ...photo, bytes: buf.length });
+        await queueImageVariants(filename);
+        await savePhotoExif(url, exif);
 
-        console.log(`📸 Uploaded ${filename} (+thumb) | wm:${applyWmark} | photographer:${photographer || '-'}`);
+        console.log(`📸 Uploaded ${filename} (thumb queued) | wm:${applyWmark} | photographer:${photographer || '-'}${dup ? ' | near-duplicate of ' + dup.url : ''}`);
         res.json({
-            url:      `${R2_PUBLIC_URL}/${filename}`,
-            thumb:    `${R2_PUBLIC_URL}/${thumbName}`,
+            url,
+            // The thumbnail only exists once the variants job has run; it is filled in
+            // on the place then (renderImageVariants), or by withVariants on a later save.
+            thumb:    null,
             filename,
+            // Hints for the editor's photo date / coordinates (never published).
+            exif:     exif && { taken_at: exif.taken_at, lat: exif.lat, lng: exif.lng, camera: exif.camera },
+            // An already-stored photo this one nearly matches; the editor offers to use it instead.
+            duplicate: dup && { url: dup.url, thumb: pendingThumbUrl(dup.url), distance: dup.distance },
         });
     } catch (e) {
         console.error('Upload error:', e);
@@ -3547,63 +5458,349 @@ app.post('/api/upload', requireRole('admin'), upload.single('image'), async (req
     }
 });
 
+// ── Duplicate photo report & merge ────────────────────────────────────────────
+// Clusters the live image_index by hash distance (pending suggestion photos are
+// left out) and lists, per photo, the places using it. Merging a cluster points
+// every homes.images / portrait_url reference at the kept photo (one revision per
+// place) and deletes the others from R2, unless something else still uses them.
+function clusterImages(rows) {
+    const words  = rows.map(r => hashWords(r.hash));
+    const parent = rows.map((_, i) => i);
+    const find   = i => { while (parent[i] !== i) i = parent[i] = parent[parent[i]]; return i; };
+    for (let i = 0; i < rows.length; i++) {
+        for (let j = i + 1; j < rows.length; j++) {
+            if (hashDistance(words[i], words[j]) <= DHASH_NEAR) parent[find(i)] = find(j);
+        }
+    }
+    const groups = new Map();
+    rows.forEach((r, i) => {
+        const k = find(i);
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(r);
+    });
+    return [...groups.values()].filter(g => g.length > 1);
+}
+const homeImagePath = im => (im && typeof im === 'object' ? im.path : im);
+function parseHomeImages(raw) {
+    try { const a = JSON.parse(raw || '[]'); return Array.isArray(a) ? a : []; } catch { return []; }
+}
+
+app.get('/api/admin/images/duplicates', requirePermission('media.manage'), async (req, res) => {
+    try {
+        const rows = await dbAll('SELECT url, hash, width, height, bytes, dup_of, created_at FROM image_index WHERE url NOT LIKE ? ORDER BY created_at',
+            [MEDIA_URL + '/pending/%']);
+        const usedBy = {};
+        for (const h of await dbAll('SELECT id, slug, name, portrait_url, images, deleted_at FROM homes')) {
+            const ref = { id: h.id, slug: h.slug, name: h.name, trashed: !!h.deleted_at };
+            const paths = new Set(parseHomeImages(h.images).map(homeImagePath).concat(h.portrait_url || []));
+            for (const p of paths) (usedBy[p] = usedBy[p] || []).push(ref);
+        }
+        const clusters = clusterImages(rows).map(group => {
+            const images = group.map(r => ({
+                url: r.url, thumb: pendingThumbUrl(r.url), width: r.width, height: r.height, bytes: r.bytes,
+                created_at: r.created_at, dup_of: r.dup_of, homes: usedBy[r.url] || [],
+            }));
+            // Suggested keeper: the most used, then the largest, then the oldest.
+            const best = images.slice().sort((a, b) => (b.homes.length - a.homes.length)
+                || ((b.width * b.height) - (a.width * a.height)) || String(a.created_at).localeCompare(b.created_at))[0];
+            return { keep: best.url, images, reclaim_bytes: images.reduce((n, im) => n + (im === best ? 0 : im.bytes || 0), 0) };
+        }).sort((a, b) => b.images.length - a.images.length || b.reclaim_bytes - a.reclaim_bytes);
+        res.json({ threshold: DHASH_NEAR, indexed: rows.length, clusters });
+    } catch (e) {
+        console.error('duplicates report error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/admin/images/duplicates/merge', requirePermission('media.manage'), async (req, res) => {
+    const b      = req.body || {};
+    const keep   = String(b.keep || '');
+    const remove = [...new Set((Array.isArray(b.remove) ? b.remove : []).map(String))].filter(u => u !== keep);
+    if (!keep || !remove.length) return res.status(400).json({ error: 'Изберете снимка за запазване и поне едно копие.' });
+    if (remove.length > 50) return res.status(400).json({ error: 'Твърде много снимки наведнъж.' });
+    try {
+        const all = [keep, ...remove];
+        const idx = await dbAll(`SELECT url, hash FROM image_index WHERE url IN (${all.map(() => '?').join(',')})`, all);
+        const byUrl = Object.fromEntries(idx.map(r => [r.url, hashWords(r.hash)]));
+        if (all.some(u => !byUrl[u] || isPendingPhotoUrl(u))) return res.status(400).json({ error: 'Неизвестна снимка.' });
+        // Clusters chain, so allow some slack - but never merge unrelated photos.
+        if (remove.some(u => hashDistance(byUrl[keep], byUrl[u]) > DHASH_NEAR * 2)) {
+            return res.status(400).json({ error: 'Снимките не си приличат достатъчно, за да бъдат обединени.' });
+        }
+
+        // Every row rewrite is one transaction; the files go only once it has committed,
+        // so a failure part-way never leaves a place pointing at a deleted photo.
+        const drop = new Set(remove);
+        const now  = new Date().toISOString();
+        const { changed, gone, inUse } = await dbTransaction(async () => {
+            const variants = await dbGet('SELECT manifest FROM image_variants WHERE path=?', [keep]);
+            const homes    = await dbAll(`SELECT id, portrait_url, images FROM homes WHERE ${remove.map(() => '(portrait_url=? OR instr(images, ?) > 0)').join(' OR ')}`,
+                remove.flatMap(u => [u, u]));
+            const changed = [];
+            for (const h of homes) {
+                const images = [];
+                let hasKeep = false, hit = false;
+                for (const im of parseHomeImages(h.images)) {
+                    let next = im;
+                    if (drop.has(homeImagePath(im))) {
+                        hit = true;
+                        if (typeof im !== 'object') next = keep;
+                        else {
+                            next = { ...im, path: keep, thumb: pendingThumbUrl(keep) };
+                            if (variants) next.variants = JSON.parse(variants.manifest); else delete next.variants;
+                        }
+                    }
+                    if (homeImagePath(next) === keep) {
+                        if (hasKeep) continue;   // the place already shows the kept photo
+                        hasKeep = true;
+                    }
+                    images.push(next);
+                }
+                const portrait = drop.has(h.portrait_url) ? keep : h.portrait_url;
+                if (!hit && portrait === h.portrait_url) continue;
+                await dbRun('UPDATE homes SET images=?, portrait_url=?, updated_at=? WHERE id=?', [JSON.stringify(images), portrait, now, h.id]);
+                await recordHomeRevision(h.id, 'update', req.user.sub);
+                changed.push(h.id);
+            }
+
+            const gone = [], inUse = [];
+            for (const u of remove) {
+                // Keep what the merged copies knew: Drive re-syncs reuse the kept photo,
+                // and its EXIF survives if the kept one has none.
+                await dbRun('UPDATE drive_files SET url=? WHERE url=?', [keep, u]);
+                await dbRun('UPDATE image_index SET dup_of=? WHERE dup_of=?', [keep, u]);
+                await dbRun(`INSERT OR IGNORE INTO photo_exif (url, taken_at, lat, lng, camera, lens, created_at)
+                             SELECT ?, taken_at, lat, lng, camera, lens, created_at FROM photo_exif WHERE url=?`, [keep, u]);
+                if (await mediaStillUsed(u)) { inUse.push(u); continue; }   // e.g. a news cover
+                const row = await dbGet('SELECT bytes FROM image_index WHERE url=?', [u]);
+                gone.push({ url: u, bytes: (row && row.bytes) || 0 });
+            }
+            return { changed, gone, inUse };
+        });
+
+        let deleted = 0, freed = 0;
+        for (const { url, bytes } of gone) {
+            await deleteR2(url);
+            if (!await mediaStillUsed(pendingThumbUrl(url))) await deleteR2(pendingThumbUrl(url));
+            await deleteImageVariants(url);
+            deleted++;
+            freed += bytes;
+        }
+        audit(req, { action: 'images.dedupe', target: keep, before: { remove }, after: { homes: changed, deleted, in_use: inUse } });
+        cache.clear();
+        res.json({ ok: true, homes: changed.length, deleted, freed_bytes: freed, in_use: inUse });
+    } catch (e) {
+        console.error('duplicates merge error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ── Storage garbage collection ────────────────────────────────────────────────
+// Orphaned media in storage - the rules live in storage-gc.js, which gc-storage.js
+// uses too. The dashboard lists the orphans and deletes the ones an admin picks.
+const storageGc = createStorageGc({ storage, db: { all: dbAll, run: dbRun } });
+
+app.get('/api/admin/storage/orphans', requirePermission('system.storage'), async (req, res) => {
+    try { res.json(await storageGc.findOrphans()); }
+    catch (e) {
+        console.error('storage scan error:', e.message);
+        res.status(500).json({ error: 'Грешка при достъп до хранилището.' });
+    }
+});
+// Deletes the listed keys - but only those a fresh scan still reports as orphans.
+app.post('/api/admin/storage/orphans/delete', requirePermission('system.storage'), async (req, res) => {
+    const keys = [...new Set((Array.isArray((req.body || {}).keys) ? req.body.keys : []).map(String))];
+    if (!keys.length) return res.status(400).json({ error: 'Няма избрани файлове.' });
+    try {
+        const { orphans } = await storageGc.findOrphans();
+        const still  = new Map(orphans.map(o => [o.key, o]));
+        const chosen = keys.filter(k => still.has(k));
+        const done   = await storageGc.deleteKeys(chosen);
+        const freed  = done.reduce((n, k) => n + still.get(k).size, 0);
+        audit(req, { action: 'storage.gc', target: 'r2', after: { deleted: done.length, bytes: freed, skipped: keys.length - chosen.length, keys: done.slice(0, 200) } });
+        console.log(`🧹 Storage GC: deleted ${done.length} orphaned object(s), ${Math.round(freed / 1024)} KB`);
+        res.json({ ok: true, deleted: done.length, freed_bytes: freed, skipped: keys.length - chosen.length, failed: chosen.length - done.length });
+    } catch (e) {
+        console.error('storage gc error:', e.message);
+        res.status(500).json({ error: 'Грешка при достъп до хранилището.' });
+    }
+});
+
 // ── Google Drive folder sync ───────────────────────────────────────────────────
 // Imports every image from a shared Drive folder into R2 (optionally watermarked).
-// Files are streamed into memory and processed in small concurrent batches to bound
-// memory and avoid timeouts. Returns the resulting R2 URLs for the panel to attach.
-app.post('/api/admin/drive-sync', requireRole('admin'), async (req, res) => {
-    const folderId = parseDriveFolderId(req.body && req.body.folderUrl);
+// The request only records a drive_syncs row and queues a 'drive.scan' job; the scan
+// lists the folder (optionally with subfolders) and queues one 'drive.import' job per
+// file under the sync id. The panel polls GET /api/admin/drive-sync/:id and attaches
+// the resulting R2 URLs as they arrive. Jobs survive a restart, so a crash resumes
+// where it stopped, and files already in drive_files are reused, not re-uploaded -
+// as long as they were imported with the same watermark/photographer (driveVariant).
+// One sync uploads at most DRIVE_SYNC_MAX new files; running it again picks up the
+// rest (files it already imported are only reused, so they don't count).
+//
+// With `map_subfolders`, each top-level subfolder is matched to a place by slug or
+// name and its photos are appended straight to that place's gallery.
+const DRIVE_SYNC_MAX = 500;   // new files per sync, so one huge folder can't swamp the queue
+
+// What makes two imports of one Drive file different R2 objects.
+function driveVariant(watermark, photographer) {
+    return watermark ? 'wm:' + (photographer || '') : 'plain';
+}
+async function matchDriveFolderToHome(name) {
+    const n = String(name || '').trim();
+    if (!n) return null;
+    return dbGet('SELECT id, name FROM homes WHERE deleted_at IS NULL AND (slug=? OR id=? OR name_lower=?) LIMIT 1',
+        [n, n, n.toLowerCase()]);
+}
+async function scanDriveFolder({ sync: syncId }) {
+    const sync = await dbGet('SELECT * FROM drive_syncs WHERE id=?', [syncId]);
+    if (!sync) throw permanentJobError('no such sync: ' + syncId);
+    const opts = JSON.parse(sync.options || '{}');
+    let files;
+    try {
+        files = await listDriveImages(sync.folder_id, { recursive: !!(opts.recursive || opts.map_subfolders) });
+    } catch (e) {
+        if (!/permission|not found|notFound|403|404|GOOGLE_SERVICE_ACCOUNT/i.test(e.message)) throw e;   // transient → retry
+        const msg = /GOOGLE_SERVICE_ACCOUNT/.test(e.message)
+            ? 'Google Drive не е конфигуриран.'
+            : 'Папката не е намерена или не е споделена със service account-а.';
+        await dbRun("UPDATE drive_syncs SET status='failed', error=? WHERE id=?", [msg, syncId]);
+        throw permanentJobError(msg);
+    }
+    const homes = new Map(), unmatched = [], variant = driveVariant(opts.watermark, opts.photographer);
+    let queued = 0, fresh = 0, capped = 0;
+    for (const f of files) {
+        let home = null;
+        if (opts.map_subfolders && f.folder) {
+            if (!homes.has(f.folder.id)) {
+                const h = await matchDriveFolderToHome(f.folder.name);
+                homes.set(f.folder.id, h);
+                if (!h) unmatched.push(f.folder.name);
+            }
+            home = homes.get(f.folder.id);
+            if (!home) continue;   // no such place - reported, not imported
+        }
+        if (!(await dbGet('SELECT 1 FROM drive_files WHERE variant=? AND (file_id=? OR (md5 IS NOT NULL AND md5=?))',
+            [variant, f.id, f.md5Checksum || null]))) {
+            if (fresh >= DRIVE_SYNC_MAX) { capped++; continue; }
+            fresh++;
+        }
+        await enqueueJob('drive.import', {
+            sync: syncId, fileId: f.id, name: f.name, md5: f.md5Checksum || null,
+            home_id: home ? home.id : null, watermark: !!opts.watermark, photographer: opts.photographer || '',
+        }, { batch: syncId, key: `drive:${syncId}:${f.id}` });   // a re-run scan queues nothing twice
+        queued++;
+    }
+    await dbRun("UPDATE drive_syncs SET status='importing', total=?, capped=?, unmatched=? WHERE id=?",
+        [queued, capped, unmatched.length ? JSON.stringify(unmatched) : null, syncId]);
+    return { files: files.length, queued, capped, unmatched: unmatched.length };
+}
+async function importDriveFile({ sync: syncId, fileId, name, md5, home_id, watermark, photographer }) {
+    const variant = driveVariant(watermark, photographer);
+    const known   = await dbGet('SELECT url FROM drive_files WHERE variant=? AND (file_id=? OR (md5 IS NOT NULL AND md5=?)) LIMIT 1',
+        [variant, fileId, md5 || null]);
+    let url = known && known.url, dup = null;
+    if (!url) {
+        const buf = await downloadDriveFile(fileId);
+        if (!looksLikeImage(buf)) throw permanentJobError('не е изображение');
+        const finalBuf = watermark ? await buildWatermark(buf, photographer) : buf;
+        url = await uploadPhotoToR2(finalBuf, `img_drive_${Date.now()}_${randomSuffix()}`);
+        dup = await dbGet('SELECT dup_of FROM image_index WHERE url=?', [url]);
+    }
+    await dbRun('INSERT OR IGNORE INTO drive_files (file_id, variant, md5, url, home_id, imported_at) VALUES (?,?,?,?,?,?)',
+        [fileId, variant, md5 || null, url, home_id || null, new Date().toISOString()]);
+    if (home_id) await appendDrivePhotoToHome(home_id, url, syncId);
+    return { url, thumb: pendingThumbUrl(url), home_id: home_id || null, reused: !!known, duplicate_of: (dup && dup.dup_of) || null };
+}
+async function appendDrivePhotoToHome(homeId, url, syncId) {
+    const home = await dbGet('SELECT id, name, images FROM homes WHERE id=? AND deleted_at IS NULL', [homeId]);
+    if (!home) throw permanentJobError('адресът е изтрит');
+    let images = [];
+    try { images = JSON.parse(home.images || '[]') || []; } catch { images = []; }
+    if (images.some(im => (im && im.path ? im.path : im) === url)) return;
+    images.push({ path: url, thumb: pendingThumbUrl(url), caption: '', alt: home.name });
+    await dbRun('UPDATE homes SET images=?, updated_at=? WHERE id=?', [JSON.stringify(images), new Date().toISOString(), homeId]);
+    const sync = await dbGet('SELECT created_by FROM drive_syncs WHERE id=?', [syncId]);
+    await recordHomeRevision(homeId, 'update', sync ? sync.created_by : null);
+    cache.clear();
+}
+app.post('/api/admin/drive-sync', requirePermission('homes.import'), async (req, res) => {
+    const b = req.body || {};
+    const folderId = parseDriveFolderId(b.folderUrl);
     if (!folderId) return res.status(400).json({ error: 'Невалиден линк към Google Drive папка.' });
     if (!process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
         return res.status(503).json({ error: 'Google Drive не е конфигуриран (липсва GOOGLE_SERVICE_ACCOUNT_JSON).' });
     }
-    const applyWmark   = req.body.watermark === true || req.body.watermark === 'true';
-    const photographer = String(req.body.photographer || '').trim();
-    const MAX   = 60;   // per-request cap so a huge folder can't time out the request
-    const BATCH = 4;    // concurrent downloads/uploads
+    const flag = v => v === true || v === 'true';
+    const opts = {
+        watermark:      flag(b.watermark),
+        photographer:   String(b.photographer || '').trim(),
+        recursive:      flag(b.recursive),
+        map_subfolders: flag(b.map_subfolders),
+    };
     try {
-        let files;
-        try {
-            files = await listDriveImages(folderId);
-        } catch (e) {
-            const msg = /permission|not found|notFound|403|404/i.test(e.message)
-                ? 'Папката не е намерена или не е споделена със service account-а.'
-                : 'Грешка при достъп до Google Drive: ' + e.message;
-            return res.status(400).json({ error: msg });
-        }
-        if (!files.length) return res.json({ count: 0, total: 0, urls: [], errors: ['Няма изображения в папката.'] });
-
-        const toProcess = files.slice(0, MAX);
-        const urls = [], errors = [];
-        for (let i = 0; i < toProcess.length; i += BATCH) {
-            const batch = toProcess.slice(i, i + BATCH);
-            await Promise.all(batch.map(async f => {
-                try {
-                    const buf      = await downloadDriveFile(f.id);
-                    if (!looksLikeImage(buf)) throw new Error('не е изображение');
-                    const finalBuf = applyWmark ? await buildWatermark(buf, photographer) : buf;
-                    const url      = await uploadPhotoToR2(finalBuf, `img_drive_${Date.now()}_${randomSuffix()}`);
-                    urls.push({ url, thumb: pendingThumbUrl(url) });
-                } catch (e) { errors.push(`${f.name}: ${e.message}`); }
-            }));
-        }
-        console.log(`☁️  Drive sync: ${urls.length}/${files.length} imported | wm:${applyWmark} | ${photographer || '-'}`);
-        res.json({ count: urls.length, total: files.length, capped: files.length > MAX, urls, errors });
+        const id = 'drive_' + crypto.randomBytes(8).toString('hex');
+        await dbRun('INSERT INTO drive_syncs (id, folder_id, options, created_by, created_at) VALUES (?,?,?,?,?)',
+            [id, folderId, JSON.stringify(opts), req.user.sub, new Date().toISOString()]);
+        await enqueueJob('drive.scan', { sync: id }, { priority: 5, batch: id });
+        audit(req, { action: 'drive.sync', target: 'drive:' + folderId, after: { sync: id, ...opts, photographer: opts.photographer || null } });
+        console.log(`☁️  Drive sync ${id} queued for ${folderId} | wm:${opts.watermark} | sub:${opts.recursive}/${opts.map_subfolders} | ${opts.photographer || '-'}`);
+        res.status(202).json({ batch: id });
     } catch (e) {
         console.error('drive-sync error:', e.message);
         res.status(500).json({ error: 'Грешка при импорт от Google Drive.' });
     }
 });
+// Progress of one Drive sync. `urls` are the photos for the panel to attach; photos
+// routed to places via subfolders are only counted in `placed`.
+app.get('/api/admin/drive-sync/:batch', requirePermission('homes.import'), async (req, res) => {
+    try {
+        const sync = await dbGet('SELECT * FROM drive_syncs WHERE id=?', [req.params.batch]);
+        if (!sync) return res.status(404).json({ error: 'Няма такъв импорт.' });
+        const rows = await dbAll('SELECT type, status, payload, result, last_error FROM jobs WHERE batch=? ORDER BY id', [sync.id]);
+        const scan = rows.find(r => r.type === 'drive.scan');
+        const urls = [], errors = [];
+        let done = 0, dead = 0, placed = 0, reused = 0, duplicates = 0;
+        for (const r of rows) {
+            if (r.type !== 'drive.import') continue;
+            if (r.status === 'done' && r.result) {
+                const out = JSON.parse(r.result);
+                done++;
+                if (out.reused) reused++;
+                if (out.duplicate_of) duplicates++;
+                if (out.home_id) placed++; else urls.push({ url: out.url, thumb: out.thumb });
+            } else if (r.status === 'dead') {
+                dead++;
+                errors.push(`${JSON.parse(r.payload).name}: ${r.last_error}`);
+            }
+        }
+        for (const name of (sync.unmatched ? JSON.parse(sync.unmatched) : [])) errors.push(`Папка „${name}“: няма адрес с такова име или slug.`);
+        // A scan that gave up (bad folder, or Drive down through every retry) ends the sync.
+        const scanFailed = sync.status === 'failed' || (sync.status === 'scanning' && scan && scan.status === 'dead');
+        if (scanFailed) errors.push(sync.error || 'Грешка при достъп до Google Drive: ' + scan.last_error);
+        const pending = sync.total - done - dead;
+        res.json({
+            batch: sync.id, status: scanFailed ? 'failed' : sync.status, total: sync.total, done, placed, reused, duplicates,
+            capped: sync.capped,
+            failed: errors.length, pending, finished: scanFailed || (sync.status === 'importing' && pending === 0),
+            urls, errors,
+        });
+    } catch (e) {
+        console.error('drive-sync progress error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-// ── Watermark configurator (owner only) ───────────────────────────────────────
-app.get('/api/admin/settings/watermark', requireRole('admin'), async (req, res) => {
+// ── Watermark configurator ────────────────────────────────────────────────────
+app.get('/api/admin/settings/watermark', requirePermission('media.manage'), async (req, res) => {
     try { res.json(await getWatermarkSettings()); }
     catch (e) { res.status(500).json({ error: 'Server error' }); }
 });
-app.put('/api/admin/settings/watermark', requireRole('admin'), async (req, res) => {
+app.put('/api/admin/settings/watermark', requirePermission('media.manage'), async (req, res) => {
     const cfg = normalizeWmSettings(req.body || {});
     try {
+        const prev = await getWatermarkSettings();
         await dbRun("INSERT OR REPLACE INTO settings (key, value) VALUES ('watermark', ?)", [JSON.stringify(cfg)]);
+        audit(req, { action: 'settings.watermark', target: 'settings:watermark', ...auditChanges(prev, cfg) });
         wmSettingsCache = cfg;   // Drive sync + uploads pick this up immediately
         res.json(Object.assign({ message: 'Запазено.' }, cfg));
     } catch (e) {
@@ -3613,7 +5810,8 @@ app.put('/api/admin/settings/watermark', requireRole('admin'), async (req, res)
 });
 // Live preview: watermark a generated SAMPLE image with the POSTED (unsaved) settings.
 // No user image is accepted (no image-bomb surface); returns a JPEG.
-app.post('/api/admin/settings/watermark/preview', requireRole('admin'), async (req, res) => {
+app.post('/api/admin/settings/watermark/preview', requirePermission('media.manage'), async (req, res) => {
+    audit(req, { skip: true });   // read-only render, nothing to record
     try {
         const W = 1000, H = 667;
         const bg = `<svg width="${W}" height="${H}" xmlns="http://www.w3.org/2000/svg"><defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#7a6a52"/><stop offset="1" stop-color="#26201a"/></linearGradient></defs><rect width="${W}" height="${H}" fill="url(#g)"/><text x="50%" y="50%" fill="rgba(255,255,255,0.10)" font-size="44" text-anchor="middle" dominant-baseline="middle" font-family="sans-serif">ПРИМЕРНА СНИМКА</text></svg>`;
@@ -3643,7 +5841,8 @@ app.get('/api/homes', async (req, res) => {
     const searchMode = req.query.searchMode || 'all';
     const offset     = (page - 1) * limit;
 
-    const where = [], params = [];
+    // Trashed homes never appear, not even in the admin (?all=true) list.
+    const where = ['deleted_at IS NULL'], params = [];
     if (!showAll) { where.push('published = 1'); }
 
     // Filter by location category ('home' | 'monument' | 'events').
@@ -3657,7 +5856,10 @@ app.get('/api/homes', async (req, res) => {
         }
     }
 
-    if (search) {
+    // FTS5 path: relevance-ranked, prefix + transliterated matching. The legacy
+    // LIKE scan below stays as a fallback for SQLite builds without FTS5.
+    const match = search && ftsReady ? ftsMatchQuery(search, searchMode === 'name') : '';
+    if (search && !match) {
         const words = search.split(/\s+/).filter(Boolean);
         if (searchMode === 'name') {
             // name_lower holds a Unicode-lowercased copy, so this is truly
@@ -3680,13 +5882,28 @@ app.get('/api/homes', async (req, res) => {
     const W = where.length ? 'WHERE ' + where.join(' AND ') : '';
 
     try {
-        const countRow = await dbGet(`SELECT COUNT(*) AS total FROM homes ${W}`, params);
-        const total      = countRow.total;
-        const rows       = await dbAll(
-            `SELECT id,slug,name,address,lat,lng,images,tags,category, SUBSTR(biography,1,200) AS bio_snippet
-             FROM homes ${W} ORDER BY name LIMIT ? OFFSET ?`,
-            [...params, limit, offset]
-        );
+        let total, rows;
+        if (match) {
+            // Rank/snippet are computed inside the MATCH subquery; the outer
+            // query applies the usual homes filters to the joined rows.
+            const hits = `homes h JOIN (
+                SELECT home_id, bm25(homes_fts, 0, 10, 8, 1, 3, 4, 1) AS rank,
+                       snippet(homes_fts, 3, '${SNIP_OPEN}', '${SNIP_CLOSE}', '…', 24) AS fts_snippet
+                FROM homes_fts WHERE homes_fts MATCH ?) f ON f.home_id = h.id`;
+            total = (await dbGet(`SELECT COUNT(*) AS total FROM ${hits} ${W}`, [match, ...params])).total;
+            rows  = await dbAll(
+                `SELECT h.id,h.slug,h.name,h.address,h.lat,h.lng,h.images,h.tags,h.category, f.fts_snippet
+                 FROM ${hits} ${W} ORDER BY f.rank, h.name LIMIT ? OFFSET ?`,
+                [match, ...params, limit, offset]
+            );
+        } else {
+            total = (await dbGet(`SELECT COUNT(*) AS total FROM homes ${W}`, params)).total;
+            rows  = await dbAll(
+                `SELECT id,slug,name,address,lat,lng,images,tags,category, SUBSTR(biography,1,200) AS bio_snippet
+                 FROM homes ${W} ORDER BY name LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+        }
         const result = {
             data: rows.map(r => rowToHome(r, true)),
             pagination: { page, limit, total, totalPages: Math.ceil(total / limit), hasNext: page * limit < total, hasPrev: page > 1 },
@@ -3699,15 +5916,40 @@ app.get('/api/homes', async (req, res) => {
     }
 });
 
-app.get('/api/homes/map', async (_req, res) => {
-    const key = 'map_data';
+// With ?bbox=west,south,east,north&zoom=N only that viewport is returned, grid-
+// clustered server-side: { clusters: [{lat,lng,count,bounds}], points: [...] }.
+// map.html browses this way. Without ?bbox this is the full marker list, which
+// map.html fetches only once a search needs it.
+app.get('/api/homes/map', async (req, res) => {
+    const category = (req.query.category || '').trim();
+    const useCat   = CATEGORIES.includes(category);
+    const hasBbox  = req.query.bbox !== undefined;
+    const zoom     = Math.min(22, Math.max(0, parseInt(req.query.zoom) || 0));
+    const asked    = hasBbox ? parseBbox(req.query.bbox) : null;
+    if (hasBbox && !asked) return res.status(400).json({ error: 'Invalid bbox' });
+    const bbox = asked && snapBbox(asked, zoom);
+
+    const key = bbox
+        ? `map:${useCat ? category : ''}:${zoom}:` + [bbox.west, bbox.south, bbox.east, bbox.north].map(v => v.toFixed(6)).join(',')
+        : 'map_data' + (useCat ? ':' + category : '');
     const hit = cache.get(key);
     if (hit) return res.json(hit);
+    const toPoint = r => ({ id: r.id, slug: r.slug, name: r.name, lat: r.lat, lng: r.lng, category: r.category || 'home' });
     try {
-        const rows = await dbAll(
-            'SELECT id,slug,name,lat,lng,category FROM homes WHERE published=1 AND lat IS NOT NULL AND lng IS NOT NULL ORDER BY name'
-        );
-        const data = rows.map(r => ({ id: r.id, slug: r.slug, name: r.name, lat: r.lat, lng: r.lng, category: r.category || 'home' }));
+        let data;
+        if (bbox) {
+            const rows = await homesInBox(bbox, category, 'h.id,h.slug,h.name,h.lat,h.lng,h.category');
+            data = { bbox: [bbox.west, bbox.south, bbox.east, bbox.north], zoom, total: rows.length,
+                     ...clusterPoints(rows.map(toPoint), zoom) };
+        } else {
+            let sql = 'SELECT id,slug,name,lat,lng,category FROM homes WHERE published=1 AND deleted_at IS NULL AND lat IS NOT NULL AND lng IS NOT NULL';
+            const params = [];
+            if (useCat) {
+                if (category === 'home') { sql += " AND (category='home' OR category IS NULL)"; }
+                else { sql += ' AND category=?'; params.push(category); }
+            }
+            data = (await dbAll(sql + ' ORDER BY name', params)).map(toPoint);
+        }
         cache.set(key, data, 300);
         res.json(data);
     } catch (e) {
@@ -3716,12 +5958,47 @@ app.get('/api/homes/map', async (_req, res) => {
     }
 });
 
+// "What's near me": published homes within radius_km of lat/lng, closest first.
+app.get('/api/homes/nearby', async (req, res) => {
+    const lat = parseFloat(req.query.lat), lng = parseFloat(req.query.lng);
+    if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return res.status(400).json({ error: 'Valid lat and lng are required' });
+    }
+    const radius = Math.min(NEARBY_MAX_KM, Math.max(0.1, parseFloat(req.query.radius_km) || 5));
+    const limit  = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const key    = req.url;
+    const hit    = cache.get(key);
+    if (hit) return res.json(hit);
+    try {
+        // Box that fully contains the circle; 111.32 km per degree of latitude.
+        const dLat = radius / 111.32;
+        const dLng = radius / (111.32 * Math.max(0.01, Math.cos(lat * Math.PI / 180)));
+        const box  = {
+            south: Math.max(-90, lat - dLat), north: Math.min(90, lat + dLat),
+            west: Math.max(-180, lng - dLng), east: Math.min(180, lng + dLng),
+        };
+        const rows = await homesInBox(box, (req.query.category || '').trim(),
+            'h.id,h.slug,h.name,h.address,h.lat,h.lng,h.images,h.tags,h.category, SUBSTR(h.biography,1,200) AS bio_snippet');
+        const data = rows
+            .map(r => ({ ...rowToHome(r, true), distance_km: Math.round(haversineKm(lat, lng, r.lat, r.lng) * 100) / 100 }))
+            .filter(h => h.distance_km <= radius)
+            .sort((a, b) => a.distance_km - b.distance_km)
+            .slice(0, limit);
+        const result = { data, center: { lat, lng }, radius_km: radius };
+        cache.set(key, result, 60);
+        res.json(result);
+    } catch (e) {
+        console.error('/api/homes/nearby error:', e);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
 app.get('/api/homes/:slug', async (req, res) => {
     const key = `home:${req.params.slug}`;
     const hit = cache.get(key);
     if (hit) return res.json(hit);
     try {
-        const row = await dbGet('SELECT * FROM homes WHERE slug=? OR id=?', [req.params.slug, req.params.slug]);
+        const row = await dbGet('SELECT * FROM homes WHERE (slug=? OR id=?) AND deleted_at IS NULL', [req.params.slug, req.params.slug]);
         if (!row) return res.status(404).json({ error: 'Home not found' });
         const data = rowToHome(row);
         data.related      = await getRelatedPlaces(row.id);   // preview cards (both directions)
@@ -3734,16 +6011,28 @@ app.get('/api/homes/:slug', async (req, res) => {
     }
 });
 
-app.post('/api/homes', requireRole('admin'), async (req, res) => {
+app.post('/api/homes', requirePermission('homes.edit'), async (req, res) => {
     const h = req.body;
     if (!h.name) return res.status(400).json({ error: 'Name is required' });
+    // The id is the server's to pick; a client one could name a place that already exists.
+    if (h.id) return res.status(400).json({ error: 'id cannot be set on create' });
+    const ownSlug = !!h.slug;
     if (!h.slug) h.slug = h.name.toLowerCase().replace(/[^a-z0-9\s-]/g, '').replace(/\s+/g, '-').replace(/(^-|-$)/g, '');
-    h.id = h.id || h.slug;
     h.created_at = h.updated_at = new Date().toISOString();
     try {
-        insertHome(h);
-        // Queued after the home INSERT (sqlite serialises), so the FK target exists.
-        await syncRelated(h.id, h.related_ids);
+        h.images = await withVariants(h.images);
+        const created = await dbTransaction(async () => {
+            // A chosen slug must be free; a derived one gets a -2, -3… suffix instead.
+            if (!ownSlug) h.slug = await uniqueHomeSlug(h.slug);
+            else if (await dbGet('SELECT 1 FROM homes WHERE (slug=? OR id=?) AND deleted_at IS NULL', [h.slug, h.slug])) return false;
+            h.id = await newHomeId(h.slug);
+            await insertHome(h);
+            await syncRelated(h.id, h.related_ids);
+            await recordHomeRevision(h.id, 'create', req.user.sub);
+            return true;
+        });
+        if (!created) return res.status(409).json({ error: 'Slug is already used by another home' });
+        audit(req, { action: 'home.create', target: 'home:' + h.id, after: { name: h.name, slug: h.slug } });
         cache.clear();
         res.status(201).json({ message: 'Home created', id: h.id, slug: h.slug });
     } catch (e) {
@@ -3752,32 +6041,43 @@ app.post('/api/homes', requireRole('admin'), async (req, res) => {
     }
 });
 
-app.put('/api/homes/:id', requireRole('admin'), async (req, res) => {
+app.put('/api/homes/:id', requirePermission('homes.edit'), async (req, res) => {
     const h = { ...req.body, updated_at: new Date().toISOString() };
     const c = h.coordinates || {};
     try {
         const dStart = (h.date_start != null ? h.date_start : h.birth_date) || null;
         const dEnd   = (h.date_end   != null ? h.date_end   : h.death_date) || null;
-        const result = await dbRun(`UPDATE homes SET
-            slug=?,name=?,name_lower=?,biography=?,address=?,lat=?,lng=?,images=?,photo_date=?,
-            sources=?,tags=?,published=?,updated_at=?,portrait_url=?,birth_date=?,death_date=?,date_label=?,category=?,
-            credited_to=COALESCE(?,credited_to)
-            WHERE id=?`,
-            [
-                h.slug, h.name, (h.name || '').toLowerCase(), h.biography, h.address,
-                c.lat || null, c.lng || null,
-                JSON.stringify(h.images  || []), h.photo_date || null,
-                JSON.stringify(h.sources || []),
-                JSON.stringify(h.tags    || []),
-                h.published !== false ? 1 : 0,
-                h.updated_at, h.portrait_url || null, dStart, dEnd, (h.date_label ? String(h.date_label).trim().slice(0, 80) : null),
-                normCategory(h.category),
-                (h.credited_to !== undefined ? (h.credited_to || null) : null),
-                req.params.id,
-            ]
-        );
-        if (!result.changes) return res.status(404).json({ error: 'Home not found' });
-        if (h.related_ids !== undefined) await syncRelated(req.params.id, h.related_ids);
+        const prev   = await snapshotHome(req.params.id);
+        h.images     = await withVariants(h.images);
+        const updated = await dbTransaction(async () => {
+            await releaseTrashedSlug(h.slug);
+            const result = await dbRun(`UPDATE homes SET
+                slug=?,name=?,name_lower=?,biography=?,address=?,lat=?,lng=?,images=?,photo_date=?,
+                sources=?,tags=?,published=?,updated_at=?,portrait_url=?,birth_date=?,death_date=?,date_label=?,category=?,
+                credited_to=COALESCE(?,credited_to)
+                WHERE id=? AND deleted_at IS NULL`,
+                [
+                    h.slug, h.name, (h.name || '').toLowerCase(), h.biography, h.address,
+                    c.lat || null, c.lng || null,
+                    JSON.stringify(h.images  || []), h.photo_date || null,
+                    JSON.stringify(h.sources || []),
+                    JSON.stringify(h.tags    || []),
+                    h.published !== false ? 1 : 0,
+                    h.updated_at, h.portrait_url || null, dStart, dEnd, (h.date_label ? String(h.date_label).trim().slice(0, 80) : null),
+                    normCategory(h.category),
+                    (h.credited_to !== undefined ? (h.credited_to || null) : null),
+                    req.params.id,
+                ]
+            );
+            if (!result.changes) return false;
+            if (h.related_ids !== undefined) await syncRelated(req.params.id, h.related_ids);
+            await reindexHome(req.params.id);
+            await recordHomeRevision(req.params.id, 'update', req.user.sub);
+            return true;
+        });
+        if (!updated) return res.status(404).json({ error: 'Home not found' });
+        audit(req, { action: 'home.update', target: 'home:' + req.params.id,
+                     ...auditHomeChanges(prev, await snapshotHome(req.params.id)) });
         cache.clear();
         res.json({ message: 'Home updated' });
     } catch (e) {
@@ -3786,9 +6086,14 @@ app.put('/api/homes/:id', requireRole('admin'), async (req, res) => {
     }
 });
 
-app.delete('/api/homes/:id', requireRole('admin'), async (req, res) => {
+app.delete('/api/homes/:id', requirePermission('homes.delete'), async (req, res) => {
     try {
-        await dbRun('DELETE FROM homes WHERE id=?', [req.params.id]);
+        // Soft delete: the row (and its related links) stay until purged from the trash.
+        const snap = await snapshotHome(req.params.id);
+        const r = await dbRun('UPDATE homes SET deleted_at=? WHERE id=? AND deleted_at IS NULL', [new Date().toISOString(), req.params.id]);
+        if (r.changes && snap) await recordHomeRevision(req.params.id, 'delete', req.user.sub, snap);
+        audit(req, { action: 'home.delete', target: 'home:' + req.params.id, before: snap && { name: snap.name, slug: snap.slug } });
+        await reindexHome(req.params.id);
         cache.clear();
         res.json({ message: 'Home deleted' });
     } catch (e) {
@@ -3797,6 +6102,269 @@ app.delete('/api/homes/:id', requireRole('admin'), async (req, res) => {
     }
 });
 
+// ── Bulk import ───────────────────────────────────────────────────────────────
+// POST a CSV or JSON file of places. Without ?commit=1 it is a dry run that only
+// returns a per-row report; with it, the same validation runs again and - only if
+// no row has errors - every place is inserted in ONE transaction.
+const IMPORT_MAX_ROWS = 2000;
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: 1 } });
+
+// Header aliases → canonical homes fields (headers are matched case-insensitively).
+const IMPORT_ALIASES = {
+    name: 'name', title: 'name', име: 'name', slug: 'slug',
+    biography: 'biography', bio: 'biography', description: 'biography', биография: 'biography',
+    address: 'address', адрес: 'address',
+    lat: 'lat', latitude: 'lat', lng: 'lng', lon: 'lng', longitude: 'lng',
+    category: 'category', категория: 'category', tags: 'tags', тагове: 'tags', sources: 'sources', източници: 'sources',
+    date_start: 'date_start', birth_date: 'date_start', date_end: 'date_end', death_date: 'date_end',
+    date_label: 'date_label', photo_date: 'photo_date', images: 'images', portrait_url: 'portrait_url',
+    published: 'published', credited_to: 'credited_to',
+};
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, newlines inside quotes.
+// The delimiter (',' or ';' - Excel in a BG locale writes ';') is sniffed from the header.
+function parseCsv(text) {
+    text = String(text).replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delim = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+    const rows = [];
+    let row = [], field = '', q = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (q) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') q = false;
+            else field += ch;
+        } else if (ch === '"') q = true;
+        else if (ch === delim) { row.push(field); field = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row); row = []; field = '';
+        } else field += ch;
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    const nonEmpty = rows.filter(r => r.some(c => c.trim() !== ''));
+    if (!nonEmpty.length) return [];
+    const head = nonEmpty[0].map(h => h.trim().toLowerCase());
+    return nonEmpty.slice(1).map(r => Object.fromEntries(head.map((h, i) => [h, r[i] === undefined ? '' : r[i]])));
+}
+
+function importRecords(file) {
+    const text = file.buffer.toString('utf8');
+    const isJson = /\.json$/i.test(file.originalname || '') || /^\s*[[{]/.test(text);
+    if (!isJson) return parseCsv(text);
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : (Array.isArray(data.places) ? data.places : []);
+}
+
+// Validate one raw record. Returns { home, errors, warnings }; `taken` collects the
+// slugs claimed so far so two rows of the same file can't collide either.
+async function validateImportRow(raw, taken) {
+    const r = {};
+    for (const [k, v] of Object.entries(raw || {})) {
+        const key = IMPORT_ALIASES[String(k).trim().toLowerCase()];
+        if (key) r[key] = v;
+    }
+    if (raw && raw.coordinates && typeof raw.coordinates === 'object') { r.lat = raw.coordinates.lat; r.lng = raw.coordinates.lng; }
+    const errors = [], warnings = [];
+    const list = (v, re) => Array.isArray(v) ? v.map(String) : String(v || '').split(re);
+
+    const name = sanitizeText(r.name, 200);
+    if (!name) errors.push('Липсва име (name).');
+
+    let lat = null, lng = null;
+    const hasLat = r.lat !== undefined && r.lat !== null && String(r.lat).trim() !== '';
+    const hasLng = r.lng !== undefined && r.lng !== null && String(r.lng).trim() !== '';
+    if (hasLat || hasLng) {
+        lat = Number(String(r.lat).trim().replace(',', '.'));
+        lng = Number(String(r.lng).trim().replace(',', '.'));
+        if (!hasLat || !hasLng) errors.push('Нужни са и двете координати (lat и lng).');
+        else if (!isFinite(lat) || lat < -90 || lat > 90) errors.push(`Невалидна ширина (lat): ${r.lat}`);
+        else if (!isFinite(lng) || lng < -180 || lng > 180) errors.push(`Невалидна дължина (lng): ${r.lng}`);
+    }
+
+    const rawCat = String(r.category || '').trim().toLowerCase();
+    const category = normCategory(rawCat);
+    if (rawCat && rawCat !== category) warnings.push(`Непозната категория „${r.category}“ → home.`);
+
+    const dates = {};
+    for (const f of ['date_start', 'date_end', 'photo_date']) {
+        const d = String(r[f] || '').trim();
+        if (!d) { dates[f] = null; continue; }
+        const ok = isCalendarDate(d);
+        if (!ok) errors.push(`Невалидна дата ${f}: „${d}“ (очаква се YYYY-MM-DD).`);
+        dates[f] = ok ? d : null;
+    }
+
+    // CSV: URLs separated by spaces/;/|. JSON: the same string, URL strings or {path, caption, alt}.
+    const images = [];
+    const imgItems = Array.isArray(r.images) ? r.images : list(r.images, /[\s;|]+/);
+    for (const it of imgItems) {
+        const obj = it && typeof it === 'object' ? it : { path: it };
+        const u = String(obj.path || '').trim();
+        if (!u) continue;
+        if (isHttpUrl(u)) images.push({ path: u, caption: sanitizeText(obj.caption, 300), alt: sanitizeText(obj.alt, 200) || name });
+        else errors.push(`Невалиден URL на снимка: ${u}`);
+    }
+    const portrait = String(r.portrait_url || '').trim();
+    if (portrait && !isHttpUrl(portrait) && !portrait.startsWith('/')) errors.push(`Невалиден портрет (portrait_url): ${portrait}`);
+
+    const pub = String(r.published === undefined ? '' : r.published).trim().toLowerCase();
+    const published = !['0', 'false', 'no', 'не'].includes(pub);
+
+    // Slug: explicit or derived from the name, then made unique like the moderation flow.
+    let slug = null;
+    if (name) {
+        const wanted = r.slug ? slugifyTitle(r.slug) : slugifyTitle(name);
+        slug = await uniqueHomeSlug(wanted, taken);
+        if (r.slug && slug !== wanted) warnings.push(`Slug „${wanted}“ е зает → „${slug}“.`);
+        taken.add(slug);
+    }
+
+    const home = {
+        id: slug && await newHomeId(slug), slug, name,
+        biography:   sanitizeText(r.biography, 5000) || null,
+        address:     sanitizeText(r.address, 200) || null,
+        coordinates: errors.length || lat === null ? null : { lat, lng },
+        category,
+        tags:        list(r.tags, /[;,|]/).map(t => sanitizeText(t, 60)).filter(Boolean).slice(0, 30),
+        sources:     list(r.sources, /[;\n]/).map(t => sanitizeText(t, 500)).filter(Boolean).slice(0, 30),
+        date_start:  dates.date_start, date_end: dates.date_end, photo_date: dates.photo_date,
+        date_label:  sanitizeText(r.date_label, 80) || null,
+        images, portrait_url: portrait || null, published,
+        credited_to: sanitizeText(r.credited_to, 120) || null,
+    };
+    return { home, errors, warnings };
+}
+
+// All-or-nothing: one failed INSERT rolls back the whole batch.
+function insertHomesTx(homes) {
+    return dbTransaction(async () => {
+        for (const h of homes) await insertHome(h);
+    });
+}
+
+app.post('/api/admin/import/homes', requirePermission('homes.import'), (req, res, next) => importUpload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'Файлът е твърде голям (макс. 5 MB).' : 'Невалиден файл.' });
+    next();
+}), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'Изберете CSV или JSON файл.' });
+    const commit = req.query.commit === '1' || req.query.commit === 'true';
+    let records;
+    try { records = importRecords(req.file); }
+    catch (e) { return res.status(400).json({ error: 'Файлът не може да бъде прочетен: ' + e.message }); }
+    if (!records.length) return res.status(400).json({ error: 'Файлът не съдържа редове.' });
+    if (records.length > IMPORT_MAX_ROWS) return res.status(400).json({ error: `Твърде много редове (макс. ${IMPORT_MAX_ROWS}).` });
+    try {
+        const taken = new Set(), rows = [], homes = [];
+        for (let i = 0; i < records.length; i++) {
+            const v = await validateImportRow(records[i], taken);
+            rows.push({ row: i + 1, name: v.home.name, slug: v.home.slug, errors: v.errors, warnings: v.warnings });
+            homes.push(v.home);
+        }
+        const invalid = rows.filter(r => r.errors.length).length;
+        const report  = { total: rows.length, valid: rows.length - invalid, invalid, rows };
+        if (!commit) return res.json({ dry_run: true, ...report });
+        if (invalid) return res.status(422).json({ error: 'Има редове с грешки - нищо не е импортирано.', ...report });
+
+        const now = new Date().toISOString();
+        homes.forEach(h => { h.created_at = h.updated_at = now; });
+        await insertHomesTx(homes);
+        cache.clear();
+        for (const h of homes) await recordHomeRevision(h.id, 'create', req.user.sub);
+        audit(req, { action: 'home.import', target: req.file.originalname || null,
+                     after: { count: homes.length, slugs: homes.map(h => h.slug).slice(0, 200) } });
+        res.status(201).json({ dry_run: false, imported: homes.length, ...report });
+    } catch (e) {
+        console.error('import error:', e.message);
+        res.status(500).json({ error: 'Грешка при импорта. Нищо не е записано.' });
+    }
+});
+
+// ── Home revision history ─────────────────────────────────────────────────────
+// Listing works for deleted homes too, so a deleted place can be restored.
+app.get('/api/homes/:id/revisions', requirePermission('homes.edit'), async (req, res) => {
+    try {
+        const rows = await dbAll(
+            `SELECT r.id, r.action, r.actor_id, r.created_at, json_extract(r.snapshot, '$.name') AS name,
+                    u.display_name AS actor_name, u.email AS actor_email
+             FROM home_revisions r LEFT JOIN users u ON u.id = r.actor_id
+             WHERE r.home_id=? ORDER BY r.id DESC LIMIT 200`, [req.params.id]);
+        res.json(rows);
+    } catch (e) {
+        console.error('revisions list error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Diff two revisions: ?from=<revId>&to=<revId|current>. `to` defaults to the live row.
+app.get('/api/homes/:id/revisions/diff', requirePermission('homes.edit'), async (req, res) => {
+    try {
+        const load = async (rev) => {
+            if (!rev || rev === 'current') return snapshotHome(req.params.id);
+            const r = await dbGet('SELECT snapshot FROM home_revisions WHERE id=? AND home_id=?', [rev, req.params.id]);
+            return r ? JSON.parse(r.snapshot) : undefined;
+        };
+        const from = await load(req.query.from);
+        const to   = await load(req.query.to);
+        if (from === undefined || to === undefined || !req.query.from) return res.status(404).json({ error: 'Revision not found' });
+        res.json({ from: req.query.from, to: req.query.to || 'current', changes: diffSnapshots(from, to) });
+    } catch (e) {
+        console.error('revisions diff error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/homes/:id/revisions/:rev', requirePermission('homes.edit'), async (req, res) => {
+    try {
+        const r = await dbGet('SELECT * FROM home_revisions WHERE id=? AND home_id=?', [req.params.rev, req.params.id]);
+        if (!r) return res.status(404).json({ error: 'Revision not found' });
+        const snap = JSON.parse(r.snapshot);
+        res.json({ id: r.id, action: r.action, actor_id: r.actor_id, created_at: r.created_at,
+                   home: { ...rowToHome(snap), related_ids: snap.related_ids || [] } });
+    } catch (e) {
+        console.error('revision get error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Put a snapshot back as the live row (re-creating it if the home was deleted).
+// The restore itself is recorded as a new revision, so it can be undone too.
+app.post('/api/homes/:id/revisions/:rev/restore', requirePermission('homes.edit'), async (req, res) => {
+    const id = req.params.id;
+    try {
+        const r = await dbGet('SELECT snapshot FROM home_revisions WHERE id=? AND home_id=?', [req.params.rev, id]);
+        if (!r) return res.status(404).json({ error: 'Revision not found' });
+        const snap = JSON.parse(r.snapshot);
+        if (await dbGet('SELECT 1 FROM homes WHERE slug=? AND id<>? AND deleted_at IS NULL', [snap.slug, id])) {
+            return res.status(409).json({ error: 'Slug is already used by another home' });
+        }
+        snap.updated_at = new Date().toISOString();
+        // Only columns that still exist in homes are written back.
+        const cols = (await dbAll('PRAGMA table_info(homes)')).map(c => c.name).filter(c => c !== 'id' && c in snap);
+        const vals = cols.map(c => snap[c]);
+        const incoming = await dbTransaction(async () => {
+            await dbRun('UPDATE homes SET slug=NULL WHERE slug=? AND id<>? AND deleted_at IS NOT NULL', [snap.slug, id]);
+            if (await dbGet('SELECT 1 FROM homes WHERE id=?', [id])) {
+                await dbRun(`UPDATE homes SET ${cols.map(c => c + '=?').join(',')} WHERE id=?`, [...vals, id]);
+            } else {
+                await dbRun(`INSERT INTO homes (id,${cols.join(',')}) VALUES (?,${cols.map(() => '?').join(',')})`, [id, ...vals]);
+            }
+            await syncRelated(id, snap.related_ids || []);
+            const incoming = await restoreIncomingRelated(id);
+            await reindexHome(id);
+            await recordHomeRevision(id, 'restore', req.user.sub);
+            return incoming;
+        });
+        audit(req, { action: 'home.restore_revision', target: 'home:' + id, after: { revision: Number(req.params.rev), incoming_links: incoming } });
+        cache.clear();
+        res.json({ message: 'Home restored', id, slug: snap.slug, incoming_links: incoming });
+    } catch (e) {
+        console.error('revision restore error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // ── Tags ──────────────────────────────────────────────────────────────────────
 app.get('/api/tags', async (req, res) => {
     const category = (req.query.category || '').trim();
@@ -3805,7 +6373,7 @@ app.get('/api/tags', async (req, res) => {
     const hit = cache.get(key);
     if (hit) return res.json(hit);
     try {
-        let sql = 'SELECT DISTINCT tags FROM homes WHERE published=1';
+        let sql = 'SELECT DISTINCT tags FROM homes WHERE published=1 AND deleted_at IS NULL';
         const params = [];
         if (useCat) {
             if (category === 'home') { sql += " AND (category='home' OR category IS NULL)"; }
@@ -3828,7 +6396,7 @@ app.get('/api/tags', async (req, res) => {
 // ── Partners ──────────────────────────────────────────────────────────────────
 app.get('/api/partners', async (req, res) => {
     const showAll = req.query.all === 'true';
-    const W = showAll ? '' : 'WHERE published=1';
+    const W = showAll ? 'WHERE deleted_at IS NULL' : 'WHERE published=1 AND deleted_at IS NULL';
     try {
         const rows = await dbAll(`SELECT * FROM partners ${W} ORDER BY display_order ASC, name ASC`);
         res.json(rows);
@@ -3841,7 +6409,7 @@ app.get('/api/partners', async (req, res) => {
 // GET single partner (needed by admin edit)
 app.get('/api/partners/:id', async (req, res) => {
     try {
-        const row = await dbGet('SELECT * FROM partners WHERE id=?', [req.params.id]);
+        const row = await dbGet('SELECT * FROM partners WHERE id=? AND deleted_at IS NULL', [req.params.id]);
         if (!row) return res.status(404).json({ error: 'Partner not found' });
         res.json(row);
     } catch (e) {
@@ -3850,7 +6418,7 @@ app.get('/api/partners/:id', async (req, res) => {
     }
 });
 
-app.post('/api/partners', requireRole('owner'), async (req, res) => {
+app.post('/api/partners', requirePermission('partners.edit'), async (req, res) => {
     const p = req.body;
     if (!p.name) return res.status(400).json({ error: 'Name is required' });
     const id  = p.id || p.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
@@ -3862,6 +6430,7 @@ app.post('/api/partners', requireRole('owner'), async (req, res) => {
             [id, p.name, p.description||null, p.logo_url||null, p.website||null,
              p.instagram||null, p.email||null, p.published!==false?1:0, p.display_order||0, now, now]
         );
+        audit(req, { action: 'partner.create', target: 'partner:' + id, after: { name: p.name } });
         res.status(201).json({ id, message: 'Partner created' });
     } catch (e) {
         console.error('POST /api/partners error:', e);
@@ -3869,7 +6438,7 @@ app.post('/api/partners', requireRole('owner'), async (req, res) => {
     }
 });
 
-app.put('/api/partners/:id', requireRole('owner'), async (req, res) => {
+app.put('/api/partners/:id', requirePermission('partners.edit'), async (req, res) => {
     const p   = req.body;
     const now = new Date().toISOString();
     try {
@@ -3879,6 +6448,7 @@ app.put('/api/partners/:id', requireRole('owner'), async (req, res) => {
              p.instagram||null, p.email||null, p.published!==false?1:0, p.display_order||0, now, req.params.id]
         );
         if (!r.changes) return res.status(404).json({ error: 'Partner not found' });
+        audit(req, { action: 'partner.update', target: 'partner:' + req.params.id, after: { name: p.name, published: p.published !== false } });
         res.json({ message: 'Partner updated' });
     } catch (e) {
         console.error('PUT /api/partners error:', e);
@@ -3886,9 +6456,10 @@ app.put('/api/partners/:id', requireRole('owner'), async (req, res) => {
     }
 });
 
-app.delete('/api/partners/:id', requireRole('owner'), async (req, res) => {
+app.delete('/api/partners/:id', requirePermission('partners.edit'), async (req, res) => {
     try {
-        await dbRun('DELETE FROM partners WHERE id=?', [req.params.id]);
+        await dbRun('UPDATE partners SET deleted_at=? WHERE id=? AND deleted_at IS NULL', [new Date().toISOString(), req.params.id]);
+        audit(req, { action: 'partner.delete', target: 'partner:' + req.params.id });
         res.json({ message: 'Partner deleted' });
     } catch (e) {
         console.error('DELETE /api/partners error:', e);
@@ -3903,7 +6474,7 @@ app.get('/api/news', async (req, res) => {
     const offset   = (page - 1) * limit;
     const showAll  = req.query.all === 'true';
     const featured = req.query.featured === 'true';
-    const conds    = [];
+    const conds    = ['deleted_at IS NULL'];
     if (!showAll)  conds.push('is_published=1');
     if (featured)  conds.push('is_featured=1');
     const W        = conds.length ? 'WHERE ' + conds.join(' AND ') : '';
@@ -3931,8 +6502,8 @@ app.get('/api/news/:ref', async (req, res) => {
     try {
         // Numeric id → admin fetch (no published filter)
         const row = /^\d+$/.test(ref)
-            ? await dbGet('SELECT * FROM news WHERE id=?', [ref])
-            : await dbGet('SELECT * FROM news WHERE slug=? AND is_published=1', [ref]);
+            ? await dbGet('SELECT * FROM news WHERE id=? AND deleted_at IS NULL', [ref])
+            : await dbGet('SELECT * FROM news WHERE slug=? AND is_published=1 AND deleted_at IS NULL', [ref]);
         if (!row) return res.status(404).json({ error: 'Article not found' });
         res.json(row);
     } catch (e) {
@@ -3941,7 +6512,7 @@ app.get('/api/news/:ref', async (req, res) => {
     }
 });
 
-app.post('/api/news', requireRole('owner'), async (req, res) => {
+app.post('/api/news', requirePermission('news.publish'), async (req, res) => {
     const { title, slug, content, excerpt, cover_image, published_date, author, is_published, link, place, is_featured } = req.body;
     if (!title || !slug || !content) return res.status(400).json({ error: 'title, slug and content are required' });
     const cleanLink = isHttpUrl(link) ? String(link).trim() : null;
@@ -3955,6 +6526,7 @@ app.post('/api/news', requireRole('owner'), async (req, res) => {
              author || 'Екипът на Адресът на историята',
              published, cleanLink, (place || '').trim() || null, featured]
         );
+        audit(req, { action: 'news.create', target: 'news:' + r.lastID, after: { title, slug, is_published: published } });
         cache.clear();
         res.json({ success: true, id: r.lastID });
 
@@ -3969,7 +6541,7 @@ app.post('/api/news', requireRole('owner'), async (req, res) => {
     }
 });
 
-app.put('/api/news/:id', requireRole('owner'), async (req, res) => {
+app.put('/api/news/:id', requirePermission('news.publish'), async (req, res) => {
     const { title, slug, content, excerpt, cover_image, published_date, author, is_published, link, place, is_featured } = req.body;
     const cleanLink = isHttpUrl(link) ? String(link).trim() : null;
     const featured  = (is_featured === true || is_featured === 1) ? 1 : 0;
@@ -3978,6 +6550,7 @@ app.put('/api/news/:id', requireRole('owner'), async (req, res) => {
             `UPDATE news SET title=?,slug=?,content=?,excerpt=?,cover_image=?,published_date=?,author=?,is_published=?,link=?,place=?,is_featured=?,updated_at=CURRENT_TIMESTAMP WHERE id=?`,
             [title, slug, content, excerpt, cover_image, published_date, author, is_published, cleanLink, (place || '').trim() || null, featured, req.params.id]
         );
+        audit(req, { action: 'news.update', target: 'news:' + req.params.id, after: { title, slug, is_published } });
         cache.clear();
         res.json({ success: true });
     } catch (e) {
@@ -3986,9 +6559,10 @@ app.put('/api/news/:id', requireRole('owner'), async (req, res) => {
     }
 });
 
-app.delete('/api/news/:id', requireRole('owner'), async (req, res) => {
+app.delete('/api/news/:id', requirePermission('news.publish'), async (req, res) => {
     try {
-        await dbRun('DELETE FROM news WHERE id=?', [req.params.id]);
+        await dbRun('UPDATE news SET deleted_at=? WHERE id=? AND deleted_at IS NULL', [new Date().toISOString(), req.params.id]);
+        audit(req, { action: 'news.delete', target: 'news:' + req.params.id });
         cache.clear();
         res.json({ success: true });
     } catch (e) {
@@ -4007,7 +6581,7 @@ app.get('/api/calendar', async (req, res) => {
 
     try {
         const rows = await dbAll(
-            `SELECT name,slug,birth_date,death_date,date_label,images,category,portrait_url FROM homes WHERE published=1
+            `SELECT name,slug,birth_date,death_date,date_label,images,category,portrait_url FROM homes WHERE published=1 AND deleted_at IS NULL
              AND (strftime('%m',birth_date)=? OR strftime('%m',death_date)=?)`,
             [month, month]
         );
@@ -4042,7 +6616,7 @@ app.get('/api/calendar/today', async (req, res) => {
 
     try {
         const rows = await dbAll(
-            `SELECT name,slug,birth_date,death_date,date_label,images,category,portrait_url FROM homes WHERE published=1
+            `SELECT name,slug,birth_date,death_date,date_label,images,category,portrait_url FROM homes WHERE published=1 AND deleted_at IS NULL
              AND (strftime('%m-%d',birth_date)=? OR strftime('%m-%d',death_date)=?)`,
             [monthDay, monthDay]
         );
@@ -4069,7 +6643,7 @@ app.get('/api/calendar/all', async (_req, res) => {
     if (hit) return res.json(hit);
     try {
         const rows = await dbAll(
-            'SELECT name,slug,birth_date,death_date,date_label,portrait_url,images FROM homes WHERE published=1 AND (birth_date IS NOT NULL OR death_date IS NOT NULL)'
+            'SELECT name,slug,birth_date,death_date,date_label,portrait_url,images FROM homes WHERE published=1 AND deleted_at IS NULL AND (birth_date IS NOT NULL OR death_date IS NOT NULL)'
         );
         const out = rows.map(r => ({
             name: r.name, slug: r.slug, birth_date: r.birth_date, death_date: r.death_date,
@@ -4088,7 +6662,7 @@ app.get('/api/calendar/all', async (_req, res) => {
 app.get('/api/team', async (req, res) => {
     // ?all=true used by admin panel to see hidden members too
     const showAll = req.query.all === 'true';
-    const W = showAll ? '' : 'WHERE is_published=1';
+    const W = showAll ? 'WHERE deleted_at IS NULL' : 'WHERE is_published=1 AND deleted_at IS NULL';
     try {
         const rows = await dbAll(`SELECT id,name,role,bio,photo,display_order,is_published FROM team ${W} ORDER BY display_order ASC, id ASC`);
         res.json(rows);
@@ -4100,7 +6674,7 @@ app.get('/api/team', async (req, res) => {
 
 app.get('/api/team/:id', async (req, res) => {
     try {
-        const row = await dbGet('SELECT * FROM team WHERE id=?', [req.params.id]);
+        const row = await dbGet('SELECT * FROM team WHERE id=? AND deleted_at IS NULL', [req.params.id]);
         if (!row) return res.status(404).json({ error: 'Not found' });
         res.json(row);
     } catch (e) {
@@ -4109,7 +6683,7 @@ app.get('/api/team/:id', async (req, res) => {
     }
 });
 
-app.post('/api/team', requireRole('owner'), async (req, res) => {
+app.post('/api/team', requirePermission('team.edit'), async (req, res) => {
     const { name, role, bio, photo, display_order } = req.body;
     if (!name) return res.status(400).json({ error: 'Name is required' });
     try {
@@ -4117,6 +6691,7 @@ app.post('/api/team', requireRole('owner'), async (req, res) => {
             'INSERT INTO team (name,role,bio,photo,display_order) VALUES (?,?,?,?,?)',
             [name, role||'', bio||'', photo||'', display_order||0]
         );
+        audit(req, { action: 'team.create', target: 'team:' + r.lastID, after: { name, role: role || '' } });
         cache.clear();
         res.json({ success: true, id: r.lastID });
     } catch (e) {
@@ -4125,13 +6700,14 @@ app.post('/api/team', requireRole('owner'), async (req, res) => {
     }
 });
 
-app.put('/api/team/:id', requireRole('owner'), async (req, res) => {
+app.put('/api/team/:id', requirePermission('team.edit'), async (req, res) => {
     const { name, role, bio, photo, display_order, is_published } = req.body;
     try {
         const r = await dbRun(
             'UPDATE team SET name=?,role=?,bio=?,photo=?,display_order=?,is_published=? WHERE id=?',
             [name, role, bio, photo, display_order, is_published, req.params.id]
         );
+        audit(req, { action: 'team.update', target: 'team:' + req.params.id, after: { name, role, is_published } });
         cache.clear();
         res.json({ success: true, changes: r.changes });
     } catch (e) {
@@ -4140,9 +6716,10 @@ app.put('/api/team/:id', requireRole('owner'), async (req, res) => {
     }
 });
 
-app.delete('/api/team/:id', requireRole('owner'), async (req, res) => {
+app.delete('/api/team/:id', requirePermission('team.edit'), async (req, res) => {
     try {
-        const r = await dbRun('DELETE FROM team WHERE id=?', [req.params.id]);
+        const r = await dbRun('UPDATE team SET deleted_at=? WHERE id=? AND deleted_at IS NULL', [new Date().toISOString(), req.params.id]);
+        audit(req, { action: 'team.delete', target: 'team:' + req.params.id });
         cache.clear();
         res.json({ success: true, deleted: r.changes > 0 });
     } catch (e) {
@@ -4151,15 +6728,160 @@ app.delete('/api/team/:id', requireRole('owner'), async (req, res) => {
     }
 });
 
+// ── Trash (soft-deleted homes, news, partners, team) ─────────────────────────
+// Admin DELETE routes only set deleted_at. Items can be restored from the
+// dashboard "Кошче" tab, or purged - by hand or automatically once older than
+// TRASH_RETENTION_DAYS. Purging removes the row and its now-unused R2 media.
+const TRASH_RETENTION_DAYS = Math.max(1, parseInt(process.env.TRASH_RETENTION_DAYS) || 30);
+// perm mirrors who may delete that kind of item in the first place.
+const TRASH_TYPES = {
+    homes:    { table: 'homes',    label: 'name',  perm: 'homes.delete',  media: r => homeMediaUrls(r) },
+    news:     { table: 'news',     label: 'title', perm: 'news.publish',  media: r => [r.cover_image] },
+    partners: { table: 'partners', label: 'name',  perm: 'partners.edit', media: r => [r.logo_url] },
+    team:     { table: 'team',     label: 'name',  perm: 'team.edit',     media: r => [r.photo] },
+};
+
+function homeMediaUrls(row) {
+    const urls = [row.portrait_url];
+    try { for (const im of JSON.parse(row.images || '[]')) if (im) urls.push(im.path, im.thumb); } catch {}
+    return urls;
+}
+
+// True if any live (or still-trashed) row references this URL - e.g. a photo that
+// was reused on another place - so purging one item never breaks another.
+async function mediaStillUsed(url) {
+    const row = await dbGet(
+        `SELECT 1 FROM homes    WHERE portrait_url=? OR instr(images, ?) > 0
+         UNION ALL SELECT 1 FROM news     WHERE cover_image=?
+         UNION ALL SELECT 1 FROM partners WHERE logo_url=?
+         UNION ALL SELECT 1 FROM team     WHERE photo=?
+         UNION ALL SELECT 1 FROM users    WHERE avatar_url=?
+         LIMIT 1`, [url, url, url, url, url, url]);
+    return !!row;
+}
+
+async function purgeTrashItem(type, id) {
+    const t   = TRASH_TYPES[type];
+    const row = await dbGet(`SELECT * FROM ${t.table} WHERE id=? AND deleted_at IS NOT NULL`, [id]);
+    if (!row) return false;
+    await dbRun(`DELETE FROM ${t.table} WHERE id=?`, [id]);
+    // A purged home's revisions stay: the history outlives the row, and the last
+    // snapshot can still bring the place back (without the media purged below).
+    if (type === 'homes') await dbRun('DELETE FROM home_corrections WHERE home_id=?', [id]);
+    // Derived _thumb.jpg objects go with their originals.
+    const urls = [...new Set(t.media(row).filter(Boolean).flatMap(u => /_thumb\.jpg$/i.test(u) ? [u] : [u, pendingThumbUrl(u)]))];
+    for (const u of urls) {
+        if (await mediaStillUsed(u)) continue;
+        await deleteR2(u);
+        await deleteImageVariants(u);
+        await dbRun('DELETE FROM drive_files WHERE url=?', [u]);   // a re-sync must upload it afresh
+    }
+    return true;
+}
+
+// A restored home whose slug was taken over while it sat in the trash gets its
+// old one back if still free, else the next free variant of it.
+async function reclaimHomeSlug(id) {
+    const row = await dbGet('SELECT slug, name FROM homes WHERE id=?', [id]);
+    if (!row || row.slug) return;
+    const rev = await dbGet(`SELECT json_extract(snapshot, '$.slug') AS slug FROM home_revisions
+                             WHERE home_id=? AND json_extract(snapshot, '$.slug') IS NOT NULL ORDER BY id DESC LIMIT 1`, [id]);
+    const base = (rev && rev.slug) || slugifyTitle(row.name);
+    let slug = base, n = 2;
+    while (await dbGet('SELECT 1 FROM homes WHERE (slug=? OR id=?) AND id<>? AND deleted_at IS NULL', [slug, slug, id])) {
+        slug = base + '-' + n++;
+    }
+    await releaseTrashedSlug(slug);
+    await dbRun('UPDATE homes SET slug=? WHERE id=?', [slug, id]);
+}
+
+async function purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 86_400_000).toISOString();
+    let n = 0;
+    for (const type of Object.keys(TRASH_TYPES)) {
+        const rows = await dbAll(`SELECT id FROM ${TRASH_TYPES[type].table} WHERE deleted_at IS NOT NULL AND deleted_at < ?`, [cutoff]);
+        for (const r of rows) if (await purgeTrashItem(type, r.id)) n++;
+    }
+    if (n) { cache.clear(); console.log(`🗑️  Purged ${n} trashed item(s) older than ${TRASH_RETENTION_DAYS} days.`); }
+}
+
+// The trash is open to anyone who manages one of its types; each type is then
+// gated by that type's permission.
+const requireTrashAccess = requirePermission(...Object.values(TRASH_TYPES).map(t => t.perm));
+// Resolve :type and enforce its permission. Returns the config, or null after replying.
+function trashTypeFor(req, res) {
+    const t = TRASH_TYPES[req.params.type];
+    if (!t) { res.status(404).json({ error: 'Unknown type' }); return null; }
+    if (!req.user.perms.has(t.perm)) { res.status(403).json({ error: 'Forbidden' }); return null; }
+    return t;
+}
+
+app.get('/api/admin/trash', requireTrashAccess, async (req, res) => {
+    try {
+        const items = [];
+        for (const [type, t] of Object.entries(TRASH_TYPES)) {
+            if (!req.user.perms.has(t.perm)) continue;
+            const rows = await dbAll(`SELECT id, ${t.label} AS label, deleted_at FROM ${t.table} WHERE deleted_at IS NOT NULL`);
+            for (const r of rows) {
+                const purgeAt = new Date(new Date(r.deleted_at).getTime() + TRASH_RETENTION_DAYS * 86_400_000).toISOString();
+                items.push({ type, id: r.id, label: r.label, deleted_at: r.deleted_at, purge_at: purgeAt });
+            }
+        }
+        items.sort((a, b) => String(b.deleted_at).localeCompare(String(a.deleted_at)));
+        res.json({ retention_days: TRASH_RETENTION_DAYS, items });
+    } catch (e) {
+        console.error('trash list error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/admin/trash/:type/:id/restore', requireTrashAccess, async (req, res) => {
+    const t = trashTypeFor(req, res);
+    if (!t) return;
+    try {
+        const r = await dbRun(`UPDATE ${t.table} SET deleted_at=NULL WHERE id=? AND deleted_at IS NOT NULL`, [req.params.id]);
+        if (!r.changes) return res.status(404).json({ error: 'Not found' });
+        if (req.params.type === 'homes') {
+            await reclaimHomeSlug(req.params.id);
+            await reindexHome(req.params.id);
+            await recordHomeRevision(req.params.id, 'restore', req.user.sub);
+        }
+        audit(req, { action: 'trash.restore', target: req.params.type + ':' + req.params.id });
+        cache.clear();
+        res.json({ message: 'Restored' });
+    } catch (e) {
+        console.error('trash restore error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/admin/trash/:type/:id', requireTrashAccess, async (req, res) => {
+    if (!trashTypeFor(req, res)) return;
+    try {
+        if (!(await purgeTrashItem(req.params.type, req.params.id))) return res.status(404).json({ error: 'Not found' });
+        audit(req, { action: 'trash.purge', target: req.params.type + ':' + req.params.id });
+        cache.clear();
+        res.json({ message: 'Purged' });
+    } catch (e) {
+        console.error('trash purge error:', e.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // ── Health ────────────────────────────────────────────────────────────────────
-app.get('/api/health', (_req, res) => {
+// A failing or stale backup is reported but never makes us "unhealthy" - the host
+// would only restart the app, which doesn't help.
+app.get('/api/health', async (_req, res) => {
     const mem = process.memoryUsage();
+    let backup;
+    try { backup = await backupHealth(); } catch { backup = { status: 'unknown' }; }
     res.json({
         status:  'healthy',
         uptime:  Math.round(process.uptime()),
         memory:  { rss: mb(mem.rss), heap: mb(mem.heapUsed) },
         cache:   cache.stats(),
         mode:    LOW_SPEC ? 'lean' : 'performance',
+        backup,
     });
     function mb(b) { return Math.round(b / 1024 / 1024) + ' MB'; }
 });
@@ -4168,9 +6890,37 @@ app.get('/api/health', (_req, res) => {
 // Lets the owner download a full, consistent SQLite snapshot for off-site safe-
 // keeping. Double-gated: the request must (1) supply the secret DB_BACKUP_KEY and
 // (2) come from a logged-in owner. ANY failure returns the normal 404 page, so the
-// route is invisible to anyone lacking both. VACUUM INTO yields a clean, WAL-
-// consistent copy; it is integrity-checked, served with an X-DB-SHA256 header
-// (and Cache-Control: no-transform so it isn't gzipped), and then deleted.
+// route is invisible to anyone lacking both. The snapshot (see snapshotDatabase)
+// is served with an X-DB-SHA256 header (and Cache-Control: no-transform so it
+// isn't gzipped), and then deleted.
+//
+// VACUUM INTO yields a clean, WAL-consistent copy next to the live DB. It is
+// integrity-checked before anyone gets it, so a corrupt source can never pass as a
+// "good" backup. Resolves { file, sha256, bytes }; the caller deletes the file.
+// The scheduled backups use the same snapshot.
+async function snapshotDatabase() {
+    const tmp = path.join(path.dirname(DB_FILE), 'ha-backup-' + crypto.randomBytes(8).toString('hex') + '.db');
+    const sqlPath = tmp.replace(/\\/g, '/').replace(/'/g, "''");   // server-generated, no user input
+    await db.exec(`VACUUM INTO '${sqlPath}'`);
+    let integrityOk = false;
+    try {
+        // Read-write: FTS5's part of the check fails on a read-only handle. The copy is
+        // ours alone; wal:false keeps it a single self-contained file.
+        const snap = openDatabase(tmp, { wal: false });
+        const row  = await snap.get('PRAGMA integrity_check');
+        await snap.close();
+        integrityOk = !!row && row.integrity_check === 'ok';
+    } catch { /* unreadable → not ok */ }
+    if (!integrityOk) {
+        fs.unlink(tmp, () => {});
+        throw Object.assign(new Error('snapshot failed integrity_check'), { code: 'INTEGRITY' });
+    }
+    const sha256 = await new Promise((resolve, reject) => {
+        const h = crypto.createHash('sha256');
+        fs.createReadStream(tmp).on('error', reject).on('data', d => h.update(d)).on('end', () => resolve(h.digest('hex')));
+    });
+    return { file: tmp, sha256, bytes: (await fs.promises.stat(tmp)).size };
+}
 function safeEqual(a, b) {
     const ba = Buffer.from(String(a)), bb = Buffer.from(String(b));
     return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
@@ -4181,41 +6931,31 @@ app.get('/api/sys/db-export', async (req, res) => {
         const key = req.get('x-backup-key') || req.query.key || '';
         if (!process.env.DB_BACKUP_KEY || !safeEqual(key, process.env.DB_BACKUP_KEY)) return notFound();
 
-        const token = req.cookies && req.cookies[AUTH_COOKIE];
-        if (!token) return notFound();
-        let payload;
-        try { payload = jwt.verify(token, JWT_SECRET); } catch { return notFound(); }
-        const row = await dbGet('SELECT role FROM users WHERE id=?', [payload.sub]);
-        if (!row || row.role !== 'owner') return notFound();
-
-        const tmp = path.join(path.dirname(DB_FILE), 'ha-backup-' + crypto.randomBytes(8).toString('hex') + '.db');
-        const sqlPath = tmp.replace(/\\/g, '/').replace(/'/g, "''");   // server-generated, no user input
-        await dbRun(`VACUUM INTO '${sqlPath}'`);
-
-        // Verify the snapshot is internally consistent before we ship it, so a
-        // corrupt source can never be served as a "good" backup.
-        const integrityOk = await new Promise((resolve) => {
-            const snap = new sqlite3.Database(tmp, sqlite3.OPEN_READONLY, (err) => {
-                if (err) return resolve(false);
-                snap.get('PRAGMA integrity_check', (e, row) => {
-                    snap.close(() => {});
-                    resolve(!e && row && row.integrity_check === 'ok');
-                });
-            });
-        });
-        if (!integrityOk) {
-            fs.unlink(tmp, () => {});
+        const payload = await sessionFromCookie(req);
+        if (!payload) return notFound();
+        // Same bar as requirePermission: the whole database leaves with this, so the
+        // holder of system.backup must have a second factor like any other staff.
+        const user = await dbGet(`SELECT role, permissions, totp_enabled, ${HAS_PASSKEY_SQL}, ${ROLE_PERMS_SQL} FROM users WHERE id=?`, [payload.sub]);
+        const perms = user ? effectivePermissions(user) : new Set();
+        if (!perms.has('system.backup')) return notFound();
+        if (staffRequires2fa(user.role, perms) && !hasSecondFactor(user)) {
+            return res.status(403).json({ error: 'TWOFA_REQUIRED', message: 'Двуфакторната автентикация е задължителна за екипа. Активирайте я в настройките на профила си.' });
+        }
+
+        let snap;
+        try { snap = await snapshotDatabase(); }
+        catch (e) {
+            if (e.code !== 'INTEGRITY') throw e;
             console.error('db-export: snapshot failed integrity_check - refusing to send');
             return res.status(500).json({ error: 'Backup snapshot failed integrity check' });
         }
 
         // SHA-256 so the download can be verified end-to-end. no-transform also stops
         // the compression middleware from gzipping (and potentially mangling) the binary.
-        const sha = crypto.createHash('sha256').update(await fs.promises.readFile(tmp)).digest('hex');
         const fname = 'historyaddress-backup-' + new Date().toISOString().slice(0, 10) + '.db';
-        res.setHeader('X-DB-SHA256', sha);
+        res.setHeader('X-DB-SHA256', snap.sha256);
         res.setHeader('Cache-Control', 'no-transform');
-        res.download(tmp, fname, () => { fs.unlink(tmp, () => {}); });
+        res.download(snap.file, fname, () => { fs.unlink(snap.file, () => {}); });
     } catch (e) {
         console.error('db-export error:', e.message);
         notFound();
@@ -4238,6 +6978,123 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Not found' });
 });
 
+// ─── Job queue ────────────────────────────────────────────────────────────────
+// Durable background work in the `jobs` table, run by ONE sequential in-process
+// worker (the box has a single core and sharp is memory-hungry). A failing job is
+// retried with exponential backoff + jitter; after max_attempts - or at once, if the
+// handler throws permanentJobError() - it is parked as 'dead' for an owner to retry
+// or discard from the dashboard. Delivery is at-least-once: a job cut off by a
+// restart runs again, so handlers must be safe to repeat. Payload keys a handler lists
+// in `scrub` (an email's html, with its reset/verify links) are dropped once the job
+// is done or dead, so they don't sit in the table or its backups.
+const JOB_POLL_MS        = 5000;
+const JOB_BACKOFF_BASE_S = 30;       // 30 s, 1 min, 2 min … capped below
+const JOB_BACKOFF_MAX_S  = 3600;
+const JOB_KEEP_DONE_DAYS = 7;
+const JOB_HANDLERS = {};
+let jobsStarted = false, jobsBusy = false, jobTimer = null;
+
+// Register a handler. `gapMs` pauses the worker after each run (rate-limited APIs).
+function defineJob(type, run, { attempts = 5, gapMs = 0, scrub = [] } = {}) {
+    JOB_HANDLERS[type] = { run, attempts, gapMs, scrub };
+}
+// The payload to keep for a finished job.
+function scrubbedPayload(job) {
+    const h = JOB_HANDLERS[job.type];
+    if (!h || !h.scrub.length) return job.payload;
+    const payload = JSON.parse(job.payload || '{}');
+    for (const k of h.scrub) delete payload[k];
+    return JSON.stringify(payload);
+}
+// True once a finished job's payload has lost what the handler needs to run again.
+function jobScrubbed(type, payload) {
+    const h = JOB_HANDLERS[type];
+    return !!h && h.scrub.some(k => !(k in payload));
+}
+function permanentJobError(msg) {
+    return Object.assign(new Error(msg), { permanent: true });
+}
+// Queue a job; resolves to its id, or null when `key` matched an existing job.
+async function enqueueJob(type, payload, { priority = 0, delayMs = 0, batch = null, key = null, attempts } = {}) {
+    const h = JOB_HANDLERS[type];
+    if (!h) throw new Error('Unknown job type: ' + type);
+    const now = new Date().toISOString();
+    const r = await dbRun(
+        `INSERT OR IGNORE INTO jobs (type, payload, priority, max_attempts, run_at, batch, dedupe_key, created_at, updated_at)
+         VALUES (?,?,?,?,?,?,?,?,?)`,
+        [type, JSON.stringify(payload || {}), priority, attempts || h.attempts, Date.now() + delayMs, batch, key, now, now]
+    );
+    wakeJobs();
+    return r.changes ? r.lastID : null;
+}
+function startJobs() {
+    jobsStarted = true;
+    wakeJobs();
+}
+function wakeJobs() {
+    if (!jobsStarted || jobsBusy) return;
+    clearTimeout(jobTimer);
+    jobTimer = setTimeout(runJobs, 0);
+}
+// Atomically take the next due job (highest priority first, then oldest).
+function claimJob() {
+    return dbGet(
+        `UPDATE jobs SET status='running', attempts=attempts+1, updated_at=?
+         WHERE id = (SELECT id FROM jobs WHERE status='queued' AND run_at<=? ORDER BY priority DESC, run_at, id LIMIT 1)
+         RETURNING *`,
+        [new Date().toISOString(), Date.now()]
+    );
+}
+async function runJob(job) {
+    const h = JOB_HANDLERS[job.type];
+    try {
+        if (!h) throw permanentJobError('Unknown job type: ' + job.type);
+        const result = await h.run(JSON.parse(job.payload || '{}'), job);
+        await dbRun("UPDATE jobs SET status='done', payload=?, result=?, last_error=NULL, updated_at=? WHERE id=?",
+            [scrubbedPayload(job), result === undefined ? null : JSON.stringify(result), new Date().toISOString(), job.id]);
+    } catch (e) {
+        const dead  = e.permanent || job.attempts >= job.max_attempts;
+        const delay = Math.min(JOB_BACKOFF_MAX_S, JOB_BACKOFF_BASE_S * 2 ** (job.attempts - 1)) * 1000 * (0.8 + Math.random() * 0.4);
+        await dbRun('UPDATE jobs SET status=?, payload=?, run_at=?, last_error=?, updated_at=? WHERE id=?',
+            [dead ? 'dead' : 'queued', dead ? scrubbedPayload(job) : job.payload, dead ? job.run_at : Date.now() + Math.round(delay),
+             String(e.message || e).slice(0, 1000), new Date().toISOString(), job.id]);
+        console[dead ? 'error' : 'warn'](`job ${job.type}#${job.id} ${dead ? 'dead' : 'failed'} (attempt ${job.attempts}/${job.max_attempts}):`, e.message);
+    }
+}
+async function runJobs() {
+    if (jobsBusy) return;
+    jobsBusy = true;
+    try {
+        let job;
+        while ((job = await claimJob())) {
+            await runJob(job);
+            const gap = JOB_HANDLERS[job.type] && JOB_HANDLERS[job.type].gapMs;
+            if (gap) await new Promise(r => setTimeout(r, gap));
+        }
+    } catch (e) {
+        console.error('job queue error:', e.message);
+    } finally {
+        jobsBusy = false;
+        jobTimer = setTimeout(runJobs, JOB_POLL_MS);
+    }
+}
+function purgeDoneJobs() {
+    const cutoff = new Date(Date.now() - JOB_KEEP_DONE_DAYS * 86400_000).toISOString();
+    return dbRun("DELETE FROM jobs WHERE status='done' AND updated_at < ?", [cutoff]);
+}
+
+defineJob('email',         deliverEmail,      { attempts: 6, gapMs: 120, scrub: ['html'] });   // ~8/sec, well under Resend limits
+defineJob('newsletter',    fanOutNewsletter,  { attempts: 3 });
+defineJob('follow_digest', sendFollowDigest,  { attempts: 3 });
+defineJob('image.variants', renderImageVariants, { attempts: 4 });
+defineJob('drive.scan',    scanDriveFolder,   { attempts: 4 });
+defineJob('drive.import',  importDriveFile,   { attempts: 3 });
+defineJob('db.backup',     runBackup,         { attempts: 4 });
+
+const runJobPurge = () => purgeDoneJobs().catch(e => console.error('job purge error:', e.message));
+setTimeout(runJobPurge, 90_000);
+setInterval(runJobPurge, 6 * 3600_000);
+
 // ─── Memory watchdog ──────────────────────────────────────────────────────────
 const GC_WARN  = LOW_SPEC ? 150 : 500;
 const GC_CRIT  = LOW_SPEC ? 250 : 800;
@@ -4249,17 +7106,164 @@ setInterval(() => {
     }
 }, LOW_SPEC ? 30_000 : 60_000);
 
+// ─── Trash purge ──────────────────────────────────────────────────────────────
+// Every 6 h (and shortly after boot) permanently remove items trashed longer
+// than TRASH_RETENTION_DAYS ago.
+const runTrashPurge = () => purgeExpiredTrash().catch(e => console.error('trash purge error:', e.message));
+setTimeout(runTrashPurge, 60_000);
+setInterval(runTrashPurge, 6 * 3600_000);
+
+// ─── Session purge ────────────────────────────────────────────────────────────
+// Expired sessions and API tokens no longer authenticate anyone; drop their rows on
+// the same cadence, along with failed-login log entries older than
+// LOGIN_FAILURE_RETENTION_DAYS.
+const runSessionPurge = async () => {
+    try {
+        await dbRun('DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+        await dbRun('DELETE FROM api_tokens WHERE expires_at <= ?', [new Date().toISOString()]);
+        await dbRun('DELETE FROM login_failures WHERE created_at < ?',
+            [new Date(Date.now() - LOGIN_FAILURE_RETENTION_DAYS * 86_400_000).toISOString()]);
+    } catch (e) { console.error('session purge error:', e.message); }
+};
+setTimeout(runSessionPurge, 75_000);
+setInterval(runSessionPurge, 6 * 3600_000);
+
+// ─── Scheduled backups ────────────────────────────────────────────────────────
+// Once a day at BACKUP_HOUR_UTC a 'db.backup' job takes a snapshot (snapshotDatabase,
+// same as the owner export) and uploads it, plus a .json manifest with its SHA-256,
+// to the backup target (createBackupStorage in storage.js). Retention then keeps the
+// newest snapshot of each of the last BACKUP_KEEP_DAILY days, BACKUP_KEEP_WEEKLY ISO
+// weeks and BACKUP_KEEP_MONTHLY months. The outcome is kept in settings
+// ('backup_status') and shown by /api/health. restore-db.js verifies a snapshot
+// and swaps it in. BACKUP_ENABLED=false turns the schedule off.
+const envInt = (v, def) => { const n = parseInt(v, 10); return Number.isFinite(n) && n >= 0 ? n : def; };
+const BACKUP_ENABLED     = process.env.BACKUP_ENABLED !== 'false';
+const BACKUP_HOUR_UTC    = Math.min(23, envInt(process.env.BACKUP_HOUR_UTC, 3));
+const BACKUP_KEEP        = {
+    daily:   envInt(process.env.BACKUP_KEEP_DAILY, 7),
+    weekly:  envInt(process.env.BACKUP_KEEP_WEEKLY, 4),
+    monthly: envInt(process.env.BACKUP_KEEP_MONTHLY, 6),
+};
+const BACKUP_PREFIX      = 'db/';
+const BACKUP_STALE_HOURS = 36;     // a missed day plus slack
+
+// db/historyaddress-2026-10-19T03-00-00Z.db ↔ its time
+const backupKeyFor = d => BACKUP_PREFIX + 'historyaddress-' + d.toISOString().slice(0, 19).replace(/:/g, '-') + 'Z.db';
+function backupTime(key) {
+    const m = String(key).match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})Z\.db$/);
+    return m ? new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}Z`) : null;
+}
+function isoWeekKey(d) {
+    const t = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    t.setUTCDate(t.getUTCDate() + 4 - (t.getUTCDay() || 7));   // Thursday decides the year
+    return t.getUTCFullYear() + '-W' + Math.ceil(((t - Date.UTC(t.getUTCFullYear(), 0, 1)) / 86_400_000 + 1) / 7);
+}
+function nextBackupAt(now = Date.now()) {
+    const d = new Date(now);
+    d.setUTCHours(BACKUP_HOUR_UTC, 0, 0, 0);
+    if (d.getTime() <= now) d.setUTCDate(d.getUTCDate() + 1);
+    return d;
+}
+// Queue the next daily run. The per-day key makes this a no-op when already queued.
+function scheduleNextBackup() {
+    const at = nextBackupAt();
+    return enqueueJob('db.backup', { scheduled: at.toISOString() },
+        { key: 'db.backup:' + at.toISOString().slice(0, 10), delayMs: at.getTime() - Date.now(), attempts: 4 });
+}
+async function getBackupStatus() {
+    const row = await dbGet("SELECT value FROM settings WHERE key='backup_status'");
+    try { return row ? JSON.parse(row.value) : {}; } catch { return {}; }
+}
+async function setBackupStatus(patch) {
+    const next = { ...(await getBackupStatus()), ...patch };
+    await dbRun("INSERT OR REPLACE INTO settings (key, value) VALUES ('backup_status', ?)", [JSON.stringify(next)]);
+}
+// Apply the daily / weekly / monthly retention; returns { kept, pruned }.
+async function pruneBackups() {
+    const objects = await backupStorage.list();
+    const snaps = objects.map(o => ({ key: o.key, at: backupTime(o.key) }))
+        .filter(b => b.at && b.key.indexOf(BACKUP_PREFIX) === 0)
+        .sort((a, b) => b.at - a.at);
+    const keep = new Set(snaps.slice(0, 1).map(b => b.key));   // never the newest
+    const tiers = [
+        [BACKUP_KEEP.daily,   d => d.toISOString().slice(0, 10)],
+        [BACKUP_KEEP.weekly,  isoWeekKey],
+        [BACKUP_KEEP.monthly, d => d.toISOString().slice(0, 7)],
+    ];
+    for (const [count, periodOf] of tiers) {
+        const seen = new Set();
+        for (const b of snaps) {
+            const p = periodOf(b.at);
+            if (seen.has(p)) continue;
+            if (seen.size >= count) break;
+            seen.add(p);
+            keep.add(b.key);
+        }
+    }
+    // Snapshots outside every tier go, with their manifests (and any stray manifest).
+    const drop = objects.map(o => o.key).filter(k => k.indexOf(BACKUP_PREFIX) === 0
+        && !keep.has(k) && !keep.has(k.replace(/\.json$/, '.db')));
+    const failed = await backupStorage.removeMany(drop);
+    for (const e of failed) console.warn('backup prune failed for', e.key, '-', e.message);
+    return { kept: keep.size, pruned: snaps.filter(b => !keep.has(b.key)).length };
+}
+async function runBackup() {
+    if (!backupStorage) throw permanentJobError(backupConfigError || 'backups are not configured');
+    if (BACKUP_ENABLED) await scheduleNextBackup();   // tomorrow's run, even if this one fails
+    try {
+        const snap    = await snapshotDatabase();
+        const created = new Date();
+        const key     = backupKeyFor(created);
+        const manifest = { key, sha256: snap.sha256, bytes: snap.bytes, created_at: created.toISOString(), integrity_check: 'ok' };
+        try {
+            await backupStorage.put(key, await fs.promises.readFile(snap.file), 'application/vnd.sqlite3');
+            // Manifest last: a snapshot without one is an upload that didn't finish.
+            await backupStorage.put(key.replace(/\.db$/, '.json'), Buffer.from(JSON.stringify(manifest, null, 2)), 'application/json');
+        } finally {
+            fs.unlink(snap.file, () => {});
+        }
+        const { kept, pruned } = await pruneBackups();
+        await setBackupStatus({ last_ok_at: manifest.created_at, key, sha256: snap.sha256, bytes: snap.bytes, kept });
+        console.log(`💾 Backup ${key} (${Math.round(snap.bytes / 1024)} KB) → ${backupStorage.name} | kept ${kept}, pruned ${pruned}`);
+        return { ...manifest, kept, pruned };
+    } catch (e) {
+        await setBackupStatus({ last_error: e.message, last_error_at: new Date().toISOString() }).catch(() => {});
+        throw e;
+    }
+}
+// Public summary for /api/health - no keys, hashes or error text.
+async function backupHealth() {
+    if (!BACKUP_ENABLED) return { status: 'disabled' };
+    if (!backupStorage)  return { status: 'misconfigured' };
+    const s   = await getBackupStatus();
+    const age = s.last_ok_at ? (Date.now() - Date.parse(s.last_ok_at)) / 3_600_000 : null;
+    let status = 'ok';
+    if (s.last_error_at && (!s.last_ok_at || s.last_error_at > s.last_ok_at)) status = 'failing';
+    else if (age == null) status = 'pending';
+    else if (age > BACKUP_STALE_HOURS) status = 'stale';
+    return {
+        status, target: backupStorage.name,
+        last_ok_at: s.last_ok_at || null, age_hours: age == null ? null : Math.round(age * 10) / 10,
+        bytes: s.bytes || null, kept: s.kept || 0, next_at: nextBackupAt().toISOString(),
+    };
+}
+if (BACKUP_ENABLED && backupStorage) setTimeout(() => scheduleNextBackup().catch(e => console.error('backup schedule error:', e.message)), 30_000);
+
 // ─── Start ────────────────────────────────────────────────────────────────────
-const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log(`✅ Listening on :${PORT} - ${DOMAIN}\n`);
+let server = null;
+initDB().then(() => {
+    server = app.listen(PORT, '0.0.0.0', () => {
+        console.log(`✅ Listening on :${PORT} - ${DOMAIN}\n`);
+    });
+    server.keepAliveTimeout = 30_000;
+    server.headersTimeout   = 31_000;
 });
-server.keepAliveTimeout = 30_000;
-server.headersTimeout   = 31_000;
 
 // ─── Graceful shutdown ────────────────────────────────────────────────────────
 function shutdown(sig) {
     console.log(`\n${sig} received - shutting down…`);
-    server.close(() => db.close(() => { console.log('👋 Closed.'); process.exit(0); }));
+    const closeDb = () => db.close().then(() => { console.log('👋 Closed.'); process.exit(0); });
+    if (server) server.close(closeDb); else closeDb();
     setTimeout(() => process.exit(1), 10_000);
 }
 process.on('SIGINT',  () => shutdown('SIGINT'));
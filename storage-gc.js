@@ -0,0 +1,86 @@
+/**
+ * Storage garbage collection, shared by the dashboard's "Хранилище" tab (server.js)
+ * and gc-storage.js, so both apply the same rules:
+ *
+ *     const gc = createStorageGc({ storage, db });   // db: anything with all() and run()
+ *     await gc.findOrphans()     → { objects, bytes, min_age_hours, orphan_bytes, orphans: [{ key, size, last_modified, url }] }
+ *     await gc.deleteKeys(keys)  → the keys actually deleted
+ *
+ * Media nothing points at any more: photos dropped from a gallery, replaced avatars,
+ * pending/ uploads of processed submissions, deletes that failed. An object is live
+ * if a media URL in one of REF_SOURCES names it, or names the original it was derived
+ * from (_thumb.jpg, _<w>w.* variants). Pending photos count only while the submission
+ * is open or sent back for correction. Only image files are considered, and objects
+ * younger than ORPHAN_MIN_AGE_HOURS are never reported - an editor may have uploaded
+ * a photo for a place that isn't saved yet. Revision history is not a reference:
+ * rolling back to a revision whose photo was collected shows a missing image.
+ */
+const ORPHAN_MIN_AGE_HOURS = 24;
+const MEDIA_RE = /\.(?:jpe?g|png|gif|webp|avif)$/i;
+const REF_SOURCES = [
+    'SELECT * FROM homes',
+    'SELECT * FROM news',
+    'SELECT * FROM partners',
+    'SELECT * FROM team',
+    'SELECT avatar_url FROM users',
+    "SELECT image_path FROM pending_addresses WHERE status='pending' OR (status='rejected' AND denied=0)",
+    "SELECT changes FROM home_corrections WHERE status='pending'",
+    'SELECT value FROM settings',
+];
+
+// The original a derived object (thumbnail, resized variant) belongs to.
+const baseKey = key => key.replace(/_thumb\.jpg$|_\d+w\.(?:avif|webp|jpg)$/i, '.jpg');
+
+function createStorageGc({ storage, db }) {
+    const mediaUrlRe = new RegExp(storage.publicBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/[^\\s"\'<>)\\\\]+', 'g');
+
+    async function referencedKeys() {
+        const keys = new Set();
+        for (const sql of REF_SOURCES) {
+            for (const row of await db.all(sql)) {
+                for (const v of Object.values(row)) {
+                    if (typeof v !== 'string') continue;
+                    for (const m of v.matchAll(mediaUrlRe)) keys.add(storage.keyFromUrl(m[0]));
+                }
+            }
+        }
+        return keys;
+    }
+
+    async function findOrphans() {
+        const objects = await storage.list();
+        const refs    = await referencedKeys();   // after listing: a photo saved meanwhile is still seen
+        const cutoff  = new Date(Date.now() - ORPHAN_MIN_AGE_HOURS * 3_600_000).toISOString();
+        const orphans = objects.filter(o => MEDIA_RE.test(o.key) && o.last_modified < cutoff
+            && !refs.has(o.key) && !refs.has(baseKey(o.key)));
+        const sum = list => list.reduce((n, o) => n + o.size, 0);
+        return {
+            objects: objects.length, bytes: sum(objects), min_age_hours: ORPHAN_MIN_AGE_HOURS,
+            orphan_bytes: sum(orphans),
+            orphans: orphans.map(o => ({ ...o, url: storage.publicUrl(o.key) })),
+        };
+    }
+
+    // Delete storage keys, plus the rows describing them.
+    async function deleteKeys(keys) {
+        const errors = await storage.removeMany(keys);
+        for (const e of errors) console.warn('Storage delete failed for', e.key, '-', e.message);
+        const failed = new Set(errors.map(e => e.key));
+        const done = [];
+        for (const key of keys) {
+            if (failed.has(key)) continue;
+            const url = storage.publicUrl(key);
+            await db.run('DELETE FROM photo_exif WHERE url=?', [url]);
+            await db.run('DELETE FROM image_index WHERE url=?', [url]);
+            await db.run('UPDATE image_index SET dup_of=NULL WHERE dup_of=?', [url]);
+            await db.run('DELETE FROM image_variants WHERE path=?', [url]);
+            await db.run('DELETE FROM drive_files WHERE url=?', [url]);
+            done.push(key);
+        }
+        return done;
+    }
+
+    return { findOrphans, deleteKeys };
+}
+
+module.exports = { createStorageGc };
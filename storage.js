@@ -0,0 +1,175 @@
+/**
+ * Media storage backends. server.js and the maintenance scripts talk to one small
+ * interface, so where uploaded photos live is a deployment choice:
+ *
+ *   STORAGE_DRIVER=r2     (default) Cloudflare R2 or any S3-compatible bucket
+ *       R2_ACCESS_KEY_ID, R2_SECRET_KEY - credentials
+ *       R2_ENDPOINT, R2_BUCKET, R2_PUBLIC_URL - default to the production bucket
+ *   STORAGE_DRIVER=local  files on disk, served by the app itself under /media
+ *       STORAGE_DIR         - default ./uploads
+ *       STORAGE_PUBLIC_URL  - default http://localhost:<PORT>/media
+ *
+ * A driver has:
+ *   put(key, body, contentType)   get(key) → Buffer   (err.code 'NOT_FOUND' if missing)
+ *   remove(key)                   removeMany(keys) → [{ key, message }] that failed
+ *   list() → [{ key, size, last_modified }]
+ *   publicUrl(key)                keyFromUrl(url) → key, or null for foreign URLs
+ */
+const fsp  = require('fs/promises');
+const path = require('path');
+
+const DEFAULTS = {
+    r2Endpoint:  'https://ae436e2433a501e9b779b8993e95d5b1.r2.cloudflarestorage.com',
+    r2Bucket:    'history-address-images',
+    r2PublicUrl: 'https://pub-b40e453eddaf4bc5b299af8f6d7b7de2.r2.dev',
+    localDir:    path.join(__dirname, 'uploads'),
+};
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif',
+    '.webp': 'image/webp', '.avif': 'image/avif',
+};
+const contentTypeFor = key => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+function notFound(key) {
+    const e = new Error('No such object: ' + key);
+    e.code = 'NOT_FOUND';
+    return e;
+}
+
+function r2Driver(env) {
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    const bucket = env.R2_BUCKET || DEFAULTS.r2Bucket;
+    const client = new S3Client({
+        region:   'auto',
+        endpoint: env.R2_ENDPOINT || DEFAULTS.r2Endpoint,
+        credentials: {
+            accessKeyId:     env.R2_ACCESS_KEY_ID,
+            secretAccessKey: env.R2_SECRET_KEY,
+        },
+    });
+    return {
+        name: 'r2',
+        publicBase: env.R2_PUBLIC_URL || DEFAULTS.r2PublicUrl,
+        put(key, body, contentType) {
+            return client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType, CacheControl: 'public, max-age=31536000' }));
+        },
+        async get(key) {
+            try {
+                const obj = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return Buffer.from(await obj.Body.transformToByteArray());
+            } catch (e) {
+                if (e.name === 'NoSuchKey') throw notFound(key);
+                throw e;
+            }
+        },
+        remove(key) {
+            return client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+        async removeMany(keys) {
+            const failed = [];
+            for (let i = 0; i < keys.length; i += 1000) {
+                const part = keys.slice(i, i + 1000);
+                const out  = await client.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: part.map(Key => ({ Key })), Quiet: true } }));
+                for (const e of out.Errors || []) failed.push({ key: e.Key, message: e.Message });
+            }
+            return failed;
+        },
+        async list() {
+            const out = [];
+            let token;
+            do {
+                const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, ContinuationToken: token }));
+                for (const o of page.Contents || []) out.push({ key: o.Key, size: o.Size || 0, last_modified: new Date(o.LastModified).toISOString() });
+                token = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (token);
+            return out;
+        },
+    };
+}
+
+function localDriver(env) {
+    const dir = path.resolve(env.STORAGE_DIR || DEFAULTS.localDir);
+    // Keys come from our own code, but never let one escape the storage dir.
+    const fileFor = key => {
+        const p = path.resolve(dir, String(key));
+        if (p.indexOf(dir + path.sep) !== 0) throw new Error('Invalid storage key: ' + key);
+        return p;
+    };
+    return {
+        name: 'local',
+        dir,
+        publicBase: env.STORAGE_PUBLIC_URL || `http://localhost:${env.PORT || 10000}/media`,
+        async put(key, body) {
+            const file = fileFor(key);
+            await fsp.mkdir(path.dirname(file), { recursive: true });
+            const tmp = file + '.tmp-' + process.pid;   // write + rename: readers never see half a file
+            await fsp.writeFile(tmp, body);
+            await fsp.rename(tmp, file);
+        },
+        async get(key) {
+            try { return await fsp.readFile(fileFor(key)); }
+            catch (e) {
+                if (e.code === 'ENOENT') throw notFound(key);
+                throw e;
+            }
+        },
+        async remove(key) {
+            try { await fsp.unlink(fileFor(key)); }
+            catch (e) { if (e.code !== 'ENOENT') throw e; }
+        },
+        async removeMany(keys) {
+            const failed = [];
+            for (const key of keys) {
+                try { await this.remove(key); } catch (e) { failed.push({ key, message: e.message }); }
+            }
+            return failed;
+        },
+        async list() {
+            const out = [];
+            const walk = async (sub) => {
+                let entries;
+                try { entries = await fsp.readdir(path.join(dir, sub), { withFileTypes: true }); }
+                catch (e) { if (e.code === 'ENOENT') return; throw e; }
+                for (const ent of entries) {
+                    const key = sub ? sub + '/' + ent.name : ent.name;
+                    if (ent.isDirectory()) { await walk(key); continue; }
+                    if (!ent.isFile() || /\.tmp-\d+$/.test(ent.name)) continue;
+                    const st = await fsp.stat(path.join(dir, key));
+                    out.push({ key, size: st.size, last_modified: st.mtime.toISOString() });
+                }
+            };
+            await walk('');
+            return out;
+        },
+    };
+}
+
+const DRIVERS = { r2: r2Driver, local: localDriver };
+
+// Build a driver by name (default: STORAGE_DRIVER, else 'r2') from env settings.
+function createStorage(name, env = process.env) {
+    const driver = String(name || env.STORAGE_DRIVER || 'r2').toLowerCase();
+    if (!DRIVERS[driver]) throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+    const s = DRIVERS[driver](env);
+    s.publicBase = s.publicBase.replace(/\/+$/, '');
+    s.publicUrl  = key => `${s.publicBase}/${key}`;
+    s.keyFromUrl = url => (url && String(url).indexOf(s.publicBase + '/') === 0 ? String(url).substring(s.publicBase.length + 1) : null);
+    return s;
+}
+
+// Where database backups go. Never the public media bucket: the dump holds emails
+// and password hashes. BACKUP_DRIVER=local (default) writes to BACKUP_DIR, default
+// <database dir>/backups; BACKUP_DRIVER=r2 needs its own private BACKUP_R2_BUCKET.
+function createBackupStorage(dbDir, env = process.env) {
+    const driver = String(env.BACKUP_DRIVER || 'local').toLowerCase();
+    if (driver === 'r2' && !env.BACKUP_R2_BUCKET) throw new Error('BACKUP_R2_BUCKET is not set (backups never go to the public media bucket)');
+    return createStorage(driver, {
+        ...env,
+        R2_BUCKET:          env.BACKUP_R2_BUCKET,
+        R2_PUBLIC_URL:      'r2://' + env.BACKUP_R2_BUCKET,   // not served - only names the target
+        STORAGE_DIR:        env.BACKUP_DIR || path.join(dbDir, 'backups'),
+        STORAGE_PUBLIC_URL: 'file://backups',
+    });
+}
+
+module.exports = { createStorage, createBackupStorage, contentTypeFor };
@@ -0,0 +1,34 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const KEY = 'test-backup-key';
+let srv, owner;
+test.before(async () => {
+    srv   = await startServer({ env: { DB_BACKUP_KEY: KEY } });
+    owner = await srv.owner();
+});
+test.after(() => srv && srv.stop());
+
+const dbExport = cookie => srv.api('GET', '/api/sys/db-export', undefined, { cookie, headers: { 'x-backup-key': KEY } });
+
+test('the database export needs the key, system.backup and a second factor', async () => {
+    const r = await dbExport(owner);
+    assert.strictEqual(r.status, 200);
+    assert.match(r.headers.get('x-db-sha256'), /^[0-9a-f]{64}$/);
+    assert.strictEqual((await srv.api('GET', '/api/sys/db-export', undefined, { cookie: owner })).status, 404, 'no key');
+
+    const reg = await srv.api('POST', '/api/auth/register', { email: 'ops@example.org', password: 'abc12345', age_confirmed: true }, { cookie: '' });
+    const ops = reg.cookie;
+    const id  = srv.sql("SELECT id FROM users WHERE email='ops@example.org'")[0].id;
+    assert.strictEqual((await dbExport(ops)).status, 404, 'no permission');
+
+    const g = await srv.api('PUT', `/api/admin/users/${id}/permissions`, { permissions: ['system.backup'] }, { cookie: owner });
+    assert.deepStrictEqual(g.body.permissions, ['system.backup']);
+    const denied = await dbExport(ops);
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.error, 'TWOFA_REQUIRED');
+
+    srv.sql('UPDATE users SET totp_enabled=1 WHERE id=?', id);
+    assert.strictEqual((await dbExport(ops)).status, 200);
+});
@@ -0,0 +1,93 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { openDatabase } = require('../database');
+
+function tempDb() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ha-db-'));
+    const db  = openDatabase(path.join(dir, 'test.db'));
+    db.raw.exec('CREATE TABLE t (id INTEGER PRIMARY KEY, v TEXT NOT NULL)');
+    return { db, cleanup: async () => { await db.close(); fs.rmSync(dir, { recursive: true, force: true }); } };
+}
+const tick = () => new Promise(r => setImmediate(r));
+
+test('transaction commits what fn wrote', async () => {
+    const { db, cleanup } = tempDb();
+    const out = await db.transaction(async () => {
+        await db.run('INSERT INTO t (v) VALUES (?)', ['a']);
+        return 'done';
+    });
+    assert.strictEqual(out, 'done');
+    assert.strictEqual((await db.get('SELECT COUNT(*) n FROM t')).n, 1);
+    await cleanup();
+});
+
+test('transaction rolls back when fn throws', async () => {
+    const { db, cleanup } = tempDb();
+    await db.run('INSERT INTO t (v) VALUES (?)', ['kept']);
+    await assert.rejects(db.transaction(async () => {
+        await db.run('INSERT INTO t (v) VALUES (?)', ['lost']);
+        await db.run('UPDATE t SET v=? WHERE v=?', ['changed', 'kept']);
+        throw new Error('boom');
+    }), /boom/);
+    assert.deepStrictEqual((await db.all('SELECT v FROM t')).map(r => r.v), ['kept']);
+    assert.strictEqual(db.raw.inTransaction, false);
+    // A failing statement inside fn rolls back the same way.
+    await assert.rejects(db.transaction(async () => {
+        await db.run('INSERT INTO t (v) VALUES (?)', ['lost']);
+        await db.run('INSERT INTO t (v) VALUES (NULL)');
+    }), /NOT NULL/);
+    assert.strictEqual((await db.get('SELECT COUNT(*) n FROM t')).n, 1);
+    await cleanup();
+});
+
+test('a nested transaction joins the outer one', async () => {
+    const { db, cleanup } = tempDb();
+    await assert.rejects(db.transaction(async () => {
+        await db.run('INSERT INTO t (v) VALUES (?)', ['outer']);
+        const inner = await db.transaction(async () => {
+            await db.run('INSERT INTO t (v) VALUES (?)', ['inner']);
+            return (await db.get('SELECT COUNT(*) n FROM t')).n;
+        });
+        assert.strictEqual(inner, 2);             // sees the outer's write
+        assert.strictEqual(db.raw.inTransaction, true);   // inner did not commit
+        throw new Error('outer fails');
+    }), /outer fails/);
+    assert.strictEqual((await db.get('SELECT COUNT(*) n FROM t')).n, 0);   // inner's row went too
+    await cleanup();
+});
+
+test('queries from outside wait until the transaction ends', async () => {
+    const { db, cleanup } = tempDb();
+    const seen = [];
+    let release;
+    const gate = new Promise(r => { release = r; });
+    const tx = db.transaction(async () => {
+        await db.run('INSERT INTO t (v) VALUES (?)', ['half']);
+        await gate;                                   // still open
+        await db.run('INSERT INTO t (v) VALUES (?)', ['whole']);
+    });
+    await tick();
+    const read  = db.all('SELECT v FROM t ORDER BY id').then(rows => { seen.push('read'); return rows.map(r => r.v); });
+    const write = db.run('INSERT INTO t (v) VALUES (?)', ['after']).then(() => seen.push('write'));
+    await tick(); await tick();
+    assert.deepStrictEqual(seen, [], 'outside queries ran inside an open transaction');
+    release();
+    await tx;
+    assert.deepStrictEqual(await read, ['half', 'whole']);   // never half of it
+    await write;
+    assert.deepStrictEqual((await db.all('SELECT v FROM t ORDER BY id')).map(r => r.v), ['half', 'whole', 'after']);
+    await cleanup();
+});
+
+test('transactions run one at a time', async () => {
+    const { db, cleanup } = tempDb();
+    const order = [];
+    const a = db.transaction(async () => { order.push('a1'); await tick(); await tick(); order.push('a2'); });
+    const b = db.transaction(async () => { order.push('b1'); await tick(); order.push('b2'); });
+    await Promise.all([a, b]);
+    assert.deepStrictEqual(order, ['a1', 'a2', 'b1', 'b2']);
+    await cleanup();
+});
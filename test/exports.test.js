@@ -0,0 +1,49 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let srv;
+test.before(async () => { srv = await startServer(); await srv.owner(); });
+test.after(() => srv && srv.stop());
+
+const FORMULA = '=HYPERLINK("http://evil.example","x")';
+// Every cell of every row, unquoted; enough CSV for these exports.
+function cells(text) {
+    const out = [];
+    const re = /("(?:[^"]|"")*"|[^,\r\n]*)(,|\r\n|$)/g;
+    const body = text.replace(/^\uFEFF/, '');
+    let m;
+    while ((m = re.exec(body)) && m[0]) {
+        out.push(m[1].startsWith('"') ? m[1].slice(1, -1).replace(/""/g, '"') : m[1]);
+    }
+    return out;
+}
+
+test('the audit CSV keeps formulas as text', async () => {
+    srv.sql("UPDATE users SET display_name=? WHERE role='owner'", FORMULA);
+    assert.strictEqual((await srv.api('POST', '/api/homes', { name: '+SUM(1,2)', slug: 'formula' })).status, 201);
+    for (let i = 0; i < 50 && !srv.sql('SELECT COUNT(*) n FROM audit_log')[0].n; i++) await new Promise(r => setTimeout(r, 20));
+
+    const r = await srv.api('GET', '/api/admin/audit?format=csv');
+    assert.strictEqual(r.status, 200);
+    const all = cells(r.body);
+    assert.ok(all.includes("'" + FORMULA), 'the actor name is escaped');
+    assert.ok(!all.some(c => /^[=+\-@\t\r]/.test(c)), 'no cell opens with a formula character');
+});
+
+test('the places CSV streams every row once, formulas as text', async () => {
+    // More rows than one batch, with many equal names to page through.
+    srv.sql(`INSERT INTO homes (id, slug, name, published)
+             WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1200)
+             SELECT 'bulk-' || i, 'bulk-' || i, 'Място ' || (i % 7), 1 FROM n`);
+    srv.sql("INSERT INTO homes (id, slug, name, published) VALUES ('at', 'at', '@SUM(A1)', 1)");
+
+    const r = await srv.api('GET', '/api/export/places.csv', undefined, { cookie: false });
+    assert.strictEqual(r.status, 200);
+    const lines = r.body.replace(/^\uFEFF/, '').split('\r\n').filter(l => l && !l.startsWith('#')).slice(1);
+    const ids = lines.map(l => cells(l)[0]);
+    assert.strictEqual(ids.length, srv.sql('SELECT COUNT(*) n FROM homes WHERE published=1 AND deleted_at IS NULL')[0].n);
+    assert.strictEqual(new Set(ids).size, ids.length, 'no row twice');
+    assert.ok(lines.some(l => cells(l)[2] === "'@SUM(A1)"));
+    assert.ok(!cells(r.body).some(c => /^[=+\-@\t\r]/.test(c)), 'no cell opens with a formula character');
+});
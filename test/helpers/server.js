@@ -0,0 +1,102 @@
+/**
+ * Boots server.js on a fresh temp database for a test file, and talks to it.
+ *
+ *     const srv = await startServer();
+ *     const r = await srv.api('POST', '/api/auth/register', { … });   → { status, body, headers }
+ *     srv.sql('SELECT …', …)   runs one statement on the same DB file (rows for a SELECT)
+ *     await srv.stop();
+ *
+ * api() keeps the last auth cookie it was given, like a browser; pass
+ * { cookie } to act as someone else, or { cookie: false } to send none. Each call
+ * comes from its own X-Forwarded-For address so the per-IP limits stay out of the way.
+ */
+const { spawn } = require('child_process');
+const fs   = require('fs');
+const os   = require('os');
+const net  = require('net');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const ROOT = path.join(__dirname, '..', '..');
+const JWT_SECRET = 'test-secret';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const s = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+            const { port } = s.address();
+            s.close(() => resolve(port));
+        });
+    });
+}
+
+async function startServer({ env = {} } = {}) {
+    const dir    = fs.mkdtempSync(path.join(os.tmpdir(), 'ha-test-'));
+    const dbFile = path.join(dir, 'test.db');
+    fs.writeFileSync(dbFile, '');
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: Object.assign({}, process.env, {
+            PORT: String(port), DATABASE_URL: dbFile, JWT_SECRET,
+            STORAGE_DRIVER: 'local', STORAGE_DIR: path.join(dir, 'uploads'), RESEND_API_KEY: '',
+        }, env),
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let log = '';
+    child.stdout.on('data', d => { log += d; });
+    child.stderr.on('data', d => { log += d; });
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('server did not start:\n' + log)), 30000);
+        const check = () => { if (/Listening on/.test(log)) { clearTimeout(timer); resolve(); } };
+        child.stdout.on('data', check);
+        child.once('exit', code => { clearTimeout(timer); reject(new Error('server exited ' + code + ':\n' + log)); });
+    });
+
+    const base = 'http://127.0.0.1:' + port;
+    let cookie = '';
+    let ip = 0;
+    async function api(method, url, body, opts = {}) {
+        const headers = Object.assign({ 'x-forwarded-for': '10.9.' + (++ip >> 8 & 255) + '.' + (ip & 255) }, opts.headers);
+        const jar = opts.cookie === undefined ? cookie : opts.cookie;
+        if (jar) headers.cookie = jar;
+        let payload;
+        if (body instanceof FormData) payload = body;
+        else if (body !== undefined) { headers['content-type'] = 'application/json'; payload = JSON.stringify(body); }
+        const r = await fetch(base + url, { method, headers, body: payload, redirect: 'manual' });
+        const set = r.headers.get('set-cookie');
+        const m = set && set.match(/auth_token=[^;]*/);
+        if (m && opts.cookie === undefined) cookie = m[0];
+        const text = await r.text();
+        let json; try { json = JSON.parse(text); } catch { json = text; }
+        return { status: r.status, body: json, headers: r.headers, cookie: m ? m[0] : null };
+    }
+    function sql(statement, ...params) {
+        const db = new Database(dbFile, { timeout: 5000 });
+        try {
+            const stmt = db.prepare(statement);
+            return stmt.reader ? stmt.all(...params) : stmt.run(...params);
+        } finally { db.close(); }
+    }
+    // Register an account and make it an owner with 2FA on (staff actions need it).
+    async function owner(email = 'owner@example.org', password = 'abc12345') {
+        await api('POST', '/api/auth/register', { email, password, age_confirmed: true });
+        sql("UPDATE users SET role='owner', totp_enabled=1, email_verified=1 WHERE email=?", email);
+        return cookie;
+    }
+    async function stop() {
+        if (child.exitCode === null) {
+            const gone = new Promise(r => child.once('exit', r));
+            child.kill('SIGTERM');
+            await gone;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    return {
+        base, dbFile, api, sql, owner, stop, port,
+        log: () => log,
+        setCookie: c => { cookie = c; },
+        getCookie: () => cookie,
+    };
+}
+
+module.exports = { startServer, JWT_SECRET };
@@ -0,0 +1,80 @@
+/**
+ * A software WebAuthn authenticator for tests: ES256 (P-256) keys, "none"
+ * attestation, and the same JSON the browser glue in assets/js/passkeys.js sends.
+ *
+ *     const auth = softAuthenticator({ rpId: 'localhost', origin });
+ *     const cred = auth.register(creationOptions)            → { id, response }
+ *     auth.assert(cred, requestOptions, { uv, origin })      → assertion JSON
+ *
+ * Every assertion bumps the credential's signature counter, like a real key.
+ */
+const crypto = require('crypto');
+
+const b64url = buf => Buffer.from(buf).toString('base64url');
+const sha256 = buf => crypto.createHash('sha256').update(buf).digest();
+
+// Just enough CBOR for an attestation object and a COSE key.
+function cbor(v) {
+    const head = (major, n) => {
+        if (n < 24)      return Buffer.from([major << 5 | n]);
+        if (n < 0x100)   return Buffer.from([major << 5 | 24, n]);
+        if (n < 0x10000) { const b = Buffer.alloc(3); b[0] = major << 5 | 25; b.writeUInt16BE(n, 1); return b; }
+        const b = Buffer.alloc(5); b[0] = major << 5 | 26; b.writeUInt32BE(n, 1); return b;
+    };
+    if (Buffer.isBuffer(v))     return Buffer.concat([head(2, v.length), v]);
+    if (typeof v === 'string')  { const s = Buffer.from(v, 'utf8'); return Buffer.concat([head(3, s.length), s]); }
+    if (typeof v === 'number')  return v >= 0 ? head(0, v) : head(1, -1 - v);
+    if (Array.isArray(v))       return Buffer.concat([head(4, v.length), ...v.map(cbor)]);
+    const entries = v instanceof Map ? [...v] : Object.entries(v);
+    return Buffer.concat([head(5, entries.length), ...entries.flatMap(([k, x]) => [cbor(k), cbor(x)])]);
+}
+
+const FLAG_UP = 0x01, FLAG_UV = 0x04, FLAG_AT = 0x40;
+
+function softAuthenticator({ rpId, origin }) {
+    function authData(flags, counter, attested) {
+        const c = Buffer.alloc(4); c.writeUInt32BE(counter);
+        return Buffer.concat([sha256(rpId), Buffer.from([flags]), c].concat(attested || []));
+    }
+    function clientData(type, challenge, from) {
+        return Buffer.from(JSON.stringify({ type, challenge, origin: from || origin, crossOrigin: false }));
+    }
+
+    function register(options, { uv = true, origin: from } = {}) {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const jwk  = publicKey.export({ format: 'jwk' });
+        const cose = cbor(new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]]));
+        const rawId = crypto.randomBytes(16);
+        const idLen = Buffer.alloc(2); idLen.writeUInt16BE(rawId.length);
+        const data  = authData(FLAG_UP | (uv ? FLAG_UV : 0) | FLAG_AT, 0, [Buffer.alloc(16), idLen, rawId, cose]);
+        const cred  = { id: b64url(rawId), privateKey, userHandle: options.user && options.user.id, counter: 0 };
+        cred.response = {
+            id: cred.id, rawId: cred.id, type: 'public-key', clientExtensionResults: {},
+            response: {
+                clientDataJSON: b64url(clientData('webauthn.create', options.challenge, from)),
+                attestationObject: b64url(cbor({ fmt: 'none', attStmt: {}, authData: data })),
+                transports: ['internal'],
+            },
+        };
+        return cred;
+    }
+
+    function assert(cred, options, { uv = true, origin: from } = {}) {
+        const data = authData(FLAG_UP | (uv ? FLAG_UV : 0), ++cred.counter);
+        const json = clientData('webauthn.get', options.challenge, from);
+        const signature = crypto.sign('sha256', Buffer.concat([data, sha256(json)]), cred.privateKey);
+        return {
+            id: cred.id, rawId: cred.id, type: 'public-key', clientExtensionResults: {},
+            response: {
+                clientDataJSON: b64url(json),
+                authenticatorData: b64url(data),
+                signature: b64url(signature),
+                userHandle: cred.userHandle,
+            },
+        };
+    }
+
+    return { register, assert };
+}
+
+module.exports = { softAuthenticator };
@@ -0,0 +1,57 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let srv;
+test.before(async () => { srv = await startServer(); await srv.owner(); });
+test.after(() => srv && srv.stop());
+
+test('creating a place never replaces a live one', async () => {
+    assert.strictEqual((await srv.api('POST', '/api/homes', { name: 'Първа', slug: 'first', biography: 'оригинал' })).status, 201);
+    const before = srv.sql("SELECT * FROM homes WHERE id='first'")[0];
+
+    let r = await srv.api('POST', '/api/homes', { name: 'Втора', slug: 'first' });
+    assert.deepStrictEqual([r.status, r.body.error], [409, 'Slug is already used by another home']);
+    r = await srv.api('POST', '/api/homes', { id: 'first', name: 'Втора', slug: 'second' });
+    assert.strictEqual(r.status, 400);
+
+    assert.deepStrictEqual(srv.sql("SELECT * FROM homes WHERE id='first'")[0], before);
+    assert.strictEqual(srv.sql("SELECT COUNT(*) n FROM home_revisions WHERE home_id='first'")[0].n, 1);
+});
+
+test('a slug derived from the name gets a free suffix', async () => {
+    assert.strictEqual((await srv.api('POST', '/api/homes', { name: 'Same Name' })).status, 201);
+    const r = await srv.api('POST', '/api/homes', { name: 'Same Name' });
+    assert.deepStrictEqual([r.status, r.body.slug], [201, 'same-name-2']);
+    assert.strictEqual(srv.sql("SELECT COUNT(*) n FROM homes WHERE name='Same Name'")[0].n, 2);
+});
+
+test('nearby viewports snap to the same clustering cells', async () => {
+    srv.sql("UPDATE homes SET lat=42.6977, lng=23.3219 WHERE id='first'");
+    const a = await srv.api('GET', '/api/homes/map?bbox=23.10001,42.50003,23.60007,42.90002&zoom=10', undefined, { cookie: false });
+    const b = await srv.api('GET', '/api/homes/map?bbox=23.10004,42.50009,23.60001,42.90008&zoom=10', undefined, { cookie: false });
+    assert.strictEqual(a.status, 200);
+    assert.deepStrictEqual(b.body.bbox, a.body.bbox);
+    assert.ok(a.body.bbox[0] <= 23.10001 && a.body.bbox[3] >= 42.90002, 'the box only grows');
+    assert.deepStrictEqual(a.body.points.map(p => p.id), ['first']);
+});
+
+test('restoring a purged place brings back the links to it', async () => {
+    for (const slug of ['linked', 'linker', 'unlinker']) {
+        assert.strictEqual((await srv.api('POST', '/api/homes', { name: 'Място ' + slug, slug })).status, 201);
+    }
+    const put = (slug, related_ids) => srv.api('PUT', '/api/homes/' + slug, { name: 'Място ' + slug, slug, related_ids });
+    assert.strictEqual((await put('linker', ['linked'])).status, 200);
+    assert.strictEqual((await put('unlinker', ['linked'])).status, 200);
+    assert.strictEqual((await put('unlinker', [])).status, 200);   // chose to drop it
+
+    assert.strictEqual((await srv.api('DELETE', '/api/homes/linked')).status, 200);
+    assert.strictEqual((await srv.api('DELETE', '/api/admin/trash/homes/linked')).status, 200);
+    assert.strictEqual(srv.sql("SELECT COUNT(*) n FROM related_places WHERE related_id='linked'")[0].n, 0);
+
+    const rev = srv.sql("SELECT MAX(id) id FROM home_revisions WHERE home_id='linked'")[0].id;
+    const r = await srv.api('POST', `/api/homes/linked/revisions/${rev}/restore`);
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+    assert.strictEqual(r.body.incoming_links, 1);
+    assert.deepStrictEqual(srv.sql("SELECT home_id FROM related_places WHERE related_id='linked'").map(x => x.home_id), ['linker']);
+});
@@ -0,0 +1,68 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer } = require('./helpers/server');
+
+// A dummy Resend key makes sendEmail queue its jobs, so the emails can be read back.
+let srv;
+test.before(async () => { srv = await startServer({ env: { RESEND_API_KEY: 're_test_dummy' } }); });
+test.after(() => srv && srv.stop());
+
+const login = (email, password) => srv.api('POST', '/api/auth/login', { email, password }, { cookie: false });
+const shape = r => [r.status, r.body.error, r.body.retry_after, r.headers.get('retry-after')];
+
+test('the lockout looks the same for registered and unknown emails', async () => {
+    await srv.api('POST', '/api/auth/register', { email: 'real@example.org', password: 'abc12345', age_confirmed: true }, { cookie: '' });
+    for (let i = 1; i <= 7; i++) {
+        const real = shape(await login('real@example.org', 'wrong' + i));
+        const none = shape(await login('nobody@example.org', 'wrong' + i));
+        assert.deepStrictEqual(none, real, 'attempt ' + i);
+        assert.strictEqual(real[0], i < 5 ? 401 : 429, 'attempt ' + i);
+    }
+    assert.strictEqual(srv.sql("SELECT COUNT(*) n FROM login_failures WHERE email='nobody@example.org' AND reason='locked'")[0].n, 2);
+});
+
+test('the right password is refused while locked', async () => {
+    const r = await login('real@example.org', 'abc12345');
+    assert.strictEqual(r.status, 429);
+    srv.sql("UPDATE users SET locked_until=1 WHERE email='real@example.org'");
+    assert.strictEqual((await login('real@example.org', 'abc12345')).status, 200);
+});
+
+test('an unknown email unlocks on the same schedule', async () => {
+    // The 5th miss locked it for 30 s, so once that has passed the next miss is answered.
+    srv.sql("UPDATE login_failures SET created_at=? WHERE email='nobody@example.org'", new Date(Date.now() - 10 * 60e3).toISOString());
+    const r = await login('nobody@example.org', 'again');
+    assert.strictEqual(r.status, 429);
+    assert.ok(r.body.retry_after > 30, 'the next miss locks for longer');
+});
+
+test('a lock until password reset answers like a wrong password', async () => {
+    srv.sql("UPDATE users SET locked_until=253370764800000 WHERE email='real@example.org'");
+    const r = await login('real@example.org', 'abc12345');
+    assert.deepStrictEqual([r.status, r.body.error], [401, 'Invalid email or password']);
+});
+
+test('a "this wasn\'t me" link works once', async () => {
+    await srv.api('POST', '/api/auth/register', { email: 'owner2@example.org', password: 'abc12345', age_confirmed: true }, { cookie: '' });
+    assert.strictEqual((await login('owner2@example.org', 'abc12345')).status, 200);   // no device cookie → new-login email
+    const mail = srv.sql("SELECT payload FROM jobs WHERE type='email'").map(j => JSON.parse(j.payload))
+        .find(p => p.to === 'owner2@example.org' && p.subject === 'Нов вход в профила Ви');
+    const token = decodeURIComponent(mail.html.match(/\/api\/auth\/not-me\?token=([^"&<]+)/)[1]);
+    const notMe = () => fetch(srv.base + '/api/auth/not-me', {
+        method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-forwarded-for': '10.8.1.' + Math.floor(Math.random() * 250) },
+        body: 'token=' + encodeURIComponent(token),
+    });
+    assert.strictEqual((await fetch(srv.base + '/api/auth/not-me?token=' + encodeURIComponent(token))).status, 200);
+    assert.strictEqual((await notMe()).status, 200);
+    assert.strictEqual((await login('owner2@example.org', 'abc12345')).status, 401);
+
+    // The owner sets a new password; the same link must not lock them out again.
+    const reset = crypto.randomBytes(32).toString('hex');
+    srv.sql("UPDATE users SET reset_token_hash=?, reset_token_expires=? WHERE email='owner2@example.org'",
+        crypto.createHash('sha256').update(reset).digest('hex'), Date.now() + 60e3);
+    assert.strictEqual((await srv.api('POST', '/api/auth/reset-password', { token: reset, password: 'new12345' }, { cookie: false })).status, 200);
+    assert.strictEqual((await notMe()).status, 400);
+    assert.strictEqual((await fetch(srv.base + '/api/auth/not-me?token=' + encodeURIComponent(token))).status, 400);
+    assert.strictEqual((await login('owner2@example.org', 'new12345')).status, 200);
+});
@@ -0,0 +1,182 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const { startServer } = require('./helpers/server');
+const { softAuthenticator } = require('./helpers/webauthn');
+
+// A dummy Resend key makes sendEmail queue its jobs, so the emails can be read back.
+let srv, auth;
+test.before(async () => {
+    srv  = await startServer({ env: { RESEND_API_KEY: 're_test_dummy' } });
+    auth = softAuthenticator({ rpId: 'localhost', origin: 'http://localhost:' + srv.port });
+});
+test.after(() => srv && srv.stop());
+
+const PASSWORD = 'abc12345';
+async function account(email) {
+    const r = await srv.api('POST', '/api/auth/register', { email, password: PASSWORD, age_confirmed: true }, { cookie: '' });
+    assert.strictEqual(r.status, 201, JSON.stringify(r.body));
+    return { email, cookie: r.cookie, id: srv.sql('SELECT id FROM users WHERE email=?', email)[0].id };
+}
+async function addPasskey(user, name = 'Телефон') {
+    const o = await srv.api('POST', '/api/passkeys/options', { password: PASSWORD }, { cookie: user.cookie });
+    assert.strictEqual(o.status, 200, JSON.stringify(o.body));
+    const cred = auth.register(o.body);
+    const r = await srv.api('POST', '/api/passkeys', { response: cred.response, name }, { cookie: user.cookie });
+    assert.strictEqual(r.status, 201, JSON.stringify(r.body));
+    return cred;
+}
+const loginOptions = pending => srv.api('POST', '/api/auth/passkey/options', pending ? { pending } : {}, { cookie: false });
+const passkeyLogin = response => srv.api('POST', '/api/auth/passkey-login', { response }, { cookie: false });
+const passkeys = user => srv.sql('SELECT COUNT(*) n FROM passkeys WHERE user_id=?', user.id)[0].n;
+const emails = (to, subject) => srv.sql("SELECT payload FROM jobs WHERE type='email'").map(j => JSON.parse(j.payload))
+    .filter(p => p.to === to && p.subject === subject);
+
+let alice, aliceKey, bob, bobKey;
+
+test('registering a passkey needs the password or a 2FA code', async () => {
+    alice = await account('alice@example.org');
+    let r = await srv.api('POST', '/api/passkeys/options', {}, { cookie: alice.cookie });
+    assert.strictEqual(r.status, 401);
+    assert.strictEqual(r.body.error, 'REAUTH_REQUIRED');
+    r = await srv.api('POST', '/api/passkeys/options', { password: 'wrong1234' }, { cookie: alice.cookie });
+    assert.strictEqual(r.status, 401);
+    r = await srv.api('POST', '/api/passkeys/options', { code: '123456' }, { cookie: alice.cookie });
+    assert.strictEqual(r.status, 401, 'a code only counts when 2FA is on');
+    // Without options there is no challenge to answer.
+    const stray = auth.register({ challenge: b64urlRandom(), user: { id: 'x' } });
+    r = await srv.api('POST', '/api/passkeys', { response: stray.response }, { cookie: alice.cookie });
+    assert.strictEqual(r.status, 400);
+    assert.strictEqual(passkeys(alice), 0);
+
+    aliceKey = await addPasskey(alice);
+    assert.strictEqual(passkeys(alice), 1);
+});
+
+test('with an authenticator app on, the password alone is not enough', async () => {
+    const carol = await account('carol@example.org');
+    const { secret } = (await srv.api('POST', '/api/2fa/setup', {}, { cookie: carol.cookie })).body;
+    const on = await srv.api('POST', '/api/2fa/enable', { code: authenticator.generate(secret) }, { cookie: carol.cookie });
+    assert.strictEqual(on.status, 200, JSON.stringify(on.body));
+    let r = await srv.api('POST', '/api/passkeys/options', { password: PASSWORD }, { cookie: carol.cookie });
+    assert.strictEqual(r.status, 401);
+    assert.strictEqual(r.body.error, 'REAUTH_REQUIRED');
+    r = await srv.api('POST', '/api/passkeys/options', { password: PASSWORD, code: '000000' }, { cookie: carol.cookie });
+    assert.strictEqual(r.status, 401);
+    r = await srv.api('POST', '/api/passkeys/options', { code: on.body.backup_codes[0] }, { cookie: carol.cookie });
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+    r = await srv.api('POST', '/api/passkeys/options', { code: on.body.backup_codes[0] }, { cookie: carol.cookie });
+    assert.strictEqual(r.status, 401, 'a backup code works once');
+});
+
+test('adding a passkey emails the owner a "this wasn\'t me" link', async () => {
+    const sent = emails('alice@example.org', 'Добавен е ключ за достъп');
+    assert.strictEqual(sent.length, 1);
+    assert.match(sent[0].html, /Телефон/);
+    assert.match(sent[0].html, /\/api\/auth\/not-me\?token=/);
+});
+
+test('passwordless login with a user-verified passkey', async () => {
+    const o = await loginOptions();
+    assert.strictEqual(o.status, 200);
+    const r = await passkeyLogin(auth.assert(aliceKey, o.body));
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+    assert.strictEqual(r.body.email, 'alice@example.org');
+    const me = await srv.api('GET', '/api/auth/me', undefined, { cookie: r.cookie });
+    assert.strictEqual(me.status, 200);
+    assert.strictEqual(srv.sql('SELECT method FROM sessions WHERE user_id=? ORDER BY created_at DESC LIMIT 1', alice.id)[0].method, 'passkey');
+});
+
+test('a passkey is the second factor after the password', async () => {
+    const pw = await srv.api('POST', '/api/auth/login', { email: 'alice@example.org', password: PASSWORD }, { cookie: false });
+    assert.strictEqual(pw.status, 200);
+    assert.strictEqual(pw.body.twofa_required, true);
+    assert.deepStrictEqual(pw.body.methods, ['passkey']);
+    assert.strictEqual(pw.cookie, null, 'the password alone grants no session');
+    const o = await loginOptions(pw.body.pending);
+    assert.deepStrictEqual(o.body.allowCredentials.map(c => c.id), [aliceKey.id]);
+    // Possession is the factor here, so no user verification is needed.
+    const r = await srv.api('POST', '/api/auth/2fa-login', { pending: pw.body.pending, passkey: auth.assert(aliceKey, o.body, { uv: false }) }, { cookie: false });
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+    assert.ok(r.cookie);
+});
+
+test('a replayed assertion is refused', async () => {
+    const o = await loginOptions();
+    const answer = auth.assert(aliceKey, o.body);
+    assert.strictEqual((await passkeyLogin(answer)).status, 200);
+    assert.strictEqual((await passkeyLogin(answer)).status, 401);
+});
+
+test('passwordless login without user verification is refused', async () => {
+    const o = await loginOptions();
+    assert.strictEqual((await passkeyLogin(auth.assert(aliceKey, o.body, { uv: false }))).status, 401);
+});
+
+test('an assertion made for another origin is refused', async () => {
+    const o = await loginOptions();
+    assert.strictEqual((await passkeyLogin(auth.assert(aliceKey, o.body, { origin: 'https://evil.example' }))).status, 401);
+});
+
+test('a challenge issued for another ceremony is refused', async () => {
+    // Registration challenge → login.
+    const reg = await srv.api('POST', '/api/passkeys/options', { password: PASSWORD }, { cookie: alice.cookie });
+    assert.strictEqual((await passkeyLogin(auth.assert(aliceKey, reg.body))).status, 401);
+    // 2FA-step challenge → passwordless login (it didn't require user verification).
+    const pw = await srv.api('POST', '/api/auth/login', { email: 'alice@example.org', password: PASSWORD }, { cookie: false });
+    const o  = await loginOptions(pw.body.pending);
+    assert.strictEqual((await passkeyLogin(auth.assert(aliceKey, o.body))).status, 401);
+    // Login challenge → 2FA step.
+    const l = await loginOptions();
+    const r = await srv.api('POST', '/api/auth/2fa-login', { pending: pw.body.pending, passkey: auth.assert(aliceKey, l.body) }, { cookie: false });
+    assert.strictEqual(r.status, 401);
+});
+
+test("another user's passkey can't clear the 2FA step", async () => {
+    bob    = await account('bob@example.org');
+    bobKey = await addPasskey(bob, 'Лаптоп');
+    const pw = await srv.api('POST', '/api/auth/login', { email: 'bob@example.org', password: PASSWORD }, { cookie: false });
+    assert.strictEqual(pw.body.twofa_required, true);
+    const o = await loginOptions(pw.body.pending);
+    let r = await srv.api('POST', '/api/auth/2fa-login', { pending: pw.body.pending, passkey: auth.assert(aliceKey, o.body) }, { cookie: false });
+    assert.strictEqual(r.status, 401);
+    assert.strictEqual(r.cookie, null);
+    const o2 = await loginOptions(pw.body.pending);
+    r = await srv.api('POST', '/api/auth/2fa-login', { pending: pw.body.pending, passkey: auth.assert(bobKey, o2.body) }, { cookie: false });
+    assert.strictEqual(r.status, 200);
+});
+
+test('a registration answer bound to another user is refused', async () => {
+    const o = await srv.api('POST', '/api/passkeys/options', { password: PASSWORD }, { cookie: alice.cookie });
+    const cred = auth.register(o.body);
+    const r = await srv.api('POST', '/api/passkeys', { response: cred.response }, { cookie: bob.cookie });
+    assert.strictEqual(r.status, 400);
+    assert.strictEqual(passkeys(bob), 1);
+});
+
+test('a password reset removes the passkeys', async () => {
+    const token = crypto.randomBytes(32).toString('hex');
+    srv.sql('UPDATE users SET reset_token_hash=?, reset_token_expires=? WHERE id=?',
+        crypto.createHash('sha256').update(token).digest('hex'), Date.now() + 60e3, bob.id);
+    const r = await srv.api('POST', '/api/auth/reset-password', { token, password: 'new12345' }, { cookie: false });
+    assert.strictEqual(r.status, 200);
+    assert.match(r.body.message, /passkeys/);
+    assert.strictEqual(passkeys(bob), 0);
+    const o = await loginOptions();
+    assert.strictEqual((await passkeyLogin(auth.assert(bobKey, o.body))).status, 401);
+});
+
+test('"this wasn\'t me" removes the passkeys', async () => {
+    const link = emails('alice@example.org', 'Добавен е ключ за достъп')[0].html.match(/\/api\/auth\/not-me\?token=([^"&<]+)/)[1];
+    const r = await fetch(srv.base + '/api/auth/not-me', {
+        method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-forwarded-for': '10.8.0.1' },
+        body: 'token=' + link,
+    });
+    assert.strictEqual(r.status, 200);
+    assert.strictEqual(passkeys(alice), 0);
+    const o = await loginOptions();
+    assert.strictEqual((await passkeyLogin(auth.assert(aliceKey, o.body))).status, 401);
+});
+
+function b64urlRandom() { return crypto.randomBytes(32).toString('base64url'); }
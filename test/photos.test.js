@@ -0,0 +1,63 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const sharp  = require('sharp');
+const { SHARP_OPTS, parseExif, readPhotoExif, assertNoLocation,
+        processPhoto, makeThumb, VARIANT_WIDTHS, VARIANT_FORMATS } = require('../photos');
+
+// A camera-style JPEG: GPS block for Sofia plus make/model, like a phone upload.
+function gpsJpeg() {
+    return sharp({ create: { width: 1800, height: 1200, channels: 3, background: '#8a6' } })
+        .jpeg()
+        .withExif({
+            IFD0: { Make: 'Canon', Model: 'Canon EOS 80D' },
+            IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '42/1 41/1 5/1', GPSLongitudeRef: 'E', GPSLongitude: '23/1 19/1 20/1' },
+        })
+        .toBuffer();
+}
+
+async function gpsOf(buf) {
+    const { exif } = await sharp(buf).metadata();
+    const x = exif && parseExif(exif);
+    return x ? { has_gps: x.has_gps, lat: x.lat, lng: x.lng } : null;
+}
+const noGps = async (buf, what) => {
+    const x = await gpsOf(buf);
+    assert.ok(!x || (!x.has_gps && x.lat == null && x.lng == null), what + ' still carries GPS: ' + JSON.stringify(x));
+};
+
+test('the fixture really carries GPS', async () => {
+    const src = await gpsJpeg();
+    assert.deepStrictEqual(await gpsOf(src), { has_gps: true, lat: 42.684722, lng: 23.322222 });
+    const x = await readPhotoExif(src);
+    assert.strictEqual(x.camera, 'Canon EOS 80D');
+    await assert.rejects(assertNoLocation(src), /GPS metadata/);
+});
+
+test('processPhoto strips GPS from the stored JPEG', async () => {
+    const photo = await processPhoto(await gpsJpeg());
+    assert.strictEqual(photo.width, 1800);
+    assert.match(photo.hash, /^[0-9a-f]{16}$/);
+    await noGps(photo.data, 'processPhoto');
+    await assertNoLocation(photo.data);
+});
+
+test('makeThumb strips GPS', async () => {
+    const src = await gpsJpeg();
+    await noGps(await makeThumb(src), 'makeThumb(original)');
+    await noGps(await makeThumb((await processPhoto(src)).data), 'makeThumb(stored)');
+});
+
+test('every variant encoder strips GPS', async () => {
+    const src = await gpsJpeg();
+    const stored = (await processPhoto(src)).data;
+    for (const w of VARIANT_WIDTHS) {
+        for (const [name, f] of Object.entries(VARIANT_FORMATS)) {
+            // Same pipeline as renderImageVariants, fed the original as a worst case too.
+            for (const [label, input] of [['stored', stored], ['original', src]]) {
+                const out = await f.encode(sharp(input, SHARP_OPTS).resize({ width: w, withoutEnlargement: true })).toBuffer();
+                assert.strictEqual((await sharp(out).metadata()).format, name === 'avif' ? 'heif' : name);
+                await noGps(out, `${name} ${w}w (${label})`);
+            }
+        }
+    }
+});
@@ -0,0 +1,45 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const path   = require('path');
+const { spawnSync } = require('child_process');
+const { startServer } = require('./helpers/server');
+
+let srv, dir;
+test.before(async () => {
+    srv = await startServer();
+    await srv.owner();
+    dir = path.join(path.dirname(srv.dbFile), 'uploads');
+    const old = new Date(Date.now() - 48 * 3_600_000);
+    fs.mkdirSync(path.join(dir, 'homes'), { recursive: true });
+    for (const key of ['homes/used.jpg', 'homes/used_thumb.jpg', 'homes/orphan.jpg', 'homes/orphan_640w.webp', 'homes/fresh.jpg']) {
+        fs.writeFileSync(path.join(dir, key), 'jpeg');
+        if (key !== 'homes/fresh.jpg') fs.utimesSync(path.join(dir, key), old, old);
+    }
+    srv.sql("INSERT INTO homes (id, slug, name, images, published) VALUES ('gc', 'gc', 'Снимка', ?, 1)",
+        JSON.stringify([`http://localhost:${srv.port}/media/homes/used.jpg`]));
+});
+test.after(() => srv && srv.stop());
+
+const cli = (...args) => spawnSync(process.execPath, ['gc-storage.js', ...args], {
+    cwd: path.join(__dirname, '..'), encoding: 'utf8', timeout: 30000,
+    env: { ...process.env, DATABASE_URL: srv.dbFile, STORAGE_DRIVER: 'local', STORAGE_DIR: dir, PORT: String(srv.port) },
+});
+
+test('the dashboard and gc-storage.js report the same orphans', async () => {
+    const r = await srv.api('GET', '/api/admin/storage/orphans');
+    assert.strictEqual(r.status, 200);
+    assert.deepStrictEqual(r.body.orphans.map(o => o.key).sort(), ['homes/orphan.jpg', 'homes/orphan_640w.webp']);
+
+    const report = cli();
+    assert.strictEqual(report.status, 0, report.stderr);
+    assert.match(report.stdout, /homes\/orphan\.jpg/);
+    assert.match(report.stdout, /Orphaned: 2,/);
+});
+
+test('gc-storage.js --delete removes only the orphans', () => {
+    const run = cli('--delete', '--yes');
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.match(run.stdout, /Deleted 2 of 2/);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'homes')).sort(), ['fresh.jpg', 'used.jpg', 'used_thumb.jpg']);
+});
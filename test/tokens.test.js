@@ -0,0 +1,50 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer } = require('./helpers/server');
+
+let srv, owner;
+test.before(async () => { srv = await startServer(); owner = await srv.owner(); });
+test.after(() => srv && srv.stop());
+
+async function token(...scopes) {
+    const r = await srv.api('POST', '/api/tokens', { name: scopes.join('+'), scopes, days: 30 }, { cookie: owner });
+    assert.strictEqual(r.status, 201, JSON.stringify(r.body));
+    return r.body.token;
+}
+const get = (t, url) => srv.api('GET', url, undefined, { cookie: false, headers: { authorization: 'Bearer ' + t } });
+
+test('read covers content, not people or system data', async () => {
+    const t = await token('read');
+    assert.strictEqual((await get(t, '/api/admin/pending')).status, 200);
+    assert.strictEqual((await get(t, '/api/admin/trash')).status, 200);
+    for (const url of ['/api/admin/users', '/api/admin/audit', '/api/admin/login-failures']) {
+        assert.strictEqual((await get(t, url)).status, 403, url);
+    }
+});
+
+test('read:private opens them, for reads only', async () => {
+    const t = await token('read', 'read:private');
+    for (const url of ['/api/admin/users', '/api/admin/audit', '/api/admin/login-failures']) {
+        assert.strictEqual((await get(t, url)).status, 200, url);
+    }
+    const r = await srv.api('POST', '/api/homes', { name: 'Не', slug: 'ne' }, { cookie: false, headers: { authorization: 'Bearer ' + t } });
+    assert.strictEqual(r.status, 403);
+});
+
+test('a write scope still reads its own area', async () => {
+    const t = await token('homes:write');
+    assert.strictEqual((await get(t, '/api/admin/trash')).status, 200);
+    assert.strictEqual((await get(t, '/api/admin/users')).status, 403);
+});
+
+test('a password reset revokes the API tokens', async () => {
+    const t = await token('read');
+    assert.strictEqual((await get(t, '/api/admin/pending')).status, 200);
+    const reset = crypto.randomBytes(32).toString('hex');
+    srv.sql("UPDATE users SET reset_token_hash=?, reset_token_expires=? WHERE role='owner'",
+        crypto.createHash('sha256').update(reset).digest('hex'), Date.now() + 60e3);
+    assert.strictEqual((await srv.api('POST', '/api/auth/reset-password', { token: reset, password: 'new12345' }, { cookie: false })).status, 200);
+    assert.strictEqual(srv.sql('SELECT COUNT(*) n FROM api_tokens')[0].n, 0);
+    assert.strictEqual((await get(t, '/api/admin/pending')).status, 401);
+});
@@ -0,0 +1,119 @@
+// Multi-step writes in server.js are all-or-nothing: a failure forced at the last
+// step (a trigger that aborts) must leave none of the earlier rows behind.
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const path   = require('path');
+const { startServer } = require('./helpers/server');
+
+let srv;
+test.before(async () => { srv = await startServer(); await srv.owner(); });
+test.after(() => srv && srv.stop());
+
+const count = (sql, ...a) => srv.sql(sql, ...a)[0].n;
+const form = fields => {
+    const fd = new FormData();
+    for (const k in fields) fd.append(k, fields[k]);
+    return fd;
+};
+
+test('a failed approval creates no place', async () => {
+    await srv.api('POST', '/api/suggest-guest', form({ email: 'guest@example.org', title: 'Къща Тест', address: 'София' }), { cookie: false });
+    const { id } = srv.sql("SELECT id FROM pending_addresses WHERE status='pending'")[0];
+    assert.strictEqual((await srv.api('POST', `/api/admin/pending/${id}/claim`)).status, 200);
+    const approve = () => srv.api('POST', `/api/admin/moderate/${id}`, form({ action: 'approve', title: 'Къща Тест', keptImages: '[]' }));
+
+    srv.sql(`CREATE TRIGGER fail_approve BEFORE UPDATE OF status ON pending_addresses
+             WHEN NEW.status='approved' BEGIN SELECT RAISE(ABORT, 'forced'); END`);
+    assert.strictEqual((await approve()).status, 500);
+    assert.strictEqual(count('SELECT COUNT(*) n FROM homes'), 0);
+    assert.strictEqual(count('SELECT COUNT(*) n FROM home_revisions'), 0);
+    assert.strictEqual(count('SELECT COUNT(*) n FROM homes_fts'), 0);
+    assert.strictEqual(srv.sql('SELECT status FROM pending_addresses WHERE id=?', id)[0].status, 'pending');
+
+    srv.sql('DROP TRIGGER fail_approve');
+    assert.strictEqual((await approve()).status, 200);
+    assert.strictEqual(count('SELECT COUNT(*) n FROM homes'), 1);
+    assert.strictEqual(count('SELECT COUNT(*) n FROM home_revisions'), 1);
+});
+
+test('a failed account deletion keeps the account and its data', async () => {
+    const me = (await srv.api('POST', '/api/auth/register', { email: 'leaver@example.org', password: 'abc12345', age_confirmed: true }, { cookie: '' })).cookie;
+    const home = srv.sql('SELECT id FROM homes LIMIT 1')[0].id;
+    assert.strictEqual((await srv.api('POST', '/api/user/activity', { address_id: home, status: 'favorite' }, { cookie: me })).status, 200);
+    const uid = srv.sql("SELECT id FROM users WHERE email='leaver@example.org'")[0].id;
+
+    srv.sql(`CREATE TRIGGER fail_delete BEFORE DELETE ON users BEGIN SELECT RAISE(ABORT, 'forced'); END`);
+    assert.strictEqual((await srv.api('POST', '/api/user/delete', { password: 'abc12345' }, { cookie: me })).status, 500);
+    assert.strictEqual(count('SELECT COUNT(*) n FROM users WHERE id=?', uid), 1);
+    assert.strictEqual(count('SELECT COUNT(*) n FROM user_activity WHERE user_id=?', uid), 1);
+
+    srv.sql('DROP TRIGGER fail_delete');
+    assert.strictEqual((await srv.api('POST', '/api/user/delete', { password: 'abc12345' }, { cookie: me })).status, 200);
+    assert.strictEqual(count('SELECT COUNT(*) n FROM users WHERE id=?', uid), 0);
+    assert.strictEqual(count('SELECT COUNT(*) n FROM user_activity WHERE user_id=?', uid), 0);
+});
+
+test('a failed related-places update keeps the old links and the old place', async () => {
+    for (const slug of ['rel-a', 'rel-b', 'rel-c']) {
+        const r = await srv.api('POST', '/api/homes', { name: 'Място ' + slug, slug });
+        assert.ok(r.status === 200 || r.status === 201, JSON.stringify(r.body));
+    }
+    const put = body => srv.api('PUT', '/api/homes/rel-a', Object.assign({ name: 'Място rel-a', slug: 'rel-a' }, body));
+    assert.strictEqual((await put({ related_ids: ['rel-b'] })).status, 200);
+    const links = () => srv.sql("SELECT related_id FROM related_places WHERE home_id='rel-a' ORDER BY related_id").map(r => r.related_id);
+    assert.deepStrictEqual(links(), ['rel-b']);
+    const revisions = count("SELECT COUNT(*) n FROM home_revisions WHERE home_id='rel-a'");
+
+    srv.sql(`CREATE TRIGGER fail_related BEFORE INSERT ON related_places
+             WHEN NEW.related_id='rel-c' BEGIN SELECT RAISE(ABORT, 'forced'); END`);
+    assert.strictEqual((await put({ name: 'Преименувано', related_ids: ['rel-b', 'rel-c'] })).status, 500);
+    assert.deepStrictEqual(links(), ['rel-b']);
+    assert.strictEqual(srv.sql("SELECT name FROM homes WHERE id='rel-a'")[0].name, 'Място rel-a');
+    assert.strictEqual(count("SELECT COUNT(*) n FROM home_revisions WHERE home_id='rel-a'"), revisions);
+
+    srv.sql('DROP TRIGGER fail_related');
+    assert.strictEqual((await put({ related_ids: ['rel-b', 'rel-c'] })).status, 200);
+    assert.deepStrictEqual(links(), ['rel-b', 'rel-c']);
+});
+
+test('a failed duplicate merge keeps the places and the files', async () => {
+    const media = 'http://localhost:' + srv.port + '/media/homes/';
+    const file  = name => path.join(path.dirname(srv.dbFile), 'uploads', 'homes', name);
+    fs.mkdirSync(path.dirname(file('x')), { recursive: true });
+    for (const name of ['keep.jpg', 'copy.jpg']) {
+        fs.writeFileSync(file(name), 'jpeg');
+        srv.sql("INSERT INTO image_index (url, hash, bytes, created_at) VALUES (?, 'aaaaaaaabbbbbbbb', 4, '2026-01-01')", media + name);
+    }
+    srv.sql("INSERT INTO homes (id, slug, name, images, published) VALUES ('dup', 'dup', 'Копие', ?, 1)", JSON.stringify([media + 'copy.jpg']));
+    srv.sql("INSERT INTO drive_files (file_id, url, imported_at) VALUES ('drive-1', ?, '2026-01-01')", media + 'copy.jpg');
+    const merge = () => srv.api('POST', '/api/admin/images/duplicates/merge', { keep: media + 'keep.jpg', remove: [media + 'copy.jpg'] });
+
+    srv.sql(`CREATE TRIGGER fail_merge BEFORE UPDATE ON drive_files BEGIN SELECT RAISE(ABORT, 'forced'); END`);
+    assert.strictEqual((await merge()).status, 500);
+    assert.deepStrictEqual(JSON.parse(srv.sql("SELECT images FROM homes WHERE id='dup'")[0].images), [media + 'copy.jpg']);
+    assert.strictEqual(count("SELECT COUNT(*) n FROM home_revisions WHERE home_id='dup'"), 0);
+    assert.ok(fs.existsSync(file('copy.jpg')), 'the file is still there');
+
+    srv.sql('DROP TRIGGER fail_merge');
+    const r = await merge();
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+    assert.strictEqual(r.body.deleted, 1);
+    assert.deepStrictEqual(JSON.parse(srv.sql("SELECT images FROM homes WHERE id='dup'")[0].images), [media + 'keep.jpg']);
+    assert.strictEqual(srv.sql("SELECT url FROM drive_files WHERE file_id='drive-1'")[0].url, media + 'keep.jpg');
+    assert.ok(!fs.existsSync(file('copy.jpg')));
+});
+
+test('merging a submission appends to the existing place', async () => {
+    assert.strictEqual((await srv.api('POST', '/api/homes', { name: 'Стара къща', slug: 'old-house', biography: 'Първи ред.' })).status, 201);
+    await srv.api('POST', '/api/suggest-guest', form({ email: 'guest2@example.org', title: 'Стара къща', address: 'Пловдив', description: 'Нов ред.' }), { cookie: false });
+    const { id } = srv.sql("SELECT id FROM pending_addresses WHERE status='pending'")[0];
+    assert.strictEqual((await srv.api('POST', `/api/admin/pending/${id}/claim`)).status, 200);
+    const r = await srv.api('POST', `/api/admin/moderate/${id}`, form({ action: 'merge', merge_into: 'old-house', keptImages: '[]', tags: 'къщи' }));
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+    const home = srv.sql("SELECT biography, tags, address FROM homes WHERE id='old-house'")[0];
+    assert.strictEqual(home.biography, 'Първи ред.\n\nНов ред.');
+    assert.deepStrictEqual(JSON.parse(home.tags), ['къщи']);
+    assert.strictEqual(home.address, 'Пловдив');
+    assert.strictEqual(srv.sql('SELECT status FROM pending_addresses WHERE id=?', id)[0].status, 'approved');
+});
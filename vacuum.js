@@ -1,7 +1,38 @@
-const Database = require('better-sqlite3');
+/**
+ * Rebuild the database file to reclaim space left by deleted rows.
+ *
+ * Opens the same DB the server uses, through openDatabase, so it waits out the
+ * server's locks instead of failing with SQLITE_BUSY. VACUUM needs the whole
+ * file to itself - run it when the site is quiet.
+ *
+ * Usage:
+ *     node vacuum.js
+ */
+require('dotenv').config();
+const path = require('path');
+const fs   = require('fs');
+const { openDatabase } = require('./database');
 
-const db = new Database('database.db');
+const DB_FILE = (() => {
+    const candidates = [
+        process.env.DATABASE_URL,
+        '/data/database.db',
+        path.join(__dirname, 'database.db'),
+    ].filter(Boolean);
+    for (const p of candidates) if (fs.existsSync(p)) return p;
+    return path.join(__dirname, 'database.db');
+})();
 
-console.log("Starting database vacuum...");
-db.exec('VACUUM');
-console.log("Vacuum complete! Your database file size has been optimized.");
\ No newline at end of file
+const db = openDatabase(DB_FILE, { timeout: 30000 });
+
+(async () => {
+    console.log('📦 DB:', DB_FILE);
+    const before = fs.statSync(DB_FILE).size;
+    console.log('Starting database vacuum...');
+    await db.exec('VACUUM');
+    await db.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+    const after = fs.statSync(DB_FILE).size;
+    console.log(`Vacuum complete: ${(before / 1048576).toFixed(1)} MB → ${(after / 1048576).toFixed(1)} MB.`);
+    await db.close();
+    process.exit(0);
+})().catch(e => { console.error('Fatal:', e.message); process.exit(1); });